@@ -0,0 +1,14 @@
+const Stripe = require("stripe");
+
+/* ---------------- STRIPE CLIENT ---------------- */
+// STRIPE_API_HOST points webhook processing at a local Stripe stand-in
+// (e.g. stripe-mock) when replaying the event ledger
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  ...(process.env.STRIPE_API_HOST && {
+    host: process.env.STRIPE_API_HOST,
+    port: process.env.STRIPE_API_PORT || 12111,
+    protocol: process.env.STRIPE_API_PROTOCOL || "http",
+  }),
+});
+
+module.exports = stripe;
@@ -0,0 +1,237 @@
+const Joi = require("joi");
+const prisma = require("../prismaClient");
+const {
+  createCouponSchema,
+  updateCouponSchema,
+} = require("../helper/validation/coupon.validation");
+const { validateCouponRules } = require("../service/promotion-service");
+
+// Platform coupons may still be limited to one business or one customer
+const adminCreateCouponSchema = createCouponSchema.keys({
+  businessProfileId: Joi.string().trim().allow(null),
+  assignedUserId: Joi.string().trim().allow(null),
+});
+
+/* ---------------- GET COUPONS ---------------- */
+const getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, scope, isActive, search } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (scope && ["PLATFORM", "PROVIDER"].includes(scope.toUpperCase())) {
+      where.scope = scope.toUpperCase();
+    }
+    if (isActive !== undefined) {
+      where.isActive = isActive === "true";
+    }
+    if (search) {
+      where.code = { contains: search, mode: "insensitive" };
+    }
+
+    const [coupons, total] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        include: {
+          businessProfile: { select: { id: true, businessName: true } },
+          _count: {
+            select: { redemptions: { where: { status: "PAID" } } },
+          },
+        },
+      }),
+      prisma.coupon.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: coupons.map(({ _count, ...coupon }) => ({
+        ...coupon,
+        redemptions: _count.redemptions,
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching coupons:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- CREATE PLATFORM COUPON ---------------- */
+const createCoupon = async (req, res) => {
+  const adminId = req.user.id;
+
+  try {
+    const { error, value } = adminCreateCouponSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.details.map((e) => e.message),
+      });
+    }
+
+    const ruleError = validateCouponRules(value);
+    if (ruleError) {
+      return res.status(422).json({ success: false, message: [ruleError] });
+    }
+
+    if (value.businessProfileId) {
+      const business = await prisma.businessProfile.findUnique({
+        where: { id: value.businessProfileId },
+        select: { id: true },
+      });
+      if (!business) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Business not found" });
+      }
+    }
+
+    const existing = await prisma.coupon.findUnique({
+      where: { code: value.code },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists",
+      });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: { ...value, scope: "PLATFORM", createdById: adminId },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "COUPON_CREATED",
+        status: "SUCCESS",
+        metadata: { couponId: coupon.id, code: coupon.code },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    console.error("Error creating coupon:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- UPDATE COUPON ---------------- */
+// Admins can also edit or switch off provider coupons
+const updateCoupon = async (req, res) => {
+  const adminId = req.user.id;
+  const { couponId } = req.params;
+
+  try {
+    const { error, value } = updateCouponSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.details.map((e) => e.message),
+      });
+    }
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: couponId },
+    });
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+
+    const ruleError = validateCouponRules({ ...coupon, ...value });
+    if (ruleError) {
+      return res.status(422).json({ success: false, message: [ruleError] });
+    }
+
+    const updated = await prisma.coupon.update({
+      where: { id: couponId },
+      data: value,
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "COUPON_UPDATED",
+        status: "SUCCESS",
+        metadata: { couponId, code: coupon.code, changes: value },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    console.error("Error updating coupon:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- GET REFERRALS ---------------- */
+const getReferrals = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (status && ["PENDING", "REWARDED"].includes(status.toUpperCase())) {
+      where.status = status.toUpperCase();
+    }
+
+    const [referrals, total] = await Promise.all([
+      prisma.referral.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        include: {
+          referrer: { select: { id: true, name: true, email: true } },
+          referee: { select: { id: true, name: true, email: true } },
+        },
+      }),
+      prisma.referral.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: referrals,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching referrals:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getReferrals,
+};
@@ -0,0 +1,121 @@
+const prisma = require("../prismaClient");
+
+const DISPUTE_STATUSES = ["OPEN", "WON", "LOST"];
+
+const bookingSelect = {
+  id: true,
+  date: true,
+  totalAmount: true,
+  refundedAmount: true,
+  bookingStatus: true,
+  paymentStatus: true,
+  providerEarnings: true,
+  slot: { select: { time: true } },
+  service: { select: { id: true, name: true } },
+  businessProfile: { select: { id: true, businessName: true } },
+  user: { select: { id: true, name: true, email: true } },
+};
+
+/* ---------------- GET DISPUTE QUEUE ---------------- */
+// Open disputes first, closest evidence deadline first
+const getDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (status && DISPUTE_STATUSES.includes(status.toUpperCase())) {
+      where.status = status.toUpperCase();
+    }
+
+    const [disputes, total] = await Promise.all([
+      prisma.paymentDispute.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [
+          { status: "asc" },
+          { evidenceDueBy: { sort: "asc", nulls: "last" } },
+        ],
+      }),
+      prisma.paymentDispute.count({ where }),
+    ]);
+
+    const bookingIds = disputes.flatMap((d) => d.bookingIds || []);
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: bookingIds } },
+      select: bookingSelect,
+    });
+    const bookingsById = new Map(bookings.map((b) => [b.id, b]));
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: disputes.map((dispute) => ({
+        ...dispute,
+        evidenceOverdue:
+          dispute.status === "OPEN" &&
+          !!dispute.evidenceDueBy &&
+          dispute.evidenceDueBy < now,
+        bookings: (dispute.bookingIds || [])
+          .map((id) => bookingsById.get(id))
+          .filter(Boolean),
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching disputes:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- GET DISPUTE BY ID ---------------- */
+const getDisputeById = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    const dispute = await prisma.paymentDispute.findUnique({
+      where: { id: disputeId },
+      include: {
+        customerPayment: {
+          include: {
+            user: { select: { id: true, name: true, email: true } },
+            refunds: true,
+          },
+        },
+      },
+    });
+
+    if (!dispute) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Dispute not found" });
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: dispute.bookingIds || [] } },
+      select: { ...bookingSelect, cancellation: true },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { ...dispute, bookings },
+    });
+  } catch (error) {
+    console.error("Error fetching dispute:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDisputeById,
+};
@@ -0,0 +1,132 @@
+const prisma = require("../prismaClient");
+const { sendInvoicePdf } = require("./invoice.controller");
+
+/* ---------------- GET INVOICES ---------------- */
+const getInvoices = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      documentType,
+      businessProfileId,
+      userId,
+      financialYear,
+      platform,
+      search,
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (
+      documentType &&
+      ["INVOICE", "CREDIT_NOTE"].includes(documentType.toUpperCase())
+    ) {
+      where.documentType = documentType.toUpperCase();
+    }
+    if (platform === "true") {
+      where.businessProfileId = null;
+    } else if (businessProfileId) {
+      where.businessProfileId = businessProfileId;
+    }
+    if (userId) {
+      where.userId = userId;
+    }
+    if (financialYear) {
+      where.financialYear = financialYear;
+    }
+    if (search) {
+      where.invoiceNumber = { contains: search, mode: "insensitive" };
+    }
+
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { issuedAt: "desc" },
+        omit: { pdf: true, data: true },
+        include: {
+          businessProfile: { select: { id: true, businessName: true } },
+          user: { select: { id: true, name: true, email: true } },
+          originalInvoice: { select: { id: true, invoiceNumber: true } },
+        },
+      }),
+      prisma.invoice.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: invoices,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- GET INVOICE BY ID ---------------- */
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: req.params.invoiceId },
+      omit: { pdf: true },
+      include: {
+        businessProfile: { select: { id: true, businessName: true } },
+        user: { select: { id: true, name: true, email: true } },
+        originalInvoice: { select: { id: true, invoiceNumber: true } },
+        creditNotes: {
+          select: {
+            id: true,
+            invoiceNumber: true,
+            totalAmount: true,
+            issuedAt: true,
+          },
+        },
+      },
+    });
+    if (!invoice) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invoice not found" });
+    }
+
+    res.status(200).json({ success: true, data: invoice });
+  } catch (error) {
+    console.error("Error fetching invoice:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- DOWNLOAD INVOICE ---------------- */
+const downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: req.params.invoiceId },
+      select: { fileName: true, pdf: true },
+    });
+    if (!invoice) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invoice not found" });
+    }
+
+    return sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("Error downloading invoice:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  downloadInvoice,
+};
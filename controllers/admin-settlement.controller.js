@@ -0,0 +1,167 @@
+const prisma = require("../prismaClient");
+const {
+  parsePeriod,
+  getPreviousPeriod,
+  isClosedPeriod,
+  generateSettlementReport,
+  generateMonthlySettlements,
+} = require("../service/settlement-service");
+const { sendSettlementReport } = require("./settlement.controller");
+
+const ROLLUP_FIELDS = [
+  "bookingCount",
+  "grossAmount",
+  "discountAmount",
+  "taxAmount",
+  "platformFee",
+  "cancellationFees",
+  "refundedAmount",
+  "providerEarnings",
+  "providerTax",
+  "staffPayouts",
+  "tipAmount",
+  "transferredAmount",
+  "netAmount",
+];
+
+/* ---------------- GET SETTLEMENT ROLL-UP ---------------- */
+// Totals across every business for a month, with the per-business reports
+const getSettlementRollup = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, period = getPreviousPeriod() } = req.query;
+
+    if (!parsePeriod(period)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Period must be in YYYY-MM format" });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+    const where = { period };
+
+    const sumFields = Object.fromEntries(ROLLUP_FIELDS.map((f) => [f, true]));
+
+    const [reports, total, totals] = await Promise.all([
+      prisma.settlementReport.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { grossAmount: "desc" },
+        omit: { data: true },
+        include: {
+          businessProfile: { select: { id: true, businessName: true } },
+        },
+      }),
+      prisma.settlementReport.count({ where }),
+      prisma.settlementReport.aggregate({ where, _sum: sumFields }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period,
+        totals: Object.fromEntries(
+          ROLLUP_FIELDS.map((f) => [f, totals._sum[f] || 0]),
+        ),
+        reports,
+      },
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching settlement roll-up:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- GENERATE SETTLEMENT REPORTS ---------------- */
+// Rebuilds a month, e.g. after late refunds; one business or all of them
+const generateSettlements = async (req, res) => {
+  try {
+    const { period, businessProfileId } = req.body;
+
+    if (!parsePeriod(period)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Period must be in YYYY-MM format" });
+    }
+    if (!isClosedPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        message: "Settlement reports can only be generated for ended months",
+      });
+    }
+
+    let generated;
+    if (businessProfileId) {
+      const report = await generateSettlementReport(businessProfileId, period);
+      if (!report) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Business not found" });
+      }
+      generated = 1;
+    } else {
+      generated = await generateMonthlySettlements(period);
+    }
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: req.user.id,
+        actorType: req.user.role,
+        actionType: "SETTLEMENTS_GENERATED",
+        status: "SUCCESS",
+        metadata: { period, businessProfileId, generated },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Generated ${generated} settlement report(s)`,
+      data: { period, generated },
+    });
+  } catch (error) {
+    console.error("Error generating settlement reports:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- DOWNLOAD SETTLEMENT REPORT ---------------- */
+const downloadSettlementReport = async (req, res) => {
+  try {
+    const format = (req.query.format || "pdf").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be one of json, csv or pdf",
+      });
+    }
+
+    const report = await prisma.settlementReport.findUnique({
+      where: { id: req.params.reportId },
+    });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Settlement report not found" });
+    }
+
+    return sendSettlementReport(res, report, format);
+  } catch (error) {
+    console.error("Error downloading settlement report:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getSettlementRollup,
+  generateSettlements,
+  downloadSettlementReport,
+};
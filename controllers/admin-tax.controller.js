@@ -0,0 +1,221 @@
+const prisma = require("../prismaClient");
+const {
+  createTaxRuleSchema,
+  updateTaxRuleSchema,
+} = require("../helper/validation/tax.validation");
+const { DEFAULT_GST_RATE, normalizeState } = require("../service/tax-service");
+
+// Only one rule may cover a category and state pair
+const findConflictingRule = (rule, excludeId) =>
+  prisma.taxRule
+    .findMany({
+      where: {
+        businessCategoryId: rule.businessCategoryId ?? null,
+        ...(excludeId && { id: { not: excludeId } }),
+      },
+    })
+    .then((rules) =>
+      rules.find((r) => normalizeState(r.state) === normalizeState(rule.state)),
+    );
+
+/* ---------------- GET TAX RULES ---------------- */
+const getTaxRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, businessCategoryId, isActive } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (businessCategoryId) {
+      where.businessCategoryId = businessCategoryId;
+    }
+    if (isActive !== undefined) {
+      where.isActive = isActive === "true";
+    }
+
+    const [rules, total] = await Promise.all([
+      prisma.taxRule.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        include: { category: { select: { id: true, name: true } } },
+      }),
+      prisma.taxRule.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      defaultRate: DEFAULT_GST_RATE,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching tax rules:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- CREATE TAX RULE ---------------- */
+const createTaxRule = async (req, res) => {
+  const adminId = req.user.id;
+
+  try {
+    const { error, value } = createTaxRuleSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.details.map((e) => e.message),
+      });
+    }
+
+    if (value.businessCategoryId) {
+      const category = await prisma.businesscategory.findUnique({
+        where: { id: value.businessCategoryId },
+        select: { id: true },
+      });
+      if (!category) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Business category not found" });
+      }
+    }
+
+    if (await findConflictingRule(value)) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax rule for this category and state already exists",
+      });
+    }
+
+    const rule = await prisma.taxRule.create({
+      data: { ...value, createdById: adminId },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "TAX_RULE_CREATED",
+        status: "SUCCESS",
+        metadata: { taxRuleId: rule.id, ...value },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    console.error("Error creating tax rule:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- UPDATE TAX RULE ---------------- */
+// Booked prices keep the tax they were sold with; edits apply to new bookings
+const updateTaxRule = async (req, res) => {
+  const adminId = req.user.id;
+  const { ruleId } = req.params;
+
+  try {
+    const { error, value } = updateTaxRuleSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.details.map((e) => e.message),
+      });
+    }
+
+    const rule = await prisma.taxRule.findUnique({ where: { id: ruleId } });
+    if (!rule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tax rule not found" });
+    }
+
+    if (await findConflictingRule({ ...rule, ...value }, ruleId)) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax rule for this category and state already exists",
+      });
+    }
+
+    const updated = await prisma.taxRule.update({
+      where: { id: ruleId },
+      data: value,
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "TAX_RULE_UPDATED",
+        status: "SUCCESS",
+        metadata: { taxRuleId: ruleId, changes: value },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    console.error("Error updating tax rule:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- DELETE TAX RULE ---------------- */
+const deleteTaxRule = async (req, res) => {
+  const adminId = req.user.id;
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await prisma.taxRule.findUnique({ where: { id: ruleId } });
+    if (!rule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tax rule not found" });
+    }
+
+    await prisma.taxRule.delete({ where: { id: ruleId } });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "TAX_RULE_DELETED",
+        status: "SUCCESS",
+        metadata: {
+          taxRuleId: ruleId,
+          businessCategoryId: rule.businessCategoryId,
+          state: rule.state,
+          rate: rule.rate,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(200).json({ success: true, message: "Tax rule deleted" });
+  } catch (error) {
+    console.error("Error deleting tax rule:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
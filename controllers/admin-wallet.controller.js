@@ -0,0 +1,149 @@
+const prisma = require("../prismaClient");
+const {
+  adjustWalletSchema,
+} = require("../helper/validation/wallet.validation");
+const { creditWallet, debitWallet } = require("../service/wallet-service");
+
+/* ---------------- GET USER WALLET ---------------- */
+const getUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 10, type, source } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, walletBalance: true },
+    });
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const where = { userId };
+    if (type && ["CREDIT", "DEBIT"].includes(type.toUpperCase())) {
+      where.type = type.toUpperCase();
+    }
+    if (source) {
+      where.source = source.toUpperCase();
+    }
+
+    const [transactions, total] = await Promise.all([
+      prisma.walletTransaction.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.walletTransaction.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { user, transactions },
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user wallet:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- ADJUST USER WALLET ---------------- */
+// Goodwill credits and corrections; the reason is kept on the ledger
+const adjustUserWallet = async (req, res) => {
+  const adminId = req.user.id;
+  const { userId } = req.params;
+
+  try {
+    const { error, value } = adjustWalletSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.details.map((e) => e.message),
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true },
+    });
+    if (!user || user.role !== "customer") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Customer not found" });
+    }
+
+    const { type, ...entry } = value;
+    let transaction;
+    try {
+      transaction = await (type === "CREDIT" ? creditWallet : debitWallet)(
+        null,
+        {
+          ...entry,
+          userId,
+          description: entry.description || "Adjustment by support",
+          createdById: adminId,
+        },
+      );
+    } catch (walletError) {
+      if (!walletError.isWalletError) throw walletError;
+      return res
+        .status(400)
+        .json({ success: false, message: walletError.message });
+    }
+
+    const metadata = {
+      transactionId: transaction.id,
+      type,
+      amount: value.amount,
+      source: value.source,
+      reason: value.reason,
+      balanceAfter: transaction.balanceAfter,
+    };
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "WALLET_ADJUSTED",
+        status: "SUCCESS",
+        metadata: { ...metadata, userId },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    // Also on the customer's own trail, which support reviews
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "WALLET_ADJUSTED",
+        status: "SUCCESS",
+        metadata: { ...metadata, adminId },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(201).json({ success: true, data: transaction });
+  } catch (error) {
+    console.error("Error adjusting user wallet:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getUserWallet,
+  adjustUserWallet,
+};
@@ -0,0 +1,144 @@
+const prisma = require("../prismaClient");
+const { dispatchStripeEvent } = require("./stripeWebHooks.controller");
+const { replayWebhookEvents } = require("../service/webhook-event-service");
+
+const WEBHOOK_EVENT_STATUSES = ["PROCESSING", "PROCESSED", "FAILED"];
+
+/* ---------------- GET WEBHOOK EVENTS ---------------- */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (status && WEBHOOK_EVENT_STATUSES.includes(status.toUpperCase())) {
+      where.status = status.toUpperCase();
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.stripeWebhookEvent.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        // Payloads are large, fetch one event for the full body
+        omit: { payload: true },
+      }),
+      prisma.stripeWebhookEvent.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching webhook events:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- GET WEBHOOK EVENT BY ID ---------------- */
+const getWebhookEventById = async (req, res) => {
+  try {
+    const event = await prisma.stripeWebhookEvent.findUnique({
+      where: { id: req.params.eventId },
+    });
+
+    if (!event) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook event not found" });
+    }
+
+    res.status(200).json({ success: true, data: event });
+  } catch (error) {
+    console.error("Error fetching webhook event:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------------- RETRY WEBHOOK EVENT ---------------- */
+// Failed events are retried as-is; `force` re-runs a processed one
+const retryWebhookEvent = async (req, res) => {
+  const adminId = req.user.id;
+  const { eventId } = req.params;
+  const force = req.body?.force === true;
+
+  try {
+    const event = await prisma.stripeWebhookEvent.findUnique({
+      where: { id: eventId },
+      select: { id: true, type: true, status: true },
+    });
+
+    if (!event) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook event not found" });
+    }
+
+    if (event.status === "PROCESSED" && !force) {
+      return res.status(409).json({
+        success: false,
+        message: "Event was already processed. Pass force to run it again.",
+      });
+    }
+
+    const [result] = await replayWebhookEvents(
+      (payload) => dispatchStripeEvent(payload, req),
+      { ids: [eventId], force },
+    );
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: adminId,
+        actorType: req.user.role,
+        actionType: "WEBHOOK_EVENT_RETRIED",
+        status: result.processed ? "SUCCESS" : "FAILED",
+        metadata: {
+          eventId,
+          eventType: event.type,
+          previousStatus: event.status,
+          force,
+          error: result.error,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    const updated = await prisma.stripeWebhookEvent.findUnique({
+      where: { id: eventId },
+      omit: { payload: true },
+    });
+
+    res.status(result.processed ? 200 : 422).json({
+      success: result.processed,
+      message: result.processed
+        ? "Webhook event processed successfully"
+        : result.duplicate
+          ? "Event is being processed by another worker"
+          : `Webhook event failed again: ${result.error}`,
+      data: updated,
+    });
+  } catch (error) {
+    console.error("Error retrying webhook event:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getWebhookEvents,
+  getWebhookEventById,
+  retryWebhookEvent,
+};
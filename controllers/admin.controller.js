@@ -1,7 +1,6 @@
 const prisma = require("../prismaClient");
 const Joi = require("joi");
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = require("../config/stripe");
 const { sendMail } = require("../utils/sendmail");
 const bcrypt = require("bcrypt");
 const { logProviderAdminActivity, LogStatus } = require("../utils/logger");
@@ -22,6 +22,7 @@ const {
   logInfo,
   LogStatus,
 } = require("../utils/logger");
+const { registerReferral } = require("../service/promotion-service");
 
 /* ---------------- EMAIL TEMPLATES ---------------- */
 const {
@@ -56,9 +57,10 @@ const register = async (req, res) => {
         .json({ success: false, message: "User already registered" });
     }
 
-    const hashed = await bcrypt.hash(value.password, 10);
+    const { referralCode, ...userData } = value;
+    const hashed = await bcrypt.hash(userData.password, 10);
     const user = await prisma.user.create({
-      data: { ...value, password: hashed },
+      data: { ...userData, password: hashed },
     });
 
     const accessToken = GenerateAccessToken(user);
@@ -98,6 +100,15 @@ const register = async (req, res) => {
 
     res.cookie("refreshToken", refreshToken, refreshCookieOptions);
 
+    // --- LINK REFERRAL IF CUSTOMER ---
+    if (value.role === "customer" && referralCode) {
+      try {
+        await registerReferral(user.id, referralCode);
+      } catch (referralErr) {
+        console.error("Failed to register referral:", referralErr);
+      }
+    }
+
     // --- ASSIGN FREE PLAN IF PROVIDER ---
     if (value.role === "provider") {
       try {
@@ -0,0 +1,77 @@
+const {
+  MAX_CALENDAR_DAYS,
+  getServiceAvailabilityCalendar,
+} = require("../service/availability-service");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------------- GET SERVICE AVAILABILITY CALENDAR ---------------- */
+const getServiceAvailability = async (req, res) => {
+  const { serviceId } = req.params;
+  const today = new Date().toISOString().split("T")[0];
+  const from = req.query.from || today;
+
+  let to = req.query.to;
+  if (!to) {
+    const defaultEnd = new Date(`${from}T00:00:00.000Z`);
+    defaultEnd.setUTCDate(defaultEnd.getUTCDate() + 6);
+    to = defaultEnd.toISOString().split("T")[0];
+  }
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return res.status(400).json({
+      success: false,
+      msg: "from and to must be dates in YYYY-MM-DD format.",
+    });
+  }
+
+  const rangeDays = (new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24) + 1;
+
+  if (isNaN(rangeDays) || rangeDays < 1) {
+    return res.status(400).json({
+      success: false,
+      msg: "to must be on or after from.",
+    });
+  }
+
+  if (rangeDays > MAX_CALENDAR_DAYS) {
+    return res.status(400).json({
+      success: false,
+      msg: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days.`,
+    });
+  }
+
+  try {
+    const availability = await getServiceAvailabilityCalendar({
+      serviceId,
+      from,
+      to,
+      excludeUserId: req.user?.id,
+    });
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Availability fetched successfully.",
+      from,
+      to,
+      ...availability,
+    });
+  } catch (error) {
+    console.error("getServiceAvailability error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch availability.",
+    });
+  }
+};
+
+module.exports = {
+  getServiceAvailability,
+};
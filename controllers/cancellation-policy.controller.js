@@ -0,0 +1,213 @@
+const prisma = require("../prismaClient");
+const { Prisma } = require("@prisma/client");
+const {
+  cancellationPolicySchema,
+} = require("../helper/validation/provider.validation");
+const {
+  validateCustomTiers,
+  resolveCancellationPolicy,
+} = require("../service/cancellation-policy-service");
+
+/* ---------------- VALIDATE POLICY BODY ---------------- */
+const validatePolicyBody = (req, res, { allowInherit }) => {
+  const { error, value } = cancellationPolicySchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+    return null;
+  }
+
+  if (value.policy === null && !allowInherit) {
+    res.status(422).json({
+      success: false,
+      msg: ["A business cancellation policy cannot be empty."],
+    });
+    return null;
+  }
+
+  if (value.policy === "CUSTOM") {
+    const tierError = validateCustomTiers(value.tiers);
+    if (tierError) {
+      res.status(422).json({ success: false, msg: [tierError] });
+      return null;
+    }
+  }
+
+  return {
+    cancellationPolicy: value.policy,
+    cancellationTiers: value.policy === "CUSTOM" ? value.tiers : Prisma.DbNull,
+  };
+};
+
+/* ---------------- GET CANCELLATION POLICY ---------------- */
+const getCancellationPolicy = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      include: {
+        services: {
+          select: {
+            id: true,
+            name: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
+          },
+        },
+      },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Cancellation policy fetched successfully.",
+      policy: resolveCancellationPolicy(business),
+      services: business.services.map((service) => ({
+        id: service.id,
+        name: service.name,
+        policy: resolveCancellationPolicy(business, service),
+      })),
+    });
+  } catch (error) {
+    console.error("getCancellationPolicy error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch cancellation policy.",
+    });
+  }
+};
+
+/* ---------------- UPDATE BUSINESS CANCELLATION POLICY ---------------- */
+const updateBusinessCancellationPolicy = async (req, res) => {
+  const userId = req.user.id;
+
+  const data = validatePolicyBody(req, res, { allowInherit: false });
+  if (!data) return;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    // Existing bookings keep the policy they were sold under
+    const updated = await prisma.businessProfile.update({
+      where: { id: business.id },
+      data,
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "CANCELLATION_POLICY_UPDATED",
+        status: "SUCCESS",
+        metadata: {
+          businessId: business.id,
+          from: business.cancellationPolicy,
+          to: updated.cancellationPolicy,
+          tiers: updated.cancellationTiers,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Cancellation policy updated. It applies to new bookings only.",
+      policy: resolveCancellationPolicy(updated),
+    });
+  } catch (error) {
+    console.error("updateBusinessCancellationPolicy error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update cancellation policy.",
+    });
+  }
+};
+
+/* ---------------- UPDATE SERVICE CANCELLATION POLICY ---------------- */
+const updateServiceCancellationPolicy = async (req, res) => {
+  const userId = req.user.id;
+  const { serviceId } = req.params;
+
+  const data = validatePolicyBody(req, res, { allowInherit: true });
+  if (!data) return;
+
+  try {
+    const service = await prisma.service.findFirst({
+      where: { id: serviceId, businessProfile: { userId } },
+      include: { businessProfile: true },
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found or does not belong to your business.",
+      });
+    }
+
+    const updated = await prisma.service.update({
+      where: { id: service.id },
+      data,
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "SERVICE_CANCELLATION_POLICY_UPDATED",
+        status: "SUCCESS",
+        metadata: {
+          serviceId: service.id,
+          serviceName: service.name,
+          from: service.cancellationPolicy,
+          to: updated.cancellationPolicy,
+          tiers: updated.cancellationTiers,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg:
+        data.cancellationPolicy === null
+          ? "Service now follows the business cancellation policy."
+          : "Service cancellation policy updated. It applies to new bookings only.",
+      policy: resolveCancellationPolicy(service.businessProfile, updated),
+    });
+  } catch (error) {
+    console.error("updateServiceCancellationPolicy error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update service cancellation policy.",
+    });
+  }
+};
+
+module.exports = {
+  getCancellationPolicy,
+  updateBusinessCancellationPolicy,
+  updateServiceCancellationPolicy,
+};
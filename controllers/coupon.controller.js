@@ -0,0 +1,389 @@
+const prisma = require("../prismaClient");
+const {
+  createCouponSchema,
+  updateCouponSchema,
+  applyCouponSchema,
+} = require("../helper/validation/coupon.validation");
+const {
+  REFERRAL_REWARD_AMOUNT,
+  validateCouponRules,
+  applyCoupon,
+  getReferralCode,
+} = require("../service/promotion-service");
+const {
+  priceCartItems,
+  getLinePrice,
+  describeSelection,
+} = require("../service/service-pricing-service");
+
+/* ---------------- CREATE PROVIDER COUPON ---------------- */
+const createProviderCoupon = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { error, value } = createCouponSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true, services: { select: { id: true } } },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    // Provider coupons can only target the provider's own services
+    const ownServiceIds = business.services.map((s) => s.id);
+    if (value.serviceIds?.some((id) => !ownServiceIds.includes(id))) {
+      return res.status(422).json({
+        success: false,
+        msg: ["Coupons can only target your own services."],
+      });
+    }
+
+    const ruleError = validateCouponRules(value);
+    if (ruleError) {
+      return res.status(422).json({ success: false, msg: [ruleError] });
+    }
+
+    const existing = await prisma.coupon.findUnique({
+      where: { code: value.code },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        msg: "A coupon with this code already exists.",
+      });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...value,
+        scope: "PROVIDER",
+        businessProfileId: business.id,
+        createdById: userId,
+      },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "COUPON_CREATED",
+        status: "SUCCESS",
+        metadata: { couponId: coupon.id, code: coupon.code },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Coupon created successfully.",
+      coupon,
+    });
+  } catch (error) {
+    console.error("createProviderCoupon error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not create coupon.",
+    });
+  }
+};
+
+/* ---------------- GET PROVIDER COUPONS ---------------- */
+const getProviderCoupons = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: { scope: "PROVIDER", businessProfile: { userId } },
+      orderBy: { createdAt: "desc" },
+      include: {
+        _count: {
+          select: { redemptions: { where: { status: "PAID" } } },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Coupons fetched successfully.",
+      coupons: coupons.map(({ _count, ...coupon }) => ({
+        ...coupon,
+        redemptions: _count.redemptions,
+      })),
+    });
+  } catch (error) {
+    console.error("getProviderCoupons error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch coupons.",
+    });
+  }
+};
+
+/* ---------------- UPDATE PROVIDER COUPON ---------------- */
+const updateProviderCoupon = async (req, res) => {
+  const userId = req.user.id;
+  const { couponId } = req.params;
+
+  try {
+    const { error, value } = updateCouponSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const coupon = await prisma.coupon.findFirst({
+      where: { id: couponId, scope: "PROVIDER", businessProfile: { userId } },
+      include: {
+        businessProfile: { select: { services: { select: { id: true } } } },
+      },
+    });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        msg: "Coupon not found.",
+      });
+    }
+
+    const ownServiceIds = coupon.businessProfile.services.map((s) => s.id);
+    if (value.serviceIds?.some((id) => !ownServiceIds.includes(id))) {
+      return res.status(422).json({
+        success: false,
+        msg: ["Coupons can only target your own services."],
+      });
+    }
+
+    const { businessProfile, ...current } = coupon;
+    const ruleError = validateCouponRules({ ...current, ...value });
+    if (ruleError) {
+      return res.status(422).json({ success: false, msg: [ruleError] });
+    }
+
+    const updated = await prisma.coupon.update({
+      where: { id: couponId },
+      data: value,
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "COUPON_UPDATED",
+        status: "SUCCESS",
+        metadata: { couponId, code: coupon.code, changes: value },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Coupon updated successfully.",
+      coupon: updated,
+    });
+  } catch (error) {
+    console.error("updateProviderCoupon error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update coupon.",
+    });
+  }
+};
+
+/* ---------------- GET CUSTOMER COUPONS ---------------- */
+// Public coupons plus the ones issued to this customer
+const getAvailableCoupons = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const now = new Date();
+
+    const coupons = await prisma.coupon.findMany({
+      where: {
+        isActive: true,
+        OR: [{ assignedUserId: null }, { assignedUserId: userId }],
+        AND: [
+          { OR: [{ validFrom: null }, { validFrom: { lte: now } }] },
+          { OR: [{ validUntil: null }, { validUntil: { gte: now } }] },
+        ],
+      },
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        code: true,
+        description: true,
+        scope: true,
+        discountType: true,
+        discountValue: true,
+        maxDiscount: true,
+        minOrderAmount: true,
+        usageLimit: true,
+        usedCount: true,
+        perUserLimit: true,
+        serviceIds: true,
+        categoryIds: true,
+        validUntil: true,
+        assignedUserId: true,
+        businessProfile: { select: { id: true, businessName: true } },
+        redemptions: {
+          where: { userId, status: { in: ["PENDING", "PAID"] } },
+          select: { id: true },
+        },
+      },
+    });
+
+    const available = coupons
+      .filter(
+        (c) =>
+          (c.usageLimit === null || c.usedCount < c.usageLimit) &&
+          c.redemptions.length < c.perUserLimit,
+      )
+      .map(({ redemptions, usedCount, usageLimit, assignedUserId, ...c }) => ({
+        ...c,
+        isPersonal: assignedUserId === userId,
+      }));
+
+    return res.status(200).json({
+      success: true,
+      msg: "Coupons fetched successfully.",
+      coupons: available,
+    });
+  } catch (error) {
+    console.error("getAvailableCoupons error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch coupons.",
+    });
+  }
+};
+
+/* ---------------- PREVIEW COUPON ON CART ---------------- */
+const previewCoupon = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { error, value } = applyCouponSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const cart = await priceCartItems(
+      await prisma.cart.findMany({
+        where: { id: { in: value.cartItems }, userId },
+        include: { service: true, business: true, variant: true, slot: true },
+      }),
+    );
+    if (!cart.length) {
+      return res.status(400).json({
+        success: false,
+        msg: "Invalid cart items",
+      });
+    }
+
+    const promotion = await applyCoupon({
+      code: value.code,
+      userId,
+      cartItems: cart,
+    });
+    if (promotion.error) {
+      return res.status(400).json({ success: false, msg: promotion.error });
+    }
+
+    const subtotal = cart.reduce((sum, item) => sum + getLinePrice(item), 0);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Coupon applied successfully.",
+      coupon: {
+        code: promotion.coupon.code,
+        description: promotion.coupon.description,
+        discountType: promotion.coupon.discountType,
+        discountValue: promotion.coupon.discountValue,
+      },
+      subtotal,
+      discountAmount: promotion.discount,
+      totalAmount: subtotal - promotion.discount,
+      items: cart.map((item) => ({
+        cartItemId: item.id,
+        serviceName: describeSelection(item.service.name, item.pricing),
+        price: getLinePrice(item),
+        discount: promotion.allocations.get(item.id) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("previewCoupon error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not apply coupon.",
+    });
+  }
+};
+
+/* ---------------- GET REFERRAL DETAILS ---------------- */
+const getReferralDetails = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const referralCode = await getReferralCode(userId);
+
+    const referrals = await prisma.referral.findMany({
+      where: { referrerId: userId },
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        status: true,
+        rewardedAt: true,
+        createdAt: true,
+        referee: { select: { name: true } },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Referral details fetched successfully.",
+      referralCode,
+      rewardAmount: REFERRAL_REWARD_AMOUNT,
+      totalReferrals: referrals.length,
+      rewardedReferrals: referrals.filter((r) => r.status === "REWARDED")
+        .length,
+      referrals,
+    });
+  } catch (error) {
+    console.error("getReferralDetails error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch referral details.",
+    });
+  }
+};
+
+module.exports = {
+  createProviderCoupon,
+  getProviderCoupons,
+  updateProviderCoupon,
+  getAvailableCoupons,
+  previewCoupon,
+  getReferralDetails,
+};
@@ -14,6 +14,33 @@ const {
   logError,
   LogStatus,
 } = require("../utils/logger");
+const { getSlotCapacity } = require("../service/availability-service");
+const { placeCartHold, releaseHolds } = require("../service/slot-hold-service");
+const { getServiceStartTime } = require("../helper/bookingTime");
+const {
+  getCancellationFeeBreakdown,
+} = require("../helper/cancellationFormatter");
+const {
+  resolveCancellationPolicy,
+  getBookingCancellationPolicy,
+} = require("../service/cancellation-policy-service");
+const { refundBookingPayment } = require("../service/refund-service");
+const { getRetainedTax } = require("../service/tax-service");
+const { restoreBookingCredit } = require("../service/package-service");
+const {
+  priceCartItems,
+  getLinePrice,
+} = require("../service/service-pricing-service");
+const {
+  applyPricingRules,
+  getPricingRules,
+} = require("../service/pricing-rule-service");
+
+// Options a customer can pick when adding a service to the cart
+const serviceOptionsQuery = {
+  where: { isActive: true },
+  orderBy: [{ sortOrder: "asc" }, { price: "asc" }],
+};
 
 /* ---------------- GET ALL PROVIDERS (WITH PAGINATION) ---------------- */
 const getAllProviders = async (req, res) => {
@@ -238,6 +265,8 @@ const getProviderById = async (req, res) => {
             isApproved: true,
             isRejected: true,
             socialLinks: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
             services: {
               where: {
                 isActive: true,
@@ -257,6 +286,11 @@ const getProviderById = async (req, res) => {
                 totalBookingAllow: true,
                 isActive: true,
                 feedback: true,
+                cancellationPolicy: true,
+                cancellationTiers: true,
+                pricingType: true,
+                variants: serviceOptionsQuery,
+                addOns: serviceOptionsQuery,
               },
               take: 50,
             },
@@ -312,6 +346,27 @@ const getProviderById = async (req, res) => {
         provider.businessProfile.services.slice(0, maxServices);
     }
 
+    // Show each service's cancellation policy before it is added to cart
+    if (provider.businessProfile) {
+      const { cancellationPolicy, cancellationTiers, ...business } =
+        provider.businessProfile;
+      const businessPolicy = { cancellationPolicy, cancellationTiers };
+
+      provider.businessProfile = {
+        ...business,
+        cancellationPolicy: resolveCancellationPolicy(businessPolicy),
+        services: business.services.map(
+          ({ cancellationTiers, ...service }) => ({
+            ...service,
+            cancellationPolicy: resolveCancellationPolicy(businessPolicy, {
+              ...service,
+              cancellationTiers,
+            }),
+          }),
+        ),
+      };
+    }
+
     // cleanup subscription for response
     delete provider.providerSubscription;
 
@@ -507,7 +562,7 @@ const getCustomerBookings = async (req, res) => {
 /* ---------------- CANCEL BOOKING ---------------- */
 const cancelBooking = async (req, res) => {
   const customerId = req.user.id;
-  const { bookingId, reason, reasonType } = req.body;
+  const { bookingId, reason, reasonType, refundTo = "original" } = req.body;
 
   if (!bookingId || !reason || !reasonType) {
     return res.status(400).json({
@@ -516,33 +571,15 @@ const cancelBooking = async (req, res) => {
     });
   }
 
-  /* ---------- helper: parse slot time (12h → 24h) ---------- */
-  const parseSlotTimeTo24H = (timeStr) => {
-    if (!timeStr) return { hours: 0, minutes: 0 };
-
-    const normalized = timeStr.toUpperCase().trim();
-
-    let timePart = normalized;
-    let modifier = "";
-
-    if (normalized.includes("PM")) {
-      modifier = "PM";
-      timePart = normalized.replace("PM", "").trim();
-    } else if (normalized.includes("AM")) {
-      modifier = "AM";
-      timePart = normalized.replace("AM", "").trim();
-    }
-
-    let [hours, minutes] = timePart.split(":").map(Number);
-
-    if (isNaN(hours)) hours = 0;
-    if (isNaN(minutes)) minutes = 0;
-
-    if (modifier === "PM" && hours !== 12) hours += 12;
-    if (modifier === "AM" && hours === 12) hours = 0;
-
-    return { hours, minutes };
-  };
+  if (!["original", "wallet"].includes(refundTo)) {
+    return res.status(400).json({
+      success: false,
+      msg: "Refund destination must be either original or wallet.",
+    });
+  }
+  // Wallet refunds land instantly instead of in 5-7 business days
+  const refundDestination =
+    refundTo === "wallet" ? "WALLET" : "ORIGINAL_PAYMENT";
 
   try {
     const booking = await prisma.Booking.findUnique({
@@ -613,34 +650,13 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    let serviceStart;
-    try {
-      const bookingDate = new Date(booking.date);
-      const { hours, minutes } = parseSlotTimeTo24H(booking.slot.time);
-
-      serviceStart = new Date(bookingDate);
-      if (isNaN(serviceStart.getTime())) {
-        const parts = booking.date.split(/[-/]/);
-        if (parts.length === 3) {
-          if (parts[0].length === 4) {
-            serviceStart = new Date(`${parts[0]}-${parts[1]}-${parts[2]}`);
-          } else {
-            serviceStart = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-          }
-        }
-      }
-
-      if (isNaN(serviceStart.getTime())) {
-        throw new Error("Invalid date");
-      }
+    const serviceStart = getServiceStartTime(booking.date, booking.slot.time);
 
-      serviceStart.setHours(hours, minutes, 0, 0);
-    } catch (e) {
+    if (!serviceStart) {
       console.error(
         "Date parsing error for booking:",
         booking.id,
         booking.date,
-        e,
       );
       return res.status(400).json({
         success: false,
@@ -660,18 +676,20 @@ const cancelBooking = async (req, res) => {
     }
 
     /* ---------------- CANCELLATION FEE LOGIC ---------------- */
-    let feePercentage = 0;
-
-    if (diffHours < 4) feePercentage = 50;
-    else if (diffHours < 12) feePercentage = 25;
-    else if (diffHours < 24) feePercentage = 10;
+    // Fees follow the policy snapshotted when the booking was made
+    const cancellationPolicy = getBookingCancellationPolicy(booking);
+    const { feePercentage, ...quote } = getCancellationFeeBreakdown(
+      booking.totalAmount,
+      diffHours,
+      cancellationPolicy,
+    );
 
     let cancellationFee = 0;
     let refundAmount = 0;
 
     if (booking.paymentStatus === "PAID") {
-      cancellationFee = Math.round((booking.totalAmount * feePercentage) / 100);
-      refundAmount = booking.totalAmount - cancellationFee;
+      cancellationFee = quote.cancellationFee;
+      refundAmount = quote.refundAmount;
     }
 
     /* ---------------- DB TRANSACTION ---------------- */
@@ -684,10 +702,15 @@ const cancelBooking = async (req, res) => {
           reasonType,
           status: "CANCELLED",
           refundStatus:
-            booking.paymentStatus === "PAID" ? "PENDING" : "CANCELLED",
+            booking.paymentStatus === "PAID" && refundAmount > 0
+              ? "PENDING"
+              : "CANCELLED",
           refundAmount,
           cancellationFee,
           hoursBeforeService: Math.floor(diffHours),
+          feePercentage,
+          cancellationPolicy,
+          refundDestination,
         },
       });
 
@@ -695,10 +718,18 @@ const cancelBooking = async (req, res) => {
         where: { id: booking.id },
         data: {
           bookingStatus: "CANCELLED",
+          // Nothing goes back to the customer on a non-refundable booking
           paymentStatus:
-            booking.paymentStatus === "PAID" ? "REFUNDED" : "CANCELLED",
+            booking.paymentStatus !== "PAID"
+              ? "CANCELLED"
+              : refundAmount > 0
+                ? "REFUNDED"
+                : "PAID",
+          // The fee's share of GST goes to the provider with the transfer
           providerEarnings:
-            booking.paymentStatus === "PAID" ? cancellationFee : 0,
+            booking.paymentStatus === "PAID"
+              ? cancellationFee - getRetainedTax(booking, refundAmount)
+              : 0,
           platformFee: 0,
         },
       });
@@ -722,83 +753,24 @@ const cancelBooking = async (req, res) => {
     /* ---------------- PROCESS STRIPE REFUND IMMEDIATELY ---------------- */
     let refundResponse = null;
     if (booking.paymentStatus === "PAID" && refundAmount > 0) {
-      try {
-        // Find the payment record to get payment intent ID
-        const payment = await prisma.CustomerPayment.findFirst({
-          where: {
-            bookingIds: {
-              contains: booking.id,
-            },
-            status: "PAID",
-          },
-        });
-
-        if (payment && payment.paymentIntentId) {
-          const Stripe = require("stripe");
-          const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-          // Create refund in Stripe
-          const refund = await stripe.refunds.create({
-            payment_intent: payment.paymentIntentId,
-            amount: refundAmount * 100, // Convert to cents
-            reason: "requested_by_customer",
-            metadata: {
-              bookingId: booking.id,
-              userId: customerId,
-              cancellationFee: cancellationFee,
-              reasonType: reasonType,
-              hoursBeforeService: Math.floor(diffHours),
-            },
-          });
-
-          refundResponse = {
-            refundId: refund.id,
-            status: refund.status,
-            amount: refund.amount / 100,
-          };
-          let refundStatus = "PENDING";
-          if (refund.status === "succeeded") {
-            refundStatus = "PAID";
-          } else if (refund.status === "pending") {
-            refundStatus = "PROCESSING";
-          } else if (
-            refund.status === "failed" ||
-            refund.status === "canceled"
-          ) {
-            refundStatus = "FAILED";
-          }
-
-          await prisma.Cancellation.update({
-            where: { bookingId: booking.id },
-            data: {
-              refundStatus: refundStatus,
-              refundedAt: refund.status === "succeeded" ? new Date() : null,
-            },
-          });
-        } else {
-          console.warn(`No payment intent found for booking ${booking.id}`);
-          await prisma.Cancellation.update({
-            where: { bookingId: booking.id },
-            data: {
-              refundStatus: "FAILED",
-            },
-          });
-        }
-      } catch (refundError) {
-        console.error("Refund processing error:", refundError.message);
-        try {
-          await prisma.Cancellation.update({
-            where: { bookingId: booking.id },
-            data: {
-              refundStatus: "PENDING",
-            },
-          });
-        } catch (updateError) {
-          console.error("Failed to update cancellation status:", updateError);
-        }
-      }
+      refundResponse = await refundBookingPayment({
+        bookingId: booking.id,
+        amount: refundAmount,
+        destination: refundDestination,
+        metadata: {
+          userId: customerId,
+          cancellationFee,
+          reasonType,
+          hoursBeforeService: Math.floor(diffHours),
+        },
+      });
     }
 
+    // Visits paid by a package credit get the credit back instead
+    const creditRestored =
+      !!booking.packagePurchaseId &&
+      (await restoreBookingCredit(booking.id)) > 0;
+
     /* NOTIFICATIONS (STORE + PUSH)*/
 
     /* ---------- CUSTOMER ---------- */
@@ -809,6 +781,9 @@ const cancelBooking = async (req, res) => {
 
       const feeMsg =
         cancellationFee > 0 ? ` (Cancellation fee: ₹${cancellationFee})` : "";
+      if (refundDestination === "WALLET" && refundResponse) {
+        return ` ₹${refundAmount} has been added to your wallet${feeMsg}.`;
+      }
       return ` ₹${refundAmount} refund is being processed${feeMsg}. You'll receive it within 5-7 business days.`;
     };
 
@@ -816,7 +791,9 @@ const cancelBooking = async (req, res) => {
       title: "Booking Cancelled Successfully",
       body: `Your booking for ${
         booking.service.name
-      } has been cancelled.${getRefundStatusMessage()}`,
+      } has been cancelled.${getRefundStatusMessage()}${
+        creditRestored ? " The visit has been added back to your package." : ""
+      }`,
       type: "BOOKING_CANCELLED",
     };
 
@@ -946,6 +923,7 @@ const cancelBooking = async (req, res) => {
         hoursBeforeService: Math.floor(diffHours),
         paymentStatus: booking.paymentStatus,
         refundStatus: refundResponse?.status || "N/A",
+        refundDestination,
       },
       req,
       description: `Booking cancelled ${Math.floor(
@@ -958,8 +936,10 @@ const cancelBooking = async (req, res) => {
       msg: "Booking cancelled successfully.",
       data: {
         feePercentage,
+        cancellationPolicy: cancellationPolicy.type,
         cancellationFee,
         refundAmount,
+        refundDestination,
         hoursBeforeService: Math.floor(diffHours),
         refund: refundResponse,
         bookingId: booking.id,
@@ -976,6 +956,36 @@ const cancelBooking = async (req, res) => {
   }
 };
 
+/* ---------------- SLOT PRICING ---------------- */
+// With ?date= (and optionally &slotId=), show each service and variant at
+// the price its business's pricing rules give for that visit
+const withSlotPricing = async (services, { date, slotId }) => {
+  if (!date || isNaN(new Date(date).getTime())) return services;
+
+  const slot = slotId
+    ? await prisma.slot.findUnique({ where: { id: slotId } })
+    : null;
+  const context = {
+    date: new Date(date).toISOString(),
+    slotTime: slot?.time,
+  };
+  const rules = await getPricingRules(services.map((s) => s.businessProfileId));
+
+  return services.map((service) => {
+    const businessRules = rules.get(service.businessProfileId) || [];
+    return {
+      ...service,
+      pricing: applyPricingRules(service.price, businessRules, context),
+      ...(service.variants && {
+        variants: service.variants.map((variant) => ({
+          ...variant,
+          pricing: applyPricingRules(variant.price, businessRules, context),
+        })),
+      }),
+    };
+  });
+};
+
 /* ---------------- GET ALL SERVICES ---------------- */
 const getAllServices = async (req, res) => {
   try {
@@ -995,6 +1005,10 @@ const getAllServices = async (req, res) => {
             isRejected: false,
           },
         },
+        include: {
+          variants: serviceOptionsQuery,
+          addOns: serviceOptionsQuery,
+        },
         take: limit,
         skip,
       }),
@@ -1020,7 +1034,7 @@ const getAllServices = async (req, res) => {
         total,
         totalPages: Math.ceil(total / limit),
       },
-      services,
+      services: await withSlotPricing(services, req.query),
     });
   } catch (err) {
     return res
@@ -1029,6 +1043,66 @@ const getAllServices = async (req, res) => {
   }
 };
 
+/* ---------------- GET SERVICE BY ID ---------------- */
+const getServiceById = async (req, res) => {
+  const { serviceId } = req.params;
+
+  try {
+    const service = await prisma.service.findFirst({
+      where: {
+        id: serviceId,
+        isActive: true,
+        isRestricted: false,
+        businessProfile: {
+          isActive: true,
+          isRestricted: false,
+          isApproved: true,
+          isRejected: false,
+        },
+      },
+      include: {
+        variants: serviceOptionsQuery,
+        addOns: serviceOptionsQuery,
+        businessProfile: {
+          select: {
+            id: true,
+            businessName: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
+          },
+        },
+      },
+    });
+
+    if (!service) {
+      return res
+        .status(404)
+        .json({ success: false, msg: "Service not found." });
+    }
+
+    const { businessProfile, ...rest } = service;
+    const [priced] = await withSlotPricing([rest], req.query);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Service fetched successfully.",
+      service: {
+        ...priced,
+        business: {
+          id: businessProfile.id,
+          businessName: businessProfile.businessName,
+        },
+        cancellationPolicy: resolveCancellationPolicy(businessProfile, service),
+      },
+    });
+  } catch (err) {
+    console.error("getServiceById error:", err);
+    return res
+      .status(500)
+      .json({ success: false, msg: "Could not fetch service." });
+  }
+};
+
 /* ---------------- GET CART ITEMS ---------------- */
 const getCart = async (req, res) => {
   const userId = req.user.id;
@@ -1039,10 +1113,16 @@ const getCart = async (req, res) => {
       select: {
         id: true,
         date: true,
+        serviceId: true,
+        businessId: true,
+        addOnIds: true,
+        variant: true,
         business: {
           select: {
             id: true,
             businessName: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
             category: {
               select: {
                 id: true,
@@ -1056,6 +1136,9 @@ const getCart = async (req, res) => {
             id: true,
             name: true,
             price: true,
+            durationInMinutes: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
           },
         },
         slot: {
@@ -1064,6 +1147,12 @@ const getCart = async (req, res) => {
             time: true,
           },
         },
+        hold: {
+          select: {
+            status: true,
+            expiresAt: true,
+          },
+        },
       },
     });
 
@@ -1076,15 +1165,40 @@ const getCart = async (req, res) => {
       });
     }
 
+    const pricedCart = await priceCartItems(cart);
+
     const totalItems = cart.length;
-    const totalPrice = cart.reduce((sum, item) => sum + item.service.price, 0);
+    const totalPrice = pricedCart.reduce(
+      (sum, item) => sum + getLinePrice(item),
+      0,
+    );
 
     return res.status(200).json({
       success: true,
       msg: "Cart fetched successfully.",
       totalItems,
       totalPrice,
-      cart,
+      // Policy each item will be booked under, shown before checkout
+      cart: pricedCart.map(
+        ({
+          business,
+          service,
+          variant,
+          addOnIds,
+          serviceId,
+          businessId,
+          ...item
+        }) => ({
+          ...item,
+          business: {
+            id: business.id,
+            businessName: business.businessName,
+            category: business.category,
+          },
+          service: { id: service.id, name: service.name, price: service.price },
+          cancellationPolicy: resolveCancellationPolicy(business, service),
+        }),
+      ),
     });
   } catch (err) {
     return res
@@ -1096,7 +1210,14 @@ const getCart = async (req, res) => {
 /* ---------------- ADD ITEM TO CART ---------------- */
 const addToCart = async (req, res) => {
   const userId = req.user.id;
-  const { serviceId, businessId, slotId, date } = req.body;
+  const {
+    serviceId,
+    businessId,
+    slotId,
+    date,
+    variantId,
+    addOnIds = [],
+  } = req.body;
 
   try {
     // ==== Check if business exists ====
@@ -1113,6 +1234,10 @@ const addToCart = async (req, res) => {
     // ==== Check if service exists ====
     const service = await prisma.Service.findUnique({
       where: { id: serviceId },
+      include: {
+        variants: { where: { isActive: true } },
+        addOns: { where: { isActive: true } },
+      },
     });
     if (!service) {
       return res.status(404).json({
@@ -1121,6 +1246,39 @@ const addToCart = async (req, res) => {
       });
     }
 
+    if (service.pricingType === "QUOTE") {
+      return res.status(400).json({
+        success: false,
+        msg: "This service is priced on request. Please ask for a quote.",
+      });
+    }
+
+    // ==== Check variant & add-ons ====
+    const variant = variantId
+      ? service.variants.find((v) => v.id === variantId)
+      : null;
+    if (variantId ? !variant : service.variants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        msg: variantId
+          ? "Selected option is not available for this service."
+          : "Please choose an option for this service.",
+      });
+    }
+
+    const selectedAddOnIds = Array.isArray(addOnIds)
+      ? [...new Set(addOnIds)]
+      : [];
+    const addOns = service.addOns.filter((a) =>
+      selectedAddOnIds.includes(a.id),
+    );
+    if (addOns.length !== selectedAddOnIds.length) {
+      return res.status(400).json({
+        success: false,
+        msg: "One or more add-ons are not available for this service.",
+      });
+    }
+
     // ==== Check if slot exists ====
     const slot = await prisma.Slot.findUnique({ where: { id: slotId } });
     if (!slot) {
@@ -1149,21 +1307,61 @@ const addToCart = async (req, res) => {
       });
     }
 
-    // ==== Add to cart ====
-    const added = await prisma.Cart.create({
-      data: {
-        userId,
-        serviceId,
-        businessId,
-        slotId,
-        date: isoDate,
-      },
-    });
+    // ==== Check remaining slot capacity & hold the seat ====
+    let added;
+    try {
+      added = await prisma.$transaction(
+        async (tx) => {
+          const capacity = await getSlotCapacity(tx, {
+            serviceId,
+            slotId,
+            date: isoDate,
+            excludeUserId: userId,
+          });
+
+          if (!capacity || capacity.remaining <= 0) {
+            const slotFullError = new Error("Slot is full");
+            slotFullError.isCapacityError = true;
+            slotFullError.availability = capacity;
+            throw slotFullError;
+          }
+
+          const cartItem = await tx.Cart.create({
+            data: {
+              userId,
+              serviceId,
+              businessId,
+              slotId,
+              date: isoDate,
+              variantId: variant?.id || null,
+              addOnIds: selectedAddOnIds,
+            },
+          });
+
+          const hold = await placeCartHold(tx, cartItem);
+
+          return { ...cartItem, hold };
+        },
+        { isolationLevel: "Serializable" },
+      );
+    } catch (holdError) {
+      return res.status(409).json({
+        success: false,
+        msg: holdError.isCapacityError
+          ? `Slot ${slot.time} is fully booked for ${service.name} on this date. Please choose another slot.`
+          : "This time slot was just taken by someone else. Please choose another slot.",
+        availability: holdError.availability || null,
+      });
+    }
+
+    const [priced] = await priceCartItems([
+      { ...added, service, variant, slot },
+    ]);
 
     return res.status(201).json({
       success: true,
       msg: "Service added to cart successfully.",
-      cart: added,
+      cart: { ...added, pricing: priced.pricing },
     });
   } catch (err) {
     return res.status(500).json({
@@ -1196,8 +1394,11 @@ const removeItemFromCart = async (req, res) => {
       });
     }
 
-    await prisma.Cart.delete({
-      where: { id: cartId },
+    await prisma.$transaction(async (tx) => {
+      await releaseHolds(tx, { cartId, status: "ACTIVE" });
+      await tx.Cart.delete({
+        where: { id: cartId },
+      });
     });
 
     return res.status(200).json({
@@ -1438,6 +1639,7 @@ module.exports = {
   getCustomerBookings,
   cancelBooking,
   getAllServices,
+  getServiceById,
   getCart,
   addToCart,
   removeItemFromCart,
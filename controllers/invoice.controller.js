@@ -0,0 +1,194 @@
+const prisma = require("../prismaClient");
+
+const LIST_OMIT = { pdf: true, data: true, issuerKey: true };
+
+const parseListQuery = (query) => {
+  const { page = 1, limit = 10, documentType, financialYear } = query;
+
+  const where = {};
+  if (
+    documentType &&
+    ["INVOICE", "CREDIT_NOTE"].includes(documentType.toUpperCase())
+  ) {
+    where.documentType = documentType.toUpperCase();
+  }
+  if (financialYear) {
+    where.financialYear = financialYear;
+  }
+
+  return { page: parseInt(page), limit: parseInt(limit), where };
+};
+
+/* ---------------- SEND STORED PDF ---------------- */
+// Always the bytes stored at issue time, never a re-render
+const sendInvoicePdf = (res, invoice) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${invoice.fileName}"`,
+  );
+  return res.status(200).send(Buffer.from(invoice.pdf));
+};
+
+const listInvoices = async (where, page, limit) => {
+  const [invoices, total] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { issuedAt: "desc" },
+      omit: LIST_OMIT,
+      include: {
+        businessProfile: { select: { id: true, businessName: true } },
+        originalInvoice: { select: { id: true, invoiceNumber: true } },
+      },
+    }),
+    prisma.invoice.count({ where }),
+  ]);
+
+  return {
+    invoices,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/* ---------------- CUSTOMER INVOICES ---------------- */
+const getCustomerInvoices = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { page, limit, where } = parseListQuery(req.query);
+    const { invoices, pagination } = await listInvoices(
+      { ...where, userId },
+      page,
+      limit,
+    );
+
+    return res.status(200).json({
+      success: true,
+      msg: "Invoices fetched successfully.",
+      invoices,
+      pagination,
+    });
+  } catch (error) {
+    console.error("getCustomerInvoices error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch invoices.",
+    });
+  }
+};
+
+const downloadCustomerInvoice = async (req, res) => {
+  const userId = req.user.id;
+  const { invoiceId } = req.params;
+
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: { id: invoiceId, userId },
+      select: { fileName: true, pdf: true },
+    });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        msg: "Invoice not found.",
+      });
+    }
+
+    return sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("downloadCustomerInvoice error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not download invoice.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER INVOICES ---------------- */
+// Invoices the business issued, or with ?received=true the platform's
+// subscription invoices billed to the provider
+const getProviderInvoices = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { page, limit, where } = parseListQuery(req.query);
+
+    if (req.query.received === "true") {
+      where.userId = userId;
+      where.businessProfileId = null;
+    } else {
+      const business = await prisma.businessProfile.findUnique({
+        where: { userId },
+        select: { id: true },
+      });
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          msg: "Business profile not found.",
+        });
+      }
+      where.businessProfileId = business.id;
+    }
+
+    const { invoices, pagination } = await listInvoices(where, page, limit);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Invoices fetched successfully.",
+      invoices,
+      pagination,
+    });
+  } catch (error) {
+    console.error("getProviderInvoices error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch invoices.",
+    });
+  }
+};
+
+const downloadProviderInvoice = async (req, res) => {
+  const userId = req.user.id;
+  const { invoiceId } = req.params;
+
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: {
+        id: invoiceId,
+        OR: [
+          { businessProfile: { userId } },
+          { userId, businessProfileId: null },
+        ],
+      },
+      select: { fileName: true, pdf: true },
+    });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        msg: "Invoice not found.",
+      });
+    }
+
+    return sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("downloadProviderInvoice error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not download invoice.",
+    });
+  }
+};
+
+module.exports = {
+  sendInvoicePdf,
+  getCustomerInvoices,
+  downloadCustomerInvoice,
+  getProviderInvoices,
+  downloadProviderInvoice,
+};
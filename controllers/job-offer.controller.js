@@ -0,0 +1,254 @@
+const prisma = require("../prismaClient");
+const NotificationService = require("../service/notification-service");
+const { declineOffer } = require("../service/staff-assignment-service");
+const {
+  declineJobOfferSchema,
+} = require("../helper/validation/staff-assignment.validation");
+
+const findStaffOffer = (assignmentId, staffId) =>
+  prisma.staffAssignBooking.findFirst({
+    where: { id: assignmentId, assignedStaffId: staffId },
+    include: {
+      assignedStaff: { select: { name: true } },
+      service: { select: { name: true } },
+      booking: { select: { bookingStatus: true } },
+    },
+  });
+
+// Why an offer can no longer be answered, or null when it can
+const getOfferConflict = (offer) => {
+  if (offer.status !== "PENDING") {
+    return `This offer is already ${offer.status.toLowerCase()}.`;
+  }
+  if (offer.booking.bookingStatus !== "CONFIRMED") {
+    return "This booking is no longer open.";
+  }
+  return null;
+};
+
+const logOfferResponse = (req, actionType, offer, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      businessProfileId: offer.businessProfileId,
+      bookingId: offer.bookingId,
+      metadata: { assignmentId: offer.id, ...metadata },
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+/* ---------------- STAFF JOB OFFERS ---------------- */
+const getJobOffers = async (req, res) => {
+  const staffId = req.user.id;
+
+  try {
+    const offers = await prisma.staffAssignBooking.findMany({
+      where: {
+        assignedStaffId: staffId,
+        status: "PENDING",
+        booking: { bookingStatus: "CONFIRMED" },
+      },
+      orderBy: { createdAt: "desc" },
+      include: {
+        service: { select: { id: true, name: true } },
+        businessProfile: { select: { id: true, businessName: true } },
+        booking: {
+          select: {
+            id: true,
+            date: true,
+            durationInMinutes: true,
+            slot: { select: { time: true } },
+            user: { select: { name: true } },
+          },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Job offers fetched successfully.",
+      offers,
+    });
+  } catch (error) {
+    console.error("getJobOffers error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch job offers.",
+    });
+  }
+};
+
+/* ---------------- ACCEPT JOB OFFER ---------------- */
+const acceptJobOffer = async (req, res) => {
+  const staffId = req.user.id;
+  const { assignmentId } = req.params;
+
+  try {
+    const offer = await findStaffOffer(assignmentId, staffId);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job offer not found.",
+      });
+    }
+
+    const conflict = getOfferConflict(offer);
+    if (conflict) {
+      return res.status(409).json({ success: false, msg: conflict });
+    }
+
+    // The scheduler may not have lapsed an offer that is already past due
+    const now = new Date();
+    const { count } = await prisma.staffAssignBooking.updateMany({
+      where: {
+        id: offer.id,
+        status: "PENDING",
+        OR: [{ offerExpiresAt: null }, { offerExpiresAt: { gt: now } }],
+      },
+      data: { status: "ACCEPTED", respondedAt: now },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        msg: "This offer has expired.",
+      });
+    }
+
+    await logOfferResponse(req, "JOB_OFFER_ACCEPTED", offer);
+
+    await NotificationService.notifyUser({
+      receiverId: offer.assignedById,
+      senderId: staffId,
+      title: "Job offer accepted",
+      body: `${offer.assignedStaff.name} accepted ${offer.service.name}.`,
+      data: { type: "BOOKING_OFFER_ACCEPTED", bookingId: offer.bookingId },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Job offer accepted successfully.",
+    });
+  } catch (error) {
+    console.error("acceptJobOffer error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not accept job offer.",
+    });
+  }
+};
+
+/* ---------------- DECLINE JOB OFFER ---------------- */
+// The booking moves on to the next best staff member
+const declineJobOffer = async (req, res) => {
+  const staffId = req.user.id;
+  const { assignmentId } = req.params;
+
+  const { error, value } = declineJobOfferSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const offer = await findStaffOffer(assignmentId, staffId);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job offer not found.",
+      });
+    }
+
+    const conflict = getOfferConflict(offer);
+    if (conflict) {
+      return res.status(409).json({ success: false, msg: conflict });
+    }
+
+    const declined = await declineOffer(offer, value.reason);
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        msg: "This offer is no longer pending.",
+      });
+    }
+
+    await logOfferResponse(req, "JOB_OFFER_DECLINED", offer, {
+      reason: declined.declineReason,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Job offer declined successfully.",
+    });
+  } catch (error) {
+    console.error("declineJobOffer error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not decline job offer.",
+    });
+  }
+};
+
+/* ---------------- BOOKING OFFER HISTORY ---------------- */
+/**
+ * Every staff member a booking was offered to, oldest first, with how
+ * and when they answered
+ */
+const getBookingOfferHistory = async (req, res) => {
+  const userId = req.user.id;
+  const { bookingId } = req.params;
+
+  try {
+    const booking = await prisma.booking.findFirst({
+      where: { id: bookingId, businessProfile: { userId } },
+      select: { id: true },
+    });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    const offers = await prisma.staffAssignBooking.findMany({
+      where: { bookingId: booking.id },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        status: true,
+        isAutoAssigned: true,
+        createdAt: true,
+        offerExpiresAt: true,
+        respondedAt: true,
+        declineReason: true,
+        assignedStaff: { select: { id: true, name: true } },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Offer history fetched successfully.",
+      offers,
+    });
+  } catch (error) {
+    console.error("getBookingOfferHistory error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch offer history.",
+    });
+  }
+};
+
+module.exports = {
+  getJobOffers,
+  acceptJobOffer,
+  declineJobOffer,
+  getBookingOfferHistory,
+};
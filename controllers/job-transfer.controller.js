@@ -0,0 +1,696 @@
+const prisma = require("../prismaClient");
+const NotificationService = require("../service/notification-service");
+const {
+  OPEN_TRANSFER_STATUSES,
+  TRANSFER_BOOKING_SELECT,
+  TRANSFER_INCLUDE,
+  isTransferable,
+  describeBooking,
+  getTransferBlockers,
+  completeTransfer,
+} = require("../service/job-transfer-service");
+const {
+  proposeJobTransferSchema,
+  declineJobTransferSchema,
+  reviewJobTransferSchema,
+} = require("../helper/validation/job-transfer.validation");
+
+const JOB_TRANSFER_STATUSES = [
+  "PENDING",
+  "AWAITING_APPROVAL",
+  "COMPLETED",
+  "DECLINED",
+  "REJECTED",
+  "CANCELLED",
+];
+
+const TRANSFER_LIST_INCLUDE = {
+  fromStaff: { select: { id: true, name: true } },
+  toStaff: { select: { id: true, name: true } },
+  businessProfile: { select: { id: true, businessName: true } },
+  booking: {
+    select: {
+      id: true,
+      date: true,
+      durationInMinutes: true,
+      bookingStatus: true,
+      slot: { select: { time: true } },
+      service: { select: { id: true, name: true } },
+    },
+  },
+};
+
+const findTransfer = (where) =>
+  prisma.staffJobTransfer.findFirst({ where, include: TRANSFER_INCLUDE });
+
+const logTransfer = (req, actionType, transfer, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      businessProfileId: transfer.businessProfileId,
+      bookingId: transfer.bookingId,
+      metadata: {
+        transferId: transfer.id,
+        fromStaffId: transfer.fromStaffId,
+        toStaffId: transfer.toStaffId,
+        ...metadata,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+/**
+ * Why an open transfer can no longer go ahead, or null when it can. A
+ * transfer whose booking was cancelled or started meanwhile is closed.
+ */
+const getTransferConflict = async (transfer, expectedStatus) => {
+  if (transfer.status !== expectedStatus) {
+    return `This transfer is already ${transfer.status.toLowerCase().replace("_", " ")}.`;
+  }
+  if (!isTransferable(transfer.booking)) {
+    await prisma.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: expectedStatus },
+      data: { status: "CANCELLED" },
+    });
+    return "This booking can no longer be transferred.";
+  }
+  return null;
+};
+
+const sendTransferError = (res, fnName, error, msg) => {
+  if (error.isTransferError) {
+    return res.status(409).json({ success: false, msg: error.message });
+  }
+  console.error(`${fnName} error:`, error);
+  return res.status(500).json({ success: false, msg });
+};
+
+/* ---------------- ELIGIBLE COLLEAGUES ---------------- */
+const getTransferColleagues = async (req, res) => {
+  const staffId = req.user.id;
+  const { bookingId } = req.query;
+
+  if (!bookingId) {
+    return res.status(400).json({
+      success: false,
+      msg: "bookingId is required.",
+    });
+  }
+
+  try {
+    const assignment = await prisma.staffAssignBooking.findFirst({
+      where: { bookingId, assignedStaffId: staffId, status: "ACCEPTED" },
+      include: { booking: { select: TRANSFER_BOOKING_SELECT } },
+    });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        msg: "You have no accepted job for this booking.",
+      });
+    }
+
+    const applications = await prisma.staffApplications.findMany({
+      where: {
+        businessProfileId: assignment.businessProfileId,
+        status: "APPROVED",
+        staffId: { not: staffId },
+      },
+      select: {
+        staff: { select: { id: true, name: true, email: true } },
+      },
+    });
+
+    const colleagues = await Promise.all(
+      applications.map(async ({ staff }) => {
+        const reasons = await getTransferBlockers(staff.id, assignment.booking);
+        return { ...staff, isEligible: reasons.length === 0, reasons };
+      }),
+    );
+
+    return res.status(200).json({
+      success: true,
+      msg: "Colleagues fetched successfully.",
+      colleagues,
+    });
+  } catch (error) {
+    console.error("getTransferColleagues error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch colleagues.",
+    });
+  }
+};
+
+/* ---------------- PROPOSE JOB TRANSFER ---------------- */
+const proposeJobTransfer = async (req, res) => {
+  const staffId = req.user.id;
+
+  const { error, value } = proposeJobTransferSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  if (value.toStaffId === staffId) {
+    return res.status(400).json({
+      success: false,
+      msg: "You cannot transfer a job to yourself.",
+    });
+  }
+
+  try {
+    const assignment = await prisma.staffAssignBooking.findFirst({
+      where: {
+        bookingId: value.bookingId,
+        assignedStaffId: staffId,
+        status: "ACCEPTED",
+      },
+      include: {
+        assignedStaff: { select: { name: true } },
+        booking: { select: TRANSFER_BOOKING_SELECT },
+      },
+    });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        msg: "You have no accepted job for this booking.",
+      });
+    }
+
+    if (!isTransferable(assignment.booking)) {
+      return res.status(409).json({
+        success: false,
+        msg: "Only confirmed jobs that have not started can be transferred.",
+      });
+    }
+
+    const openTransfer = await prisma.staffJobTransfer.findFirst({
+      where: {
+        fromAssignmentId: assignment.id,
+        status: { in: OPEN_TRANSFER_STATUSES },
+      },
+      select: { id: true },
+    });
+    if (openTransfer) {
+      return res.status(409).json({
+        success: false,
+        msg: "This job already has an open transfer request.",
+      });
+    }
+
+    const reasons = await getTransferBlockers(
+      value.toStaffId,
+      assignment.booking,
+    );
+    if (reasons.length) {
+      return res.status(409).json({
+        success: false,
+        msg: "This colleague cannot take over the job.",
+        reasons,
+      });
+    }
+
+    const transfer = await prisma.staffJobTransfer.create({
+      data: {
+        bookingId: assignment.bookingId,
+        businessProfileId: assignment.businessProfileId,
+        fromAssignmentId: assignment.id,
+        fromStaffId: staffId,
+        toStaffId: value.toStaffId,
+        reason: value.reason || null,
+        staffPaymentType: assignment.staffPaymentType,
+        staffPaymentValue: assignment.staffPaymentValue,
+      },
+    });
+
+    await logTransfer(req, "JOB_TRANSFER_PROPOSED", transfer, {
+      reason: transfer.reason,
+    });
+
+    await NotificationService.notifyUser({
+      receiverId: transfer.toStaffId,
+      senderId: staffId,
+      title: "Job transfer request",
+      body: `${assignment.assignedStaff.name} asked you to take over ${describeBooking(assignment.booking)}.`,
+      data: { type: "JOB_TRANSFER_PROPOSED", transferId: transfer.id },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Transfer request sent.",
+      transfer,
+    });
+  } catch (error) {
+    console.error("proposeJobTransfer error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not request job transfer.",
+    });
+  }
+};
+
+/* ---------------- STAFF JOB TRANSFERS ---------------- */
+const getMyJobTransfers = async (req, res) => {
+  const staffId = req.user.id;
+  const { direction, status } = req.query;
+
+  if (direction && !["incoming", "outgoing"].includes(direction)) {
+    return res.status(400).json({
+      success: false,
+      msg: "direction must be incoming or outgoing.",
+    });
+  }
+  if (status && !JOB_TRANSFER_STATUSES.includes(status.toUpperCase())) {
+    return res.status(400).json({
+      success: false,
+      msg: `status must be one of ${JOB_TRANSFER_STATUSES.join(", ")}.`,
+    });
+  }
+
+  try {
+    const transfers = await prisma.staffJobTransfer.findMany({
+      where: {
+        ...(direction === "incoming" && { toStaffId: staffId }),
+        ...(direction === "outgoing" && { fromStaffId: staffId }),
+        ...(!direction && {
+          OR: [{ toStaffId: staffId }, { fromStaffId: staffId }],
+        }),
+        ...(status && { status: status.toUpperCase() }),
+      },
+      orderBy: { createdAt: "desc" },
+      include: TRANSFER_LIST_INCLUDE,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Job transfers fetched successfully.",
+      transfers,
+    });
+  } catch (error) {
+    console.error("getMyJobTransfers error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch job transfers.",
+    });
+  }
+};
+
+/* ---------------- ACCEPT JOB TRANSFER ---------------- */
+/**
+ * The colleague takes the job over. When the business wants to approve
+ * transfers it waits for the provider, otherwise it moves right away.
+ */
+const acceptJobTransfer = async (req, res) => {
+  const staffId = req.user.id;
+  const { transferId } = req.params;
+
+  try {
+    const transfer = await findTransfer({ id: transferId, toStaffId: staffId });
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job transfer not found.",
+      });
+    }
+
+    const conflict = await getTransferConflict(transfer, "PENDING");
+    if (conflict) {
+      return res.status(409).json({ success: false, msg: conflict });
+    }
+
+    // Their calendar may have filled up since the request
+    const reasons = await getTransferBlockers(staffId, transfer.booking);
+    if (reasons.length) {
+      return res.status(409).json({
+        success: false,
+        msg: "You can no longer take over this job.",
+        reasons,
+      });
+    }
+
+    const now = new Date();
+
+    if (!transfer.businessProfile.jobTransferNeedsApproval) {
+      const completed = await completeTransfer(transfer, { respondedAt: now });
+
+      await logTransfer(req, "JOB_TRANSFER_COMPLETED", completed, {
+        toAssignmentId: completed.toAssignmentId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        msg: "Job transferred to you.",
+        transfer: completed,
+      });
+    }
+
+    const { count } = await prisma.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: "PENDING" },
+      data: { status: "AWAITING_APPROVAL", respondedAt: now },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        msg: "This transfer has already been answered.",
+      });
+    }
+
+    await logTransfer(req, "JOB_TRANSFER_ACCEPTED", transfer);
+
+    const booking = describeBooking(transfer.booking);
+    const data = { type: "JOB_TRANSFER_ACCEPTED", transferId: transfer.id };
+
+    await NotificationService.notifyUser({
+      receiverId: transfer.businessProfile.userId,
+      senderId: staffId,
+      title: "Job transfer to approve",
+      body: `${transfer.fromStaff.name} wants to hand ${booking} to ${transfer.toStaff.name}.`,
+      data,
+    });
+    await NotificationService.notifyUser({
+      receiverId: transfer.fromStaffId,
+      senderId: staffId,
+      title: "Job transfer accepted",
+      body: `${transfer.toStaff.name} accepted ${booking}. It moves once the business approves.`,
+      data,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Transfer accepted and sent for approval.",
+      transfer: { ...transfer, status: "AWAITING_APPROVAL", respondedAt: now },
+    });
+  } catch (error) {
+    return sendTransferError(
+      res,
+      "acceptJobTransfer",
+      error,
+      "Server Error: Could not accept job transfer.",
+    );
+  }
+};
+
+/* ---------------- DECLINE JOB TRANSFER ---------------- */
+const declineJobTransfer = async (req, res) => {
+  const staffId = req.user.id;
+  const { transferId } = req.params;
+
+  const { error, value } = declineJobTransferSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const transfer = await findTransfer({ id: transferId, toStaffId: staffId });
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job transfer not found.",
+      });
+    }
+
+    if (transfer.status !== "PENDING") {
+      return res.status(409).json({
+        success: false,
+        msg: "This transfer has already been answered.",
+      });
+    }
+
+    const declineReason = value.reason || null;
+    const { count } = await prisma.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: "PENDING" },
+      data: { status: "DECLINED", declineReason, respondedAt: new Date() },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        msg: "This transfer has already been answered.",
+      });
+    }
+
+    await logTransfer(req, "JOB_TRANSFER_DECLINED", transfer, {
+      declineReason,
+    });
+
+    await NotificationService.notifyUser({
+      receiverId: transfer.fromStaffId,
+      senderId: staffId,
+      title: "Job transfer declined",
+      body: `${transfer.toStaff.name} declined ${describeBooking(transfer.booking)}${
+        declineReason ? `: ${declineReason}` : "."
+      }`,
+      data: { type: "JOB_TRANSFER_DECLINED", transferId: transfer.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Transfer declined.",
+    });
+  } catch (error) {
+    console.error("declineJobTransfer error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not decline job transfer.",
+    });
+  }
+};
+
+/* ---------------- CANCEL JOB TRANSFER ---------------- */
+const cancelJobTransfer = async (req, res) => {
+  const staffId = req.user.id;
+  const { transferId } = req.params;
+
+  try {
+    const transfer = await findTransfer({
+      id: transferId,
+      fromStaffId: staffId,
+    });
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job transfer not found.",
+      });
+    }
+
+    const { count } = await prisma.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: { in: OPEN_TRANSFER_STATUSES } },
+      data: { status: "CANCELLED" },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        msg: "Only open transfers can be cancelled.",
+      });
+    }
+
+    await logTransfer(req, "JOB_TRANSFER_CANCELLED", transfer);
+
+    await NotificationService.notifyUser({
+      receiverId: transfer.toStaffId,
+      senderId: staffId,
+      title: "Job transfer cancelled",
+      body: `${transfer.fromStaff.name} withdrew the request for ${describeBooking(transfer.booking)}.`,
+      data: { type: "JOB_TRANSFER_CANCELLED", transferId: transfer.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Transfer cancelled.",
+    });
+  } catch (error) {
+    console.error("cancelJobTransfer error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not cancel job transfer.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER JOB TRANSFERS ---------------- */
+const getJobTransfers = async (req, res) => {
+  const userId = req.user.id;
+  const { page = 1, limit = 10, status, staffId } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  if (status && !JOB_TRANSFER_STATUSES.includes(status.toUpperCase())) {
+    return res.status(400).json({
+      success: false,
+      msg: `status must be one of ${JOB_TRANSFER_STATUSES.join(", ")}.`,
+    });
+  }
+
+  try {
+    const where = {
+      businessProfile: { userId },
+      ...(status && { status: status.toUpperCase() }),
+      ...(staffId && {
+        OR: [{ fromStaffId: staffId }, { toStaffId: staffId }],
+      }),
+    };
+
+    const [transfers, total] = await Promise.all([
+      prisma.staffJobTransfer.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        include: TRANSFER_LIST_INCLUDE,
+      }),
+      prisma.staffJobTransfer.count({ where }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Job transfers fetched successfully.",
+      transfers,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+      },
+    });
+  } catch (error) {
+    console.error("getJobTransfers error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch job transfers.",
+    });
+  }
+};
+
+/* ---------------- REVIEW JOB TRANSFER ---------------- */
+const reviewJobTransfer = async (req, res) => {
+  const userId = req.user.id;
+  const { transferId } = req.params;
+
+  const { error, value } = reviewJobTransferSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const transfer = await findTransfer({
+      id: transferId,
+      businessProfile: { userId },
+    });
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        msg: "Job transfer not found.",
+      });
+    }
+
+    const conflict = await getTransferConflict(transfer, "AWAITING_APPROVAL");
+    if (conflict) {
+      return res.status(409).json({ success: false, msg: conflict });
+    }
+
+    const now = new Date();
+
+    if (value.status === "APPROVED") {
+      const reasons = await getTransferBlockers(
+        transfer.toStaffId,
+        transfer.booking,
+      );
+      if (reasons.length) {
+        return res.status(409).json({
+          success: false,
+          msg: `${transfer.toStaff.name} can no longer take over this job.`,
+          reasons,
+        });
+      }
+
+      const completed = await completeTransfer(transfer, {
+        reviewedById: userId,
+        reviewedAt: now,
+      });
+
+      await logTransfer(req, "JOB_TRANSFER_COMPLETED", completed, {
+        toAssignmentId: completed.toAssignmentId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        msg: "Transfer approved.",
+        transfer: completed,
+      });
+    }
+
+    const { count } = await prisma.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: "AWAITING_APPROVAL" },
+      data: {
+        status: "REJECTED",
+        rejectionReason: value.rejectionReason,
+        reviewedById: userId,
+        reviewedAt: now,
+      },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        msg: "This transfer has already been reviewed.",
+      });
+    }
+
+    await logTransfer(req, "JOB_TRANSFER_REJECTED", transfer, {
+      rejectionReason: value.rejectionReason,
+    });
+
+    const body = `The transfer of ${describeBooking(transfer.booking)} was rejected: ${value.rejectionReason}`;
+    const data = { type: "JOB_TRANSFER_REJECTED", transferId: transfer.id };
+
+    for (const receiverId of [transfer.fromStaffId, transfer.toStaffId]) {
+      await NotificationService.notifyUser({
+        receiverId,
+        senderId: userId,
+        title: "Job transfer rejected",
+        body,
+        data,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Transfer rejected.",
+    });
+  } catch (error) {
+    return sendTransferError(
+      res,
+      "reviewJobTransfer",
+      error,
+      "Server Error: Could not review job transfer.",
+    );
+  }
+};
+
+module.exports = {
+  getTransferColleagues,
+  proposeJobTransfer,
+  getMyJobTransfers,
+  acceptJobTransfer,
+  declineJobTransfer,
+  cancelJobTransfer,
+  getJobTransfers,
+  reviewJobTransfer,
+};
@@ -0,0 +1,537 @@
+const prisma = require("../prismaClient");
+const stripe = require("../config/stripe");
+const {
+  createPackageSchema,
+  updatePackageSchema,
+  refundPackageSchema,
+} = require("../helper/validation/package.validation");
+const {
+  getCreditValue,
+  getRefundableAmount,
+  refundPackagePurchase,
+} = require("../service/package-service");
+const { storeNotification } = require("./notification.controller");
+
+// Checkout sessions for packages stay open this long
+const PACKAGE_SESSION_MINUTES = 60;
+
+const PURCHASE_STATUSES = [
+  "ACTIVE",
+  "EXHAUSTED",
+  "EXPIRED",
+  "REFUNDED",
+  "CANCELLED",
+];
+
+const bookableBusiness = {
+  isActive: true,
+  isRestricted: false,
+  isApproved: true,
+};
+
+const logPackageChange = (req, actionType, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+const logCustomerAction = (req, actionType, metadata) =>
+  prisma.customerActivityLog.create({
+    data: {
+      customerId: req.user.id,
+      actionType,
+      status: "SUCCESS",
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// Credits can only be redeemed for the business's own fixed-price services
+const findInvalidServiceIds = async (businessProfileId, serviceIds) => {
+  const services = await prisma.service.findMany({
+    where: { id: { in: serviceIds }, businessProfileId, pricingType: "FIXED" },
+    select: { id: true },
+  });
+  const found = services.map((s) => s.id);
+  return serviceIds.filter((id) => !found.includes(id));
+};
+
+/* ---------------- PROVIDER PACKAGES ---------------- */
+const getProviderPackages = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const packages = await prisma.servicePackage.findMany({
+      where: { businessProfile: { userId } },
+      orderBy: [{ isActive: "desc" }, { createdAt: "desc" }],
+      include: {
+        _count: {
+          select: {
+            purchases: { where: { status: { not: "PENDING" } } },
+          },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Packages fetched successfully.",
+      packages: packages.map(({ _count, ...pkg }) => ({
+        ...pkg,
+        soldCount: _count.purchases,
+      })),
+    });
+  } catch (error) {
+    console.error("getProviderPackages error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch packages.",
+    });
+  }
+};
+
+/* ---------------- CREATE / UPDATE PACKAGE ---------------- */
+// Purchases keep the terms they were bought on
+const savePackage = async (req, res) => {
+  const userId = req.user.id;
+  const { packageId } = req.params;
+
+  const schema = packageId ? updatePackageSchema : createPackageSchema;
+  const { error, value } = schema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    if (packageId) {
+      const existing = await prisma.servicePackage.findFirst({
+        where: { id: packageId, businessProfileId: business.id },
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          msg: "Package not found.",
+        });
+      }
+    }
+
+    if (value.serviceIds) {
+      const invalid = await findInvalidServiceIds(
+        business.id,
+        value.serviceIds,
+      );
+      if (invalid.length) {
+        return res.status(422).json({
+          success: false,
+          msg: ["Packages can only include your own fixed-price services."],
+        });
+      }
+    }
+
+    const servicePackage = packageId
+      ? await prisma.servicePackage.update({
+          where: { id: packageId },
+          data: value,
+        })
+      : await prisma.servicePackage.create({
+          data: { ...value, businessProfileId: business.id },
+        });
+
+    await logPackageChange(
+      req,
+      packageId ? "SERVICE_PACKAGE_UPDATED" : "SERVICE_PACKAGE_CREATED",
+      { package: servicePackage },
+    );
+
+    return res.status(packageId ? 200 : 201).json({
+      success: true,
+      msg: `Package ${packageId ? "updated" : "created"} successfully.`,
+      package: servicePackage,
+    });
+  } catch (error) {
+    console.error("savePackage error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not save package.",
+    });
+  }
+};
+
+/* ---------------- REMOVE PACKAGE ---------------- */
+// Taken off sale; credits already bought stay usable
+const deletePackage = async (req, res) => {
+  const userId = req.user.id;
+  const { packageId } = req.params;
+
+  try {
+    const servicePackage = await prisma.servicePackage.findFirst({
+      where: { id: packageId, businessProfile: { userId } },
+    });
+    if (!servicePackage) {
+      return res.status(404).json({
+        success: false,
+        msg: "Package not found.",
+      });
+    }
+
+    await prisma.servicePackage.update({
+      where: { id: servicePackage.id },
+      data: { isActive: false },
+    });
+
+    await logPackageChange(req, "SERVICE_PACKAGE_REMOVED", {
+      packageId: servicePackage.id,
+      name: servicePackage.name,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Package removed successfully.",
+    });
+  } catch (error) {
+    console.error("deletePackage error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not remove package.",
+    });
+  }
+};
+
+/* ---------------- PACKAGE SALES ---------------- */
+const getPackageSales = async (req, res) => {
+  const userId = req.user.id;
+  const { status, packageId } = req.query;
+
+  if (status && !PURCHASE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      msg: `status must be one of ${PURCHASE_STATUSES.join(", ")}.`,
+    });
+  }
+
+  try {
+    const purchases = await prisma.packagePurchase.findMany({
+      where: {
+        businessProfile: { userId },
+        status: status || { not: "PENDING" },
+        ...(packageId && { packageId }),
+      },
+      orderBy: { createdAt: "desc" },
+      include: { user: { select: { id: true, name: true, email: true } } },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Package sales fetched successfully.",
+      purchases,
+    });
+  } catch (error) {
+    console.error("getPackageSales error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch package sales.",
+    });
+  }
+};
+
+/* ---------------- GET BUSINESS PACKAGES ---------------- */
+const getBusinessPackages = async (req, res) => {
+  const { businessId } = req.query;
+
+  if (!businessId) {
+    return res.status(400).json({
+      success: false,
+      msg: "businessId is required.",
+    });
+  }
+
+  try {
+    const packages = await prisma.servicePackage.findMany({
+      where: {
+        businessProfileId: businessId,
+        isActive: true,
+        businessProfile: bookableBusiness,
+      },
+      orderBy: { price: "asc" },
+    });
+
+    const services = await prisma.service.findMany({
+      where: { id: { in: packages.flatMap((p) => p.serviceIds) } },
+      select: { id: true, name: true, price: true },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Packages fetched successfully.",
+      packages: packages.map((pkg) => {
+        const included = services.filter((s) => pkg.serviceIds.includes(s.id));
+        // Against paying for the cheapest included service each visit
+        const regularPrice =
+          pkg.credits * Math.min(...included.map((s) => s.price));
+
+        return {
+          ...pkg,
+          services: included,
+          savings: included.length ? Math.max(0, regularPrice - pkg.price) : 0,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("getBusinessPackages error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch packages.",
+    });
+  }
+};
+
+/* ---------------- PURCHASE PACKAGE ---------------- */
+// Starts a Stripe checkout; credits become usable once it completes
+const purchasePackage = async (req, res) => {
+  const userId = req.user.id;
+  const { packageId } = req.params;
+
+  try {
+    const servicePackage = await prisma.servicePackage.findFirst({
+      where: {
+        id: packageId,
+        isActive: true,
+        businessProfile: bookableBusiness,
+      },
+      include: { businessProfile: { select: { businessName: true } } },
+    });
+    if (!servicePackage) {
+      return res.status(404).json({
+        success: false,
+        msg: "Package not found.",
+      });
+    }
+
+    const purchase = await prisma.packagePurchase.create({
+      data: {
+        packageId,
+        userId,
+        businessProfileId: servicePackage.businessProfileId,
+        packageName: servicePackage.name,
+        serviceIds: servicePackage.serviceIds,
+        credits: servicePackage.credits,
+        creditsRemaining: servicePackage.credits,
+        amount: servicePackage.price,
+      },
+    });
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      expires_at: Math.floor(Date.now() / 1000) + PACKAGE_SESSION_MINUTES * 60,
+      metadata: {
+        type: "package_purchase",
+        purchaseId: purchase.id,
+        packageId,
+        userId,
+      },
+      line_items: [
+        {
+          price_data: {
+            currency: "inr",
+            product_data: {
+              name: `${servicePackage.name} - ${servicePackage.businessProfile.businessName}`,
+              description: `${servicePackage.credits} visits, valid for ${servicePackage.validityDays} days from purchase`,
+            },
+            unit_amount: servicePackage.price * 100,
+          },
+          quantity: 1,
+        },
+      ],
+      success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: process.env.FRONTEND_CANCEL_URL,
+    });
+
+    await prisma.packagePurchase.update({
+      where: { id: purchase.id },
+      data: { stripeSessionId: session.id },
+    });
+
+    await logCustomerAction(req, "PACKAGE_PURCHASE_STARTED", {
+      packageId,
+      purchaseId: purchase.id,
+      amount: purchase.amount,
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Package checkout created successfully.",
+      url: session.url,
+      purchase: { id: purchase.id, amount: purchase.amount },
+    });
+  } catch (error) {
+    console.error("purchasePackage error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not start package purchase.",
+    });
+  }
+};
+
+/* ---------------- CUSTOMER PACKAGES ---------------- */
+const getCustomerPackages = async (req, res) => {
+  const userId = req.user.id;
+  const { businessId } = req.query;
+
+  try {
+    const purchases = await prisma.packagePurchase.findMany({
+      where: {
+        userId,
+        status: { not: "PENDING" },
+        ...(businessId && { businessProfileId: businessId }),
+      },
+      orderBy: [{ status: "asc" }, { expiresAt: "asc" }],
+      include: {
+        businessProfile: { select: { id: true, businessName: true } },
+        bookings: {
+          select: { id: true, date: true, bookingStatus: true },
+          orderBy: { createdAt: "desc" },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Packages fetched successfully.",
+      purchases: purchases.map((purchase) => ({
+        ...purchase,
+        creditValue: getCreditValue(purchase),
+        refundableAmount:
+          purchase.status === "ACTIVE" ? getRefundableAmount(purchase) : 0,
+      })),
+    });
+  } catch (error) {
+    console.error("getCustomerPackages error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch packages.",
+    });
+  }
+};
+
+/* ---------------- REFUND UNUSED CREDITS ---------------- */
+const refundPackage = async (req, res) => {
+  const userId = req.user.id;
+  const { purchaseId } = req.params;
+
+  const { error, value } = refundPackageSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const purchase = await prisma.packagePurchase.findFirst({
+      where: { id: purchaseId, userId },
+      include: { businessProfile: { select: { userId: true } } },
+    });
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        msg: "Package not found.",
+      });
+    }
+
+    if (
+      purchase.status !== "ACTIVE" ||
+      purchase.creditsRemaining === 0 ||
+      purchase.expiresAt < new Date()
+    ) {
+      return res.status(400).json({
+        success: false,
+        msg: "Only active packages with unused credits can be refunded.",
+      });
+    }
+
+    const destination =
+      value.refundTo === "wallet" || !purchase.paymentIntentId
+        ? "WALLET"
+        : "ORIGINAL_PAYMENT";
+
+    let refunded;
+    try {
+      refunded = await refundPackagePurchase(purchase, destination);
+    } catch (refundError) {
+      if (refundError.isPackageError) {
+        return res.status(409).json({
+          success: false,
+          msg: refundError.message,
+        });
+      }
+      throw refundError;
+    }
+
+    await storeNotification(
+      "Package refunded",
+      `A customer was refunded ₹${refunded.refundedAmount} for ${purchase.creditsRemaining} unused visit(s) of ${purchase.packageName}.`,
+      purchase.businessProfile.userId,
+      userId,
+    );
+
+    await logCustomerAction(req, "PACKAGE_REFUNDED", {
+      purchaseId,
+      credits: purchase.creditsRemaining,
+      amount: refunded.refundedAmount,
+      destination,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg:
+        destination === "WALLET"
+          ? `₹${refunded.refundedAmount} has been added to your wallet.`
+          : `₹${refunded.refundedAmount} refund is being processed. You'll receive it within 5-7 business days.`,
+      purchase: refunded,
+    });
+  } catch (error) {
+    console.error("refundPackage error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not refund package.",
+    });
+  }
+};
+
+module.exports = {
+  getProviderPackages,
+  createPackage: savePackage,
+  updatePackage: savePackage,
+  deletePackage,
+  getPackageSales,
+  getBusinessPackages,
+  purchasePackage,
+  getCustomerPackages,
+  refundPackage,
+};
@@ -1,8 +1,44 @@
 const prisma = require("../prismaClient");
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = require("../config/stripe");
 const { sendMail } = require("../utils/sendmail");
 const { storeNotification } = require("./notification.controller");
+const { getSlotCapacity } = require("../service/availability-service");
+const { confirmCustomerCheckout } = require("./stripeWebHooks.controller");
+const {
+  CHECKOUT_HOLD_MINUTES,
+  getSessionExpiresAt,
+  minutesFromNow,
+  startCheckoutHolds,
+  attachCheckoutSession,
+  releaseExpiredHolds,
+} = require("../service/slot-hold-service");
+const {
+  resolveCancellationPolicy,
+} = require("../service/cancellation-policy-service");
+const {
+  applyCoupon,
+  reserveCouponRedemption,
+  releaseStaleCouponRedemptions,
+} = require("../service/promotion-service");
+const {
+  debitWallet,
+  getWalletCoverage,
+  allocateWalletAmount,
+  releaseStaleWalletPayments,
+} = require("../service/wallet-service");
+const { getBookingTax, toBookingTaxFields } = require("../service/tax-service");
+const {
+  allocatePackageCredits,
+  applyPackageCredits,
+  redeemPackageCredit,
+  releaseStalePackageCredits,
+} = require("../service/package-service");
+const {
+  priceCartItems,
+  getLinePrice,
+  describeSelection,
+  toBookingPricingFields,
+} = require("../service/service-pricing-service");
 const {
   providerSubscriptionCancelledEmailTemplate,
 } = require("../helper/mail-tamplates/tamplates");
@@ -12,7 +48,13 @@ const customerPayment = async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const { cartItems, addressId } = req.body;
+    const {
+      cartItems,
+      addressId,
+      couponCode,
+      useWallet = false,
+      usePackageCredits = false,
+    } = req.body;
 
     /* ---------- BASIC VALIDATION ---------- */
     if (!cartItems || cartItems.length === 0) {
@@ -23,33 +65,61 @@ const customerPayment = async (req, res) => {
       return res.status(400).json({ msg: "Address required" });
     }
 
-    /* ---------- FETCH CART ---------- */
-    const dbCart = await prisma.cart.findMany({
-      where: { id: { in: cartItems }, userId },
-      include: {
-        service: true,
-        business: true,
-        slot: true,
-      },
+    // The address state decides between CGST/SGST and IGST
+    const address = await prisma.address.findFirst({
+      where: { id: addressId, userId },
     });
+    if (!address) {
+      return res.status(400).json({ msg: "Address not found" });
+    }
+
+    /* ---------- FETCH CART ---------- */
+    // Each line is priced from its variant and add-ons
+    let dbCart = await priceCartItems(
+      await prisma.cart.findMany({
+        where: { id: { in: cartItems }, userId },
+        include: {
+          service: true,
+          business: true,
+          slot: true,
+          variant: true,
+        },
+      }),
+    );
 
     if (!dbCart.length) {
       return res.status(400).json({ msg: "Invalid cart items" });
     }
 
-    /* ---------- SAME BUSINESS CHECK ---------- */
-    const businessIds = [...new Set(dbCart.map((c) => c.business.id))];
-    if (businessIds.length > 1) {
+    const withdrawn = dbCart.find((item) => item.pricing.unavailable);
+    if (withdrawn) {
       return res.status(400).json({
-        msg: "Only same-business services allowed",
+        msg: `Some options chosen for ${withdrawn.service.name} are no longer available. Please add it to your cart again.`,
       });
     }
 
+    /* ---------- APPLY PACKAGE CREDITS ---------- */
+    // Lines covered by a prepaid package only pay for their add-ons
+    if (usePackageCredits) {
+      dbCart = applyPackageCredits(
+        dbCart,
+        await allocatePackageCredits(userId, dbCart),
+      );
+    }
+    const creditLines = dbCart.filter((item) => item.pricing.packageCredit);
+    const packageCreditAmount = creditLines.reduce(
+      (sum, item) => sum + item.pricing.packageCredit.creditValue,
+      0,
+    );
+
     /* ---------- PLAN LIMIT CHECK (MAX BOOKINGS) ---------- */
-    const targetBusinessId = businessIds[0];
-    const targetBusiness = await prisma.businessProfile.findUnique({
-      where: { id: targetBusinessId },
+    // Mixed carts are checked against every provider's own monthly limit
+    const businessIds = [...new Set(dbCart.map((c) => c.business.id))];
+    const targetBusinesses = await prisma.businessProfile.findMany({
+      where: { id: { in: businessIds } },
       select: {
+        id: true,
+        businessName: true,
         user: {
           select: {
             id: true,
@@ -64,7 +134,11 @@ const customerPayment = async (req, res) => {
       },
     });
 
-    if (targetBusiness) {
+    const startOfMonth = new Date();
+    startOfMonth.setDate(1);
+    startOfMonth.setHours(0, 0, 0, 0);
+
+    for (const targetBusiness of targetBusinesses) {
       const sub = targetBusiness.user.providerSubscription;
       let limit = 20; // Default Limit for Free/No Plan (Strict default)
 
@@ -78,21 +152,21 @@ const customerPayment = async (req, res) => {
 
       // Check limit if not unlimited (-1)
       if (limit !== -1) {
-        const startOfMonth = new Date();
-        startOfMonth.setDate(1);
-        startOfMonth.setHours(0, 0, 0, 0);
-
         const currentBookingsCount = await prisma.booking.count({
           where: {
-            businessProfileId: targetBusinessId,
+            businessProfileId: targetBusiness.id,
             createdAt: { gte: startOfMonth },
             bookingStatus: { not: "CANCELLED" }, // Count all non-cancelled bookings
           },
         });
 
-        if (currentBookingsCount + dbCart.length > limit) {
+        const requested = dbCart.filter(
+          (c) => c.business.id === targetBusiness.id,
+        ).length;
+
+        if (currentBookingsCount + requested > limit) {
           return res.status(403).json({
-            msg: `Order Failed: The service provider has reached their monthly booking limit (${limit}). Please contact them or try again next month.`,
+            msg: `Order Failed: ${targetBusiness.businessName} has reached their monthly booking limit (${limit}). Please remove their services from the cart or try again next month.`,
           });
         }
       }
@@ -122,61 +196,109 @@ const customerPayment = async (req, res) => {
     }
 
     /* ---------- CALCULATE TOTAL ---------- */
-    const totalAmount = dbCart.reduce(
-      (sum, item) => sum + item.service.price,
+    const subtotal = dbCart.reduce((sum, item) => sum + getLinePrice(item), 0);
+
+    /* ---------- APPLY COUPON ---------- */
+    let promotion = null;
+    if (couponCode) {
+      promotion = await applyCoupon({
+        code: couponCode,
+        userId,
+        cartItems: dbCart,
+      });
+
+      if (promotion.error) {
+        return res.status(400).json({ msg: promotion.error });
+      }
+    }
+
+    const discountAmount = promotion?.discount || 0;
+
+    /* ---------- CALCULATE GST ---------- */
+    // Charged on each line's price after its share of the discount
+    const itemTaxes = new Map();
+    for (const item of dbCart) {
+      itemTaxes.set(
+        item.id,
+        await getBookingTax({
+          service: item.service,
+          business: item.business,
+          address,
+          amount:
+            getLinePrice(item) - (promotion?.allocations.get(item.id) || 0),
+        }),
+      );
+    }
+
+    const lineTotal = (item) => itemTaxes.get(item.id).totalAmount;
+    const taxAmount = dbCart.reduce(
+      (sum, item) => sum + itemTaxes.get(item.id).taxAmount,
       0,
     );
-    if (totalAmount < 50) {
+    const totalAmount = dbCart.reduce((sum, item) => sum + lineTotal(item), 0);
+
+    /* ---------- APPLY WALLET ---------- */
+    let walletAmount = 0;
+    if (useWallet) {
+      const { walletBalance } = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { walletBalance: true },
+      });
+      walletAmount = getWalletCoverage(walletBalance, totalAmount);
+    }
+
+    // Stripe only charges what the wallet does not cover
+    const cardAmount = totalAmount - walletAmount;
+    if (cardAmount > 0 && cardAmount < 50) {
       return res.status(400).json({
         msg: "Minimum payment amount must be ₹50",
       });
     }
 
+    const walletShares = new Map(
+      allocateWalletAmount(dbCart.map(lineTotal), walletAmount).map(
+        (share, index) => [dbCart[index].id, share],
+      ),
+    );
+
     /* --------------------------- SLOT RESERVATION WITH LOCKING --------------------------- */
     let reservedBookings;
+    let redemption = null;
+    let walletDebit = null;
+    const holdExpiresAt = minutesFromNow(CHECKOUT_HOLD_MINUTES);
 
     try {
       reservedBookings = await prisma.$transaction(
         async (tx) => {
           const bookings = [];
+          const reservations = [];
 
           for (const item of dbCart) {
-            // Get service with slot limit
-            const service = await tx.service.findUnique({
-              where: { id: item.serviceId },
-              select: { totalBookingAllow: true },
+            // Remaining seats, ignoring this customer's own cart holds
+            const capacity = await getSlotCapacity(tx, {
+              serviceId: item.serviceId,
+              slotId: item.slotId,
+              date: item.date,
+              excludeUserId: userId,
             });
 
-            if (!service) {
+            if (!capacity) {
               throw new Error(`Service ${item.serviceId} not found`);
             }
 
-            // Count existing VALID bookings (not expired)
-            const count = await tx.booking.count({
-              where: {
-                serviceId: item.serviceId,
-                slotId: item.slotId,
-                date: item.date,
-                bookingStatus: {
-                  in: ["CONFIRMED", "PENDING_PAYMENT"],
-                },
-                OR: [
-                  { expiresAt: null }, // Confirmed bookings
-                  { expiresAt: { gt: new Date() } }, // Non-expired pending
-                ],
-              },
-            });
-
             // CHECK IF SLOT IS FULL
-            if (count >= service.totalBookingAllow) {
-              throw new Error(
+            if (capacity.remaining <= 0) {
+              const slotFullError = new Error(
                 `Slot ${item.slot?.time || "Unknown"} is full for ${
                   item.service.name
                 }`,
               );
+              slotFullError.isCapacityError = true;
+              throw slotFullError;
             }
 
             // Create booking reservation
+            const itemDiscount = promotion?.allocations.get(item.id) || 0;
             const booking = await tx.booking.create({
               data: {
                 addressId,
@@ -185,14 +307,56 @@ const customerPayment = async (req, res) => {
                 businessProfileId: item.business.id,
                 slotId: item.slotId,
                 date: item.date,
-                totalAmount: item.service.price, // Individual amount per booking
+                totalAmount: lineTotal(item), // Individual amount per booking, incl. GST
+                ...toBookingTaxFields(itemTaxes.get(item.id)),
+                ...toBookingPricingFields(item.pricing),
+                discountAmount: itemDiscount,
+                walletAmount: walletShares.get(item.id),
+                couponId: itemDiscount > 0 ? promotion.coupon.id : null,
                 bookingStatus: "PENDING_PAYMENT",
                 paymentStatus: "PENDING",
-                expiresAt: new Date(Date.now() + 5 * 60 * 1000), // 5 min lock
+                expiresAt: holdExpiresAt, // Extended while the Stripe session is open
+                // Later policy edits must not change what this booking was sold under
+                cancellationPolicy: resolveCancellationPolicy(
+                  item.business,
+                  item.service,
+                ),
               },
             });
 
+            if (item.pricing.packageCredit) {
+              await redeemPackageCredit(tx, {
+                purchaseId: item.pricing.packageCredit.purchaseId,
+                userId,
+                bookingId: booking.id,
+              });
+            }
+
             bookings.push(booking);
+            reservations.push({ cartItem: item, booking });
+          }
+
+          // Cart holds now back the pending bookings until payment
+          await startCheckoutHolds(tx, reservations, holdExpiresAt);
+
+          // Linked to the payment record once it exists
+          if (promotion) {
+            redemption = await reserveCouponRedemption(tx, {
+              coupon: promotion.coupon,
+              userId,
+              paymentId: null,
+              discount: discountAmount,
+            });
+          }
+
+          // Linked to the payment record like the coupon redemption
+          if (walletAmount > 0) {
+            walletDebit = await debitWallet(tx, {
+              userId,
+              amount: walletAmount,
+              source: "PAYMENT",
+              description: `Paid towards ${bookings.length} booking(s)`,
+            });
           }
 
           return bookings;
@@ -205,8 +369,18 @@ const customerPayment = async (req, res) => {
     } catch (transactionError) {
       console.error("Slot reservation failed:", transactionError.message);
 
+      if (
+        transactionError.isCouponError ||
+        transactionError.isWalletError ||
+        transactionError.isPackageError
+      ) {
+        return res.status(400).json({ msg: transactionError.message });
+      }
+
       return res.status(409).json({
-        msg: "This time slot was just booked by someone else. Please choose another available slot.",
+        msg: transactionError.isCapacityError
+          ? `${transactionError.message}. Please choose another available slot.`
+          : "This time slot was just booked by someone else. Please choose another available slot.",
       });
     }
 
@@ -216,33 +390,152 @@ const customerPayment = async (req, res) => {
         userId,
         addressId,
         amount: totalAmount,
+        discountAmount,
+        taxAmount,
+        walletAmount,
+        packageCreditAmount,
         status: "PENDING",
         bookingIds: JSON.stringify(reservedBookings.map((b) => b.id)),
       },
     });
 
+    if (redemption) {
+      await prisma.couponRedemption.update({
+        where: { id: redemption.id },
+        data: { customerPaymentId: paymentRecord.id },
+      });
+    }
+
+    if (walletDebit) {
+      await prisma.walletTransaction.update({
+        where: { id: walletDebit.id },
+        data: { customerPaymentId: paymentRecord.id },
+      });
+    }
+
+    if (creditLines.length) {
+      await prisma.packageCreditUse.updateMany({
+        where: { bookingId: { in: reservedBookings.map((b) => b.id) } },
+        data: { customerPaymentId: paymentRecord.id },
+      });
+    }
+
+    /* ---------- PAID FROM WALLET OR PACKAGE ---------- */
+    // Nothing left to charge: confirm the bookings straight away
+    if (cardAmount === 0) {
+      await confirmCustomerCheckout(
+        {
+          userId,
+          addressId,
+          paymentId: paymentRecord.id,
+          bookingIds: JSON.stringify(reservedBookings.map((b) => b.id)),
+          dbCart: JSON.stringify(cartItems),
+          couponCode: promotion?.coupon.code,
+        },
+        req,
+      );
+
+      await prisma.customerActivityLog.create({
+        data: {
+          customerId: userId,
+          actionType: "PAYMENT_INITIATED",
+          status: "SUCCESS",
+          metadata: {
+            paymentId: paymentRecord.id,
+            role: req.user.role,
+            walletAmount,
+            ...(creditLines.length && {
+              packageCredits: creditLines.length,
+              packageCreditAmount,
+            }),
+            ...(promotion && {
+              couponCode: promotion.coupon.code,
+              discountAmount,
+            }),
+          },
+          ipAddress: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+
+      return res.json({
+        url: null,
+        paid: true,
+        bookingIds: reservedBookings.map((b) => b.id),
+        subtotal,
+        discountAmount,
+        taxAmount,
+        totalAmount,
+        walletAmount,
+        packageCredits: creditLines.length,
+        cardAmount,
+      });
+    }
+
     /* ---------- STRIPE CHECKOUT ---------- */
     const session = await stripe.checkout.sessions.create({
       mode: "payment",
+      // One charge for the whole cart, split per business after payment
+      payment_intent_data: { transfer_group: paymentRecord.id },
+      expires_at: getSessionExpiresAt(),
       metadata: {
         userId,
         addressId,
         paymentId: paymentRecord.id,
         bookingIds: JSON.stringify(reservedBookings.map((b) => b.id)),
         dbCart: JSON.stringify(cartItems),
+        ...(promotion && { couponCode: promotion.coupon.code }),
       },
-      line_items: dbCart.map((item) => ({
-        price_data: {
-          currency: "inr",
-          product_data: { name: item.service.name },
-          unit_amount: item.service.price * 100,
-        },
-        quantity: 1,
-      })),
+      // Discounts and wallet money are already taken off each line, as on
+      // the bookings; lines fully paid from the wallet are left out
+      line_items: dbCart
+        .filter((item) => lineTotal(item) > walletShares.get(item.id))
+        .map((item) => {
+          const itemDiscount = promotion?.allocations.get(item.id) || 0;
+          const itemTax = itemTaxes.get(item.id).taxAmount;
+          const itemWallet = walletShares.get(item.id);
+          const { pricingRule, pricingAdjustment, packageCredit } =
+            item.pricing;
+          const notes = [
+            packageCredit &&
+              `Visit paid with a ${packageCredit.packageName} credit`,
+            pricingRule &&
+              `Includes ${pricingAdjustment < 0 ? "-" : ""}₹${Math.abs(
+                pricingAdjustment,
+              )} ${pricingRule.name} pricing`,
+            itemDiscount > 0 &&
+              `Includes ₹${itemDiscount} off with ${promotion.coupon.code}`,
+            itemTax > 0 && `Includes ₹${itemTax} GST`,
+            itemWallet > 0 && `₹${itemWallet} paid from wallet`,
+          ].filter(Boolean);
+
+          return {
+            price_data: {
+              currency: "inr",
+              product_data: {
+                name: describeSelection(item.service.name, item.pricing),
+                ...(notes.length && { description: notes.join(". ") }),
+              },
+              unit_amount: (lineTotal(item) - itemWallet) * 100,
+            },
+            quantity: 1,
+          };
+        }),
       success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: process.env.FRONTEND_CANCEL_URL,
     });
 
+    /* ---------- LINK SESSION TO PAYMENT & HOLDS ---------- */
+    await prisma.customerPayment.update({
+      where: { id: paymentRecord.id },
+      data: { stripeSessionId: session.id },
+    });
+
+    await attachCheckoutSession(
+      reservedBookings.map((b) => b.id),
+      { paymentId: paymentRecord.id, sessionId: session.id },
+    );
+
     /* ---------- STORE PAYMENT LINK IN BOOKINGS ---------- */
     await prisma.booking.updateMany({
       where: {
@@ -263,6 +556,15 @@ const customerPayment = async (req, res) => {
         metadata: {
           paymentId: paymentRecord.id,
           role: req.user.role,
+          ...(walletAmount > 0 && { walletAmount }),
+          ...(creditLines.length && {
+            packageCredits: creditLines.length,
+            packageCreditAmount,
+          }),
+          ...(promotion && {
+            couponCode: promotion.coupon.code,
+            discountAmount,
+          }),
         },
         ipAddress: req.ip,
         userAgent: req.get("user-agent"),
@@ -272,6 +574,14 @@ const customerPayment = async (req, res) => {
     return res.json({
       url: session.url,
       bookingIds: reservedBookings.map((b) => b.id),
+      holdExpiresAt,
+      subtotal,
+      discountAmount,
+      taxAmount,
+      totalAmount,
+      walletAmount,
+      packageCredits: creditLines.length,
+      cardAmount,
     });
   } catch (err) {
     console.error("Payment initiation error:", err.message);
@@ -284,13 +594,44 @@ const customerPayment = async (req, res) => {
 /* ---------------- CLEANUP EXPIRED BOOKINGS ---------------- */
 const CleanupExpiredBookings = async () => {
   try {
-    const expired = await prisma.booking.deleteMany({
+    // Extend or release lapsed holds first so open checkouts keep their bookings
+    await releaseExpiredHolds();
+
+    // Coupon uses of checkouts that never completed go back to the coupon
+    await releaseStaleCouponRedemptions();
+
+    // So does wallet money taken for them
+    await releaseStaleWalletPayments();
+
+    // And package credits
+    await releaseStalePackageCredits();
+
+    const lapsed = await prisma.booking.findMany({
       where: {
         bookingStatus: "PENDING_PAYMENT",
         expiresAt: {
           lt: new Date(),
         },
       },
+      select: { id: true },
+    });
+
+    // A checkout hold still in place means its session was not confirmed
+    // closed yet (not checked this run, or Stripe failed): keep the booking
+    const held = await prisma.slotHold.findMany({
+      where: {
+        bookingId: { in: lapsed.map((b) => b.id) },
+        status: "CHECKOUT",
+      },
+      select: { bookingId: true },
+    });
+    const heldIds = new Set(held.map((h) => h.bookingId));
+
+    const expired = await prisma.booking.deleteMany({
+      where: {
+        id: { in: lapsed.map((b) => b.id).filter((id) => !heldIds.has(id)) },
+        bookingStatus: "PENDING_PAYMENT",
+      },
     });
 
     return expired.count;
@@ -304,8 +645,6 @@ const providerSubscriptionCheckout = async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
     const { priceId, isTrial = false } = req.body;
 
     if (!priceId) {
@@ -587,7 +926,6 @@ const getPendingPaymentBookings = async (req, res) => {
 
 /* ---------------- CANCEL SUBSCRIPTION ---------------- */
 const cancelSubscription = async (req, res) => {
-  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
   const userId = req.user.id;
 
   try {
@@ -701,7 +1039,6 @@ const cancelSubscription = async (req, res) => {
 
 /* ---------------- MANAGE SUBSCRIPTION ---------------- */
 const userBillingPortal = async (req, res) => {
-  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
   const userId = req.user.id;
 
   try {
@@ -0,0 +1,293 @@
+const moment = require("moment");
+const prisma = require("../prismaClient");
+const {
+  createPricingRuleSchema,
+  updatePricingRuleSchema,
+} = require("../helper/validation/pricing-rule.validation");
+
+const findBusiness = (userId) =>
+  prisma.businessProfile.findUnique({
+    where: { userId },
+    select: { id: true },
+  });
+
+const logRuleChange = (req, actionType, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// Checks that need the whole rule, so updates are checked after merging
+const validateRuleWindow = (rule) => {
+  if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+    return "startDate must be on or before endDate.";
+  }
+  if (
+    rule.minLeadHours != null &&
+    rule.maxLeadHours != null &&
+    rule.minLeadHours > rule.maxLeadHours
+  ) {
+    return "minLeadHours cannot be more than maxLeadHours.";
+  }
+  if (rule.startTime && rule.startTime === rule.endTime) {
+    return "startTime and endTime cannot be the same.";
+  }
+  if (
+    !rule.weekdays?.length &&
+    !rule.startTime &&
+    !rule.startDate &&
+    !rule.endDate &&
+    rule.minLeadHours == null &&
+    rule.maxLeadHours == null
+  ) {
+    return "Set at least one of weekdays, a time range, a date range or a lead time.";
+  }
+  return null;
+};
+
+/* ---------------- GET PRICING RULES ---------------- */
+const getPricingRules = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const business = await findBusiness(userId);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const rules = await prisma.pricingRule.findMany({
+      where: { businessProfileId: business.id },
+      orderBy: [
+        { isActive: "desc" },
+        { priority: "desc" },
+        { createdAt: "asc" },
+      ],
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Pricing rules fetched successfully.",
+      rules,
+    });
+  } catch (error) {
+    console.error("getPricingRules error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch pricing rules.",
+    });
+  }
+};
+
+/* ---------------- CREATE / UPDATE PRICING RULE ---------------- */
+// Rule changes apply to new prices; booked prices never change
+const savePricingRule = async (req, res) => {
+  const userId = req.user.id;
+  const { ruleId } = req.params;
+
+  const schema = ruleId ? updatePricingRuleSchema : createPricingRuleSchema;
+  const { error, value } = schema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const business = await findBusiness(userId);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    let existing = null;
+    if (ruleId) {
+      existing = await prisma.pricingRule.findFirst({
+        where: { id: ruleId, businessProfileId: business.id },
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          msg: "Pricing rule not found.",
+        });
+      }
+    }
+
+    const merged = { ...existing, ...value };
+    const windowError = validateRuleWindow(merged);
+    if (windowError) {
+      return res.status(422).json({ success: false, msg: [windowError] });
+    }
+    if (
+      merged.adjustmentType === "PERCENT" &&
+      (merged.adjustmentValue < -90 || merged.adjustmentValue > 300)
+    ) {
+      return res.status(422).json({
+        success: false,
+        msg: ["Percentage adjustments must be between -90 and 300."],
+      });
+    }
+
+    const rule = ruleId
+      ? await prisma.pricingRule.update({ where: { id: ruleId }, data: value })
+      : await prisma.pricingRule.create({
+          data: { ...value, businessProfileId: business.id },
+        });
+
+    await logRuleChange(
+      req,
+      ruleId ? "PRICING_RULE_UPDATED" : "PRICING_RULE_CREATED",
+      { rule },
+    );
+
+    return res.status(ruleId ? 200 : 201).json({
+      success: true,
+      msg: `Pricing rule ${ruleId ? "updated" : "created"} successfully.`,
+      rule,
+    });
+  } catch (error) {
+    console.error("savePricingRule error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not save pricing rule.",
+    });
+  }
+};
+
+/* ---------------- DELETE PRICING RULE ---------------- */
+// Rules already used on bookings are switched off so reports keep them
+const deletePricingRule = async (req, res) => {
+  const userId = req.user.id;
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await prisma.pricingRule.findFirst({
+      where: { id: ruleId, businessProfile: { userId } },
+      include: { _count: { select: { bookings: true } } },
+    });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        msg: "Pricing rule not found.",
+      });
+    }
+
+    if (rule._count.bookings) {
+      await prisma.pricingRule.update({
+        where: { id: rule.id },
+        data: { isActive: false },
+      });
+    } else {
+      await prisma.pricingRule.delete({ where: { id: rule.id } });
+    }
+
+    await logRuleChange(req, "PRICING_RULE_DELETED", {
+      ruleId: rule.id,
+      name: rule.name,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Pricing rule deleted successfully.",
+    });
+  } catch (error) {
+    console.error("deletePricingRule error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not delete pricing rule.",
+    });
+  }
+};
+
+/* ---------------- PRICING RULE REPORT ---------------- */
+/**
+ * Paid bookings priced by each rule between `from` and `to` (YYYY-MM-DD,
+ * default the last 30 days) with the extra amount (or discount) earned.
+ */
+const getPricingRuleReport = async (req, res) => {
+  const userId = req.user.id;
+  const { from, to } = req.query;
+
+  const start = from
+    ? moment(from, "YYYY-MM-DD", true)
+    : moment().subtract(30, "days");
+  const end = to ? moment(to, "YYYY-MM-DD", true) : moment();
+  if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+    return res.status(400).json({
+      success: false,
+      msg: "from and to must be valid YYYY-MM-DD dates, from before to.",
+    });
+  }
+
+  try {
+    const business = await findBusiness(userId);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const grouped = await prisma.booking.groupBy({
+      by: ["pricingRuleId"],
+      where: {
+        businessProfileId: business.id,
+        pricingRuleId: { not: null },
+        paymentStatus: "PAID",
+        createdAt: {
+          gte: start.startOf("day").toDate(),
+          lte: end.endOf("day").toDate(),
+        },
+      },
+      _count: { _all: true },
+      _sum: { pricingAdjustment: true },
+    });
+
+    const rules = await prisma.pricingRule.findMany({
+      where: { id: { in: grouped.map((g) => g.pricingRuleId) } },
+      select: { id: true, name: true, isActive: true },
+    });
+
+    const report = grouped.map((g) => ({
+      rule: rules.find((r) => r.id === g.pricingRuleId) || null,
+      bookingCount: g._count._all,
+      adjustmentTotal: g._sum.pricingAdjustment || 0,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      msg: "Pricing rule report fetched successfully.",
+      from: start.format("YYYY-MM-DD"),
+      to: end.format("YYYY-MM-DD"),
+      report,
+    });
+  } catch (error) {
+    console.error("getPricingRuleReport error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch pricing rule report.",
+    });
+  }
+};
+
+module.exports = {
+  getPricingRules,
+  createPricingRule: savePricingRule,
+  updatePricingRule: savePricingRule,
+  deletePricingRule,
+  getPricingRuleReport,
+};
@@ -0,0 +1,394 @@
+const prisma = require("../prismaClient");
+const { sendMail } = require("../utils/sendmail");
+const { staffPaymentReceivedEmail } = require("../utils/emailTemplates");
+const {
+  providerCancelledBookingEmailTemplate,
+} = require("../helper/mail-tamplates/tamplates");
+const {
+  providerCancelBookingSchema,
+} = require("../helper/validation/provider.validation");
+const NotificationService = require("../service/notification-service");
+const { getHoursUntilService } = require("../helper/bookingTime");
+const { refundBookingPayment } = require("../service/refund-service");
+const { restoreBookingCredit } = require("../service/package-service");
+const { releaseHolds } = require("../service/slot-hold-service");
+const {
+  OPEN_RESCHEDULE_STATUSES,
+  refundRescheduleFee,
+} = require("../service/reschedule-service");
+const {
+  getReliabilityPenalty,
+  applyReliabilityPenalty,
+  getRebookingSuggestions,
+} = require("../service/provider-cancellation-service");
+
+// Past these steps the visit is underway and can no longer be called off
+const RESTRICTED_TRACKING_STATUSES = ["SERVICE_STARTED", "COMPLETED"];
+
+/* ---------------- PROVIDER CANCEL BOOKING ---------------- */
+const cancelBookingByProvider = async (req, res) => {
+  const providerId = req.user.id;
+  const { bookingId } = req.params;
+
+  const { error, value } = providerCancelBookingSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  const { reason, reasonType, staffCallOffFee, paymentMethod } = value;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId: providerId },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: { id: bookingId, businessProfileId: business.id },
+      include: {
+        user: { select: { id: true, name: true, email: true } },
+        service: true,
+        slot: true,
+        cancellation: true,
+        StaffAssignBooking: {
+          where: { status: { in: ["PENDING", "ACCEPTED"] } },
+          include: {
+            assignedStaff: { select: { id: true, name: true, email: true } },
+          },
+        },
+        rescheduleRequests: {
+          where: { status: { in: OPEN_RESCHEDULE_STATUSES } },
+        },
+      },
+    });
+
+    /* ---------------- VALIDATIONS ---------------- */
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    if (booking.bookingStatus === "CANCELLED" || booking.cancellation) {
+      return res.status(409).json({
+        success: false,
+        msg: "Booking already cancelled.",
+      });
+    }
+
+    if (!["PENDING", "CONFIRMED"].includes(booking.bookingStatus)) {
+      return res.status(400).json({
+        success: false,
+        msg: `A ${booking.bookingStatus.toLowerCase()} booking cannot be cancelled.`,
+      });
+    }
+
+    if (RESTRICTED_TRACKING_STATUSES.includes(booking.trackingStatus)) {
+      return res.status(400).json({
+        success: false,
+        msg: "The service has already started and can no longer be cancelled.",
+      });
+    }
+
+    const acceptedAssignment = booking.StaffAssignBooking.find(
+      (assignment) => assignment.status === "ACCEPTED",
+    );
+
+    if (staffCallOffFee > 0 && !acceptedAssignment) {
+      return res.status(400).json({
+        success: false,
+        msg: "A call-off fee can only be paid to staff who accepted the job.",
+      });
+    }
+
+    if (staffCallOffFee > booking.totalAmount) {
+      return res.status(400).json({
+        success: false,
+        msg: "Call-off fee cannot exceed the booking amount.",
+      });
+    }
+
+    /* ---------------- REFUND & PENALTY ---------------- */
+    // Provider cancellations always refund the customer in full
+    const isPaid = booking.paymentStatus === "PAID";
+    const refundAmount = isPaid ? booking.totalAmount : 0;
+
+    const hoursBeforeService = Math.max(
+      0,
+      getHoursUntilService(booking.date, booking.slot?.time) ?? 0,
+    );
+    const penalty = getReliabilityPenalty(hoursBeforeService);
+    const reliabilityScore = applyReliabilityPenalty(
+      business.reliabilityScore,
+      penalty,
+    );
+
+    /* ---------------- DB TRANSACTION ---------------- */
+    const staffPayment = await prisma.$transaction(async (tx) => {
+      await tx.cancellation.create({
+        data: {
+          bookingId: booking.id,
+          requestedById: providerId,
+          reason,
+          reasonType,
+          status: "CANCELLED",
+          refundStatus: refundAmount > 0 ? "PENDING" : "CANCELLED",
+          refundAmount,
+          cancellationFee: 0,
+          feePercentage: 0,
+          hoursBeforeService: Math.floor(hoursBeforeService),
+          cancellationPolicy: booking.cancellationPolicy ?? undefined,
+          initiatedBy: "PROVIDER",
+          staffCallOffFee: staffCallOffFee || null,
+        },
+      });
+
+      await tx.booking.update({
+        where: { id: booking.id },
+        data: {
+          bookingStatus: "CANCELLED",
+          paymentStatus: isPaid ? "REFUNDED" : "CANCELLED",
+          providerEarnings: 0,
+          platformFee: 0,
+        },
+      });
+
+      await tx.staffAssignBooking.updateMany({
+        where: {
+          bookingId: booking.id,
+          status: { in: ["PENDING", "ACCEPTED"] },
+        },
+        data: { status: "CANCELLED" },
+      });
+
+      // Pending reschedules die with the booking
+      if (booking.rescheduleRequests.length > 0) {
+        await tx.rescheduleRequest.updateMany({
+          where: { id: { in: booking.rescheduleRequests.map((r) => r.id) } },
+          data: {
+            status: "REJECTED",
+            rejectionReason: "Booking cancelled by provider",
+            respondedById: providerId,
+            respondedAt: new Date(),
+          },
+        });
+        await releaseHolds(tx, { bookingId: booking.id });
+      }
+
+      await tx.businessProfile.update({
+        where: { id: business.id },
+        data: {
+          reliabilityScore,
+          providerCancellationCount: { increment: 1 },
+        },
+      });
+
+      if (staffCallOffFee <= 0) return null;
+
+      // Call-off fee is paid by the provider, the customer is refunded in full
+      const payment = await tx.staffPayment.create({
+        data: {
+          bookingId: booking.id,
+          staffId: acceptedAssignment.assignedStaffId,
+          providerId,
+          requestedAmount: staffCallOffFee,
+          percentage:
+            Math.round((staffCallOffFee / booking.totalAmount) * 10000) / 100,
+          staffAmount: staffCallOffFee,
+          paymentMethod,
+          stripeTransferId: null,
+          paidAt: new Date(),
+          status: "PAID",
+        },
+      });
+
+      await tx.booking.update({
+        where: { id: booking.id },
+        data: {
+          staffEarnings: staffCallOffFee,
+          staffPercentage: payment.percentage,
+          staffPaymentStatus: "PAID",
+          staffPaidAt: new Date(),
+        },
+      });
+
+      return payment;
+    });
+
+    /* ---------------- STRIPE REFUNDS ---------------- */
+    let refundResponse = null;
+    if (refundAmount > 0) {
+      refundResponse = await refundBookingPayment({
+        bookingId: booking.id,
+        amount: refundAmount,
+        metadata: {
+          userId: booking.userId,
+          cancelledBy: "provider",
+          reasonType,
+        },
+      });
+    }
+
+    for (const request of booking.rescheduleRequests) {
+      await refundRescheduleFee(request);
+    }
+
+    // Visits paid by a package credit get the credit back
+    if (booking.packagePurchaseId) {
+      await restoreBookingCredit(booking.id);
+    }
+
+    /* ---------------- CUSTOMER EMAIL & NOTIFICATION ---------------- */
+    const bookingDate = booking.date.split("T")[0];
+    const slotTime = booking.slot?.time || "N/A";
+
+    let suggestions = [];
+    try {
+      suggestions = await getRebookingSuggestions({
+        categoryId: booking.service.businessCategoryId,
+        excludeBusinessId: business.id,
+      });
+    } catch (err) {
+      console.error("Rebooking suggestions error:", err.message);
+    }
+
+    try {
+      await sendMail({
+        email: booking.user.email,
+        subject: `Your ${booking.service.name} booking was cancelled`,
+        template: providerCancelledBookingEmailTemplate({
+          userName: booking.user.name,
+          serviceName: booking.service.name,
+          businessName: business.businessName,
+          bookingDate,
+          slotTime,
+          reason,
+          refundAmount,
+          suggestions,
+        }),
+      });
+    } catch (err) {
+      console.error("Provider cancellation email error:", err.message);
+    }
+
+    await NotificationService.notifyUser({
+      receiverId: booking.userId,
+      senderId: providerId,
+      title: "Booking Cancelled by Provider",
+      body: `${business.businessName} cancelled your ${booking.service.name} booking on ${bookingDate}.${
+        refundAmount > 0
+          ? ` A full refund of ₹${refundAmount} is being processed.`
+          : ""
+      }`,
+      data: {
+        type: "BOOKING_CANCELLED_BY_PROVIDER",
+        bookingId: booking.id,
+      },
+    });
+
+    /* ---------------- STAFF NOTIFICATIONS ---------------- */
+    for (const assignment of booking.StaffAssignBooking) {
+      const isPaidStaff =
+        staffPayment && assignment.assignedStaffId === staffPayment.staffId;
+
+      await NotificationService.notifyUser({
+        receiverId: assignment.assignedStaffId,
+        senderId: providerId,
+        title: "Booking Cancelled by Provider",
+        body: `The ${booking.service.name} job on ${bookingDate} at ${slotTime} has been cancelled.${
+          isPaidStaff
+            ? ` You will receive a ₹${staffCallOffFee} call-off fee.`
+            : ""
+        }`,
+        data: {
+          type: "BOOKING_CANCELLED_BY_PROVIDER",
+          bookingId: booking.id,
+        },
+      });
+    }
+
+    if (staffPayment) {
+      try {
+        await sendMail({
+          email: acceptedAssignment.assignedStaff.email,
+          subject: `💵 Call-off Fee Received - ₹${staffCallOffFee} - Invoice`,
+          message: staffPaymentReceivedEmail(
+            acceptedAssignment.assignedStaff.name,
+            booking.service.name,
+            staffCallOffFee,
+            staffPayment.percentage,
+            booking.totalAmount,
+            "Manual Transfer",
+            new Date().toLocaleDateString(),
+            booking.id,
+            business.businessName,
+          ),
+          isHTML: true,
+        });
+      } catch (err) {
+        console.error("Call-off fee email error:", err.message);
+      }
+    }
+
+    /* ---------------- LOG ---------------- */
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: providerId,
+        actorType: req.user.role,
+        actionType: "BOOKING_CANCELLED_BY_PROVIDER",
+        status: "SUCCESS",
+        metadata: {
+          bookingId: booking.id,
+          serviceName: booking.service.name,
+          reason,
+          reasonType,
+          refundAmount,
+          hoursBeforeService: Math.floor(hoursBeforeService),
+          staffCallOffFee,
+          reliabilityPenalty: penalty,
+          reliabilityScore,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Booking cancelled and the customer is being refunded in full.",
+      data: {
+        bookingId: booking.id,
+        refundAmount,
+        refund: refundResponse,
+        staffCallOffFee,
+        staffPaymentId: staffPayment?.id || null,
+        reliabilityPenalty: penalty,
+        reliabilityScore,
+        suggestionsSent: suggestions.length,
+      },
+    });
+  } catch (error) {
+    console.error("cancelBookingByProvider error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not cancel booking.",
+    });
+  }
+};
+
+module.exports = {
+  cancelBookingByProvider,
+};
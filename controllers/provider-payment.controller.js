@@ -1,5 +1,12 @@
 const prisma = require("../prismaClient");
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const {
+  staffPayoutSettingsSchema,
+} = require("../helper/validation/staff-payout.validation");
+const {
+  MAX_PAYOUT_ATTEMPTS,
+  executeStaffPayouts,
+} = require("../service/staff-payout-service");
+const stripe = require("../config/stripe");
 
 /**
  * Get all payment requests for provider
@@ -273,6 +280,21 @@ const approvePaymentRequest = async (req, res) => {
       });
     }
 
+    // Already paid automatically, or queued for it
+    const existingPayment = await prisma.staffPayment.findFirst({
+      where: {
+        bookingId: paymentRequest.bookingId,
+        staffId: paymentRequest.staffId,
+        tipId: null,
+      },
+    });
+    if (existingPayment) {
+      return res.status(400).json({
+        success: false,
+        msg: "A payment for this booking already exists.",
+      });
+    }
+
     // 3. Get staff details
     const staff = await prisma.user.findUnique({
       where: { id: paymentRequest.staffId },
@@ -701,6 +723,164 @@ const getPaymentStats = async (req, res) => {
   }
 };
 
+/**
+ * Get automatic staff payout settings
+ */
+const getStaffPayoutSettings = async (req, res) => {
+  const providerId = req.user.id;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId: providerId },
+      select: { autoStaffPayout: true, staffPayoutDelayHours: true },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const failedPayouts = await prisma.staffPayment.count({
+      where: { providerId, isAutomatic: true, status: "FAILED" },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Staff payout settings fetched successfully.",
+      settings: business,
+      failedPayouts,
+    });
+  } catch (error) {
+    console.error("getStaffPayoutSettings error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch staff payout settings.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Switch automatic staff payouts on or off
+ */
+const updateStaffPayoutSettings = async (req, res) => {
+  const providerId = req.user.id;
+
+  try {
+    const { error, value } = staffPayoutSettingsSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId: providerId },
+      select: { id: true },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const settings = await prisma.businessProfile.update({
+      where: { id: business.id },
+      data: value,
+      select: { autoStaffPayout: true, staffPayoutDelayHours: true },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: providerId,
+        actorType: req.user.role,
+        actionType: "STAFF_PAYOUT_SETTINGS_UPDATED",
+        status: "SUCCESS",
+        metadata: { businessProfileId: business.id, changes: value },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Staff payout settings updated successfully.",
+      settings,
+    });
+  } catch (error) {
+    console.error("updateStaffPayoutSettings error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update staff payout settings.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retry an automatic staff payout that failed
+ */
+const retryStaffPayout = async (req, res) => {
+  const providerId = req.user.id;
+  const { paymentId } = req.params;
+
+  try {
+    const payment = await prisma.staffPayment.findFirst({
+      where: {
+        id: paymentId,
+        providerId,
+        isAutomatic: true,
+        status: "FAILED",
+      },
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        msg: "Failed payout not found.",
+      });
+    }
+
+    // Payouts that used up their attempts start over
+    await prisma.staffPayment.update({
+      where: { id: payment.id },
+      data: {
+        nextAttemptAt: null,
+        ...(payment.attempts >= MAX_PAYOUT_ATTEMPTS && { attempts: 0 }),
+      },
+    });
+
+    await executeStaffPayouts({ staffId: payment.staffId });
+
+    const updated = await prisma.staffPayment.findUnique({
+      where: { id: payment.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg:
+        updated.status === "PAID"
+          ? "Payout sent successfully."
+          : "Payout could not be sent yet.",
+      payment: updated,
+    });
+  } catch (error) {
+    console.error("retryStaffPayout error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not retry staff payout.",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Add manual bank account
  */
@@ -868,6 +1048,9 @@ module.exports = {
   rejectPaymentRequest,
   getPaymentHistory,
   getPaymentStats,
+  getStaffPayoutSettings,
+  updateStaffPayoutSettings,
+  retryStaffPayout,
   addBankAccount,
   getBankAccount,
   deleteBankAccount,
@@ -12,6 +12,16 @@ const {
   teamMemberSchema,
 } = require("../helper/validation/provider.validation");
 const { storeNotification } = require("./notification.controller");
+const {
+  autoAssignBookings,
+  getOfferExpiry,
+} = require("../service/staff-assignment-service");
+const { getSkillGaps } = require("../service/staff-skill-service");
+const {
+  BOOKING_INTERVAL_SELECT,
+  getBookingInterval,
+  getIntervalConflicts,
+} = require("../service/staff-availability-service");
 const { PaymentStatus } = require("@prisma/client");
 
 /* ---------------- BUSINESS ---------------- */
@@ -1526,6 +1536,10 @@ const updateBooking = async (req, res) => {
       console.error("Notification error:", notifyErr);
     }
 
+    if (normalizedStatus === "CONFIRMED") {
+      await autoAssignBookings([updatedBooking.id]);
+    }
+
     // create log
     await prisma.providerAdminActivityLog.create({
       data: {
@@ -2270,6 +2284,27 @@ const assignBookingToProvider = async (req, res) => {
       });
     }
 
+    // ----------------------------------
+    // Check Staff Skills for the Service
+    // ----------------------------------
+    const service = await prisma.service.findUnique({
+      where: { id: booking.serviceId },
+      select: { requiredSkills: true, requiredCertifications: true },
+    });
+    const skillGaps = (await getSkillGaps([staffId], service)).get(staffId);
+
+    if (skillGaps.length) {
+      return res.status(409).json({
+        success: false,
+        msg: `Staff member is not qualified for this service. ${skillGaps.join(". ")}.`,
+        availabilityConflict: {
+          type: "SKILLS",
+          reason: "Staff lacks the skills or certifications the service needs",
+          skillGaps,
+        },
+      });
+    }
+
     // ----------------------------------
     // COMPREHENSIVE STAFF AVAILABILITY CHECK
     // ----------------------------------
@@ -2294,23 +2329,7 @@ const assignBookingToProvider = async (req, res) => {
     // 2. Get booking details for further checks
     const bookingDetails = await prisma.booking.findUnique({
       where: { id: bookingId },
-      select: {
-        id: true,
-        date: true,
-        slotId: true,
-        slot: {
-          select: {
-            id: true,
-            time: true,
-          },
-        },
-        service: {
-          select: {
-            id: true,
-            durationInMinutes: true,
-          },
-        },
-      },
+      select: BOOKING_INTERVAL_SELECT,
     });
 
     if (!bookingDetails) {
@@ -2332,36 +2351,18 @@ const assignBookingToProvider = async (req, res) => {
       });
     }
 
-    // 4. Check for approved leave during the booking date
-    // Normalize dates to compare only the date parts (ignore time)
-    const bookingDateOnly = new Date(bookingDetails.date);
-    bookingDateOnly.setHours(0, 0, 0, 0);
-
-    const approvedLeave = await prisma.staffLeave.findFirst({
-      where: {
+    // 4. Check leave, weekly schedule and other jobs against the time the
+    // booking keeps staff busy, travel buffer included
+    const { schedule, leaves, clashes, isDayOff, outsideShift } =
+      await getIntervalConflicts(
         staffId,
-        status: "APPROVED",
-        // Check if booking date falls within leave period
-        // Leave start date should be before or on booking date
-        // Leave end date should be after or on booking date
-        AND: [
-          {
-            startDate: {
-              lte: new Date(
-                new Date(bookingDetails.date).setHours(23, 59, 59, 999),
-              ),
-            },
-          },
-          {
-            endDate: {
-              gte: new Date(new Date(bookingDetails.date).setHours(0, 0, 0, 0)),
-            },
-          },
-        ],
-      },
-    });
+        bookingDetails.date,
+        getBookingInterval(bookingDetails),
+        { excludeBookingId: bookingId },
+      );
 
-    if (approvedLeave) {
+    if (leaves.length > 0) {
+      const [approvedLeave] = leaves;
       return res.status(409).json({
         success: false,
         msg: `Staff member is on leave from ${new Date(
@@ -2375,6 +2376,8 @@ const assignBookingToProvider = async (req, res) => {
           leaveDetails: {
             startDate: approvedLeave.startDate,
             endDate: approvedLeave.endDate,
+            startTime: approvedLeave.startTime,
+            endTime: approvedLeave.endTime,
             leaveType: approvedLeave.leaveType,
           },
         },
@@ -2382,17 +2385,7 @@ const assignBookingToProvider = async (req, res) => {
     }
 
     // 5. Check weekly schedule (if configured)
-    const dayOfWeek = bookingDateOnly.getDay();
-    const weeklySchedule = await prisma.staffWeeklySchedule.findUnique({
-      where: {
-        staffId_dayOfWeek: {
-          staffId,
-          dayOfWeek,
-        },
-      },
-    });
-
-    if (weeklySchedule && !weeklySchedule.isAvailable) {
+    if (isDayOff) {
       return res.status(409).json({
         success: false,
         msg: `Staff member is not available on this day according to their weekly schedule.`,
@@ -2400,119 +2393,35 @@ const assignBookingToProvider = async (req, res) => {
           type: "WEEKLY_SCHEDULE",
           reason: "Staff is not available on this day",
           schedule: {
-            dayOfWeek: weeklySchedule.dayOfWeek,
-            isAvailable: weeklySchedule.isAvailable,
+            dayOfWeek: schedule.dayOfWeek,
+            isAvailable: schedule.isAvailable,
           },
         },
       });
     }
 
-    // 6. Check if booking time is within working hours (if weekly schedule is set)
-    if (
-      weeklySchedule &&
-      weeklySchedule.isAvailable &&
-      bookingDetails.slot?.time
-    ) {
-      const [bookingHour, bookingMinute] = bookingDetails.slot.time
-        .split(":")
-        .map(Number);
-      const [startHour, startMinute] = weeklySchedule.startTime
-        .split(":")
-        .map(Number);
-      const [endHour, endMinute] = weeklySchedule.endTime
-        .split(":")
-        .map(Number);
-
-      const bookingTimeMinutes = bookingHour * 60 + bookingMinute;
-      const startTimeMinutes = startHour * 60 + startMinute;
-      const endTimeMinutes = endHour * 60 + endMinute;
-
-      if (
-        bookingTimeMinutes < startTimeMinutes ||
-        bookingTimeMinutes > endTimeMinutes
-      ) {
-        return res.status(409).json({
-          success: false,
-          msg: `Booking time ${bookingDetails.slot.time} is outside staff's working hours (${weeklySchedule.startTime} - ${weeklySchedule.endTime}). Please choose a different time slot.`,
-          availabilityConflict: {
-            type: "WEEKLY_SCHEDULE_HOURS",
-            reason: "Booking time is outside working hours",
-            schedule: {
-              dayOfWeek: weeklySchedule.dayOfWeek,
-              startTime: weeklySchedule.startTime,
-              endTime: weeklySchedule.endTime,
-            },
+    // 6. Check the whole job fits within working hours
+    if (outsideShift) {
+      return res.status(409).json({
+        success: false,
+        msg: `Booking time ${bookingDetails.slot.time} is outside staff's working hours (${schedule.startTime} - ${schedule.endTime}). Please choose a different time slot.`,
+        availabilityConflict: {
+          type: "WEEKLY_SCHEDULE_HOURS",
+          reason: "Booking time is outside working hours",
+          schedule: {
+            dayOfWeek: schedule.dayOfWeek,
+            startTime: schedule.startTime,
+            endTime: schedule.endTime,
           },
-        });
-      }
+        },
+      });
     }
 
     // ----------------------------------
     // Check Time Conflicts with Existing Bookings
     // ----------------------------------
 
-    // Find existing bookings for this staff at the same date/time
-    const existingBookings = await prisma.booking.findMany({
-      where: {
-        businessProfileId: booking.businessProfileId,
-        StaffAssignBooking: {
-          some: {
-            assignedStaffId: staffId,
-          },
-        },
-        date: bookingDetails.date,
-        id: { not: bookingId }, // Exclude the current booking
-      },
-      include: {
-        StaffAssignBooking: {
-          where: {
-            assignedStaffId: staffId,
-          },
-        },
-        slot: true,
-        service: true,
-      },
-    });
-
-    // Check for time conflicts
-    const hasConflict = existingBookings.some((existingBooking) => {
-      // Check if booking is not completed
-      const isNotCompleted =
-        existingBooking.bookingStatus !== "COMPLETED" &&
-        existingBooking.trackingStatus !== "COMPLETED";
-
-      // If completed, no conflict
-      if (!isNotCompleted) {
-        return false;
-      }
-
-      // Check time overlap
-      const newBookingTime = bookingDetails.slot?.time || "00:00";
-      const existingBookingTime = existingBooking.slot?.time || "00:00";
-
-      // Parse times to minutes for comparison
-      const parseTime = (time) => {
-        const [hours, minutes] = time.split(":").map(Number);
-        return hours * 60 + minutes;
-      };
-
-      const newStartTime = parseTime(newBookingTime);
-      const newDuration = bookingDetails.service?.durationInMinutes || 60;
-      const newEndTime = newStartTime + newDuration;
-
-      const existingStartTime = parseTime(existingBookingTime);
-      const existingDuration = existingBooking.service?.durationInMinutes || 60;
-      const existingEndTime = existingStartTime + existingDuration;
-
-      // Check for time overlap
-      return (
-        (newStartTime >= existingStartTime && newStartTime < existingEndTime) ||
-        (newEndTime > existingStartTime && newEndTime <= existingEndTime) ||
-        (newStartTime <= existingStartTime && newEndTime >= existingEndTime)
-      );
-    });
-
-    if (hasConflict) {
+    if (clashes.length > 0) {
       return res.status(409).json({
         success: false,
         msg: "Staff member is already assigned to another booking at this time. Please choose a different staff member or time slot.",
@@ -2524,6 +2433,12 @@ const assignBookingToProvider = async (req, res) => {
     // Create Assignment Record with Payment Details
     // ----------------------------------
 
+    const { staffOfferTimeoutMinutes } =
+      await prisma.businessProfile.findUnique({
+        where: { id: booking.businessProfileId },
+        select: { staffOfferTimeoutMinutes: true },
+      });
+
     const assignment = await prisma.staffAssignBooking.create({
       data: {
         bookingId: booking.id,
@@ -2535,6 +2450,8 @@ const assignBookingToProvider = async (req, res) => {
         assignedStaffId: staffId,
 
         status: "PENDING",
+        // Staff accept or decline before the offer lapses
+        offerExpiresAt: getOfferExpiry(staffOfferTimeoutMinutes),
 
         // Staff payment configuration
         staffPaymentType: paymentType,
@@ -0,0 +1,881 @@
+const prisma = require("../prismaClient");
+const stripe = require("../config/stripe");
+const { storeNotification } = require("./notification.controller");
+const {
+  toBookingDate,
+  getSlotCapacity,
+} = require("../service/availability-service");
+const {
+  CHECKOUT_HOLD_MINUTES,
+  getSessionExpiresAt,
+  minutesFromNow,
+  attachCheckoutSession,
+} = require("../service/slot-hold-service");
+const {
+  resolveCancellationPolicy,
+} = require("../service/cancellation-policy-service");
+const { getBookingTax, toBookingTaxFields } = require("../service/tax-service");
+const { buildEstimate, isAcceptable } = require("../service/quote-service");
+const {
+  requestQuoteSchema,
+  quoteEstimateSchema,
+  acceptQuoteSchema,
+  declineQuoteSchema,
+} = require("../helper/validation/quote.validation");
+
+const QUOTE_STATUSES = [
+  "REQUESTED",
+  "QUOTED",
+  "ACCEPTED",
+  "BOOKED",
+  "DECLINED",
+  "CANCELLED",
+  "EXPIRED",
+];
+
+const today = () => toBookingDate(new Date().toISOString().split("T")[0]);
+
+const quoteInclude = {
+  service: { select: { id: true, name: true, coverImage: true } },
+  businessProfile: { select: { id: true, businessName: true } },
+  address: true,
+  slot: { select: { id: true, time: true } },
+  booking: {
+    select: {
+      id: true,
+      date: true,
+      bookingStatus: true,
+      paymentStatus: true,
+      paymentLink: true,
+    },
+  },
+};
+
+const listQuotes = async (where, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  const status = query.status?.toUpperCase();
+
+  if (QUOTE_STATUSES.includes(status)) {
+    where.status = status;
+  }
+
+  const [quotes, total] = await Promise.all([
+    prisma.quote.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: "desc" },
+      include: quoteInclude,
+    }),
+    prisma.quote.count({ where }),
+  ]);
+
+  return {
+    quotes,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/* ---------------- REQUEST QUOTE ---------------- */
+const requestQuote = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { error, value } = requestQuoteSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const service = await prisma.service.findUnique({
+      where: { id: value.serviceId },
+      include: { businessProfile: { select: { userId: true } } },
+    });
+    if (!service || !service.isActive || service.isRestricted) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found.",
+      });
+    }
+
+    if (service.pricingType !== "QUOTE") {
+      return res.status(400).json({
+        success: false,
+        msg: "This service has a fixed price. Please book it directly.",
+      });
+    }
+
+    const address = await prisma.address.findFirst({
+      where: { id: value.addressId, userId },
+    });
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        msg: "Address not found.",
+      });
+    }
+
+    if (value.slotId) {
+      const slot = await prisma.slot.findFirst({
+        where: {
+          id: value.slotId,
+          businessProfileId: service.businessProfileId,
+        },
+      });
+      if (!slot) {
+        return res.status(404).json({
+          success: false,
+          msg: "Slot does not exist.",
+        });
+      }
+    }
+
+    const preferredDate = value.preferredDate
+      ? toBookingDate(value.preferredDate)
+      : null;
+    if (preferredDate && preferredDate < today()) {
+      return res.status(400).json({
+        success: false,
+        msg: "preferredDate cannot be in the past.",
+      });
+    }
+
+    const quote = await prisma.quote.create({
+      data: {
+        userId,
+        serviceId: service.id,
+        businessProfileId: service.businessProfileId,
+        addressId: address.id,
+        details: value.details,
+        photos: value.photos,
+        preferredDate,
+        slotId: value.slotId || null,
+      },
+      include: quoteInclude,
+    });
+
+    await storeNotification(
+      "New Quote Request",
+      `${req.user.name} asked for a quote for ${service.name}.`,
+      service.businessProfile.userId,
+      userId,
+    );
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "QUOTE_REQUESTED",
+        status: "SUCCESS",
+        metadata: { quoteId: quote.id, serviceId: service.id },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Quote requested successfully.",
+      quote,
+    });
+  } catch (error) {
+    console.error("requestQuote error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not request quote.",
+    });
+  }
+};
+
+/* ---------------- CUSTOMER QUOTES ---------------- */
+const getCustomerQuotes = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { quotes, pagination } = await listQuotes({ userId }, req.query);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Quotes fetched successfully.",
+      quotes,
+      pagination,
+    });
+  } catch (error) {
+    console.error("getCustomerQuotes error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch quotes.",
+    });
+  }
+};
+
+const getCustomerQuoteById = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, userId },
+      include: quoteInclude,
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Quote fetched successfully.",
+      quote,
+    });
+  } catch (error) {
+    console.error("getCustomerQuoteById error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch quote.",
+    });
+  }
+};
+
+/* ---------------- ACCEPT QUOTE ---------------- */
+// Books the quoted job and starts a Stripe checkout for the quoted total;
+// the booking is confirmed by the regular checkout webhook
+const acceptQuote = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const { error, value } = acceptQuoteSchema.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, userId },
+      include: {
+        service: true,
+        businessProfile: true,
+        booking: true,
+      },
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    // Checkout already started: hand back the open payment link
+    if (
+      quote.status === "ACCEPTED" &&
+      quote.booking?.bookingStatus === "PENDING_PAYMENT" &&
+      quote.booking.paymentLink
+    ) {
+      return res.status(200).json({
+        success: true,
+        msg: "Quote already accepted. Please complete the payment.",
+        url: quote.booking.paymentLink,
+        bookingId: quote.booking.id,
+        totalAmount: quote.totalAmount,
+      });
+    }
+
+    if (!isAcceptable(quote)) {
+      return res.status(400).json({
+        success: false,
+        msg:
+          quote.status === "QUOTED" || quote.status === "ACCEPTED"
+            ? "This estimate has expired. Please request a new quote."
+            : "This quote cannot be accepted.",
+      });
+    }
+
+    const date = value.date ? toBookingDate(value.date) : quote.preferredDate;
+    const slotId = value.slotId || quote.slotId;
+    if (!date || !slotId) {
+      return res.status(400).json({
+        success: false,
+        msg: "Please choose a date and slot for the visit.",
+      });
+    }
+
+    if (date < today()) {
+      return res.status(400).json({
+        success: false,
+        msg: "date cannot be in the past.",
+      });
+    }
+
+    const slot = await prisma.slot.findFirst({
+      where: { id: slotId, businessProfileId: quote.businessProfileId },
+    });
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        msg: "Slot does not exist.",
+      });
+    }
+
+    if (quote.totalAmount < 50) {
+      return res.status(400).json({
+        success: false,
+        msg: "Minimum payment amount must be ₹50",
+      });
+    }
+
+    /* ---------- RESERVE BOOKING ---------- */
+    const holdExpiresAt = minutesFromNow(CHECKOUT_HOLD_MINUTES);
+
+    let booking;
+    try {
+      booking = await prisma.$transaction(
+        async (tx) => {
+          // Lost the race against another accept of the same quote
+          const current = await tx.quote.findUnique({
+            where: { id: quote.id },
+            select: { status: true, bookingId: true, expiresAt: true },
+          });
+          if (!isAcceptable(current)) {
+            throw new Error("This quote cannot be accepted.");
+          }
+
+          const capacity = await getSlotCapacity(tx, {
+            serviceId: quote.serviceId,
+            slotId,
+            date,
+            excludeUserId: userId,
+          });
+          if (!capacity || capacity.remaining <= 0) {
+            const slotFullError = new Error(
+              `Slot ${slot.time} is full for ${quote.service.name}`,
+            );
+            slotFullError.isCapacityError = true;
+            throw slotFullError;
+          }
+
+          const created = await tx.booking.create({
+            data: {
+              addressId: quote.addressId,
+              userId,
+              serviceId: quote.serviceId,
+              businessProfileId: quote.businessProfileId,
+              slotId,
+              date,
+              totalAmount: quote.totalAmount, // Quoted amount, incl. GST
+              ...toBookingTaxFields(quote.tax),
+              servicePrice: quote.amount,
+              durationInMinutes: quote.service.durationInMinutes,
+              bookingStatus: "PENDING_PAYMENT",
+              paymentStatus: "PENDING",
+              expiresAt: holdExpiresAt, // Extended while the Stripe session is open
+              cancellationPolicy: resolveCancellationPolicy(
+                quote.businessProfile,
+                quote.service,
+              ),
+            },
+          });
+
+          // Same seat hold a cart checkout would have
+          await tx.slotHold.create({
+            data: {
+              userId,
+              serviceId: quote.serviceId,
+              slotId,
+              date,
+              bookingId: created.id,
+              status: "CHECKOUT",
+              expiresAt: holdExpiresAt,
+            },
+          });
+
+          await tx.quote.update({
+            where: { id: quote.id },
+            data: {
+              status: "ACCEPTED",
+              acceptedAt: quote.acceptedAt || new Date(),
+              bookingId: created.id,
+            },
+          });
+
+          return created;
+        },
+        {
+          isolationLevel: "Serializable",
+          timeout: 10000,
+        },
+      );
+    } catch (transactionError) {
+      console.error("Quote reservation failed:", transactionError.message);
+
+      return res.status(409).json({
+        success: false,
+        msg: transactionError.isCapacityError
+          ? `${transactionError.message}. Please choose another available slot.`
+          : "This quote cannot be accepted right now. Please try again.",
+      });
+    }
+
+    /* ---------- CREATE PAYMENT RECORD ---------- */
+    const paymentRecord = await prisma.customerPayment.create({
+      data: {
+        userId,
+        addressId: quote.addressId,
+        amount: quote.totalAmount,
+        taxAmount: quote.taxAmount,
+        status: "PENDING",
+        bookingIds: JSON.stringify([booking.id]),
+      },
+    });
+
+    /* ---------- STRIPE CHECKOUT ---------- */
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      payment_intent_data: { transfer_group: paymentRecord.id },
+      expires_at: getSessionExpiresAt(),
+      metadata: {
+        userId,
+        addressId: quote.addressId,
+        paymentId: paymentRecord.id,
+        bookingIds: JSON.stringify([booking.id]),
+        dbCart: JSON.stringify([]),
+        quoteId: quote.id,
+      },
+      line_items: [
+        {
+          price_data: {
+            currency: "inr",
+            product_data: {
+              name: `${quote.service.name} (quoted)`,
+              ...(quote.taxAmount > 0 && {
+                description: `Includes ₹${quote.taxAmount} GST`,
+              }),
+            },
+            unit_amount: quote.totalAmount * 100,
+          },
+          quantity: 1,
+        },
+      ],
+      success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: process.env.FRONTEND_CANCEL_URL,
+    });
+
+    /* ---------- LINK SESSION TO PAYMENT & HOLD ---------- */
+    await prisma.customerPayment.update({
+      where: { id: paymentRecord.id },
+      data: { stripeSessionId: session.id },
+    });
+
+    await attachCheckoutSession([booking.id], {
+      paymentId: paymentRecord.id,
+      sessionId: session.id,
+    });
+
+    await prisma.booking.updateMany({
+      where: { id: booking.id, bookingStatus: "PENDING_PAYMENT" },
+      data: { paymentLink: session.url },
+    });
+
+    await storeNotification(
+      "Quote Accepted",
+      `Your estimate for ${quote.service.name} was accepted and is awaiting payment.`,
+      quote.businessProfile.userId,
+      userId,
+    );
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "QUOTE_ACCEPTED",
+        status: "SUCCESS",
+        metadata: {
+          quoteId: quote.id,
+          bookingId: booking.id,
+          paymentId: paymentRecord.id,
+          totalAmount: quote.totalAmount,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Quote accepted. Please complete the payment.",
+      url: session.url,
+      bookingId: booking.id,
+      holdExpiresAt,
+      totalAmount: quote.totalAmount,
+    });
+  } catch (error) {
+    console.error("acceptQuote error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not accept quote.",
+    });
+  }
+};
+
+/* ---------------- DECLINE / CANCEL QUOTE ---------------- */
+// Withdraws an open request, or turns down the estimate once it is sent
+const declineQuote = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const { error, value } = declineQuoteSchema.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, userId },
+      include: {
+        service: { select: { name: true } },
+        businessProfile: { select: { userId: true } },
+      },
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    if (!["REQUESTED", "QUOTED"].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        msg: "Only open quotes can be declined.",
+      });
+    }
+
+    const status = quote.status === "REQUESTED" ? "CANCELLED" : "DECLINED";
+
+    const updated = await prisma.quote.update({
+      where: { id: quote.id },
+      data: { status, declineReason: value.reason || null },
+      include: quoteInclude,
+    });
+
+    await storeNotification(
+      status === "CANCELLED" ? "Quote Request Withdrawn" : "Estimate Declined",
+      `The customer ${
+        status === "CANCELLED"
+          ? "withdrew the quote request"
+          : "declined your estimate"
+      } for ${quote.service.name}.`,
+      quote.businessProfile.userId,
+      userId,
+    );
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType:
+          status === "CANCELLED" ? "QUOTE_CANCELLED" : "QUOTE_DECLINED",
+        status: "SUCCESS",
+        metadata: { quoteId: quote.id },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg:
+        status === "CANCELLED"
+          ? "Quote request withdrawn successfully."
+          : "Estimate declined successfully.",
+      quote: updated,
+    });
+  } catch (error) {
+    console.error("declineQuote error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not decline quote.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER QUOTES ---------------- */
+const getProviderQuotes = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const { quotes, pagination } = await listQuotes(
+      { businessProfileId: business.id },
+      req.query,
+    );
+
+    return res.status(200).json({
+      success: true,
+      msg: "Quotes fetched successfully.",
+      quotes,
+      pagination,
+    });
+  } catch (error) {
+    console.error("getProviderQuotes error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch quotes.",
+    });
+  }
+};
+
+const getProviderQuoteById = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, businessProfile: { userId } },
+      include: {
+        ...quoteInclude,
+        user: { select: { id: true, name: true, email: true, mobile: true } },
+      },
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Quote fetched successfully.",
+      quote,
+    });
+  } catch (error) {
+    console.error("getProviderQuoteById error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch quote.",
+    });
+  }
+};
+
+/* ---------------- SEND ESTIMATE ---------------- */
+// Estimates can be revised until the customer accepts one
+const sendQuoteEstimate = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const { error, value } = quoteEstimateSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, businessProfile: { userId } },
+      include: { service: true, businessProfile: true, address: true },
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    if (!["REQUESTED", "QUOTED", "EXPIRED"].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        msg: "This quote can no longer be estimated.",
+      });
+    }
+
+    const { items, amount } = buildEstimate(value.items);
+
+    // GST follows the service's pricing, as for fixed-price bookings
+    const tax = await getBookingTax({
+      service: quote.service,
+      business: quote.businessProfile,
+      address: quote.address,
+      amount,
+    });
+
+    const quotedAt = new Date();
+    const expiresAt = new Date(
+      quotedAt.getTime() + value.validForDays * 24 * 60 * 60 * 1000,
+    );
+
+    const updated = await prisma.quote.update({
+      where: { id: quote.id },
+      data: {
+        status: "QUOTED",
+        items,
+        amount,
+        tax,
+        taxAmount: tax.taxAmount,
+        totalAmount: tax.totalAmount,
+        providerNotes: value.notes || null,
+        quotedAt,
+        expiresAt,
+      },
+      include: quoteInclude,
+    });
+
+    await storeNotification(
+      "Estimate Received",
+      `${quote.businessProfile.businessName} sent an estimate of ₹${tax.totalAmount} for ${quote.service.name}. It is valid until ${expiresAt.toDateString()}.`,
+      quote.userId,
+      userId,
+    );
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "QUOTE_ESTIMATE_SENT",
+        status: "SUCCESS",
+        metadata: {
+          quoteId: quote.id,
+          amount,
+          totalAmount: tax.totalAmount,
+          expiresAt,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Estimate sent successfully.",
+      quote: updated,
+    });
+  } catch (error) {
+    console.error("sendQuoteEstimate error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not send estimate.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER DECLINE ---------------- */
+const declineQuoteRequest = async (req, res) => {
+  const userId = req.user.id;
+  const { quoteId } = req.params;
+
+  try {
+    const { error, value } = declineQuoteSchema.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const quote = await prisma.quote.findFirst({
+      where: { id: quoteId, businessProfile: { userId } },
+      include: {
+        service: { select: { name: true } },
+        businessProfile: { select: { businessName: true } },
+      },
+    });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        msg: "Quote not found.",
+      });
+    }
+
+    if (!["REQUESTED", "QUOTED"].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        msg: "Only open quotes can be declined.",
+      });
+    }
+
+    const updated = await prisma.quote.update({
+      where: { id: quote.id },
+      data: { status: "DECLINED", declineReason: value.reason || null },
+      include: quoteInclude,
+    });
+
+    await storeNotification(
+      "Quote Declined",
+      `${quote.businessProfile.businessName} cannot take on your ${
+        quote.service.name
+      } request${value.reason ? `: ${value.reason}` : "."}`,
+      quote.userId,
+      userId,
+    );
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "QUOTE_DECLINED",
+        status: "SUCCESS",
+        metadata: { quoteId: quote.id, reason: value.reason || null },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Quote request declined successfully.",
+      quote: updated,
+    });
+  } catch (error) {
+    console.error("declineQuoteRequest error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not decline quote.",
+    });
+  }
+};
+
+module.exports = {
+  requestQuote,
+  getCustomerQuotes,
+  getCustomerQuoteById,
+  acceptQuote,
+  declineQuote,
+  getProviderQuotes,
+  getProviderQuoteById,
+  sendQuoteEstimate,
+  declineQuoteRequest,
+};
@@ -0,0 +1,472 @@
+const prisma = require("../prismaClient");
+const stripe = require("../config/stripe");
+const {
+  RecurringBookingValidation,
+  RescheduleOccurrenceValidation,
+} = require("../helper/validation/recurringBooking.validation");
+const {
+  getSlotCapacity,
+  toBookingDate,
+} = require("../service/availability-service");
+const {
+  EDITABLE_OCCURRENCE_STATUSES,
+  toRRule,
+  getOrCreateStripeCustomer,
+  activateRecurringBooking,
+} = require("../service/recurring-booking-service");
+
+const today = () => toBookingDate(new Date().toISOString().split("T")[0]);
+
+/* ---------------- CREATE RECURRING BOOKING ---------------- */
+const createRecurringBooking = async (req, res) => {
+  const userId = req.user.id;
+
+  const { error, value } = RecurringBookingValidation.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  const {
+    serviceId,
+    businessId,
+    slotId,
+    addressId,
+    frequency,
+    byWeekday,
+    byMonthDay,
+    startDate,
+    endDate,
+    occurrenceCount,
+    useNewCard,
+  } = value;
+
+  if (toBookingDate(startDate) < today()) {
+    return res.status(400).json({
+      success: false,
+      msg: "startDate cannot be in the past.",
+    });
+  }
+
+  if (endDate && endDate < startDate) {
+    return res.status(400).json({
+      success: false,
+      msg: "endDate must be on or after startDate.",
+    });
+  }
+
+  if (
+    frequency === "MONTHLY" ? byWeekday !== undefined : byMonthDay !== undefined
+  ) {
+    return res.status(400).json({
+      success: false,
+      msg:
+        frequency === "MONTHLY"
+          ? "byWeekday is only supported for weekly schedules."
+          : "byMonthDay is only supported for monthly schedules.",
+    });
+  }
+
+  try {
+    // ==== Check service, slot & address ====
+    const service = await prisma.service.findFirst({
+      where: { id: serviceId, businessProfileId: businessId },
+    });
+    if (!service || !service.isActive || service.isRestricted) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found.",
+      });
+    }
+
+    if (service.pricingType === "QUOTE") {
+      return res.status(400).json({
+        success: false,
+        msg: "Quote-based services cannot be booked as a series.",
+      });
+    }
+
+    const slot = await prisma.slot.findFirst({
+      where: { id: slotId, businessProfileId: businessId },
+    });
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        msg: "Slot does not exist.",
+      });
+    }
+
+    const address = await prisma.address.findFirst({
+      where: { id: addressId, userId },
+    });
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        msg: "Address not found.",
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    // ==== Create series ====
+    // Fortnightly is a weekly rule every second week
+    const series = await prisma.recurringBooking.create({
+      data: {
+        userId,
+        serviceId,
+        businessProfileId: businessId,
+        slotId,
+        addressId,
+        frequency: frequency === "MONTHLY" ? "MONTHLY" : "WEEKLY",
+        interval: frequency === "FORTNIGHTLY" ? 2 : value.interval,
+        byWeekday,
+        byMonthDay,
+        startDate: toBookingDate(startDate),
+        endDate: endDate ? toBookingDate(endDate) : null,
+        occurrenceCount,
+      },
+    });
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "RECURRING_BOOKING_CREATED",
+        status: "SUCCESS",
+        serviceId,
+        metadata: { recurringBookingId: series.id, rrule: toRRule(series) },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    // ==== Reuse the card saved by an earlier series ====
+    if (user.stripeCustomerId && user.stripePaymentMethodId && !useNewCard) {
+      const activated = await activateRecurringBooking(
+        series.id,
+        user.stripePaymentMethodId,
+      );
+
+      return res.status(201).json({
+        success: true,
+        msg: "Recurring booking created successfully.",
+        recurringBooking: { ...activated, rrule: toRRule(activated) },
+      });
+    }
+
+    // ==== Save a card for off-session charges ====
+    const customerId = await getOrCreateStripeCustomer(user);
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "setup",
+      customer: customerId,
+      payment_method_types: ["card"],
+      metadata: {
+        type: "recurring_booking_setup",
+        recurringBookingId: series.id,
+        userId,
+      },
+      success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: process.env.FRONTEND_CANCEL_URL,
+    });
+
+    await prisma.recurringBooking.update({
+      where: { id: series.id },
+      data: { setupSessionId: session.id },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Recurring booking created. Save a card to activate it.",
+      url: session.url,
+      recurringBooking: { ...series, rrule: toRRule(series) },
+    });
+  } catch (error) {
+    console.error("createRecurringBooking error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not create recurring booking.",
+    });
+  }
+};
+
+/* ---------------- GET RECURRING BOOKINGS ---------------- */
+const getRecurringBookings = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const series = await prisma.recurringBooking.findMany({
+      where: { userId },
+      include: {
+        service: { select: { id: true, name: true, price: true } },
+        businessProfile: { select: { id: true, businessName: true } },
+        slot: { select: { id: true, time: true } },
+        occurrences: {
+          where: { date: { gte: today() } },
+          orderBy: { date: "asc" },
+          include: { slot: { select: { id: true, time: true } } },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Recurring bookings fetched successfully.",
+      recurringBookings: series.map((s) => ({ ...s, rrule: toRRule(s) })),
+    });
+  } catch (error) {
+    console.error("getRecurringBookings error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch recurring bookings.",
+    });
+  }
+};
+
+/* ---------------- CANCEL RECURRING BOOKING ---------------- */
+const cancelRecurringBooking = async (req, res) => {
+  const userId = req.user.id;
+  const { recurringBookingId } = req.params;
+
+  try {
+    const series = await prisma.recurringBooking.findFirst({
+      where: { id: recurringBookingId, userId },
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        msg: "Recurring booking not found.",
+      });
+    }
+
+    if (series.status === "CANCELLED") {
+      return res.status(400).json({
+        success: false,
+        msg: "Recurring booking is already cancelled.",
+      });
+    }
+
+    // Already charged visits stay booked and follow the normal cancellation flow
+    await prisma.$transaction([
+      prisma.recurringBooking.update({
+        where: { id: series.id },
+        data: { status: "CANCELLED", cancelledAt: new Date() },
+      }),
+      prisma.recurringOccurrence.updateMany({
+        where: {
+          recurringBookingId: series.id,
+          status: { in: EDITABLE_OCCURRENCE_STATUSES },
+        },
+        data: { status: "CANCELLED" },
+      }),
+    ]);
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "RECURRING_BOOKING_CANCELLED",
+        status: "SUCCESS",
+        serviceId: series.serviceId,
+        metadata: { recurringBookingId: series.id },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Recurring booking cancelled. Already confirmed visits are not affected.",
+    });
+  } catch (error) {
+    console.error("cancelRecurringBooking error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not cancel recurring booking.",
+    });
+  }
+};
+
+/* ---------------- FIND EDITABLE OCCURRENCE ---------------- */
+const findEditableOccurrence = async (req, res) => {
+  const { recurringBookingId, occurrenceId } = req.params;
+
+  const occurrence = await prisma.recurringOccurrence.findFirst({
+    where: {
+      id: occurrenceId,
+      recurringBookingId,
+      recurringBooking: { userId: req.user.id },
+    },
+    include: { recurringBooking: true },
+  });
+
+  if (!occurrence) {
+    res.status(404).json({
+      success: false,
+      msg: "Occurrence not found.",
+    });
+    return null;
+  }
+
+  if (!EDITABLE_OCCURRENCE_STATUSES.includes(occurrence.status)) {
+    res.status(400).json({
+      success: false,
+      msg:
+        occurrence.status === "BOOKED"
+          ? "This visit is already booked. Cancel it from your bookings instead."
+          : `Occurrence is already ${occurrence.status.toLowerCase()}.`,
+    });
+    return null;
+  }
+
+  return occurrence;
+};
+
+/* ---------------- SKIP OCCURRENCE ---------------- */
+const skipOccurrence = async (req, res) => {
+  try {
+    const occurrence = await findEditableOccurrence(req, res);
+    if (!occurrence) return;
+
+    const skipped = await prisma.recurringOccurrence.update({
+      where: { id: occurrence.id },
+      data: { status: "SKIPPED" },
+    });
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: req.user.id,
+        actionType: "RECURRING_OCCURRENCE_SKIPPED",
+        status: "SUCCESS",
+        serviceId: occurrence.recurringBooking.serviceId,
+        metadata: {
+          recurringBookingId: occurrence.recurringBookingId,
+          occurrenceId: occurrence.id,
+          date: occurrence.date,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Occurrence skipped.",
+      occurrence: skipped,
+    });
+  } catch (error) {
+    console.error("skipOccurrence error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not skip occurrence.",
+    });
+  }
+};
+
+/* ---------------- RESCHEDULE OCCURRENCE ---------------- */
+const rescheduleOccurrence = async (req, res) => {
+  const { error, value } = RescheduleOccurrenceValidation.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const occurrence = await findEditableOccurrence(req, res);
+    if (!occurrence) return;
+
+    const series = occurrence.recurringBooking;
+    const date = toBookingDate(value.date);
+    const slotId = value.slotId || occurrence.slotId || series.slotId;
+
+    if (date < today()) {
+      return res.status(400).json({
+        success: false,
+        msg: "Cannot reschedule to a past date.",
+      });
+    }
+
+    const slot = await prisma.slot.findFirst({
+      where: { id: slotId, businessProfileId: series.businessProfileId },
+    });
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        msg: "Slot does not exist.",
+      });
+    }
+
+    const capacity = await getSlotCapacity(prisma, {
+      serviceId: series.serviceId,
+      slotId,
+      date,
+      excludeUserId: req.user.id,
+    });
+
+    if (!capacity || capacity.remaining <= 0) {
+      return res.status(409).json({
+        success: false,
+        msg: `Slot ${slot.time} is fully booked on this date. Please choose another slot.`,
+        availability: capacity,
+      });
+    }
+
+    const rescheduled = await prisma.recurringOccurrence.update({
+      where: { id: occurrence.id },
+      data: {
+        date,
+        slotId,
+        status: "SCHEDULED",
+        chargeAttempts: 0,
+        failureReason: null,
+      },
+    });
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: req.user.id,
+        actionType: "RECURRING_OCCURRENCE_RESCHEDULED",
+        status: "SUCCESS",
+        serviceId: series.serviceId,
+        metadata: {
+          recurringBookingId: series.id,
+          occurrenceId: occurrence.id,
+          from: { date: occurrence.date, slotId: occurrence.slotId },
+          to: { date, slotId },
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Occurrence rescheduled.",
+      occurrence: rescheduled,
+    });
+  } catch (error) {
+    console.error("rescheduleOccurrence error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not reschedule occurrence.",
+    });
+  }
+};
+
+module.exports = {
+  createRecurringBooking,
+  getRecurringBookings,
+  cancelRecurringBooking,
+  skipOccurrence,
+  rescheduleOccurrence,
+};
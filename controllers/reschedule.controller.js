@@ -0,0 +1,793 @@
+const prisma = require("../prismaClient");
+const stripe = require("../config/stripe");
+const { sendMail } = require("../utils/sendmail");
+const NotificationService = require("../service/notification-service");
+const { logUserActivity, LogStatus } = require("../utils/logger");
+const {
+  RescheduleBookingValidation,
+} = require("../helper/validation/reschedule.validation");
+const {
+  bookingRescheduleEmailTemplate,
+} = require("../helper/mail-tamplates/tamplates");
+const {
+  getServiceStartTime,
+  getHoursUntilService,
+} = require("../helper/bookingTime");
+const {
+  getSlotCapacity,
+  toBookingDate,
+} = require("../service/availability-service");
+const {
+  CHECKOUT_SESSION_MINUTES,
+  minutesFromNow,
+  getSessionExpiresAt,
+  convertHolds,
+  releaseHolds,
+} = require("../service/slot-hold-service");
+const {
+  OPEN_RESCHEDULE_STATUSES,
+  getRescheduleQuote,
+  getResponseDeadline,
+  refundRescheduleFee,
+} = require("../service/reschedule-service");
+const { getSkillGaps } = require("../service/staff-skill-service");
+const {
+  BOOKING_INTERVAL_SELECT,
+  getBookingInterval,
+  getIntervalConflicts,
+} = require("../service/staff-availability-service");
+
+/* ---------------- HELPERS ---------------- */
+const formatDay = (date) => String(date).split("T")[0];
+
+const sendRescheduleMail = async (email, details) => {
+  try {
+    await sendMail({
+      email,
+      subject: details.heading,
+      template: bookingRescheduleEmailTemplate(details),
+    });
+  } catch (err) {
+    console.error("Reschedule email error:", err.message);
+  }
+};
+
+const rescheduleInclude = {
+  booking: {
+    include: {
+      user: { select: { id: true, name: true, email: true } },
+      service: { select: { id: true, name: true } },
+      slot: { select: { id: true, time: true } },
+      businessProfile: {
+        select: { id: true, businessName: true, userId: true },
+      },
+      StaffAssignBooking: {
+        where: { status: { in: ["PENDING", "ACCEPTED"] } },
+      },
+    },
+  },
+  fromSlot: { select: { id: true, time: true } },
+  toSlot: { select: { id: true, time: true } },
+};
+
+/* ---------------- CUSTOMER: REQUEST RESCHEDULE ---------------- */
+const rescheduleBooking = async (req, res) => {
+  const customerId = req.user.id;
+  const { bookingId } = req.params;
+
+  const { error, value } = RescheduleBookingValidation.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  const { slotId, reason } = value;
+  const toDate = toBookingDate(value.date);
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        service: true,
+        slot: true,
+        user: { select: { id: true, name: true, email: true } },
+        businessProfile: { include: { user: true } },
+      },
+    });
+
+    /* ---------------- VALIDATIONS ---------------- */
+    if (!booking || booking.userId !== customerId) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found or not owned by you.",
+      });
+    }
+
+    if (
+      booking.bookingStatus !== "CONFIRMED" ||
+      booking.trackingStatus !== "NOT_STARTED"
+    ) {
+      return res.status(400).json({
+        success: false,
+        msg: "Only confirmed bookings that have not started can be rescheduled.",
+      });
+    }
+
+    const openRequest = await prisma.rescheduleRequest.findFirst({
+      where: { bookingId, status: { in: OPEN_RESCHEDULE_STATUSES } },
+    });
+
+    if (openRequest) {
+      return res.status(409).json({
+        success: false,
+        msg: "A reschedule request for this booking is already in progress.",
+        request: openRequest,
+      });
+    }
+
+    const toSlot = await prisma.slot.findFirst({
+      where: { id: slotId, businessProfileId: booking.businessProfileId },
+    });
+
+    if (!toSlot) {
+      return res.status(404).json({
+        success: false,
+        msg: "Slot does not exist.",
+      });
+    }
+
+    if (toDate === booking.date && slotId === booking.slotId) {
+      return res.status(400).json({
+        success: false,
+        msg: "The booking is already scheduled for this date and slot.",
+      });
+    }
+
+    const newStart = getServiceStartTime(toDate, toSlot.time);
+    if (!newStart || newStart <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        msg: "Please choose a future date and slot.",
+      });
+    }
+
+    /* ---------------- FEE WINDOW ---------------- */
+    const hoursBeforeService = getHoursUntilService(
+      booking.date,
+      booking.slot?.time,
+    );
+
+    if (hoursBeforeService === null || hoursBeforeService <= 0) {
+      return res.status(400).json({
+        success: false,
+        msg: "Service has already started or passed.",
+      });
+    }
+
+    const quote = getRescheduleQuote(
+      booking.businessProfile,
+      booking.totalAmount,
+      hoursBeforeService,
+    );
+
+    if (!quote.allowed) {
+      return res.status(400).json({
+        success: false,
+        msg: `Bookings cannot be rescheduled within ${quote.cutoffHours} hours of the service.`,
+        quote,
+      });
+    }
+
+    const needsPayment = quote.rescheduleFee > 0;
+    const expiresAt = needsPayment
+      ? minutesFromNow(CHECKOUT_SESSION_MINUTES)
+      : getResponseDeadline(
+          getServiceStartTime(booking.date, booking.slot?.time),
+        );
+
+    /* ---------------- CAPACITY CHECK & HOLD ---------------- */
+    let request;
+    try {
+      request = await prisma.$transaction(
+        async (tx) => {
+          const capacity = await getSlotCapacity(tx, {
+            serviceId: booking.serviceId,
+            slotId,
+            date: toDate,
+            excludeUserId: customerId,
+          });
+
+          if (!capacity || capacity.remaining <= 0) {
+            const slotFullError = new Error("Slot is full");
+            slotFullError.isCapacityError = true;
+            slotFullError.availability = capacity;
+            throw slotFullError;
+          }
+
+          const created = await tx.rescheduleRequest.create({
+            data: {
+              bookingId,
+              businessProfileId: booking.businessProfileId,
+              requestedById: customerId,
+              fromDate: booking.date,
+              fromSlotId: booking.slotId,
+              toDate,
+              toSlotId: slotId,
+              reason,
+              status: needsPayment ? "AWAITING_PAYMENT" : "PENDING",
+              hoursBeforeService: Math.floor(hoursBeforeService),
+              feePercentage: quote.feePercentage,
+              rescheduleFee: quote.rescheduleFee,
+              feeStatus: needsPayment ? "PENDING" : null,
+              expiresAt,
+            },
+          });
+
+          // Keep the new seat while the provider decides
+          await tx.slotHold.create({
+            data: {
+              userId: customerId,
+              serviceId: booking.serviceId,
+              slotId,
+              date: toDate,
+              bookingId,
+              expiresAt,
+            },
+          });
+
+          return created;
+        },
+        { isolationLevel: "Serializable" },
+      );
+    } catch (holdError) {
+      return res.status(409).json({
+        success: false,
+        msg: holdError.isCapacityError
+          ? `Slot ${toSlot.time} is fully booked on ${value.date}. Please choose another slot.`
+          : "This time slot was just taken by someone else. Please choose another slot.",
+        availability: holdError.availability || null,
+      });
+    }
+
+    /* ---------------- RESCHEDULE FEE CHECKOUT ---------------- */
+    let paymentUrl = null;
+    if (needsPayment) {
+      const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        expires_at: getSessionExpiresAt(),
+        metadata: {
+          type: "reschedule_fee",
+          rescheduleRequestId: request.id,
+          bookingId,
+          userId: customerId,
+        },
+        line_items: [
+          {
+            price_data: {
+              currency: "inr",
+              product_data: {
+                name: `Reschedule fee - ${booking.service.name}`,
+              },
+              unit_amount: quote.rescheduleFee * 100,
+            },
+            quantity: 1,
+          },
+        ],
+        success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: process.env.FRONTEND_CANCEL_URL,
+      });
+
+      // The session outlives the hold set above; keep both open until it ends
+      const sessionExpiresAt = new Date(session.expires_at * 1000);
+      [request] = await prisma.$transaction([
+        prisma.rescheduleRequest.update({
+          where: { id: request.id },
+          data: { feeSessionId: session.id, expiresAt: sessionExpiresAt },
+        }),
+        prisma.slotHold.updateMany({
+          where: { bookingId, status: "ACTIVE" },
+          data: { expiresAt: sessionExpiresAt },
+        }),
+      ]);
+      paymentUrl = session.url;
+    } else {
+      await NotificationService.notifyUser({
+        receiverId: booking.businessProfile.userId,
+        senderId: customerId,
+        title: "Reschedule Requested",
+        body: `${booking.user.name} wants to move their ${booking.service.name} booking to ${value.date} at ${toSlot.time}. Please accept or reject the request.`,
+        data: { type: "BOOKING_RESCHEDULE_REQUESTED", requestId: request.id },
+      });
+    }
+
+    const mailDetails = {
+      serviceName: booking.service.name,
+      businessName: booking.businessProfile.businessName,
+      fromDate: formatDay(booking.date),
+      fromTime: booking.slot?.time || "Not Assigned",
+      toDate: value.date,
+      toTime: toSlot.time,
+      rescheduleFee: quote.rescheduleFee,
+      reason,
+    };
+
+    await sendRescheduleMail(booking.user.email, {
+      ...mailDetails,
+      userName: booking.user.name,
+      heading: "Reschedule Request Submitted",
+      message: needsPayment
+        ? "Your reschedule request has been created. It will be sent to the provider once the reschedule fee is paid."
+        : "Your reschedule request has been sent to the provider. We will let you know once they respond.",
+    });
+
+    if (!needsPayment) {
+      await sendRescheduleMail(booking.businessProfile.contactEmail, {
+        ...mailDetails,
+        userName: booking.businessProfile.user.name,
+        heading: "Reschedule Requested",
+        message: `${booking.user.name} has asked to reschedule a booking. Please accept or reject the request from your dashboard.`,
+      });
+    }
+
+    await logUserActivity({
+      user: req.user,
+      actionType: "BOOKING_RESCHEDULE_REQUESTED",
+      status: LogStatus.SUCCESS,
+      metadata: {
+        bookingId,
+        requestId: request.id,
+        from: { date: booking.date, slotId: booking.slotId },
+        to: { date: toDate, slotId },
+        rescheduleFee: quote.rescheduleFee,
+      },
+      req,
+      description: `Reschedule requested ${Math.floor(
+        hoursBeforeService,
+      )} hours before service. Fee: ₹${quote.rescheduleFee}`,
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: needsPayment
+        ? "Reschedule request created. Please pay the reschedule fee to send it to the provider."
+        : "Reschedule request sent to the provider.",
+      request,
+      quote,
+      url: paymentUrl,
+    });
+  } catch (error) {
+    console.error("Reschedule booking error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not reschedule booking.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER: GET RESCHEDULE REQUESTS ---------------- */
+const getRescheduleRequests = async (req, res) => {
+  const providerId = req.user.id;
+  const { status } = req.query;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId: providerId },
+      select: { id: true },
+    });
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const requests = await prisma.rescheduleRequest.findMany({
+      where: {
+        businessProfileId: business.id,
+        ...(status ? { status } : { status: { not: "AWAITING_PAYMENT" } }),
+      },
+      include: rescheduleInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Reschedule requests fetched successfully.",
+      requests,
+    });
+  } catch (error) {
+    console.error("getRescheduleRequests error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch reschedule requests.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER: FIND PENDING REQUEST ---------------- */
+const findPendingRequest = async (req, res) => {
+  const business = await prisma.businessProfile.findUnique({
+    where: { userId: req.user.id },
+    select: { id: true },
+  });
+
+  const request = business
+    ? await prisma.rescheduleRequest.findFirst({
+        where: { id: req.params.requestId, businessProfileId: business.id },
+        include: rescheduleInclude,
+      })
+    : null;
+
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      msg: "Reschedule request not found.",
+    });
+    return null;
+  }
+
+  if (request.status !== "PENDING" || request.expiresAt < new Date()) {
+    res.status(400).json({
+      success: false,
+      msg: `This reschedule request can no longer be answered (${request.status.toLowerCase()}).`,
+    });
+    return null;
+  }
+
+  return request;
+};
+
+/* ---------------- PROVIDER: ACCEPT RESCHEDULE ---------------- */
+const acceptRescheduleRequest = async (req, res) => {
+  const providerId = req.user.id;
+  const { staffId } = req.body || {};
+
+  try {
+    const request = await findPendingRequest(req, res);
+    if (!request) return;
+
+    const { booking } = request;
+    const activeAssignments = booking.StaffAssignBooking;
+    const reassign =
+      staffId && !activeAssignments.some((a) => a.assignedStaffId === staffId);
+
+    /* ---------------- VALIDATE NEW STAFF ---------------- */
+    if (reassign) {
+      const isStaffApproved = await prisma.staffApplications.findFirst({
+        where: {
+          staffId,
+          businessProfileId: booking.businessProfileId,
+          status: "APPROVED",
+        },
+      });
+
+      if (!isStaffApproved) {
+        return res.status(400).json({
+          success: false,
+          msg: "This staff member is not an approved member of your business.",
+        });
+      }
+
+      const service = await prisma.service.findUnique({
+        where: { id: booking.serviceId },
+        select: { requiredSkills: true, requiredCertifications: true },
+      });
+      const skillGaps = (await getSkillGaps([staffId], service)).get(staffId);
+
+      if (skillGaps.length) {
+        return res.status(409).json({
+          success: false,
+          msg: `Staff member is not qualified for this service. ${skillGaps.join(". ")}.`,
+        });
+      }
+
+      // Checked at the new time, travel buffer included
+      const bookingDetails = await prisma.booking.findUnique({
+        where: { id: booking.id },
+        select: BOOKING_INTERVAL_SELECT,
+      });
+      const { leaves, clashes, isDayOff, outsideShift } =
+        await getIntervalConflicts(
+          staffId,
+          request.toDate,
+          getBookingInterval({
+            ...bookingDetails,
+            date: request.toDate,
+            slot: request.toSlot,
+          }),
+          { excludeBookingId: booking.id },
+        );
+
+      if (leaves.length > 0) {
+        return res.status(409).json({
+          success: false,
+          msg: "Staff member is on leave on the new date. Please choose a different staff member.",
+        });
+      }
+
+      if (isDayOff || outsideShift) {
+        return res.status(409).json({
+          success: false,
+          msg: "The new time is outside the staff member's weekly schedule. Please choose a different staff member.",
+        });
+      }
+
+      if (clashes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          msg: "Staff member is already assigned to another booking at the new time. Please choose a different staff member.",
+        });
+      }
+    }
+
+    const staffAction = reassign
+      ? "REASSIGNED"
+      : activeAssignments.length > 0
+        ? "RECONFIRM_REQUESTED"
+        : "NONE";
+
+    /* ---------------- MOVE BOOKING ---------------- */
+    try {
+      await prisma.$transaction(
+        async (tx) => {
+          const capacity = await getSlotCapacity(tx, {
+            serviceId: booking.serviceId,
+            slotId: request.toSlotId,
+            date: request.toDate,
+            excludeUserId: booking.userId,
+          });
+
+          if (!capacity || capacity.remaining <= 0) {
+            const slotFullError = new Error("Slot is full");
+            slotFullError.isCapacityError = true;
+            throw slotFullError;
+          }
+
+          await tx.booking.update({
+            where: { id: booking.id },
+            data: {
+              date: request.toDate,
+              slotId: request.toSlotId,
+              reminderSentAt: null,
+              providerReminderSentAt: null,
+            },
+          });
+
+          await convertHolds(tx, [booking.id]);
+
+          if (reassign) {
+            const previous = activeAssignments[0];
+
+            await tx.staffAssignBooking.updateMany({
+              where: {
+                bookingId: booking.id,
+                status: { in: ["PENDING", "ACCEPTED"] },
+              },
+              data: { status: "CANCELLED" },
+            });
+
+            await tx.staffAssignBooking.upsert({
+              where: {
+                bookingId_assignedStaffId: {
+                  bookingId: booking.id,
+                  assignedStaffId: staffId,
+                },
+              },
+              create: {
+                bookingId: booking.id,
+                slotId: request.toSlotId,
+                businessProfileId: booking.businessProfileId,
+                serviceId: booking.serviceId,
+                assignedById: providerId,
+                assignedStaffId: staffId,
+                status: "PENDING",
+                ...(previous && {
+                  staffPaymentType: previous.staffPaymentType,
+                  staffPaymentValue: previous.staffPaymentValue,
+                }),
+              },
+              update: {
+                slotId: request.toSlotId,
+                assignedById: providerId,
+                status: "PENDING",
+              },
+            });
+          } else if (activeAssignments.length > 0) {
+            // Same staff, new time: they need to confirm again
+            await tx.staffAssignBooking.updateMany({
+              where: {
+                bookingId: booking.id,
+                status: { in: ["PENDING", "ACCEPTED"] },
+              },
+              data: { slotId: request.toSlotId, status: "PENDING" },
+            });
+          }
+
+          await tx.rescheduleRequest.update({
+            where: { id: request.id },
+            data: {
+              status: "ACCEPTED",
+              respondedById: providerId,
+              respondedAt: new Date(),
+              staffAction,
+            },
+          });
+        },
+        { isolationLevel: "Serializable" },
+      );
+    } catch (moveError) {
+      if (!moveError.isCapacityError) throw moveError;
+
+      return res.status(409).json({
+        success: false,
+        msg: "The requested slot is now fully booked. Please reject the request so the customer can pick another slot.",
+      });
+    }
+
+    /* ---------------- NOTIFICATIONS ---------------- */
+    const newSchedule = `${formatDay(request.toDate)} at ${request.toSlot.time}`;
+
+    await NotificationService.notifyUser({
+      receiverId: booking.userId,
+      senderId: providerId,
+      title: "Reschedule Accepted",
+      body: `Your ${booking.service.name} booking has been moved to ${newSchedule}.`,
+      data: { type: "BOOKING_RESCHEDULED", tag: `booking_${booking.id}` },
+    });
+
+    for (const assignment of activeAssignments) {
+      await NotificationService.notifyUser({
+        receiverId: assignment.assignedStaffId,
+        senderId: providerId,
+        title: reassign ? "Assignment Cancelled" : "Booking Rescheduled",
+        body: reassign
+          ? `The ${booking.service.name} booking was rescheduled and reassigned to another staff member.`
+          : `The ${booking.service.name} booking has moved to ${newSchedule}. Please confirm you can still attend.`,
+        data: { type: "BOOKING_RESCHEDULED", tag: `booking_${booking.id}` },
+      });
+    }
+
+    if (reassign) {
+      await NotificationService.notifyUser({
+        receiverId: staffId,
+        senderId: providerId,
+        title: "New Booking Assigned",
+        body: `You have been assigned ${booking.service.name} on ${newSchedule}.`,
+        data: { type: "BOOKING_ASSIGNED", tag: `booking_${booking.id}` },
+      });
+    }
+
+    await sendRescheduleMail(booking.user.email, {
+      userName: booking.user.name,
+      heading: "Booking Rescheduled",
+      message: "Good news! The provider has accepted your reschedule request.",
+      serviceName: booking.service.name,
+      businessName: booking.businessProfile.businessName,
+      fromDate: formatDay(request.fromDate),
+      fromTime: request.fromSlot?.time || "Not Assigned",
+      toDate: formatDay(request.toDate),
+      toTime: request.toSlot.time,
+      rescheduleFee: request.rescheduleFee,
+    });
+
+    await logUserActivity({
+      user: req.user,
+      actionType: "BOOKING_RESCHEDULE_ACCEPTED",
+      status: LogStatus.SUCCESS,
+      metadata: {
+        bookingId: booking.id,
+        requestId: request.id,
+        staffAction,
+        staffId: reassign ? staffId : undefined,
+      },
+      req,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Reschedule request accepted.",
+      staffAction,
+    });
+  } catch (error) {
+    console.error("acceptRescheduleRequest error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not accept reschedule request.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER: REJECT RESCHEDULE ---------------- */
+const rejectRescheduleRequest = async (req, res) => {
+  const providerId = req.user.id;
+  const { reason } = req.body || {};
+
+  try {
+    const request = await findPendingRequest(req, res);
+    if (!request) return;
+
+    const { booking } = request;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.rescheduleRequest.update({
+        where: { id: request.id },
+        data: {
+          status: "REJECTED",
+          rejectionReason: reason || null,
+          respondedById: providerId,
+          respondedAt: new Date(),
+        },
+      });
+
+      await releaseHolds(tx, { bookingId: booking.id, status: "ACTIVE" });
+    });
+
+    const feeStatus = await refundRescheduleFee(request);
+
+    await NotificationService.notifyUser({
+      receiverId: booking.userId,
+      senderId: providerId,
+      title: "Reschedule Rejected",
+      body: `Your request to reschedule ${booking.service.name} was rejected. Your booking stays on ${formatDay(booking.date)}${
+        feeStatus === "REFUNDED"
+          ? " and the reschedule fee is being refunded"
+          : ""
+      }.`,
+      data: {
+        type: "BOOKING_RESCHEDULE_REJECTED",
+        tag: `booking_${booking.id}`,
+      },
+    });
+
+    await sendRescheduleMail(booking.user.email, {
+      userName: booking.user.name,
+      heading: "Reschedule Request Rejected",
+      message:
+        "Unfortunately the provider could not accept your reschedule request. Your booking remains on its original schedule.",
+      serviceName: booking.service.name,
+      businessName: booking.businessProfile.businessName,
+      fromDate: formatDay(request.fromDate),
+      fromTime: request.fromSlot?.time || "Not Assigned",
+      toDate: formatDay(request.toDate),
+      toTime: request.toSlot.time,
+      reason,
+    });
+
+    await logUserActivity({
+      user: req.user,
+      actionType: "BOOKING_RESCHEDULE_REJECTED",
+      status: LogStatus.SUCCESS,
+      metadata: {
+        bookingId: booking.id,
+        requestId: request.id,
+        reason,
+        feeStatus,
+      },
+      req,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Reschedule request rejected.",
+    });
+  } catch (error) {
+    console.error("rejectRescheduleRequest error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not reject reschedule request.",
+    });
+  }
+};
+
+module.exports = {
+  rescheduleBooking,
+  getRescheduleRequests,
+  acceptRescheduleRequest,
+  rejectRescheduleRequest,
+};
@@ -1,6 +1,8 @@
 const cron = require("node-cron");
 const { CleanupExpiredBookings } = require("../payment.controller");
-const prisma = require("../../prismaClient");
+const {
+  expireRescheduleRequests,
+} = require("../../service/reschedule-service");
 
 const startBookingCleanupJob = () => {
   cron.schedule("*/30 * * * * *", async () => {
@@ -9,6 +11,12 @@ const startBookingCleanupJob = () => {
     } catch (error) {
       console.error("Booking cleanup job failed:", error);
     }
+
+    try {
+      await expireRescheduleRequests();
+    } catch (error) {
+      console.error("Reschedule expiry job failed:", error);
+    }
   });
 };
 
@@ -0,0 +1,36 @@
+const cron = require("node-cron");
+const {
+  remindExpiringCertifications,
+} = require("../../service/staff-skill-service");
+
+/**
+ * Warn staff and their providers about certificates that expire soon
+ * Runs daily at 8 AM
+ */
+const processExpiringCertifications = async () => {
+  try {
+    const reminded = await remindExpiringCertifications();
+
+    if (reminded) {
+      console.log(`Sent expiry reminders for ${reminded} certification(s)`);
+    }
+  } catch (error) {
+    console.error("Certification scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the certification expiry scheduler job
+ * Runs daily at 8 AM
+ */
+const startCertificationScheduler = () => {
+  // Run daily at 8 AM: 0 8 * * *
+  cron.schedule("0 8 * * *", async () => {
+    await processExpiringCertifications();
+  });
+};
+
+module.exports = {
+  processExpiringCertifications,
+  startCertificationScheduler,
+};
@@ -0,0 +1,34 @@
+const cron = require("node-cron");
+const { expirePackagePurchases } = require("../../service/package-service");
+
+/**
+ * Remind customers of package credits about to lapse and expire the rest
+ * Runs daily at 1:30 AM
+ */
+const processPackageExpiry = async () => {
+  try {
+    const expired = await expirePackagePurchases();
+
+    if (expired) {
+      console.log(`Expired ${expired} package purchase(s)`);
+    }
+  } catch (error) {
+    console.error("Package scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the package expiry scheduler job
+ * Runs daily at 1:30 AM
+ */
+const startPackageScheduler = () => {
+  // Run daily at 1:30 AM: 30 1 * * *
+  cron.schedule("30 1 * * *", async () => {
+    await processPackageExpiry();
+  });
+};
+
+module.exports = {
+  processPackageExpiry,
+  startPackageScheduler,
+};
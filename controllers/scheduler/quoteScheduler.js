@@ -0,0 +1,34 @@
+const cron = require("node-cron");
+const { expireQuotes } = require("../../service/quote-service");
+
+/**
+ * Expire estimates that were not accepted, or not paid for, in time
+ * Runs every hour at minute 15
+ */
+const processExpiredQuotes = async () => {
+  try {
+    const expired = await expireQuotes();
+
+    if (expired) {
+      console.log(`Expired ${expired} quote(s)`);
+    }
+  } catch (error) {
+    console.error("Quote scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the quote expiry scheduler job
+ * Runs every hour at minute 15
+ */
+const startQuoteScheduler = () => {
+  // Run every hour at minute 15: 15 * * * *
+  cron.schedule("15 * * * *", async () => {
+    await processExpiredQuotes();
+  });
+};
+
+module.exports = {
+  processExpiredQuotes,
+  startQuoteScheduler,
+};
@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const {
+  generateRecurringOccurrences,
+  chargeDueOccurrences,
+} = require("../../service/recurring-booking-service");
+
+/**
+ * Materialise upcoming occurrences of active recurring bookings and charge
+ * the ones that are due
+ * Runs every hour
+ */
+const processRecurringBookings = async () => {
+  try {
+    const generated = await generateRecurringOccurrences();
+    const charged = await chargeDueOccurrences();
+
+    if (generated || Object.keys(charged).length) {
+      console.log("Recurring bookings processed:", { generated, charged });
+    }
+  } catch (error) {
+    console.error("Recurring booking scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the recurring booking scheduler job
+ * Runs every hour
+ */
+const startRecurringBookingScheduler = () => {
+  // Run every hour: 0 * * * *
+  cron.schedule("0 * * * *", async () => {
+    await processRecurringBookings();
+  });
+};
+
+module.exports = {
+  processRecurringBookings,
+  startRecurringBookingScheduler,
+};
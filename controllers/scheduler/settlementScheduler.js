@@ -0,0 +1,36 @@
+const cron = require("node-cron");
+const {
+  getPreviousPeriod,
+  generateMonthlySettlements,
+} = require("../../service/settlement-service");
+
+/**
+ * Build last month's settlement report for every business
+ * Runs at 2 AM on the first day of each month
+ */
+const processMonthlySettlements = async () => {
+  const period = getPreviousPeriod();
+
+  try {
+    const generated = await generateMonthlySettlements(period);
+    console.log(`Generated ${generated} settlement report(s) for ${period}`);
+  } catch (error) {
+    console.error("Settlement scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the settlement report scheduler job
+ * Runs at 2 AM on the first day of each month
+ */
+const startSettlementScheduler = () => {
+  // Run monthly on the 1st at 2 AM: 0 2 1 * *
+  cron.schedule("0 2 1 * *", async () => {
+    await processMonthlySettlements();
+  });
+};
+
+module.exports = {
+  processMonthlySettlements,
+  startSettlementScheduler,
+};
@@ -0,0 +1,35 @@
+const cron = require("node-cron");
+const { expireStaffOffers } = require("../../service/staff-assignment-service");
+
+/**
+ * Lapse job offers staff did not answer in time and offer the bookings
+ * to the next best staff member
+ * Runs every 5 minutes
+ */
+const processExpiredStaffOffers = async () => {
+  try {
+    const expired = await expireStaffOffers();
+
+    if (expired) {
+      console.log(`Expired ${expired} staff job offer(s)`);
+    }
+  } catch (error) {
+    console.error("Staff offer scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the staff offer expiry scheduler job
+ * Runs every 5 minutes
+ */
+const startStaffOfferScheduler = () => {
+  // Run every 5 minutes: */5 * * * *
+  cron.schedule("*/5 * * * *", async () => {
+    await processExpiredStaffOffers();
+  });
+};
+
+module.exports = {
+  processExpiredStaffOffers,
+  startStaffOfferScheduler,
+};
@@ -0,0 +1,35 @@
+const cron = require("node-cron");
+const { processStaffPayouts } = require("../../service/staff-payout-service");
+
+/**
+ * Pay staff of auto-payout businesses for completed bookings whose
+ * dispute window has passed, and retry failed payouts
+ * Runs every hour at minute 30
+ */
+const processAutomaticStaffPayouts = async () => {
+  try {
+    const { queued, paid } = await processStaffPayouts();
+
+    if (queued || paid) {
+      console.log(`Queued ${queued} and paid ${paid} staff payout(s)`);
+    }
+  } catch (error) {
+    console.error("Staff payout scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the staff payout scheduler job
+ * Runs every hour at minute 30
+ */
+const startStaffPayoutScheduler = () => {
+  // Run every hour at minute 30: 30 * * * *
+  cron.schedule("30 * * * *", async () => {
+    await processAutomaticStaffPayouts();
+  });
+};
+
+module.exports = {
+  processAutomaticStaffPayouts,
+  startStaffPayoutScheduler,
+};
@@ -0,0 +1,34 @@
+const cron = require("node-cron");
+const { expireWalletCredits } = require("../../service/wallet-service");
+
+/**
+ * Write off wallet credits that passed their expiry date
+ * Runs daily at 1 AM
+ */
+const processWalletExpiry = async () => {
+  try {
+    const expired = await expireWalletCredits();
+
+    if (expired) {
+      console.log(`Expired ${expired} wallet credit(s)`);
+    }
+  } catch (error) {
+    console.error("Wallet expiry scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the wallet expiry scheduler job
+ * Runs daily at 1 AM
+ */
+const startWalletScheduler = () => {
+  // Run daily at 1 AM: 0 1 * * *
+  cron.schedule("0 1 * * *", async () => {
+    await processWalletExpiry();
+  });
+};
+
+module.exports = {
+  processWalletExpiry,
+  startWalletScheduler,
+};
@@ -0,0 +1,228 @@
+const prisma = require("../prismaClient");
+const {
+  createVariantSchema,
+  updateVariantSchema,
+  createAddOnSchema,
+  updateAddOnSchema,
+} = require("../helper/validation/service-option.validation");
+
+// Variants and add-ons are managed the same way
+const OPTION_KINDS = {
+  variant: {
+    model: "serviceVariant",
+    label: "Variant",
+    createSchema: createVariantSchema,
+    updateSchema: updateVariantSchema,
+  },
+  addOn: {
+    model: "serviceAddOn",
+    label: "Add-on",
+    createSchema: createAddOnSchema,
+    updateSchema: updateAddOnSchema,
+  },
+};
+
+const optionOrder = [{ sortOrder: "asc" }, { price: "asc" }];
+
+const findOwnService = (serviceId, userId) =>
+  prisma.service.findFirst({
+    where: { id: serviceId, businessProfile: { userId } },
+    select: { id: true, name: true, pricingType: true },
+  });
+
+const logOptionChange = (req, actionType, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+/* ---------------- GET SERVICE OPTIONS ---------------- */
+const getServiceOptions = async (req, res) => {
+  const userId = req.user.id;
+  const { serviceId } = req.params;
+
+  try {
+    const service = await findOwnService(serviceId, userId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found or does not belong to your business.",
+      });
+    }
+
+    const [variants, addOns] = await Promise.all([
+      prisma.serviceVariant.findMany({
+        where: { serviceId },
+        orderBy: optionOrder,
+      }),
+      prisma.serviceAddOn.findMany({
+        where: { serviceId },
+        orderBy: optionOrder,
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Service options fetched successfully.",
+      variants,
+      addOns,
+    });
+  } catch (error) {
+    console.error("getServiceOptions error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch service options.",
+    });
+  }
+};
+
+/* ---------------- CREATE / UPDATE OPTION ---------------- */
+// Price changes apply to new cart items; booked prices never change
+const saveOption = async (req, res, kind) => {
+  const userId = req.user.id;
+  const { serviceId, optionId } = req.params;
+  const { model, label, createSchema, updateSchema } = OPTION_KINDS[kind];
+
+  const schema = optionId ? updateSchema : createSchema;
+  const { error, value } = schema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const service = await findOwnService(serviceId, userId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found or does not belong to your business.",
+      });
+    }
+
+    if (service.pricingType === "QUOTE") {
+      return res.status(400).json({
+        success: false,
+        msg: "Quote-based services are priced per job and cannot have options.",
+      });
+    }
+
+    if (optionId) {
+      const existing = await prisma[model].findFirst({
+        where: { id: optionId, serviceId },
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          msg: `${label} not found.`,
+        });
+      }
+    }
+
+    const option = optionId
+      ? await prisma[model].update({ where: { id: optionId }, data: value })
+      : await prisma[model].create({ data: { ...value, serviceId } });
+
+    await logOptionChange(
+      req,
+      `SERVICE_${kind === "variant" ? "VARIANT" : "ADD_ON"}_${
+        optionId ? "UPDATED" : "CREATED"
+      }`,
+      { serviceId, serviceName: service.name, [kind]: option },
+    );
+
+    return res.status(optionId ? 200 : 201).json({
+      success: true,
+      msg: `${label} ${optionId ? "updated" : "created"} successfully.`,
+      [kind]: option,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        success: false,
+        msg: `A ${label.toLowerCase()} with this name already exists for this service.`,
+      });
+    }
+    console.error(`save ${kind} error:`, error);
+    return res.status(500).json({
+      success: false,
+      msg: `Server Error: Could not save ${label.toLowerCase()}.`,
+    });
+  }
+};
+
+/* ---------------- REMOVE OPTION ---------------- */
+// Options are switched off rather than deleted, so past bookings keep them
+const removeOption = async (req, res, kind) => {
+  const userId = req.user.id;
+  const { serviceId, optionId } = req.params;
+  const { model, label } = OPTION_KINDS[kind];
+
+  try {
+    const option = await prisma[model].findFirst({
+      where: {
+        id: optionId,
+        serviceId,
+        service: { businessProfile: { userId } },
+      },
+    });
+    if (!option) {
+      return res.status(404).json({
+        success: false,
+        msg: `${label} not found.`,
+      });
+    }
+
+    await prisma[model].update({
+      where: { id: option.id },
+      data: { isActive: false },
+    });
+
+    await logOptionChange(
+      req,
+      `SERVICE_${kind === "variant" ? "VARIANT" : "ADD_ON"}_REMOVED`,
+      { serviceId, optionId: option.id, name: option.name },
+    );
+
+    return res.status(200).json({
+      success: true,
+      msg: `${label} removed successfully.`,
+    });
+  } catch (error) {
+    console.error(`remove ${kind} error:`, error);
+    return res.status(500).json({
+      success: false,
+      msg: `Server Error: Could not remove ${label.toLowerCase()}.`,
+    });
+  }
+};
+
+/* ---------------- VARIANTS ---------------- */
+const createVariant = (req, res) => saveOption(req, res, "variant");
+const updateVariant = (req, res) => saveOption(req, res, "variant");
+const deleteVariant = (req, res) => removeOption(req, res, "variant");
+
+/* ---------------- ADD-ONS ---------------- */
+const createAddOn = (req, res) => saveOption(req, res, "addOn");
+const updateAddOn = (req, res) => saveOption(req, res, "addOn");
+const deleteAddOn = (req, res) => removeOption(req, res, "addOn");
+
+module.exports = {
+  getServiceOptions,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  createAddOn,
+  updateAddOn,
+  deleteAddOn,
+};
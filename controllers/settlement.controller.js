@@ -0,0 +1,121 @@
+const prisma = require("../prismaClient");
+const {
+  parsePeriod,
+  isClosedPeriod,
+  getSettlementReport,
+} = require("../service/settlement-service");
+const {
+  buildSettlementCsv,
+  generateSettlementReportPDF,
+} = require("../utils/generateSettlementReport");
+
+/* ---------------- SEND REPORT ---------------- */
+// JSON by default, or the stored report rendered as CSV / PDF
+const sendSettlementReport = async (res, report, format) => {
+  const fileName = `settlement-${report.period}`;
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.csv"`,
+    );
+    return res.status(200).send(buildSettlementCsv(report.data));
+  }
+
+  if (format === "pdf") {
+    const pdf = await generateSettlementReportPDF(report.data);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.pdf"`,
+    );
+    return res.status(200).send(pdf);
+  }
+
+  return res.status(200).json({
+    success: true,
+    msg: "Settlement report fetched successfully.",
+    report,
+  });
+};
+
+/* ---------------- GET SETTLEMENT REPORTS ---------------- */
+const getSettlementReports = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const reports = await prisma.settlementReport.findMany({
+      where: { businessProfile: { userId } },
+      orderBy: { period: "desc" },
+      omit: { data: true },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Settlement reports fetched successfully.",
+      reports,
+    });
+  } catch (error) {
+    console.error("getSettlementReports error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch settlement reports.",
+    });
+  }
+};
+
+/* ---------------- GET SETTLEMENT REPORT ---------------- */
+const getSettlementReportByPeriod = async (req, res) => {
+  const userId = req.user.id;
+  const { period } = req.params;
+  const format = (req.query.format || "json").toLowerCase();
+
+  try {
+    if (!parsePeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        msg: "Period must be in YYYY-MM format.",
+      });
+    }
+    if (!isClosedPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        msg: "Settlement reports are available once the month has ended.",
+      });
+    }
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        msg: "Format must be one of json, csv or pdf.",
+      });
+    }
+
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const report = await getSettlementReport(business.id, period);
+
+    return sendSettlementReport(res, report, format);
+  } catch (error) {
+    console.error("getSettlementReportByPeriod error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch settlement report.",
+    });
+  }
+};
+
+module.exports = {
+  sendSettlementReport,
+  getSettlementReports,
+  getSettlementReportByPeriod,
+};
@@ -0,0 +1,212 @@
+const prisma = require("../prismaClient");
+const {
+  rankStaffForBooking,
+  autoAssignBooking,
+} = require("../service/staff-assignment-service");
+const {
+  staffAssignmentSettingsSchema,
+} = require("../helper/validation/staff-assignment.validation");
+
+const findProviderBooking = (bookingId, userId) =>
+  prisma.booking.findFirst({
+    where: { id: bookingId, businessProfile: { userId } },
+    select: { id: true, bookingStatus: true },
+  });
+
+/* ---------------- STAFF SUGGESTIONS ---------------- */
+/**
+ * Staff ranked for a booking, with the reasons others cannot take it
+ */
+const getStaffSuggestions = async (req, res) => {
+  const userId = req.user.id;
+  const { bookingId } = req.params;
+
+  try {
+    const booking = await findProviderBooking(bookingId, userId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    const { candidates } = await rankStaffForBooking(booking.id);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Staff suggestions fetched successfully.",
+      candidates,
+    });
+  } catch (error) {
+    console.error("getStaffSuggestions error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch staff suggestions.",
+    });
+  }
+};
+
+/* ---------------- AUTO ASSIGN BOOKING ---------------- */
+/**
+ * Offer a booking to the best fitting staff member now, whatever the
+ * business's assignment mode
+ */
+const autoAssignNow = async (req, res) => {
+  const userId = req.user.id;
+  const { bookingId } = req.params;
+
+  try {
+    const booking = await findProviderBooking(bookingId, userId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    if (booking.bookingStatus !== "CONFIRMED") {
+      return res.status(400).json({
+        success: false,
+        msg: "Only confirmed bookings can be assigned.",
+      });
+    }
+
+    const result = await autoAssignBooking(booking.id, { force: true });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        msg: "This booking already has staff assigned.",
+      });
+    }
+
+    if (!result.assignment) {
+      return res.status(409).json({
+        success: false,
+        msg: "No staff member is available for this booking.",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      msg: `Booking offered to ${result.suggestion.staff.name}.`,
+      assignment: result.assignment,
+      suggestion: result.suggestion,
+    });
+  } catch (error) {
+    console.error("autoAssignNow error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not assign booking.",
+    });
+  }
+};
+
+/* ---------------- STAFF ASSIGNMENT SETTINGS ---------------- */
+const getStaffAssignmentSettings = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const settings = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: {
+        staffAssignmentMode: true,
+        staffOfferTimeoutMinutes: true,
+        staffTravelBufferMinutes: true,
+        jobTransferNeedsApproval: true,
+      },
+    });
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Staff assignment settings fetched successfully.",
+      settings,
+    });
+  } catch (error) {
+    console.error("getStaffAssignmentSettings error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch staff assignment settings.",
+    });
+  }
+};
+
+/**
+ * Choose whether new bookings only get a staff suggestion or are offered
+ * to the suggested staff member straight away, how long staff have to
+ * answer an offer and the travel time kept between their jobs
+ */
+const updateStaffAssignmentSettings = async (req, res) => {
+  const userId = req.user.id;
+
+  const { error, value } = staffAssignmentSettingsSchema.validate(
+    req.body || {},
+    { abortEarly: false },
+  );
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    const settings = await prisma.businessProfile.update({
+      where: { id: business.id },
+      data: value,
+      select: {
+        staffAssignmentMode: true,
+        staffOfferTimeoutMinutes: true,
+        staffTravelBufferMinutes: true,
+        jobTransferNeedsApproval: true,
+      },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "STAFF_ASSIGNMENT_SETTINGS_UPDATED",
+        status: "SUCCESS",
+        metadata: settings,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Staff assignment settings updated successfully.",
+      settings,
+    });
+  } catch (error) {
+    console.error("updateStaffAssignmentSettings error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update staff assignment settings.",
+    });
+  }
+};
+
+module.exports = {
+  getStaffSuggestions,
+  autoAssignNow,
+  getStaffAssignmentSettings,
+  updateStaffAssignmentSettings,
+};
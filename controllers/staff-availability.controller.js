@@ -0,0 +1,89 @@
+const moment = require("moment");
+const prisma = require("../prismaClient");
+const {
+  MAX_FREE_BUSY_DAYS,
+  getStaffFreeBusy,
+} = require("../service/staff-availability-service");
+
+// `from` and `to` as YYYY-MM-DD, default the coming week
+const parseRange = ({ from, to }) => {
+  const start = from ? moment.utc(from, "YYYY-MM-DD", true) : moment.utc();
+  const end = to
+    ? moment.utc(to, "YYYY-MM-DD", true)
+    : start.clone().add(6, "days");
+
+  if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+    return {
+      error: "from and to must be valid YYYY-MM-DD dates, from before to.",
+    };
+  }
+  if (end.diff(start, "days") >= MAX_FREE_BUSY_DAYS) {
+    return {
+      error: `The range cannot be longer than ${MAX_FREE_BUSY_DAYS} days.`,
+    };
+  }
+
+  return { from: start.format("YYYY-MM-DD"), to: end.format("YYYY-MM-DD") };
+};
+
+const sendFreeBusy = async (res, staffId, query) => {
+  const range = parseRange(query);
+  if (range.error) {
+    return res.status(400).json({ success: false, msg: range.error });
+  }
+
+  const days = await getStaffFreeBusy(staffId, range.from, range.to);
+
+  return res.status(200).json({
+    success: true,
+    msg: "Free/busy fetched successfully.",
+    from: range.from,
+    to: range.to,
+    days,
+  });
+};
+
+/* ---------------- STAFF FREE / BUSY ---------------- */
+const getMyFreeBusy = async (req, res) => {
+  try {
+    return await sendFreeBusy(res, req.user.id, req.query);
+  } catch (error) {
+    console.error("getMyFreeBusy error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch free/busy.",
+    });
+  }
+};
+
+/* ---------------- PROVIDER: STAFF FREE / BUSY ---------------- */
+const getStaffFreeBusyForProvider = async (req, res) => {
+  const userId = req.user.id;
+  const { staffId } = req.params;
+
+  try {
+    const member = await prisma.staffApplications.findFirst({
+      where: { staffId, status: "APPROVED", businessProfile: { userId } },
+      select: { id: true },
+    });
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        msg: "Staff member not found in your business.",
+      });
+    }
+
+    return await sendFreeBusy(res, staffId, req.query);
+  } catch (error) {
+    console.error("getStaffFreeBusyForProvider error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch free/busy.",
+    });
+  }
+};
+
+module.exports = {
+  getMyFreeBusy,
+  getStaffFreeBusyForProvider,
+};
@@ -1,5 +1,5 @@
 const prisma = require("../prismaClient");
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const stripe = require("../config/stripe");
 
 /**
  * Staff requests payment from provider after completing service
@@ -45,6 +45,7 @@ const requestPaymentFromProvider = async (req, res) => {
           where: {
             bookingId: bookingId,
             assignedStaffId: staffId,
+            status: { in: ["ACCEPTED", "COMPLETED"] },
           },
           include: {
             booking: {
@@ -116,6 +117,14 @@ const requestPaymentFromProvider = async (req, res) => {
 
     const booking = assignment.booking;
 
+    // Auto-payout businesses pay staff once the dispute window has passed
+    if (booking.businessProfile.autoStaffPayout) {
+      return res.status(400).json({
+        success: false,
+        msg: "This business pays staff automatically after the service is completed.",
+      });
+    }
+
     // 3. Verify booking is completed
     if (
       booking.trackingStatus !== "COMPLETED" &&
@@ -480,7 +489,7 @@ const getStaffEarnings = async (req, res) => {
       whereClause.status = paymentStatus.toUpperCase();
     }
 
-    const [payments, totalCount] = await Promise.all([
+    const [payments, totalCount, paidEarnings, paidTips] = await Promise.all([
       prisma.staffPayment.findMany({
         where: whereClause,
         include: {
@@ -502,6 +511,15 @@ const getStaffEarnings = async (req, res) => {
         skip: skip,
       }),
       prisma.staffPayment.count({ where: whereClause }),
+      // Tips are totalled apart from booking earnings
+      prisma.staffPayment.aggregate({
+        where: { staffId, status: "PAID", tipId: null },
+        _sum: { staffAmount: true },
+      }),
+      prisma.staffPayment.aggregate({
+        where: { staffId, status: "PAID", tipId: { not: null } },
+        _sum: { staffAmount: true },
+      }),
     ]);
 
     const formattedEarnings = payments.map((payment) => ({
@@ -510,6 +528,7 @@ const getStaffEarnings = async (req, res) => {
       totalAmount: payment.booking.totalAmount,
       platformFee: payment.booking.platformFee,
       staffShare: payment.staffAmount,
+      isTip: !!payment.tipId,
       paymentStatus: payment.status,
       createdAt: payment.createdAt,
       paidAt: payment.paidAt,
@@ -519,6 +538,8 @@ const getStaffEarnings = async (req, res) => {
       success: true,
       msg: "Earnings fetched successfully.",
       earnings: formattedEarnings,
+      totalEarnings: paidEarnings._sum.staffAmount || 0,
+      totalTips: paidTips._sum.staffAmount || 0,
       pagination: {
         page: pageNumber,
         limit: pageSize,
@@ -566,6 +587,7 @@ const getBookingPaymentStatus = async (req, res) => {
       where: {
         bookingId: bookingId,
         staffId: staffId,
+        tipId: null,
       },
       select: {
         id: true,
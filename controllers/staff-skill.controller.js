@@ -0,0 +1,408 @@
+const prisma = require("../prismaClient");
+const NotificationService = require("../service/notification-service");
+const { normalizeSkills } = require("../service/staff-skill-service");
+const {
+  staffSkillsSchema,
+  certificationSchema,
+  verifyCertificationSchema,
+  serviceSkillsSchema,
+} = require("../helper/validation/staff-skill.validation");
+
+const logSkillChange = (req, actionType, metadata) =>
+  prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: req.user.id,
+      actorType: req.user.role,
+      actionType,
+      status: "SUCCESS",
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+const CERTIFICATION_STATUSES = ["PENDING", "VERIFIED", "REJECTED"];
+
+// Providers see the certificates of their approved staff, admins see all
+const certificationScope = (user) =>
+  user.role === "admin"
+    ? {}
+    : {
+        staff: {
+          staffApplications: {
+            some: { status: "APPROVED", businessProfile: { userId: user.id } },
+          },
+        },
+      };
+
+/* ---------------- STAFF SKILLS ---------------- */
+const getMySkills = async (req, res) => {
+  const staffId = req.user.id;
+
+  try {
+    const [staff, certifications] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: staffId },
+        select: { staffSkills: true },
+      }),
+      prisma.staffCertification.findMany({
+        where: { staffId },
+        orderBy: { createdAt: "desc" },
+      }),
+    ]);
+
+    const now = new Date();
+
+    return res.status(200).json({
+      success: true,
+      msg: "Skills fetched successfully.",
+      skills: staff.staffSkills,
+      certifications: certifications.map((c) => ({
+        ...c,
+        isExpired: !!c.expiresAt && c.expiresAt <= now,
+      })),
+    });
+  } catch (error) {
+    console.error("getMySkills error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch skills.",
+    });
+  }
+};
+
+const updateMySkills = async (req, res) => {
+  const staffId = req.user.id;
+
+  const { error, value } = staffSkillsSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const { staffSkills } = await prisma.user.update({
+      where: { id: staffId },
+      data: { staffSkills: normalizeSkills(value.skills) },
+      select: { staffSkills: true },
+    });
+
+    await logSkillChange(req, "STAFF_SKILLS_UPDATED", { staffSkills });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Skills updated successfully.",
+      skills: staffSkills,
+    });
+  } catch (error) {
+    console.error("updateMySkills error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update skills.",
+    });
+  }
+};
+
+/* ---------------- STAFF CERTIFICATIONS ---------------- */
+/**
+ * Add a certificate for review. It only counts towards eligibility once
+ * a provider or admin verifies it.
+ */
+const addCertification = async (req, res) => {
+  const staffId = req.user.id;
+
+  const { error, value } = certificationSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const [skill] = normalizeSkills([value.skill]);
+
+    const certification = await prisma.staffCertification.create({
+      data: { ...value, skill, staffId },
+      include: {
+        staff: {
+          select: {
+            name: true,
+            staffApplications: {
+              where: { status: "APPROVED" },
+              select: { businessProfile: { select: { userId: true } } },
+            },
+          },
+        },
+      },
+    });
+
+    const { staff, ...created } = certification;
+
+    for (const application of staff.staffApplications) {
+      await NotificationService.notifyUser({
+        receiverId: application.businessProfile.userId,
+        senderId: staffId,
+        title: "Certification to verify",
+        body: `${staff.name} uploaded a ${created.name} certificate for ${skill}.`,
+        data: { type: "CERTIFICATION_UPLOADED", certificationId: created.id },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      msg: "Certification submitted for verification.",
+      certification: created,
+    });
+  } catch (error) {
+    console.error("addCertification error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not add certification.",
+    });
+  }
+};
+
+const deleteCertification = async (req, res) => {
+  const staffId = req.user.id;
+  const { certificationId } = req.params;
+
+  try {
+    const { count } = await prisma.staffCertification.deleteMany({
+      where: { id: certificationId, staffId },
+    });
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        msg: "Certification not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Certification deleted successfully.",
+    });
+  } catch (error) {
+    console.error("deleteCertification error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not delete certification.",
+    });
+  }
+};
+
+/* ---------------- CERTIFICATION REVIEW (PROVIDER / ADMIN) ---------------- */
+const getStaffCertifications = async (req, res) => {
+  const { page = 1, limit = 10, status, staffId } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  if (status && !CERTIFICATION_STATUSES.includes(status.toUpperCase())) {
+    return res.status(400).json({
+      success: false,
+      msg: `status must be one of ${CERTIFICATION_STATUSES.join(", ")}.`,
+    });
+  }
+
+  try {
+    const where = {
+      ...certificationScope(req.user),
+      ...(status && { status: status.toUpperCase() }),
+      ...(staffId && { staffId }),
+    };
+
+    const [certifications, total] = await Promise.all([
+      prisma.staffCertification.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        include: {
+          staff: { select: { id: true, name: true, email: true } },
+        },
+      }),
+      prisma.staffCertification.count({ where }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Certifications fetched successfully.",
+      certifications,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+      },
+    });
+  } catch (error) {
+    console.error("getStaffCertifications error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch certifications.",
+    });
+  }
+};
+
+const reviewCertification = async (req, res) => {
+  const { certificationId } = req.params;
+
+  const { error, value } = verifyCertificationSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const certification = await prisma.staffCertification.findFirst({
+      where: { id: certificationId, ...certificationScope(req.user) },
+    });
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        msg: "Certification not found.",
+      });
+    }
+
+    if (certification.status !== "PENDING") {
+      return res.status(409).json({
+        success: false,
+        msg: `This certification is already ${certification.status.toLowerCase()}.`,
+      });
+    }
+
+    const reviewed = await prisma.staffCertification.update({
+      where: { id: certification.id },
+      data: {
+        status: value.status,
+        rejectionReason: value.rejectionReason || null,
+        verifiedById: req.user.id,
+        verifiedAt: new Date(),
+      },
+    });
+
+    await logSkillChange(
+      req,
+      value.status === "VERIFIED"
+        ? "CERTIFICATION_VERIFIED"
+        : "CERTIFICATION_REJECTED",
+      {
+        certificationId: reviewed.id,
+        staffId: reviewed.staffId,
+        skill: reviewed.skill,
+        rejectionReason: reviewed.rejectionReason,
+      },
+    );
+
+    await NotificationService.notifyUser({
+      receiverId: reviewed.staffId,
+      senderId: req.user.id,
+      title:
+        value.status === "VERIFIED"
+          ? "Certification verified"
+          : "Certification rejected",
+      body:
+        value.status === "VERIFIED"
+          ? `Your ${reviewed.name} certificate has been verified.`
+          : `Your ${reviewed.name} certificate was rejected: ${reviewed.rejectionReason}`,
+      data: { type: "CERTIFICATION_REVIEWED", certificationId: reviewed.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: `Certification ${value.status.toLowerCase()} successfully.`,
+      certification: reviewed,
+    });
+  } catch (error) {
+    console.error("reviewCertification error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not review certification.",
+    });
+  }
+};
+
+/* ---------------- SERVICE REQUIRED SKILLS ---------------- */
+// Applies to assignments made from now on; existing ones are kept
+const updateServiceSkills = async (req, res) => {
+  const userId = req.user.id;
+  const { serviceId } = req.params;
+
+  const { error, value } = serviceSkillsSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      msg: error.details.map((e) => e.message),
+    });
+  }
+
+  try {
+    const service = await prisma.service.findFirst({
+      where: { id: serviceId, businessProfile: { userId } },
+      select: { id: true },
+    });
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        msg: "Service not found.",
+      });
+    }
+
+    const data = {};
+    if (value.requiredSkills) {
+      data.requiredSkills = normalizeSkills(value.requiredSkills);
+    }
+    if (value.requiredCertifications) {
+      data.requiredCertifications = normalizeSkills(
+        value.requiredCertifications,
+      );
+    }
+
+    const updated = await prisma.service.update({
+      where: { id: service.id },
+      data,
+      select: { id: true, requiredSkills: true, requiredCertifications: true },
+    });
+
+    await logSkillChange(req, "SERVICE_SKILLS_UPDATED", {
+      serviceId: updated.id,
+      requiredSkills: updated.requiredSkills,
+      requiredCertifications: updated.requiredCertifications,
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: "Service skills updated successfully.",
+      service: updated,
+    });
+  } catch (error) {
+    console.error("updateServiceSkills error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update service skills.",
+    });
+  }
+};
+
+module.exports = {
+  getMySkills,
+  updateMySkills,
+  addCertification,
+  deleteCertification,
+  getStaffCertifications,
+  reviewCertification,
+  updateServiceSkills,
+};
@@ -2,6 +2,11 @@ const prisma = require("../prismaClient");
 const { sendMail } = require("../utils/sendmail");
 const NotificationService = require("../service/notification-service");
 const { storeNotification } = require("./notification.controller");
+const { getSkillGaps } = require("../service/staff-skill-service");
+const {
+  getBookingInterval,
+  getIntervalConflicts,
+} = require("../service/staff-availability-service");
 const {
   serviceCompletionCustomerEmail,
   serviceCompletionProviderEmail,
@@ -371,6 +376,9 @@ const getStaffBookings = async (req, res) => {
       StaffAssignBooking: {
         some: {
           assignedStaffId: staffId,
+          // Offers declined or left to lapse, and jobs handed to a colleague,
+          // are not the staff's jobs
+          status: { notIn: ["REJECTED", "EXPIRED", "TRANSFERRED"] },
         },
       },
     };
@@ -454,7 +462,7 @@ const getStaffBookings = async (req, res) => {
 
     const processedBookings = bookings.map((booking) => {
       const assignment = booking.StaffAssignBooking[0];
-      let staffEarnings = booking.service.price; // Default to service price if no specific setting
+      let staffEarnings = booking.servicePrice ?? booking.service.price; // Default to the booked price if no specific setting
 
       if (assignment) {
         if (assignment.staffPaymentType === "FIXED_AMOUNT") {
@@ -472,7 +480,7 @@ const getStaffBookings = async (req, res) => {
         service: {
           ...booking.service,
           price: staffEarnings, // Replace service price with staff earnings
-          originalPrice: booking.service.price, // Keep original price just in case
+          originalPrice: booking.servicePrice ?? booking.service.price, // Keep original price just in case
         },
       };
     });
@@ -541,13 +549,16 @@ const getDashboardStats = async (req, res) => {
       },
       select: {
         staffAmount: true,
+        tipId: true,
       },
     });
 
-    const totalEarnings = paidPayments.reduce(
-      (sum, p) => sum + p.staffAmount,
-      0,
-    );
+    const totalEarnings = paidPayments
+      .filter((p) => !p.tipId)
+      .reduce((sum, p) => sum + p.staffAmount, 0);
+    const totalTips = paidPayments
+      .filter((p) => p.tipId)
+      .reduce((sum, p) => sum + p.staffAmount, 0);
 
     // Get upcoming bookings (next 5)
     const today = new Date();
@@ -631,7 +642,7 @@ const getDashboardStats = async (req, res) => {
     // Process upcoming bookings to show staff earnings instead of service price
     const processedUpcomingBookings = upcomingBookings.map((booking) => {
       const assignment = booking.StaffAssignBooking[0];
-      let staffEarnings = booking.service.price; // Default to service price if no specific setting
+      let staffEarnings = booking.servicePrice ?? booking.service.price; // Default to the booked price if no specific setting
 
       if (assignment) {
         if (assignment.staffPaymentType === "FIXED_AMOUNT") {
@@ -648,7 +659,7 @@ const getDashboardStats = async (req, res) => {
         service: {
           ...booking.service,
           price: staffEarnings, // Replace service price with staff earnings
-          originalPrice: booking.service.price, // Keep original price just in case
+          originalPrice: booking.servicePrice ?? booking.service.price, // Keep original price just in case
         },
       };
     });
@@ -661,6 +672,7 @@ const getDashboardStats = async (req, res) => {
         inProgressBookings,
         completedBookings,
         totalEarnings,
+        totalTips,
         upcomingBookings: processedUpcomingBookings,
         isOnLeave: !!currentLeave,
         leaveDetails: currentLeave,
@@ -686,6 +698,7 @@ const updateBookingTrackingStatus = async (req, res) => {
       where: {
         bookingId: bookingId,
         assignedStaffId: staffId,
+        status: { notIn: ["REJECTED", "EXPIRED", "TRANSFERRED"] },
       },
     });
 
@@ -762,13 +775,24 @@ const updateBookingTrackingStatus = async (req, res) => {
       }
     }
 
+    // Starting work on a pending offer accepts it
+    if (assignment.status === "PENDING") {
+      await prisma.staffAssignBooking.update({
+        where: { id: assignment.id },
+        data: { status: "ACCEPTED", respondedAt: new Date() },
+      });
+    }
+
     // 5. Perform update
     const updatedBooking = await prisma.booking.update({
       where: { id: bookingId },
       data: {
         trackingStatus: status,
         // If completed, update main booking status too?
-        ...(status === "COMPLETED" && { bookingStatus: "COMPLETED" }),
+        ...(status === "COMPLETED" && {
+          bookingStatus: "COMPLETED",
+          completedAt: new Date(),
+        }),
       },
       include: {
         user: true, // For notification
@@ -2084,7 +2108,14 @@ const rejectStaffLeave = async (req, res) => {
 };
 
 const checkStaffAvailability = async (req, res) => {
-  const { staffId, date, time, businessProfileId } = req.query;
+  const {
+    staffId,
+    date,
+    time,
+    businessProfileId,
+    serviceId,
+    durationInMinutes,
+  } = req.query;
 
   try {
     if (!staffId || !date || !businessProfileId) {
@@ -2117,6 +2148,7 @@ const checkStaffAvailability = async (req, res) => {
       timeConflict: null,
       leavePeriod: null,
       weeklySchedule: null,
+      skills: null,
     };
 
     // 1. Check manual availability (NOT_AVAILABLE)
@@ -2135,115 +2167,101 @@ const checkStaffAvailability = async (req, res) => {
       };
     }
 
-    // 3. Check for approved leave during the booking date
-    const bookingDate = new Date(date);
-    const approvedLeaves = await prisma.staffLeave.findFirst({
-      where: {
-        staffId,
-        status: "APPROVED",
-        startDate: { lte: bookingDate },
-        endDate: { gte: bookingDate },
-      },
-    });
-
-    if (approvedLeaves) {
+    // 3. Work out when the staff member would be busy: the slot for the
+    // service's duration (or `durationInMinutes`) plus the travel buffer
+    const [business, service] = await Promise.all([
+      prisma.businessProfile.findUnique({
+        where: { id: businessProfileId },
+        select: { staffTravelBufferMinutes: true },
+      }),
+      serviceId
+        ? prisma.service.findUnique({
+            where: { id: serviceId },
+            select: {
+              durationInMinutes: true,
+              requiredSkills: true,
+              requiredCertifications: true,
+            },
+          })
+        : null,
+    ]);
+
+    const interval = time
+      ? getBookingInterval({
+          date,
+          slot: { time },
+          durationInMinutes: parseInt(durationInMinutes) || null,
+          service,
+          businessProfile: business,
+        })
+      : null;
+
+    const { schedule, leaves, clashes, isDayOff, outsideShift } =
+      await getIntervalConflicts(staffId, date, interval);
+
+    // 4. Check for approved leave, partial-day leave only for its hours
+    if (leaves.length > 0) {
       availabilityChecks.leavePeriod = {
         available: false,
         reason: "Staff is on leave during this period",
         leaveDetails: {
-          startDate: approvedLeaves.startDate,
-          endDate: approvedLeaves.endDate,
-          leaveType: approvedLeaves.leaveType,
+          startDate: leaves[0].startDate,
+          endDate: leaves[0].endDate,
+          startTime: leaves[0].startTime,
+          endTime: leaves[0].endTime,
+          leaveType: leaves[0].leaveType,
         },
       };
     }
 
-    // 4. Check for time conflicts with existing bookings
-    if (time) {
-      const existingBookings = await prisma.booking.findMany({
-        where: {
-          businessProfileId,
-          StaffAssignBooking: {
-            some: {
-              assignedStaffId: staffId,
-              status: { in: ["PENDING", "ACCEPTED"] },
-            },
-          },
-          date: bookingDate.toISOString().split("T")[0],
-          bookingStatus: { not: "CANCELLED" },
-          trackingStatus: { not: "COMPLETED" },
+    // 5. Check for jobs overlapping the requested time
+    if (clashes.length > 0) {
+      availabilityChecks.timeConflict = {
+        available: false,
+        reason: "Staff has conflicting bookings at this time",
+        conflictingBookings: clashes.map((b) => ({
+          bookingId: b.bookingId,
+          serviceName: b.serviceName,
+          time: b.time,
+          isPendingOffer: b.type === "OFFER",
+        })),
+      };
+    }
+
+    // 6. Check weekly schedule (if set): the day and the working hours
+    if (isDayOff) {
+      availabilityChecks.weeklySchedule = {
+        available: false,
+        reason:
+          "Staff is not available on this day according to weekly schedule",
+        schedule: {
+          dayOfWeek: schedule.dayOfWeek,
+          startTime: schedule.startTime,
+          endTime: schedule.endTime,
         },
-        include: {
-          slot: true,
-          service: true,
+      };
+    } else if (outsideShift) {
+      availabilityChecks.weeklySchedule = {
+        available: false,
+        reason: "Booking time is outside staff's working hours",
+        schedule: {
+          dayOfWeek: schedule.dayOfWeek,
+          startTime: schedule.startTime,
+          endTime: schedule.endTime,
         },
-      });
-
-      if (existingBookings.length > 0) {
-        availabilityChecks.timeConflict = {
-          available: false,
-          reason: "Staff has conflicting bookings at this time",
-          conflictingBookings: existingBookings.map((b) => ({
-            bookingId: b.id,
-            serviceName: b.service?.name,
-            time: b.slot?.time,
-            duration: b.service?.durationInMinutes,
-          })),
-        };
-      }
+      };
     }
 
-    // 5. Check weekly schedule (if specified)
-    if (time) {
-      const dayOfWeek = bookingDate.getDay();
-      const weeklySchedule = await prisma.staffWeeklySchedule.findUnique({
-        where: {
-          staffId_dayOfWeek: {
-            staffId,
-            dayOfWeek,
-          },
-        },
-      });
+    // 7. Check the skills and certifications the service needs
+    if (service) {
+      const skillGaps = (await getSkillGaps([staffId], service)).get(staffId);
 
-      if (weeklySchedule && !weeklySchedule.isAvailable) {
-        availabilityChecks.weeklySchedule = {
+      if (skillGaps.length) {
+        availabilityChecks.skills = {
           available: false,
-          reason:
-            "Staff is not available on this day according to weekly schedule",
-          schedule: {
-            dayOfWeek: weeklySchedule.dayOfWeek,
-            startTime: weeklySchedule.startTime,
-            endTime: weeklySchedule.endTime,
-          },
+          reason: "Staff is not qualified for this service",
+          skillGaps,
         };
-      } else if (weeklySchedule) {
-        // Check if time is within working hours
-        const [bookingHour, bookingMinute] = time.split(":").map(Number);
-        const [startHour, startMinute] = weeklySchedule.startTime
-          .split(":")
-          .map(Number);
-        const [endHour, endMinute] = weeklySchedule.endTime
-          .split(":")
-          .map(Number);
-
-        const bookingTimeMinutes = bookingHour * 60 + bookingMinute;
-        const startTimeMinutes = startHour * 60 + startMinute;
-        const endTimeMinutes = endHour * 60 + endMinute;
-
-        if (
-          bookingTimeMinutes < startTimeMinutes ||
-          bookingTimeMinutes > endTimeMinutes
-        ) {
-          availabilityChecks.weeklySchedule = {
-            available: false,
-            reason: "Booking time is outside staff's working hours",
-            schedule: {
-              dayOfWeek: weeklySchedule.dayOfWeek,
-              startTime: weeklySchedule.startTime,
-              endTime: weeklySchedule.endTime,
-            },
-          };
-        }
       }
     }
 
@@ -1,13 +1,15 @@
 const prisma = require("../prismaClient");
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = require("../config/stripe");
 
 const { sendMail } = require("../utils/sendmail");
-const { generateInvoicePDF } = require("../utils/generateInvoice");
 const {
   generateProviderSubscriptionInvoicePDF,
 } = require("../utils/generateProviderBilling");
-const { buildInvoiceData } = require("../utils/buildInvoiceData");
+const {
+  PLATFORM_ISSUER,
+  issueInvoice,
+  issueBookingInvoices,
+} = require("../service/invoice-service");
 const {
   bookingSuccessEmailTemplate,
   bookingFailedEmailTemplate,
@@ -16,6 +18,47 @@ const {
 
 const NotificationService = require("../service/notification-service");
 const { storeNotification } = require("./notification.controller");
+const {
+  convertHolds,
+  releaseCheckoutSession,
+} = require("../service/slot-hold-service");
+const {
+  activateRecurringBooking,
+} = require("../service/recurring-booking-service");
+const {
+  markRescheduleFeePaid,
+  expireRescheduleFeeSession,
+} = require("../service/reschedule-service");
+const { syncStripeRefund } = require("../service/refund-service");
+const { syncDispute, closeDispute } = require("../service/dispute-service");
+const { processWebhookEvent } = require("../service/webhook-event-service");
+const {
+  getCommissionRate,
+  createPaymentTransfers,
+  executePaymentTransfers,
+  retryProviderTransfers,
+} = require("../service/provider-transfer-service");
+const { executeStaffPayouts } = require("../service/staff-payout-service");
+const { markTipPaid, expireTipSession } = require("../service/tip-service");
+const { getQuoteCheckoutItems } = require("../service/quote-service");
+const {
+  priceCartItems,
+  getLinePrice,
+  describeSelection,
+} = require("../service/service-pricing-service");
+const {
+  confirmCouponRedemptions,
+  releaseCouponRedemptions,
+  splitBookingAmount,
+  rewardReferral,
+} = require("../service/promotion-service");
+const { releaseWalletPayment } = require("../service/wallet-service");
+const {
+  markPackagePurchasePaid,
+  expirePackageSession,
+  releasePackagePayment,
+} = require("../service/package-service");
+const { autoAssignBookings } = require("../service/staff-assignment-service");
 
 /* ---------------------------- STRIPE WEBHOOK HANDLER ---------------------------- */
 
@@ -43,36 +86,91 @@ const stripeWebhookHandler = async (req, res) => {
   }
 
   try {
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
+    const result = await processWebhookEvent(event, (e) =>
+      dispatchStripeEvent(e, req),
+    );
 
-      if (session.mode === "subscription") {
-        await handleProviderSubscriptionCompleted(session, req);
-      } else {
-        await handleCheckoutCompleted(session, req);
-      }
+    if (result.duplicate) {
+      console.log(`↩️ Skipping already handled event ${event.id}`);
     }
 
-    if (
-      event.type === "customer.subscription.updated" ||
-      event.type === "customer.subscription.deleted"
-    ) {
-      await handleProviderSubscriptionUpdated(event.data.object, req);
-    }
+    return res.json({ received: true });
+  } catch (err) {
+    // Recorded as FAILED on the ledger; Stripe retries on a non-2xx
+    console.error("Webhook processing error:", err);
+    return res.status(500).json({ received: false });
+  }
+};
 
-    if (event.type === "payment_intent.payment_failed") {
-      await handlePaymentFailed(event.data.object, req);
+/* ---------------------------- STRIPE EVENT DISPATCH ---------------------------- */
+
+const dispatchStripeEvent = async (event, req) => {
+  if (event.type === "checkout.session.completed") {
+    const session = event.data.object;
+
+    if (session.mode === "subscription") {
+      await handleProviderSubscriptionCompleted(session, req);
+    } else if (session.mode === "setup") {
+      await handleRecurringSetupCompleted(session, req);
+    } else if (session.metadata?.type === "reschedule_fee") {
+      await markRescheduleFeePaid(session);
+    } else if (session.metadata?.type === "tip") {
+      await markTipPaid(session);
+    } else if (session.metadata?.type === "package_purchase") {
+      await markPackagePurchasePaid(session);
+    } else {
+      await handleCheckoutCompleted(session, req);
     }
+  }
 
-    // Stripe Connect account events for staff payouts
-    if (event.type === "account.updated") {
-      await handleAccountUpdated(event.data.object, req);
+  if (event.type === "checkout.session.expired") {
+    const session = event.data.object;
+
+    if (session.metadata?.type === "reschedule_fee") {
+      await expireRescheduleFeeSession(session.id);
+    } else if (session.metadata?.type === "tip") {
+      await expireTipSession(session.id);
+    } else if (session.metadata?.type === "package_purchase") {
+      await expirePackageSession(session.id);
+    } else if (session.mode === "payment") {
+      await handleCheckoutExpired(session);
     }
+  }
 
-    return res.json({ received: true });
-  } catch (err) {
-    console.error("Webhook processing error:", err);
-    return res.status(200).json({ received: true });
+  if (
+    event.type === "customer.subscription.updated" ||
+    event.type === "customer.subscription.deleted"
+  ) {
+    await handleProviderSubscriptionUpdated(event.data.object, req);
+  }
+
+  if (event.type === "payment_intent.payment_failed") {
+    await handlePaymentFailed(event.data.object, req);
+  }
+
+  // Refunds issued here or straight from the Stripe dashboard
+  if (event.type === "charge.refunded") {
+    await handleChargeRefunded(event.data.object);
+  }
+
+  if (event.type === "refund.updated") {
+    await syncStripeRefund(event.data.object);
+  }
+
+  if (
+    event.type === "charge.dispute.created" ||
+    event.type === "charge.dispute.updated"
+  ) {
+    await syncDispute(event.data.object);
+  }
+
+  if (event.type === "charge.dispute.closed") {
+    await closeDispute(event.data.object);
+  }
+
+  // Stripe Connect account events for staff payouts
+  if (event.type === "account.updated") {
+    await handleAccountUpdated(event.data.object);
   }
 };
 
@@ -80,11 +178,37 @@ const stripeWebhookHandler = async (req, res) => {
 
 const handleCheckoutCompleted = async (session, req) => {
   console.log("💰 Processing checkout.session.completed", session.id);
-  const { userId, addressId, paymentId, bookingIds, dbCart } =
-    session.metadata || {};
+
+  await confirmCustomerCheckout(
+    {
+      ...session.metadata,
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent,
+    },
+    req,
+  );
+};
+
+/**
+ * Confirm the pending bookings of a paid checkout: fees, transfers,
+ * invoices and notifications. Checkouts paid entirely from the wallet
+ * come here straight from `customerPayment` without a Stripe session.
+ */
+const confirmCustomerCheckout = async (checkout, req) => {
+  const {
+    userId,
+    addressId,
+    paymentId,
+    bookingIds,
+    dbCart,
+    couponCode,
+    quoteId,
+    sessionId,
+    paymentIntentId,
+  } = checkout || {};
 
   if (!userId || !addressId || !paymentId || !bookingIds || !dbCart) {
-    console.error("Missing metadata in webhook:", session.metadata);
+    console.error("Missing metadata in webhook:", checkout);
     return;
   }
 
@@ -103,21 +227,26 @@ const handleCheckoutCompleted = async (session, req) => {
       return;
     }
 
-    // Fetch cart items with all relations
-    const cart = await prisma.cart.findMany({
-      where: { id: { in: cartIds }, userId },
-      include: {
-        service: {
-          include: {
-            businessProfile: {
-              include: { user: true },
+    // Fetch cart items with all relations; accepted quotes have no cart
+    const cart = quoteId
+      ? await getQuoteCheckoutItems(quoteId, userId)
+      : await priceCartItems(
+          await prisma.cart.findMany({
+            where: { id: { in: cartIds }, userId },
+            include: {
+              service: {
+                include: {
+                  businessProfile: {
+                    include: { user: true },
+                  },
+                },
+              },
+              slot: true,
+              business: true,
+              variant: true,
             },
-          },
-        },
-        slot: true,
-        business: true,
-      },
-    });
+          }),
+        );
 
     if (!cart.length) {
       console.error("Cart items not found");
@@ -181,6 +310,7 @@ const handleCheckoutCompleted = async (session, req) => {
                   },
                 },
               },
+              coupon: { select: { scope: true } },
             },
           });
 
@@ -188,17 +318,18 @@ const handleCheckoutCompleted = async (session, req) => {
             throw new Error(`Booking ${bookingId} expired or not found`);
           }
 
-          // Calculate Dynamic Fee
-          let commissionRate = 10;
-          const plan =
-            booking.businessProfile?.user?.providerSubscription?.plan;
+          // Calculate Dynamic Fee from this booking's own provider plan
+          const commissionRate = getCommissionRate(booking.businessProfile);
 
-          if (plan?.commissionRate !== undefined) {
-            commissionRate = plan.commissionRate;
-          }
+          // Discounts are funded by whoever issued the coupon
+          const { platformFee: fee, providerEarnings: earning } =
+            splitBookingAmount(booking, commissionRate, booking.coupon?.scope);
 
-          const fee = Math.round(booking.totalAmount * (commissionRate / 100));
-          const earning = booking.totalAmount - fee;
+          // Package visits also earn the provider the credit spent on them
+          const credit = splitBookingAmount(
+            { totalAmount: booking.packageCreditValue },
+            commissionRate,
+          );
 
           const confirmed = await tx.booking.update({
             where: { id: booking.id },
@@ -207,8 +338,8 @@ const handleCheckoutCompleted = async (session, req) => {
               bookingStatus: "CONFIRMED",
               paymentLink: null,
               expiresAt: null,
-              platformFee: fee,
-              providerEarnings: earning,
+              platformFee: fee + credit.platformFee,
+              providerEarnings: earning + credit.providerEarnings,
             },
           });
 
@@ -220,66 +351,96 @@ const handleCheckoutCompleted = async (session, req) => {
           where: { id: paymentId },
           data: {
             status: "PAID",
-            stripeSessionId: session.id,
-            paymentIntentId: session.payment_intent,
+            stripeSessionId: sessionId,
+            paymentIntentId,
             bookingIds: JSON.stringify(confirmedBookings.map((b) => b.id)),
           },
         });
 
+        await confirmCouponRedemptions(tx, paymentId);
+
+        // Each business's share is transferred once the charge settles
+        await createPaymentTransfers(tx, paymentId, confirmedBookings);
+
+        // Seats are now held by confirmed bookings
+        await convertHolds(
+          tx,
+          confirmedBookings.map((b) => b.id),
+        );
+
         // Clear cart
         await tx.cart.deleteMany({
           where: { id: { in: cartIds }, userId },
         });
 
-        await tx.customerPayment.deleteMany({
-          where: { status: "PENDING", userId },
+        await tx.quote.updateMany({
+          where: {
+            bookingId: { in: confirmedBookings.map((b) => b.id) },
+            status: "ACCEPTED",
+          },
+          data: { status: "BOOKED" },
         });
+
+        // Other open checkouts of this customer (e.g. an accepted quote)
+        // keep their payment; they are released when their session expires
         return confirmedBookings;
       },
       {
         timeout: 50000,
       },
     );
-    if (!result || result.length === 0) {
-      return;
+    /* ---------------- SPLIT FUNDS PER BUSINESS ---------------- */
+    // Also runs on replays: transfers already sent are skipped
+    try {
+      await executePaymentTransfers(paymentId);
+    } catch (err) {
+      console.error("Failed to transfer provider shares:", err.message);
     }
 
-    /* ---------------- SEND EMAIL WITH INVOICE ---------------- */
+    /* ---------------- ISSUE INVOICES ---------------- */
+    // Mixed carts get one invoice per business; also runs on replays, where
+    // businesses already invoiced are skipped
+    let invoices = [];
     try {
-      const invoiceData = buildInvoiceData({
-        business: {
-          name: cart[0].business.businessName,
-          email: cart[0].business.contactEmail,
-          phone: cart[0].business.phoneNumber,
-        },
+      invoices = await issueBookingInvoices(paymentId);
+    } catch (err) {
+      console.error("Failed to issue invoices:", err.message);
+    }
 
-        customer: {
-          name: user.name,
-          email: user.email,
-          address: `${address.street}, ${address.city}, ${address.state} - ${address.postalCode}`,
-        },
+    if (!result || result.length === 0) {
+      return;
+    }
 
-        provider: {
-          name: cart[0].service.businessProfile.user.name,
-        },
+    const discountAmount = result.reduce(
+      (sum, b) => sum + (b.discountAmount || 0),
+      0,
+    );
 
-        items: cart.map((c) => ({
-          title: c.service.name,
-          price: c.service.price,
-          bookingDate: c.date,
-          slotTime: c.slot ? c.slot.time : "Not Assigned",
-        })),
+    try {
+      await rewardReferral(userId);
+    } catch (err) {
+      console.error("Failed to reward referral:", err.message);
+    }
 
-        payment: {
-          status: "PAID",
-          method: "Stripe",
-          transactionId: session.payment_intent,
-        },
+    const businessNames = [
+      ...new Set(cart.map((item) => item.business.businessName)),
+    ];
 
-        invoiceNumber: `INV-${Date.now()}`,
-      });
+    // As booked, e.g. only the add-ons of a visit paid by a package credit
+    const bookedPrice = (item) =>
+      result.find(
+        (b) =>
+          b.serviceId === item.serviceId &&
+          b.date === item.date &&
+          b.slotId === item.slotId,
+      )?.servicePrice ?? getLinePrice(item);
 
-      const pdfBuffer = await generateInvoicePDF(invoiceData);
+    /* ---------------- SEND EMAIL WITH INVOICES ---------------- */
+    try {
+      const attachments = invoices.map((invoice) => ({
+        filename: invoice.fileName,
+        content: Buffer.from(invoice.pdf),
+      }));
 
       await sendMail({
         email: user.email,
@@ -287,35 +448,35 @@ const handleCheckoutCompleted = async (session, req) => {
         template: bookingSuccessEmailTemplate({
           userName: user.name,
           bookingIds: result.map((b) => b.id),
-          totalAmount: cart.reduce((sum, c) => sum + c.service.price, 0),
+          totalAmount: result.reduce((sum, b) => sum + b.totalAmount, 0),
+          discountAmount,
+          couponCode,
+          taxAmount: result.reduce((sum, b) => sum + (b.taxAmount || 0), 0),
           paymentId,
           paymentDate: new Date().toISOString(),
           services: cart.map((c) => ({
-            title: c.service.name,
-            price: c.service.price,
+            title: describeSelection(c.service.name, c.pricing),
+            price: bookedPrice(c),
             bookingDate: c.date,
             slotTime: c.slot ? c.slot.time : "Not Assigned",
           })),
-          businessName: cart[0].business.businessName,
+          businessName: businessNames.join(", "),
         }),
-        attachments: [
-          {
-            filename: "invoice.pdf",
-            content: pdfBuffer,
-          },
-        ],
+        attachments,
       });
     } catch (err) {
       console.error("Failed to send invoice email:", err.message);
     }
 
-    /* ---------------- SEND PUSH NOTIFICATION TO PROVIDER ---------------- */
-    const provider = await prisma.businessProfile.findUnique({
-      where: { id: result[0].businessProfileId },
-      select: { userId: true },
+    /* ---------------- SEND PUSH NOTIFICATION TO PROVIDERS ---------------- */
+    const providers = await prisma.businessProfile.findMany({
+      where: {
+        id: { in: [...new Set(result.map((r) => r.businessProfileId))] },
+      },
+      select: { id: true, userId: true },
     });
 
-    if (!provider) {
+    if (!providers.length) {
       console.error("Provider not found");
       return;
     }
@@ -324,41 +485,53 @@ const handleCheckoutCompleted = async (session, req) => {
       where: { id: { in: result.map((r) => r.serviceId) } },
     });
 
-    const payload = {
-      title: "New Booking Received",
-      body: `New booking for ${services.map((s) => s.name).join(", ")} by ${
-        user.name
-      }`,
-      type: "BOOKING_CREATED",
-    };
+    for (const provider of providers) {
+      // Each provider only hears about their own bookings
+      const providerServiceIds = result
+        .filter((r) => r.businessProfileId === provider.id)
+        .map((r) => r.serviceId);
+
+      const payload = {
+        title: "New Booking Received",
+        body: `New booking for ${services
+          .filter((s) => providerServiceIds.includes(s.id))
+          .map((s) => s.name)
+          .join(", ")} by ${user.name}`,
+        type: "BOOKING_CREATED",
+      };
 
-    await storeNotification(
-      payload.title,
-      payload.body,
-      provider.userId,
-      user.id,
-    );
+      await storeNotification(
+        payload.title,
+        payload.body,
+        provider.userId,
+        user.id,
+      );
 
-    try {
-      const fcmTokens = await prisma.fCMToken.findMany({
-        where: { userId: provider.userId },
-      });
+      try {
+        const fcmTokens = await prisma.fCMToken.findMany({
+          where: { userId: provider.userId },
+        });
 
-      if (fcmTokens.length > 0) {
-        await NotificationService.sendNotification(
-          fcmTokens,
-          payload.title,
-          payload.body,
-          {
-            type: payload.type,
-            tag: `provider_booking_${paymentId}`,
-          },
-        );
+        if (fcmTokens.length > 0) {
+          await NotificationService.sendNotification(
+            fcmTokens,
+            payload.title,
+            payload.body,
+            {
+              type: payload.type,
+              tag: `provider_booking_${paymentId}`,
+            },
+          );
+        }
+      } catch (err) {
+        console.error("Notification error:", err.message);
       }
-    } catch (err) {
-      console.error("Notification error:", err.message);
     }
 
+    /* ---------------- STAFF ASSIGNMENT ---------------- */
+    // Suggests or offers each booking to staff, per the provider's setting
+    await autoAssignBookings(result.map((b) => b.id));
+
     // Notify customer about booking confirmation
     const customerPayload = {
       title: "Booking Confirmed",
@@ -372,7 +545,7 @@ const handleCheckoutCompleted = async (session, req) => {
       customerPayload.title,
       customerPayload.body,
       user.id,
-      provider.userId,
+      providers[0].userId,
     );
 
     try {
@@ -404,8 +577,8 @@ const handleCheckoutCompleted = async (session, req) => {
         metadata: {
           paymentId: paymentId,
           services: cart.map((c) => ({
-            title: c.service.name,
-            price: c.service.price,
+            title: describeSelection(c.service.name, c.pricing),
+            price: bookedPrice(c),
             bookingDate: c.date,
             slotTime: c.slot ? c.slot.time : "Not Assigned",
           })),
@@ -416,6 +589,7 @@ const handleCheckoutCompleted = async (session, req) => {
     });
   } catch (error) {
     console.error("Error in handleCheckoutCompleted:", error.message);
+    throw error; // Marks the event FAILED on the ledger for a retry
   }
 };
 
@@ -598,9 +772,36 @@ const handleProviderSubscriptionCompleted = async (session, req) => {
         },
       };
 
-      const pdfBuffer = await generateProviderSubscriptionInvoicePDF(
-        invoiceData,
-      );
+      // Numbered in the platform's own series, once per subscription
+      const invoice =
+        (await issueInvoice({
+          prepare: async (tx) => {
+            const existing = await tx.invoice.findFirst({
+              where: { issuerKey: PLATFORM_ISSUER, reference: subscription.id },
+              select: { id: true },
+            });
+            if (existing) return null;
+
+            return {
+              userId,
+              reference: subscription.id,
+              subtotal: plan.price,
+              taxableAmount: plan.price,
+              totalAmount: plan.price,
+            };
+          },
+          render: async (invoiceNumber) => {
+            const data = { ...invoiceData, invoiceNumber };
+            return {
+              data,
+              pdf: await generateProviderSubscriptionInvoicePDF(data),
+            };
+          },
+        })) ||
+        // Already issued when this event is replayed
+        (await prisma.invoice.findFirst({
+          where: { issuerKey: PLATFORM_ISSUER, reference: subscription.id },
+        }));
 
       await sendMail({
         email: business.contactEmail,
@@ -616,8 +817,8 @@ const handleProviderSubscriptionCompleted = async (session, req) => {
         }),
         attachments: [
           {
-            filename: "invoice.pdf",
-            content: pdfBuffer,
+            filename: invoice.fileName,
+            content: Buffer.from(invoice.pdf),
           },
         ],
       });
@@ -725,6 +926,129 @@ const handleProviderSubscriptionUpdated = async (subscription, req) => {
   }
 };
 
+/* ------------------------- RECURRING BOOKING CARD SAVED ------------------------- */
+
+const handleRecurringSetupCompleted = async (session, req) => {
+  console.log("💳 Processing recurring booking setup", session.id);
+  const { recurringBookingId, userId } = session.metadata || {};
+
+  if (!recurringBookingId || !userId || !session.setup_intent) {
+    console.error("Missing metadata in setup webhook:", session.metadata);
+    return;
+  }
+
+  const series = await prisma.recurringBooking.findUnique({
+    where: { id: recurringBookingId },
+  });
+
+  // Idempotency: only pending series are activated
+  if (!series || series.status !== "PENDING_SETUP") {
+    return;
+  }
+
+  const setupIntent = await stripe.setupIntents.retrieve(session.setup_intent);
+  const paymentMethodId =
+    typeof setupIntent.payment_method === "string"
+      ? setupIntent.payment_method
+      : setupIntent.payment_method?.id;
+
+  if (!paymentMethodId) {
+    console.error("No payment method on setup intent", setupIntent.id);
+    return;
+  }
+
+  // Saved card becomes the default for future series
+  await prisma.user.update({
+    where: { id: userId },
+    data: { stripePaymentMethodId: paymentMethodId },
+  });
+
+  await activateRecurringBooking(recurringBookingId, paymentMethodId);
+
+  await prisma.customerActivityLog.create({
+    data: {
+      customerId: userId,
+      actionType: "RECURRING_BOOKING_ACTIVATED",
+      status: "SUCCESS",
+      serviceId: series.serviceId,
+      metadata: { recurringBookingId, setupIntentId: setupIntent.id },
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  await storeNotification(
+    "Recurring Booking Active",
+    "Your card has been saved and your recurring booking is now active.",
+    userId,
+    null,
+  );
+};
+
+/* ------------------------- CUSTOMER CHECKOUT EXPIRED ------------------------- */
+
+const handleCheckoutExpired = async (session) => {
+  console.log("⌛ Processing checkout.session.expired", session.id);
+
+  const released = await releaseCheckoutSession(session.id);
+  console.log(`Released ${released} slot hold(s) for session ${session.id}`);
+
+  await releaseCouponRedemptions(session.metadata?.paymentId);
+  await releaseWalletPayment(session.metadata?.paymentId);
+  await releasePackagePayment(session.metadata?.paymentId);
+};
+
+/* ------------------------- CONNECT ACCOUNT UPDATED ------------------------- */
+
+const handleAccountUpdated = async (account) => {
+  const status =
+    account.charges_enabled && account.payouts_enabled
+      ? "active"
+      : account.requirements?.disabled_reason
+        ? "restricted"
+        : "pending";
+
+  await prisma.user.updateMany({
+    where: { stripeAccountId: account.id },
+    data: { stripeAccountStatus: status },
+  });
+
+  if (status !== "active") return;
+
+  // Pay out checkout shares that were waiting on this account
+  const providers = await prisma.user.findMany({
+    where: { stripeAccountId: account.id, role: "provider" },
+    select: { id: true },
+  });
+
+  for (const provider of providers) {
+    await retryProviderTransfers(provider.id);
+  }
+
+  // And staff payouts that were waiting on it
+  const staff = await prisma.user.findMany({
+    where: { stripeAccountId: account.id, role: "staff" },
+    select: { id: true },
+  });
+
+  for (const member of staff) {
+    await executeStaffPayouts({ staffId: member.id });
+  }
+};
+
+/* ------------------------- CHARGE REFUNDED ------------------------- */
+
+const handleChargeRefunded = async (charge) => {
+  console.log("↩️ Processing charge.refunded", charge.id);
+
+  // The embedded refund list is not expanded on newer API versions
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+
+  for (const refund of refunds.data) {
+    await syncStripeRefund(refund);
+  }
+};
+
 /* ------------------------- CUSTOMER PAYMENT FAILED ------------------------- */
 
 const handlePaymentFailed = async (intent, req) => {
@@ -737,27 +1061,27 @@ const handlePaymentFailed = async (intent, req) => {
     where: { id: paymentId },
     data: { status: "FAILED" },
   });
-  await prisma.customerPayment.deleteMany({
-    where: { status: "PENDING", userId },
-  });
 
   const user = await prisma.user.findUnique({ where: { id: userId } });
   if (!user) return;
 
-  const cart = await prisma.cart.findMany({
-    where: { id: { in: cartIds }, userId },
-    include: {
-      service: {
-        include: {
-          businessProfile: {
-            include: { user: true },
+  const cart = await priceCartItems(
+    await prisma.cart.findMany({
+      where: { id: { in: cartIds }, userId },
+      include: {
+        service: {
+          include: {
+            businessProfile: {
+              include: { user: true },
+            },
           },
         },
+        slot: true,
+        business: true,
+        variant: true,
       },
-      slot: true,
-      business: true,
-    },
-  });
+    }),
+  );
   if (!cart.length) return;
 
   // create log
@@ -781,8 +1105,8 @@ const handlePaymentFailed = async (intent, req) => {
     template: bookingFailedEmailTemplate({
       userName: user.name,
       services: cart.map((c) => ({
-        title: c.service.name,
-        price: c.service.price,
+        title: describeSelection(c.service.name, c.pricing),
+        price: getLinePrice(c),
         bookingDate: c.date,
         slotTime: c.slot ? c.slot.time : "Not Assigned",
       })),
@@ -791,4 +1115,8 @@ const handlePaymentFailed = async (intent, req) => {
   });
 };
 
-module.exports = { stripeWebhookHandler };
+module.exports = {
+  stripeWebhookHandler,
+  dispatchStripeEvent,
+  confirmCustomerCheckout,
+};
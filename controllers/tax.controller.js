@@ -0,0 +1,132 @@
+const prisma = require("../prismaClient");
+const { taxDetailsSchema } = require("../helper/validation/tax.validation");
+const { getGstinState } = require("../service/tax-service");
+
+/* ---------------- GET TAX DETAILS ---------------- */
+const getTaxDetails = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: {
+        gstin: true,
+        gstState: true,
+        services: {
+          select: {
+            id: true,
+            name: true,
+            price: true,
+            taxInclusive: true,
+            sacCode: true,
+          },
+        },
+      },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Tax details fetched successfully.",
+      gstRegistered: Boolean(business.gstin),
+      gstin: business.gstin,
+      gstState: business.gstState,
+      services: business.services,
+    });
+  } catch (error) {
+    console.error("getTaxDetails error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch tax details.",
+    });
+  }
+};
+
+/* ---------------- UPDATE TAX DETAILS ---------------- */
+const updateTaxDetails = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { error, value } = taxDetailsSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    // The state is taken from the GSTIN so it cannot disagree with it
+    const gstState = value.gstin ? getGstinState(value.gstin) : null;
+    if (value.gstin && !gstState) {
+      return res.status(422).json({
+        success: false,
+        msg: ["gstin has an unknown state code"],
+      });
+    }
+
+    const business = await prisma.businessProfile.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        msg: "Business profile not found.",
+      });
+    }
+
+    if (value.gstin) {
+      const taken = await prisma.businessProfile.findFirst({
+        where: { gstin: value.gstin, id: { not: business.id } },
+        select: { id: true },
+      });
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          msg: "This GSTIN is already registered to another business.",
+        });
+      }
+    }
+
+    const updated = await prisma.businessProfile.update({
+      where: { id: business.id },
+      data: { gstin: value.gstin, gstState },
+      select: { id: true, gstin: true, gstState: true },
+    });
+
+    await prisma.providerAdminActivityLog.create({
+      data: {
+        actorId: userId,
+        actorType: req.user.role,
+        actionType: "TAX_DETAILS_UPDATED",
+        status: "SUCCESS",
+        metadata: { businessId: business.id, gstin: value.gstin, gstState },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      msg: value.gstin
+        ? "GST registration saved. New bookings will be taxed."
+        : "GST registration removed. New bookings will not be taxed.",
+      business: updated,
+    });
+  } catch (error) {
+    console.error("updateTaxDetails error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not update tax details.",
+    });
+  }
+};
+
+module.exports = { getTaxDetails, updateTaxDetails };
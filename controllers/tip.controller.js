@@ -0,0 +1,216 @@
+const prisma = require("../prismaClient");
+const stripe = require("../config/stripe");
+const {
+  TIP_PERCENTAGES,
+  createTipSchema,
+} = require("../helper/validation/tip.validation");
+const { cancelPendingTip } = require("../service/tip-service");
+
+// Checkout sessions for tips stay open this long
+const TIP_SESSION_MINUTES = 60;
+
+const getTippableBooking = (bookingId, userId) =>
+  prisma.booking.findFirst({
+    where: { id: bookingId, userId },
+    include: {
+      service: { select: { name: true } },
+      StaffAssignBooking: {
+        where: { status: { in: ["ACCEPTED", "COMPLETED"] } },
+        select: {
+          assignedStaff: { select: { id: true, name: true } },
+        },
+      },
+      tips: {
+        where: { status: "PAID" },
+        select: { id: true, staffId: true, amount: true, paidAt: true },
+      },
+    },
+  });
+
+const isCompleted = (booking) =>
+  booking.bookingStatus === "COMPLETED" ||
+  booking.trackingStatus === "COMPLETED";
+
+/* ---------------- GET TIP OPTIONS ---------------- */
+const getTipOptions = async (req, res) => {
+  const userId = req.user.id;
+  const { bookingId } = req.params;
+
+  try {
+    const booking = await getTippableBooking(bookingId, userId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      msg: "Tip options fetched successfully.",
+      canTip: isCompleted(booking) && booking.StaffAssignBooking.length > 0,
+      staff: booking.StaffAssignBooking.map((a) => a.assignedStaff),
+      presets: TIP_PERCENTAGES.map((percentage) => ({
+        percentage,
+        amount: Math.round((booking.totalAmount * percentage) / 100),
+      })),
+      tips: booking.tips,
+    });
+  } catch (error) {
+    console.error("getTipOptions error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch tip options.",
+    });
+  }
+};
+
+/* ---------------- CREATE TIP ---------------- */
+// Starts a Stripe checkout; the tip is paid to the staff member once it completes
+const createTip = async (req, res) => {
+  const userId = req.user.id;
+  const { bookingId } = req.params;
+
+  try {
+    const { error, value } = createTipSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        msg: error.details.map((e) => e.message),
+      });
+    }
+
+    const booking = await getTippableBooking(bookingId, userId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        msg: "Booking not found.",
+      });
+    }
+
+    if (!isCompleted(booking)) {
+      return res.status(400).json({
+        success: false,
+        msg: "You can tip only after the service is completed.",
+      });
+    }
+
+    const staffMembers = booking.StaffAssignBooking.map((a) => a.assignedStaff);
+    if (staffMembers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        msg: "No staff member was assigned to this booking.",
+      });
+    }
+
+    const staff = value.staffId
+      ? staffMembers.find((s) => s.id === value.staffId)
+      : staffMembers.length === 1 && staffMembers[0];
+    if (!staff) {
+      return res.status(400).json({
+        success: false,
+        msg: value.staffId
+          ? "This staff member did not work on this booking."
+          : "Please choose which staff member to tip.",
+      });
+    }
+
+    if (booking.tips.some((t) => t.staffId === staff.id)) {
+      return res.status(400).json({
+        success: false,
+        msg: "You have already tipped this staff member for this booking.",
+      });
+    }
+
+    const amount = value.percentage
+      ? Math.round((booking.totalAmount * value.percentage) / 100)
+      : value.amount;
+    if (amount < 1) {
+      return res.status(400).json({
+        success: false,
+        msg: "Tip amount is too small.",
+      });
+    }
+
+    // One open checkout per staff member, so two tips cannot both be paid
+    const pendingTips = await prisma.tip.findMany({
+      where: { bookingId, userId, staffId: staff.id, status: "PENDING" },
+    });
+    for (const pendingTip of pendingTips) {
+      if (!(await cancelPendingTip(pendingTip))) {
+        return res.status(409).json({
+          success: false,
+          msg: "Your earlier tip for this staff member is being processed.",
+        });
+      }
+    }
+
+    const tip = await prisma.tip.create({
+      data: {
+        bookingId,
+        userId,
+        staffId: staff.id,
+        businessProfileId: booking.businessProfileId,
+        amount,
+        percentage: value.percentage || null,
+        message: value.message || null,
+      },
+    });
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      expires_at: Math.floor(Date.now() / 1000) + TIP_SESSION_MINUTES * 60,
+      metadata: { type: "tip", tipId: tip.id, bookingId, userId },
+      line_items: [
+        {
+          price_data: {
+            currency: "inr",
+            product_data: {
+              name: `Tip for ${staff.name} - ${booking.service.name}`,
+            },
+            unit_amount: amount * 100,
+          },
+          quantity: 1,
+        },
+      ],
+      success_url: `${process.env.FRONTEND_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: process.env.FRONTEND_CANCEL_URL,
+    });
+
+    await prisma.tip.update({
+      where: { id: tip.id },
+      data: { stripeSessionId: session.id },
+    });
+
+    await prisma.customerActivityLog.create({
+      data: {
+        customerId: userId,
+        actionType: "TIP_STARTED",
+        status: "SUCCESS",
+        metadata: { bookingId, tipId: tip.id, staffId: staff.id, amount },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      msg: "Tip checkout created successfully.",
+      url: session.url,
+      tip: { id: tip.id, amount, staffName: staff.name },
+    });
+  } catch (error) {
+    console.error("createTip error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not create tip.",
+    });
+  }
+};
+
+module.exports = {
+  getTipOptions,
+  createTip,
+};
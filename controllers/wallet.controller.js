@@ -0,0 +1,72 @@
+const prisma = require("../prismaClient");
+
+// Credits expiring within this window are shown as expiring soon
+const EXPIRING_SOON_DAYS = 7;
+
+/* ---------------- GET WALLET ---------------- */
+const getWallet = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const [user, transactions, total, expiring] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { walletBalance: true },
+      }),
+      prisma.walletTransaction.findMany({
+        where: { userId },
+        skip,
+        take,
+        orderBy: { createdAt: "desc" },
+        omit: { remainingAmount: true, createdById: true, reversedAt: true },
+      }),
+      prisma.walletTransaction.count({ where: { userId } }),
+      prisma.walletTransaction.findMany({
+        where: {
+          userId,
+          type: "CREDIT",
+          remainingAmount: { gt: 0 },
+          expiresAt: {
+            gt: new Date(),
+            lte: new Date(
+              Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000,
+            ),
+          },
+        },
+        orderBy: { expiresAt: "asc" },
+        select: { remainingAmount: true, expiresAt: true, source: true },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      msg: "Wallet fetched successfully.",
+      balance: user.walletBalance,
+      expiringSoon: expiring.map((credit) => ({
+        amount: credit.remainingAmount,
+        expiresAt: credit.expiresAt,
+        source: credit.source,
+      })),
+      transactions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("getWallet error:", error);
+    return res.status(500).json({
+      success: false,
+      msg: "Server Error: Could not fetch wallet.",
+    });
+  }
+};
+
+module.exports = { getWallet };
@@ -0,0 +1,73 @@
+/**
+ * Parse a slot time such as "02:30 PM" into 24h hours/minutes
+ */
+const parseSlotTimeTo24H = (timeStr) => {
+  if (!timeStr) return { hours: 0, minutes: 0 };
+
+  const normalized = timeStr.toUpperCase().trim();
+
+  let timePart = normalized;
+  let modifier = "";
+
+  if (normalized.includes("PM")) {
+    modifier = "PM";
+    timePart = normalized.replace("PM", "").trim();
+  } else if (normalized.includes("AM")) {
+    modifier = "AM";
+    timePart = normalized.replace("AM", "").trim();
+  }
+
+  let [hours, minutes] = timePart.split(":").map(Number);
+
+  if (isNaN(hours)) hours = 0;
+  if (isNaN(minutes)) minutes = 0;
+
+  if (modifier === "PM" && hours !== 12) hours += 12;
+  if (modifier === "AM" && hours === 12) hours = 0;
+
+  return { hours, minutes };
+};
+
+/**
+ * Start time of a booking from its date string and slot time.
+ * Returns null when the date cannot be parsed.
+ */
+const getServiceStartTime = (date, slotTime) => {
+  let serviceStart = new Date(date);
+
+  if (isNaN(serviceStart.getTime())) {
+    const parts = String(date).split(/[-/]/);
+    if (parts.length === 3) {
+      if (parts[0].length === 4) {
+        serviceStart = new Date(`${parts[0]}-${parts[1]}-${parts[2]}`);
+      } else {
+        serviceStart = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
+      }
+    }
+  }
+
+  if (isNaN(serviceStart.getTime())) {
+    return null;
+  }
+
+  const { hours, minutes } = parseSlotTimeTo24H(slotTime);
+  serviceStart.setHours(hours, minutes, 0, 0);
+
+  return serviceStart;
+};
+
+/**
+ * Hours left until a booking starts (negative once it has started)
+ */
+const getHoursUntilService = (date, slotTime) => {
+  const serviceStart = getServiceStartTime(date, slotTime);
+  if (!serviceStart) return null;
+
+  return (serviceStart - new Date()) / (1000 * 60 * 60);
+};
+
+module.exports = {
+  parseSlotTimeTo24H,
+  getServiceStartTime,
+  getHoursUntilService,
+};
@@ -1,3 +1,9 @@
+const {
+    getBookingCancellationPolicy,
+    getCancellationFeePercentage,
+    getCancellationQuote,
+} = require("../service/cancellation-policy-service");
+
 /**
  * Format cancellation details for provider dashboard
  */
@@ -13,19 +19,15 @@ const formatCancellationDetails = (cancelDetails, user, service, booking) => {
         "emergency": "Emergency",
         "schedule_conflict": "Schedule Conflict",
         "service_issue": "Service Issue",
+        "staff_unavailable": "Staff Unavailable",
         "other": "Other"
     };
     const formattedReasonType = reasonTypeMap[cancelDetails?.reasonType] || cancelDetails?.reasonType;
 
-    // Determine cancellation fee percentage based on hours
-    const getFeePercentage = (hours) => {
-        if (hours < 4) return 50;
-        if (hours < 12) return 25;
-        if (hours < 24) return 10;
-        return 0;
-    };
-
-    const feePercentage = getFeePercentage(cancelDetails?.hoursBeforeService || 0);
+    // Policy the booking was sold under, as recorded on the cancellation
+    const policy = cancelDetails?.cancellationPolicy || getBookingCancellationPolicy(booking);
+    const feePercentage = cancelDetails?.feePercentage ??
+        getCancellationFeePercentage(policy, cancelDetails?.hoursBeforeService || 0);
 
     return {
         id: cancelDetails?.id,
@@ -37,6 +39,8 @@ const formatCancellationDetails = (cancelDetails, user, service, booking) => {
             cancelledAt: cancelDetails?.requestedAt,
             reason: cancelDetails?.reason,
             reasonType: formattedReasonType,
+            initiatedBy: cancelDetails?.initiatedBy,
+            staffCallOffFee: cancelDetails?.staffCallOffFee || 0,
         },
 
         /* -------- SERVICE INFO -------- */
@@ -51,7 +55,10 @@ const formatCancellationDetails = (cancelDetails, user, service, booking) => {
             status: cancelDetails?.refundStatus,
             amount: cancelDetails?.refundAmount,
             fee: cancelDetails?.cancellationFee,
+            destination: cancelDetails?.refundDestination,
             feePercentage: feePercentage,
+            policy: policy.type,
+            policySummary: policy.summary,
             refundedAt: cancelDetails?.refundedAt,
         },
 
@@ -75,23 +82,21 @@ const formatCancellationDetails = (cancelDetails, user, service, booking) => {
 };
 
 /**
- * Get cancellation fee details with breakdown
+ * Get cancellation fee details with breakdown under a booking's policy
  */
-const getCancellationFeeBreakdown = (totalAmount, hoursBeforeService) => {
-    let feePercentage = 0;
-
-    if (hoursBeforeService < 4) feePercentage = 50;
-    else if (hoursBeforeService < 12) feePercentage = 25;
-    else if (hoursBeforeService < 24) feePercentage = 10;
-
-    const cancellationFee = Math.round((totalAmount * feePercentage) / 100);
-    const refundAmount = totalAmount - cancellationFee;
+const getCancellationFeeBreakdown = (totalAmount, hoursBeforeService, policy = getBookingCancellationPolicy()) => {
+    const { feePercentage, cancellationFee, refundAmount } = getCancellationQuote(
+        policy,
+        totalAmount,
+        hoursBeforeService
+    );
 
     return {
         totalAmount,
         feePercentage,
         cancellationFee,
         refundAmount,
+        policy: policy.type,
         breakdown: {
             original: totalAmount,
             fee: cancellationFee,
@@ -182,6 +182,9 @@ function bookingSuccessEmailTemplate({
   paymentDate,
   services,
   businessName,
+  discountAmount = 0,
+  couponCode,
+  taxAmount = 0,
 }) {
   const formattedDate = new Date(paymentDate).toLocaleDateString("en-IN", {
     day: "2-digit",
@@ -269,6 +272,28 @@ function bookingSuccessEmailTemplate({
                   </td>
                 </tr>
 
+                ${
+                  discountAmount > 0
+                    ? `<tr>
+                  <td style="padding:8px 0; color:#6b7280;">Discount${couponCode ? ` (${couponCode})` : ""}</td>
+                  <td style="padding:8px 0; text-align:right; color:#16a34a;">
+                    -₹${discountAmount}
+                  </td>
+                </tr>`
+                    : ""
+                }
+
+                ${
+                  taxAmount > 0
+                    ? `<tr>
+                  <td style="padding:8px 0; color:#6b7280;">GST</td>
+                  <td style="padding:8px 0; text-align:right;">
+                    ₹${taxAmount}
+                  </td>
+                </tr>`
+                    : ""
+                }
+
                 <tr>
                   <td style="padding:12px 0; color:#6b7280; border-top:1px solid #e5e7eb;">
                     Total Amount Paid
@@ -921,6 +946,158 @@ function newProviderRegisteredTemplate({
   `;
 }
 
+/* ---------------- BOOKING RESCHEDULE ---------------- */
+function bookingRescheduleEmailTemplate({
+  userName,
+  heading,
+  message,
+  serviceName,
+  businessName,
+  fromDate,
+  fromTime,
+  toDate,
+  toTime,
+  rescheduleFee = 0,
+  reason,
+}) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <title>${heading}</title>
+</head>
+<body style="margin:0; padding:0; background-color:#ffffff; font-family:Arial, Helvetica, sans-serif; color:#1f2937;">
+  <main style="padding:32px; max-width:720px;">
+    <img
+      src="${HSM_LOGO}"
+      alt="HSM Logo"
+      style="display:block; width:140px; height:auto; margin-bottom:16px; object-fit:contain;"
+    />
+    <p style="margin:0 0 12px 0; font-size:14px;">
+      Hi <strong>${userName}</strong>,
+    </p>
+    <p style="margin:0 0 16px 0; font-size:14px; line-height:1.6;">
+      ${message}
+    </p>
+    <div style="background-color:#f3f4f6; padding:16px; border-radius:4px; margin:24px 0;">
+      <p style="margin:0 0 8px; font-weight:600;">${heading}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Service:</strong> ${serviceName}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Provider:</strong> ${businessName}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Current Schedule:</strong> ${fromDate} at ${fromTime}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Requested Schedule:</strong> ${toDate} at ${toTime}</p>
+      ${
+        rescheduleFee > 0
+          ? `<p style="margin:0 0 4px; font-size:14px;"><strong>Reschedule Fee:</strong> ₹${rescheduleFee}</p>`
+          : ""
+      }
+      ${
+        reason
+          ? `<p style="margin:0; font-size:14px;"><strong>Reason:</strong> ${reason}</p>`
+          : ""
+      }
+    </div>
+
+    <p style="margin:32px 0 8px 0; font-size:13px; color:#4b5563;">
+      If you need any assistance, feel free to contact our support team.
+    </p>
+  </main>
+  <footer style="padding:24px 32px; border-top:1px solid #e5e7eb; font-size:12px; color:#6b7280;">
+    © ${new Date().getFullYear()} HSM. All rights reserved.
+  </footer>
+</body>
+</html>
+  `;
+}
+
+/* ---------------- PROVIDER CANCELLED BOOKING ---------------- */
+function providerCancelledBookingEmailTemplate({
+  userName,
+  serviceName,
+  businessName,
+  bookingDate,
+  slotTime,
+  reason,
+  refundAmount = 0,
+  suggestions = [],
+}) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <title>Booking Cancelled by Provider</title>
+</head>
+<body style="margin:0; padding:0; background-color:#ffffff; font-family:Arial, Helvetica, sans-serif; color:#1f2937;">
+  <main style="padding:32px; max-width:720px;">
+    <img
+      src="${HSM_LOGO}"
+      alt="HSM Logo"
+      style="display:block; width:140px; height:auto; margin-bottom:16px; object-fit:contain;"
+    />
+    <p style="margin:0 0 12px 0; font-size:14px;">
+      Hi <strong>${userName}</strong>,
+    </p>
+    <p style="margin:0 0 16px 0; font-size:14px; line-height:1.6;">
+      We're sorry, ${businessName} had to cancel your booking.
+      ${
+        refundAmount > 0
+          ? `A full refund of <strong>₹${refundAmount}</strong> is on its way and should reach you within 5-7 business days.`
+          : "You have not been charged for this booking."
+      }
+    </p>
+    <div style="background-color:#f3f4f6; padding:16px; border-radius:4px; margin:24px 0;">
+      <p style="margin:0 0 8px; font-weight:600;">Cancelled Booking</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Service:</strong> ${serviceName}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Provider:</strong> ${businessName}</p>
+      <p style="margin:0 0 4px; font-size:14px;"><strong>Schedule:</strong> ${bookingDate} at ${slotTime}</p>
+      <p style="margin:0; font-size:14px;"><strong>Reason:</strong> ${reason}</p>
+    </div>
+    ${
+      suggestions.length > 0
+        ? `
+    <h3 style="margin:24px 0 12px; font-size:15px; font-weight:600;">
+      Book a similar service instead
+    </h3>
+    <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse; font-size:13px;">
+      <thead>
+        <tr>
+          <th align="left" style="padding:8px 0; border-bottom:1px solid #e5e7eb;">Service</th>
+          <th align="left" style="padding:8px 0; border-bottom:1px solid #e5e7eb;">Provider</th>
+          <th align="left" style="padding:8px 0; border-bottom:1px solid #e5e7eb;">Rating</th>
+          <th align="right" style="padding:8px 0; border-bottom:1px solid #e5e7eb;">Price</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${suggestions
+          .map(
+            (suggestion) => `
+            <tr>
+              <td style="padding:8px 0;">${suggestion.serviceName}</td>
+              <td style="padding:8px 0;">${suggestion.businessName}</td>
+              <td style="padding:8px 0;">${suggestion.averageRating ? `${suggestion.averageRating.toFixed(1)} ★` : "New"}</td>
+              <td style="padding:8px 0; text-align:right;">₹${suggestion.price}</td>
+            </tr>
+          `,
+          )
+          .join("")}
+      </tbody>
+    </table>`
+        : ""
+    }
+
+    <p style="margin:32px 0 8px 0; font-size:13px; color:#4b5563;">
+      If you need any assistance, feel free to contact our support team.
+    </p>
+  </main>
+  <footer style="padding:24px 32px; border-top:1px solid #e5e7eb; font-size:12px; color:#6b7280;">
+    © ${new Date().getFullYear()} HSM. All rights reserved.
+  </footer>
+</body>
+</html>
+  `;
+}
+
 module.exports = {
   welcomeUserTamplate,
   forgotPasswordTamplate,
@@ -930,4 +1107,6 @@ module.exports = {
   providerTrialStartedEmailTemplate,
   providerSubscriptionCancelledEmailTemplate,
   newProviderRegisteredTemplate,
+  bookingRescheduleEmailTemplate,
+  providerCancelledBookingEmailTemplate,
 };
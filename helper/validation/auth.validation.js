@@ -15,6 +15,7 @@ const SignUpSchema = Joi.object({
   email,
   mobile,
   password,
+  referralCode: Joi.string().trim().max(20).optional(),
 });
 
 /* ---------------- LOGIN ---------------- */
@@ -0,0 +1,60 @@
+const Joi = require("joi");
+
+/* ---------------- COMMON COUPON FIELDS ---------------- */
+const couponFields = {
+  description: Joi.string().trim().max(255).allow("", null),
+  discountType: Joi.string().valid("PERCENT", "FIXED"),
+  discountValue: Joi.number()
+    .integer()
+    .min(1)
+    .when("discountType", {
+      is: "PERCENT",
+      then: Joi.number().max(100),
+    }),
+  maxDiscount: Joi.number().integer().min(1).allow(null),
+  minOrderAmount: Joi.number().integer().min(0),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  serviceIds: Joi.array().items(Joi.string().trim()).allow(null),
+  categoryIds: Joi.array().items(Joi.string().trim()).allow(null),
+  validFrom: Joi.date().iso().allow(null),
+  validUntil: Joi.date()
+    .iso()
+    .allow(null)
+    .when("validFrom", {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref("validFrom")),
+    }),
+  isActive: Joi.boolean(),
+};
+
+/* ---------------- CREATE COUPON SCHEMA ---------------- */
+const createCouponSchema = Joi.object({
+  ...couponFields,
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]{3,20}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "code must be 3-20 letters, numbers, dashes or underscores",
+    }),
+  discountType: couponFields.discountType.required(),
+  discountValue: couponFields.discountValue.required(),
+});
+
+/* ---------------- UPDATE COUPON SCHEMA ---------------- */
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+/* ---------------- APPLY COUPON SCHEMA ---------------- */
+const applyCouponSchema = Joi.object({
+  code: Joi.string().trim().required(),
+  cartItems: Joi.array().items(Joi.string().trim()).min(1).required(),
+});
+
+module.exports = {
+  createCouponSchema,
+  updateCouponSchema,
+  applyCouponSchema,
+};
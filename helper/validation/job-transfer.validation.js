@@ -0,0 +1,29 @@
+const Joi = require("joi");
+
+/* ---------------- PROPOSE JOB TRANSFER SCHEMA ---------------- */
+const proposeJobTransferSchema = Joi.object({
+  bookingId: Joi.string().required(),
+  toStaffId: Joi.string().required(),
+  reason: Joi.string().trim().max(500).allow(null, ""),
+});
+
+/* ---------------- DECLINE JOB TRANSFER SCHEMA ---------------- */
+const declineJobTransferSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(null, ""),
+});
+
+/* ---------------- REVIEW JOB TRANSFER SCHEMA ---------------- */
+const reviewJobTransferSchema = Joi.object({
+  status: Joi.string().valid("APPROVED", "REJECTED").required(),
+  rejectionReason: Joi.when("status", {
+    is: "REJECTED",
+    then: Joi.string().trim().min(3).max(500).required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+module.exports = {
+  proposeJobTransferSchema,
+  declineJobTransferSchema,
+  reviewJobTransferSchema,
+};
@@ -0,0 +1,37 @@
+const Joi = require("joi");
+
+/* ---------------- COMMON PACKAGE FIELDS ---------------- */
+// Term changes only apply to packages bought afterwards
+const packageFields = {
+  name: Joi.string().trim().min(2).max(80),
+  description: Joi.string().trim().max(500).allow("", null),
+  serviceIds: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+  credits: Joi.number().integer().min(2).max(100),
+  // Stripe cannot charge less than ₹50
+  price: Joi.number().integer().min(50),
+  validityDays: Joi.number().integer().min(7).max(730),
+  isActive: Joi.boolean(),
+};
+
+/* ---------------- PACKAGE SCHEMAS ---------------- */
+const createPackageSchema = Joi.object({
+  ...packageFields,
+  name: packageFields.name.required(),
+  serviceIds: packageFields.serviceIds.required(),
+  credits: packageFields.credits.required(),
+  price: packageFields.price.required(),
+  validityDays: packageFields.validityDays.required(),
+});
+
+const updatePackageSchema = Joi.object(packageFields).min(1);
+
+/* ---------------- REFUND SCHEMA ---------------- */
+const refundPackageSchema = Joi.object({
+  refundTo: Joi.string().valid("original", "wallet").default("original"),
+});
+
+module.exports = {
+  createPackageSchema,
+  updatePackageSchema,
+  refundPackageSchema,
+};
@@ -0,0 +1,70 @@
+const Joi = require("joi");
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------------- COMMON RULE FIELDS ---------------- */
+const ruleFields = {
+  name: Joi.string().trim().min(2).max(50),
+  adjustmentType: Joi.string().valid("PERCENT", "FIXED"),
+  // Negative values make the rule a discount, e.g. off-peak hours
+  adjustmentValue: Joi.number()
+    .integer()
+    .invalid(0)
+    .when("adjustmentType", {
+      is: "PERCENT",
+      then: Joi.number().min(-90).max(300),
+    }),
+  weekdays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .messages({ "number.max": "weekdays run from 0 (Sunday) to 6" }),
+  startTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .allow(null)
+    .messages({ "string.pattern.base": "startTime must be HH:mm (24h)" }),
+  endTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .allow(null)
+    .messages({ "string.pattern.base": "endTime must be HH:mm (24h)" }),
+  startDate: Joi.string()
+    .pattern(DATE_PATTERN)
+    .allow(null)
+    .messages({ "string.pattern.base": "startDate must be YYYY-MM-DD" }),
+  endDate: Joi.string()
+    .pattern(DATE_PATTERN)
+    .allow(null)
+    .messages({ "string.pattern.base": "endDate must be YYYY-MM-DD" }),
+  minLeadHours: Joi.number().integer().min(0).allow(null),
+  maxLeadHours: Joi.number().integer().min(0).allow(null),
+  priority: Joi.number().integer().min(0).max(100),
+  isActive: Joi.boolean(),
+};
+
+/* ---------------- CREATE RULE SCHEMA ---------------- */
+const createPricingRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  adjustmentType: ruleFields.adjustmentType.required(),
+  adjustmentValue: ruleFields.adjustmentValue.required(),
+})
+  .and("startTime", "endTime")
+  .or(
+    "weekdays",
+    "startTime",
+    "startDate",
+    "endDate",
+    "minLeadHours",
+    "maxLeadHours",
+  )
+  .messages({
+    "object.missing":
+      "Set at least one of weekdays, a time range, a date range or a lead time",
+  });
+
+/* ---------------- UPDATE RULE SCHEMA ---------------- */
+const updatePricingRuleSchema = Joi.object(ruleFields)
+  .and("startTime", "endTime")
+  .min(1);
+
+module.exports = { createPricingRuleSchema, updatePricingRuleSchema };
@@ -37,7 +37,13 @@ const serviceProfileSchema = Joi.object({
   name: Joi.string().min(5).max(50).required(),
   description: Joi.string().min(10).max(200).required(),
   durationInMinutes: Joi.number().positive().required(),
-  price: Joi.number().min(1).required(),
+  // Quote services are priced per job; `price` is only a "from" guide
+  pricingType: Joi.string().valid("FIXED", "QUOTE").default("FIXED"),
+  price: Joi.when("pricingType", {
+    is: "QUOTE",
+    then: Joi.number().min(0).default(0),
+    otherwise: Joi.number().min(1).required(),
+  }),
   totalBookingAllow: Joi.number().positive().required(),
   currency: Joi.string().valid("INR", "USD", "EUR").default("INR"),
   isActive: Joi.boolean().default(true),
@@ -45,6 +51,12 @@ const serviceProfileSchema = Joi.object({
   images: Joi.array().items(Joi.string().uri()).default([]),
   averageRating: Joi.number().min(0).max(5).default(0),
   reviewCount: Joi.number().integer().min(0).default(0),
+  // Whether `price` already includes GST
+  taxInclusive: Joi.boolean().default(true),
+  sacCode: Joi.string()
+    .pattern(/^[0-9]{4,8}$/)
+    .allow(null)
+    .messages({ "string.pattern.base": "sacCode must be 4-8 digits" }),
 });
 
 /* ---------------- SLOT PROFILE SCHEMA ---------------- */
@@ -65,9 +77,51 @@ const teamMemberSchema = Joi.object({
     .required(),
   email: Joi.string().email().lowercase().trim().required(),
 });
+
+/* ---------------- CANCELLATION POLICY SCHEMA ---------------- */
+const cancellationPolicySchema = Joi.object({
+  // null on a service falls back to the business policy
+  policy: Joi.string()
+    .valid("FLEXIBLE", "MODERATE", "STRICT", "CUSTOM", "NON_REFUNDABLE")
+    .allow(null)
+    .required(),
+  tiers: Joi.when("policy", {
+    is: "CUSTOM",
+    then: Joi.array()
+      .items(
+        Joi.object({
+          hoursBefore: Joi.number().integer().min(1).max(720).required(),
+          feePercentage: Joi.number().integer().min(0).max(100).required(),
+        })
+      )
+      .min(1)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+/* ---------------- PROVIDER CANCEL BOOKING SCHEMA ---------------- */
+const providerCancelBookingSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required(),
+  reasonType: Joi.string()
+    .valid(
+      "staff_unavailable",
+      "schedule_conflict",
+      "emergency",
+      "service_issue",
+      "other"
+    )
+    .default("other"),
+  // Paid to the assigned staff member for the lost job
+  staffCallOffFee: Joi.number().integer().min(0).default(0),
+  paymentMethod: Joi.string().trim().max(50).default("MANUAL"),
+});
+
 module.exports = {
   businessProfileSchema,
   serviceProfileSchema,
   slotProfileSchema,
   teamMemberSchema,
+  cancellationPolicySchema,
+  providerCancelBookingSchema,
 };
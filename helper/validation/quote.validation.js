@@ -0,0 +1,55 @@
+const Joi = require("joi");
+
+// How long an estimate stays open when the provider does not say
+const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+
+/* ---------------- REQUEST QUOTE SCHEMA ---------------- */
+const requestQuoteSchema = Joi.object({
+  serviceId: Joi.string().required(),
+  addressId: Joi.string().required(),
+  details: Joi.string().trim().min(10).max(2000).required(),
+  photos: Joi.array().items(Joi.string().uri()).max(10).default([]),
+  preferredDate: Joi.date().iso(),
+  slotId: Joi.string(),
+});
+
+/* ---------------- SEND ESTIMATE SCHEMA ---------------- */
+const quoteEstimateSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        description: Joi.string().trim().min(2).max(200).required(),
+        quantity: Joi.number().integer().min(1).default(1),
+        unitPrice: Joi.number().integer().min(1).required(),
+      }),
+    )
+    .min(1)
+    .max(50)
+    .required(),
+  validForDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(30)
+    .default(DEFAULT_QUOTE_VALIDITY_DAYS),
+  notes: Joi.string().trim().max(1000).allow(""),
+});
+
+/* ---------------- ACCEPT QUOTE SCHEMA ---------------- */
+// Date and slot default to the ones asked for in the request
+const acceptQuoteSchema = Joi.object({
+  date: Joi.date().iso(),
+  slotId: Joi.string(),
+});
+
+/* ---------------- DECLINE QUOTE SCHEMA ---------------- */
+const declineQuoteSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(""),
+});
+
+module.exports = {
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  requestQuoteSchema,
+  quoteEstimateSchema,
+  acceptQuoteSchema,
+  declineQuoteSchema,
+};
@@ -0,0 +1,40 @@
+const Joi = require("joi");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------------- CREATE RECURRING BOOKING SCHEMA ---------------- */
+const RecurringBookingValidation = Joi.object({
+  serviceId: Joi.string().trim().required(),
+  businessId: Joi.string().trim().required(),
+  slotId: Joi.string().trim().required(),
+  addressId: Joi.string().trim().required(),
+  frequency: Joi.string().valid("WEEKLY", "FORTNIGHTLY", "MONTHLY").required(),
+  interval: Joi.number().integer().min(1).max(12).default(1),
+  byWeekday: Joi.number().integer().min(0).max(6),
+  byMonthDay: Joi.number().integer().min(1).max(31),
+  startDate: Joi.string()
+    .pattern(DATE_PATTERN)
+    .required()
+    .messages({ "string.pattern.base": "startDate must be YYYY-MM-DD" }),
+  endDate: Joi.string()
+    .pattern(DATE_PATTERN)
+    .messages({ "string.pattern.base": "endDate must be YYYY-MM-DD" }),
+  occurrenceCount: Joi.number().integer().min(1).max(104),
+  useNewCard: Joi.boolean().default(false),
+})
+  .oxor("endDate", "occurrenceCount")
+  .oxor("byWeekday", "byMonthDay");
+
+/* ---------------- RESCHEDULE OCCURRENCE SCHEMA ---------------- */
+const RescheduleOccurrenceValidation = Joi.object({
+  date: Joi.string()
+    .pattern(DATE_PATTERN)
+    .required()
+    .messages({ "string.pattern.base": "date must be YYYY-MM-DD" }),
+  slotId: Joi.string().trim(),
+});
+
+module.exports = {
+  RecurringBookingValidation,
+  RescheduleOccurrenceValidation,
+};
@@ -0,0 +1,15 @@
+const Joi = require("joi");
+
+/* ---------------- RESCHEDULE BOOKING SCHEMA ---------------- */
+const RescheduleBookingValidation = Joi.object({
+  date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .required()
+    .messages({ "string.pattern.base": "date must be YYYY-MM-DD" }),
+  slotId: Joi.string().trim().required(),
+  reason: Joi.string().trim().min(2).max(200),
+});
+
+module.exports = {
+  RescheduleBookingValidation,
+};
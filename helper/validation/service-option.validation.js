@@ -0,0 +1,48 @@
+const Joi = require("joi");
+
+/* ---------------- COMMON OPTION FIELDS ---------------- */
+const optionFields = {
+  name: Joi.string().trim().min(1).max(50),
+  price: Joi.number().integer().min(1),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer().min(0),
+};
+
+/* ---------------- VARIANT SCHEMAS ---------------- */
+// A size or tier of the service with its own price and duration
+const variantFields = {
+  ...optionFields,
+  durationInMinutes: Joi.number().integer().positive(),
+};
+
+const createVariantSchema = Joi.object({
+  ...variantFields,
+  name: variantFields.name.required(),
+  price: variantFields.price.required(),
+  durationInMinutes: variantFields.durationInMinutes.required(),
+});
+
+const updateVariantSchema = Joi.object(variantFields).min(1);
+
+/* ---------------- ADD-ON SCHEMAS ---------------- */
+// Optional extra booked with the service
+const addOnFields = {
+  ...optionFields,
+  description: Joi.string().trim().max(200).allow("", null),
+  durationInMinutes: Joi.number().integer().min(0),
+};
+
+const createAddOnSchema = Joi.object({
+  ...addOnFields,
+  name: addOnFields.name.required(),
+  price: addOnFields.price.required(),
+});
+
+const updateAddOnSchema = Joi.object(addOnFields).min(1);
+
+module.exports = {
+  createVariantSchema,
+  updateVariantSchema,
+  createAddOnSchema,
+  updateAddOnSchema,
+};
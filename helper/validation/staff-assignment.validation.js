@@ -0,0 +1,16 @@
+const Joi = require("joi");
+
+/* ---------------- STAFF ASSIGNMENT SETTINGS SCHEMA ---------------- */
+const staffAssignmentSettingsSchema = Joi.object({
+  staffAssignmentMode: Joi.string().valid("SUGGEST", "AUTO"),
+  staffOfferTimeoutMinutes: Joi.number().integer().min(5).max(1440),
+  staffTravelBufferMinutes: Joi.number().integer().min(0).max(240),
+  jobTransferNeedsApproval: Joi.boolean(),
+}).min(1);
+
+/* ---------------- DECLINE JOB OFFER SCHEMA ---------------- */
+const declineJobOfferSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(""),
+});
+
+module.exports = { staffAssignmentSettingsSchema, declineJobOfferSchema };
@@ -0,0 +1,10 @@
+const Joi = require("joi");
+
+/* ---------------- STAFF PAYOUT SETTINGS SCHEMA ---------------- */
+const staffPayoutSettingsSchema = Joi.object({
+  autoStaffPayout: Joi.boolean(),
+  // Hours after completion during which a customer may still dispute
+  staffPayoutDelayHours: Joi.number().integer().min(0).max(720),
+}).min(1);
+
+module.exports = { staffPayoutSettingsSchema };
@@ -0,0 +1,42 @@
+const Joi = require("joi");
+
+const skillTags = Joi.array().items(Joi.string().trim().max(40)).max(30);
+
+/* ---------------- STAFF SKILLS SCHEMA ---------------- */
+const staffSkillsSchema = Joi.object({
+  skills: skillTags.required(),
+});
+
+/* ---------------- CERTIFICATION SCHEMA ---------------- */
+const certificationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  skill: Joi.string().trim().max(40).required(),
+  issuer: Joi.string().trim().max(100).allow(null, ""),
+  certificateNumber: Joi.string().trim().max(60).allow(null, ""),
+  documentUrl: Joi.string().uri().required(),
+  issuedAt: Joi.date().iso().max("now").allow(null),
+  expiresAt: Joi.date().iso().greater("now").allow(null),
+});
+
+/* ---------------- VERIFY CERTIFICATION SCHEMA ---------------- */
+const verifyCertificationSchema = Joi.object({
+  status: Joi.string().valid("VERIFIED", "REJECTED").required(),
+  rejectionReason: Joi.when("status", {
+    is: "REJECTED",
+    then: Joi.string().trim().min(3).max(500).required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+/* ---------------- SERVICE SKILLS SCHEMA ---------------- */
+const serviceSkillsSchema = Joi.object({
+  requiredSkills: skillTags,
+  requiredCertifications: skillTags,
+}).min(1);
+
+module.exports = {
+  staffSkillsSchema,
+  certificationSchema,
+  verifyCertificationSchema,
+  serviceSkillsSchema,
+};
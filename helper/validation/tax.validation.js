@@ -0,0 +1,38 @@
+const Joi = require("joi");
+
+// 2-digit state code, PAN, entity number, "Z", checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/* ---------------- BUSINESS TAX DETAILS SCHEMA ---------------- */
+const taxDetailsSchema = Joi.object({
+  // null de-registers the business: no GST is charged from then on
+  gstin: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(GSTIN_PATTERN)
+    .allow(null)
+    .required()
+    .messages({ "string.pattern.base": "gstin is not a valid GSTIN" }),
+});
+
+/* ---------------- TAX RULE SCHEMA ---------------- */
+const taxRuleFields = {
+  businessCategoryId: Joi.string().trim().allow(null),
+  state: Joi.string().trim().max(100).allow(null),
+  rate: Joi.number().min(0).max(28),
+  description: Joi.string().trim().max(255).allow("", null),
+  isActive: Joi.boolean(),
+};
+
+const createTaxRuleSchema = Joi.object({
+  ...taxRuleFields,
+  rate: taxRuleFields.rate.required(),
+});
+
+const updateTaxRuleSchema = Joi.object(taxRuleFields).min(1);
+
+module.exports = {
+  taxDetailsSchema,
+  createTaxRuleSchema,
+  updateTaxRuleSchema,
+};
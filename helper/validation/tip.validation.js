@@ -0,0 +1,15 @@
+const Joi = require("joi");
+
+// Preset tip options, as a percentage of the booking total
+const TIP_PERCENTAGES = [10, 15, 20];
+
+/* ---------------- CREATE TIP SCHEMA ---------------- */
+const createTipSchema = Joi.object({
+  percentage: Joi.number().valid(...TIP_PERCENTAGES),
+  amount: Joi.number().integer().min(10).max(10000),
+  // Required when more than one staff member worked on the booking
+  staffId: Joi.string().uuid(),
+  message: Joi.string().trim().max(255).allow(""),
+}).xor("percentage", "amount");
+
+module.exports = { TIP_PERCENTAGES, createTipSchema };
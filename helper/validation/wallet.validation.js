@@ -0,0 +1,19 @@
+const Joi = require("joi");
+
+/* ---------------- ADMIN WALLET ADJUSTMENT SCHEMA ---------------- */
+const adjustWalletSchema = Joi.object({
+  type: Joi.string().valid("CREDIT", "DEBIT").required(),
+  amount: Joi.number().integer().min(1).required(),
+  source: Joi.string()
+    .valid("GOODWILL", "PROMO", "ADJUSTMENT")
+    .default("ADJUSTMENT"),
+  reason: Joi.string().trim().min(3).max(255).required(),
+  description: Joi.string().trim().max(255).allow("", null),
+  // Only credits can lapse
+  expiresAt: Joi.date().iso().greater("now").allow(null).when("type", {
+    is: "DEBIT",
+    then: Joi.forbidden(),
+  }),
+});
+
+module.exports = { adjustWalletSchema };
@@ -83,6 +83,62 @@ route.patch(
 /* ------------------ REVENUE & FINANCIALS ROUTES ------------------ */
 route.get("/revenue", AdminController.getRevenueStats);
 
+/* ------------------ PAYMENT DISPUTE ROUTES ------------------ */
+const DisputeController = require("../controllers/admin-dispute.controller");
+route.get("/disputes", DisputeController.getDisputes);
+route.get("/disputes/:disputeId", DisputeController.getDisputeById);
+
+/* ------------------ WEBHOOK EVENT ROUTES ------------------ */
+const WebhookController = require("../controllers/admin-webhook.controller");
+route.get("/webhook-events", WebhookController.getWebhookEvents);
+route.get("/webhook-events/:eventId", WebhookController.getWebhookEventById);
+route.post(
+  "/webhook-events/:eventId/retry",
+  WebhookController.retryWebhookEvent,
+);
+
+/* ------------------ COUPON & REFERRAL ROUTES ------------------ */
+const CouponController = require("../controllers/admin-coupon.controller");
+route.get("/coupons", CouponController.getCoupons);
+route.post("/coupons", CouponController.createCoupon);
+route.patch("/coupons/:couponId", CouponController.updateCoupon);
+route.get("/referrals", CouponController.getReferrals);
+
+/* ------------------ WALLET ROUTES ------------------ */
+const WalletController = require("../controllers/admin-wallet.controller");
+route.get("/users/:userId/wallet", WalletController.getUserWallet);
+route.post("/users/:userId/wallet/adjust", WalletController.adjustUserWallet);
+
+/* ------------------ TAX RULE ROUTES ------------------ */
+const TaxController = require("../controllers/admin-tax.controller");
+route.get("/tax-rules", TaxController.getTaxRules);
+route.post("/tax-rules", TaxController.createTaxRule);
+route.patch("/tax-rules/:ruleId", TaxController.updateTaxRule);
+route.delete("/tax-rules/:ruleId", TaxController.deleteTaxRule);
+
+/* ------------------ INVOICE ROUTES ------------------ */
+const InvoiceController = require("../controllers/admin-invoice.controller");
+route.get("/invoices", InvoiceController.getInvoices);
+route.get("/invoices/:invoiceId", InvoiceController.getInvoiceById);
+route.get("/invoices/:invoiceId/download", InvoiceController.downloadInvoice);
+
+/* ------------------ SETTLEMENT ROUTES ------------------ */
+const SettlementController = require("../controllers/admin-settlement.controller");
+route.get("/settlements", SettlementController.getSettlementRollup);
+route.post("/settlements/generate", SettlementController.generateSettlements);
+route.get(
+  "/settlements/:reportId/download",
+  SettlementController.downloadSettlementReport,
+);
+
+/* ------------------ STAFF CERTIFICATION ROUTES ------------------ */
+const StaffSkillController = require("../controllers/staff-skill.controller");
+route.get("/staff-certifications", StaffSkillController.getStaffCertifications);
+route.patch(
+  "/staff-certifications/:certificationId/review",
+  StaffSkillController.reviewCertification,
+);
+
 /* ------------------ CONTENT MANAGEMENT ROUTES ------------------ */
 const ContentController = require("../controllers/content.controller");
 route.put("/content/:key", ContentController.updateContent);
@@ -30,6 +30,14 @@ route
   .route("/business-category")
   .get(checkAuthToken(), ProviderController.getAllBusinessCategory);
 
+/* ---------------- SERVICE AVAILABILITY ROUTE ---------------- */
+const AvailabilityController = require("../controllers/availability.controller");
+route.get(
+  "/service/:serviceId/availability",
+  checkAuthToken(),
+  AvailabilityController.getServiceAvailability,
+);
+
 /* ---------------- CONTENT ROUTE ---------------- */
 const ContentController = require("../controllers/content.controller");
 route.get("/content/:key", ContentController.getContent);
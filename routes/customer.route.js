@@ -2,6 +2,14 @@ const express = require("express");
 const route = express.Router();
 
 const CustomerController = require("../controllers/customer.controller");
+const RecurringBookingController = require("../controllers/recurring-booking.controller");
+const RescheduleController = require("../controllers/reschedule.controller");
+const CouponController = require("../controllers/coupon.controller");
+const WalletController = require("../controllers/wallet.controller");
+const InvoiceController = require("../controllers/invoice.controller");
+const TipController = require("../controllers/tip.controller");
+const QuoteController = require("../controllers/quote.controller");
+const PackageController = require("../controllers/package.controller");
 
 /* ---------------- PROVIDER ROUTE ---------------- */
 route.get("/providers", CustomerController.getAllProviders);
@@ -11,6 +19,28 @@ route.get("/providers/:providerId", CustomerController.getProviderById);
 route.get("/bookings", CustomerController.getCustomerBookings);
 route.patch("/bookings/cancel", CustomerController.cancelBooking);
 route.get("/bookings/:bookingId/cancellation", CustomerController.getCancellationDetails);
+route.patch(
+  "/bookings/:bookingId/reschedule",
+  RescheduleController.rescheduleBooking,
+);
+
+/* ---------------- RECURRING BOOKING ROUTE ---------------- */
+route
+  .route("/recurring-bookings")
+  .get(RecurringBookingController.getRecurringBookings)
+  .post(RecurringBookingController.createRecurringBooking);
+route.patch(
+  "/recurring-bookings/:recurringBookingId/cancel",
+  RecurringBookingController.cancelRecurringBooking,
+);
+route.patch(
+  "/recurring-bookings/:recurringBookingId/occurrences/:occurrenceId/skip",
+  RecurringBookingController.skipOccurrence,
+);
+route.patch(
+  "/recurring-bookings/:recurringBookingId/occurrences/:occurrenceId/reschedule",
+  RecurringBookingController.rescheduleOccurrence,
+);
 
 /* ---------------- CART ROUTE ---------------- */
 route
@@ -19,7 +49,47 @@ route
   .post(CustomerController.addToCart)
   .delete(CustomerController.removeItemFromCart);
 
+/* ---------------- COUPON & REFERRAL ROUTE ---------------- */
+route.get("/coupons", CouponController.getAvailableCoupons);
+route.post("/coupons/apply", CouponController.previewCoupon);
+route.get("/referral", CouponController.getReferralDetails);
+
+/* ---------------- WALLET ROUTE ---------------- */
+route.get("/wallet", WalletController.getWallet);
+
+/* ---------------- TIP ROUTE ---------------- */
+route
+  .route("/bookings/:bookingId/tip")
+  .get(TipController.getTipOptions)
+  .post(TipController.createTip);
+
+/* ---------------- QUOTE ROUTE ---------------- */
+route
+  .route("/quotes")
+  .get(QuoteController.getCustomerQuotes)
+  .post(QuoteController.requestQuote);
+route.get("/quotes/:quoteId", QuoteController.getCustomerQuoteById);
+route.post("/quotes/:quoteId/accept", QuoteController.acceptQuote);
+route.patch("/quotes/:quoteId/decline", QuoteController.declineQuote);
+
+/* ---------------- PACKAGE ROUTE ---------------- */
+route.get("/packages", PackageController.getBusinessPackages);
+route.post("/packages/:packageId/purchase", PackageController.purchasePackage);
+route.get("/package-credits", PackageController.getCustomerPackages);
+route.post(
+  "/package-credits/:purchaseId/refund",
+  PackageController.refundPackage,
+);
+
+/* ---------------- INVOICE ROUTE ---------------- */
+route.get("/invoices", InvoiceController.getCustomerInvoices);
+route.get(
+  "/invoices/:invoiceId/download",
+  InvoiceController.downloadCustomerInvoice,
+);
+
 route.get("/all-services", CustomerController.getAllServices);
+route.get("/services/:serviceId", CustomerController.getServiceById);
 
 /* ---------------- GET ALL FEEDBACK ROUTE ---------------- */
 route.get("/all-feedback", CustomerController.getAllFeedback)
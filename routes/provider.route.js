@@ -2,6 +2,22 @@ const express = require("express");
 const route = express.Router();
 const ProviderController = require("../controllers/provider.controller");
 const StaffController = require("../controllers/staff.controller");
+const RescheduleController = require("../controllers/reschedule.controller");
+const CancellationPolicyController = require("../controllers/cancellation-policy.controller");
+const ServiceOptionController = require("../controllers/service-option.controller");
+const ProviderCancellationController = require("../controllers/provider-cancellation.controller");
+const CouponController = require("../controllers/coupon.controller");
+const TaxController = require("../controllers/tax.controller");
+const InvoiceController = require("../controllers/invoice.controller");
+const SettlementController = require("../controllers/settlement.controller");
+const QuoteController = require("../controllers/quote.controller");
+const PricingRuleController = require("../controllers/pricing-rule.controller");
+const PackageController = require("../controllers/package.controller");
+const StaffAssignmentController = require("../controllers/staff-assignment.controller");
+const JobOfferController = require("../controllers/job-offer.controller");
+const StaffSkillController = require("../controllers/staff-skill.controller");
+const StaffAvailabilityController = require("../controllers/staff-availability.controller");
+const JobTransferController = require("../controllers/job-transfer.controller");
 const {
   getPaymentRequests,
   getPaymentRequestDetails,
@@ -9,6 +25,9 @@ const {
   rejectPaymentRequest,
   getPaymentHistory,
   getPaymentStats,
+  getStaffPayoutSettings,
+  updateStaffPayoutSettings,
+  retryStaffPayout,
   addBankAccount,
   getBankAccount,
   deleteBankAccount,
@@ -33,6 +52,90 @@ route
   .patch(ProviderController.updateService)
   .delete(ProviderController.deleteService);
 
+/* ---------------- SERVICE VARIANT & ADD-ON ROUTE ---------------- */
+route.get(
+  "/service/:serviceId/options",
+  ServiceOptionController.getServiceOptions,
+);
+route.post(
+  "/service/:serviceId/variants",
+  ServiceOptionController.createVariant,
+);
+route
+  .route("/service/:serviceId/variants/:optionId")
+  .patch(ServiceOptionController.updateVariant)
+  .delete(ServiceOptionController.deleteVariant);
+route.post("/service/:serviceId/add-ons", ServiceOptionController.createAddOn);
+route
+  .route("/service/:serviceId/add-ons/:optionId")
+  .patch(ServiceOptionController.updateAddOn)
+  .delete(ServiceOptionController.deleteAddOn);
+
+/* ---------------- CANCELLATION POLICY ROUTE ---------------- */
+route
+  .route("/cancellation-policy")
+  .get(CancellationPolicyController.getCancellationPolicy)
+  .put(CancellationPolicyController.updateBusinessCancellationPolicy);
+route.put(
+  "/service/:serviceId/cancellation-policy",
+  CancellationPolicyController.updateServiceCancellationPolicy,
+);
+
+/* ---------------- GST ROUTE ---------------- */
+route
+  .route("/tax-details")
+  .get(TaxController.getTaxDetails)
+  .put(TaxController.updateTaxDetails);
+
+/* ---------------- INVOICE ROUTE ---------------- */
+route.get("/invoices", InvoiceController.getProviderInvoices);
+route.get(
+  "/invoices/:invoiceId/download",
+  InvoiceController.downloadProviderInvoice,
+);
+
+/* ---------------- SETTLEMENT ROUTE ---------------- */
+route.get("/settlements", SettlementController.getSettlementReports);
+route.get(
+  "/settlements/:period",
+  SettlementController.getSettlementReportByPeriod,
+);
+
+/* ---------------- QUOTE ROUTE ---------------- */
+route.get("/quotes", QuoteController.getProviderQuotes);
+route.get("/quotes/:quoteId", QuoteController.getProviderQuoteById);
+route.put("/quotes/:quoteId/estimate", QuoteController.sendQuoteEstimate);
+route.patch("/quotes/:quoteId/decline", QuoteController.declineQuoteRequest);
+
+/* ---------------- PRICING RULE ROUTE ---------------- */
+route
+  .route("/pricing-rules")
+  .get(PricingRuleController.getPricingRules)
+  .post(PricingRuleController.createPricingRule);
+route.get("/pricing-rules/report", PricingRuleController.getPricingRuleReport);
+route
+  .route("/pricing-rules/:ruleId")
+  .patch(PricingRuleController.updatePricingRule)
+  .delete(PricingRuleController.deletePricingRule);
+
+/* ---------------- PACKAGE ROUTE ---------------- */
+route
+  .route("/packages")
+  .get(PackageController.getProviderPackages)
+  .post(PackageController.createPackage);
+route.get("/packages/sales", PackageController.getPackageSales);
+route
+  .route("/packages/:packageId")
+  .patch(PackageController.updatePackage)
+  .delete(PackageController.deletePackage);
+
+/* ---------------- COUPON ROUTE ---------------- */
+route
+  .route("/coupons")
+  .get(CouponController.getProviderCoupons)
+  .post(CouponController.createProviderCoupon);
+route.patch("/coupons/:couponId", CouponController.updateProviderCoupon);
+
 /* ---------------- SLOT ROUTE ---------------- */
 route
   .route("/slots")
@@ -49,6 +152,24 @@ route.get(
   "/booking/cancellations",
   ProviderController.GetAllCancellationBookings,
 );
+route.patch(
+  "/booking/:bookingId/cancel",
+  ProviderCancellationController.cancelBookingByProvider,
+);
+
+/* ---------------- RESCHEDULE REQUEST ROUTE ---------------- */
+route.get(
+  "/booking/reschedule-requests",
+  RescheduleController.getRescheduleRequests,
+);
+route.patch(
+  "/booking/reschedule-requests/:requestId/accept",
+  RescheduleController.acceptRescheduleRequest,
+);
+route.patch(
+  "/booking/reschedule-requests/:requestId/reject",
+  RescheduleController.rejectRescheduleRequest,
+);
 
 /* ---------------- BUSINESS CATEGORY ROUTE ---------------- */
 route
@@ -79,6 +200,42 @@ route.post(
 
 route.post("/assign-booking", ProviderController.assignBookingToProvider);
 
+/* ---------------- STAFF ASSIGNMENT ROUTE ---------------- */
+route
+  .route("/staff-assignment-settings")
+  .get(StaffAssignmentController.getStaffAssignmentSettings)
+  .put(StaffAssignmentController.updateStaffAssignmentSettings);
+route.get(
+  "/booking/:bookingId/staff-suggestions",
+  StaffAssignmentController.getStaffSuggestions,
+);
+route.post(
+  "/booking/:bookingId/auto-assign",
+  StaffAssignmentController.autoAssignNow,
+);
+route.get(
+  "/booking/:bookingId/offers",
+  JobOfferController.getBookingOfferHistory,
+);
+
+/* ---------------- JOB TRANSFER ROUTE ---------------- */
+route.get("/job-transfers", JobTransferController.getJobTransfers);
+route.patch(
+  "/job-transfers/:transferId/review",
+  JobTransferController.reviewJobTransfer,
+);
+
+/* ---------------- STAFF CERTIFICATION ROUTE ---------------- */
+route.get("/staff-certifications", StaffSkillController.getStaffCertifications);
+route.patch(
+  "/staff-certifications/:certificationId/review",
+  StaffSkillController.reviewCertification,
+);
+route.put(
+  "/service/:serviceId/skills",
+  StaffSkillController.updateServiceSkills,
+);
+
 /* ---------------- STAFF ROUTES ---------------- */
 route.get("/staff", ProviderController.getStaffMembers);
 route.get("/staff-status", ProviderController.getStaffStatusTracking);
@@ -88,6 +245,10 @@ route.get(
   ProviderController.getStaffDetailsForProvider,
 );
 route.get("/staff/:staffId/bookings", ProviderController.getStaffBookings);
+route.get(
+  "/staff/:staffId/free-busy",
+  StaffAvailabilityController.getStaffFreeBusyForProvider,
+);
 route.patch("/staff/:staffId/status", ProviderController.updateStaffStatus);
 route.post("/staff/:staffId/unlink", ProviderController.unlinkStaffMember);
 route.delete("/staff/:staffId", ProviderController.deleteStaffMember);
@@ -100,6 +261,11 @@ route.post("/staff/payments/:requestId/approve", approvePaymentRequest);
 route.delete("/staff/payments/:requestId", rejectPaymentRequest);
 route.get("/staff/payments/stats", getPaymentStats);
 route.get("/staff/payments/history", getPaymentHistory);
+route
+  .route("/staff-payout-settings")
+  .get(getStaffPayoutSettings)
+  .put(updateStaffPayoutSettings);
+route.post("/staff/payments/:paymentId/retry", retryStaffPayout);
 
 /* ---------------- BANK ACCOUNT ROUTES ---------------- */
 route.post("/bank-account", addBankAccount);
@@ -1,6 +1,10 @@
 const express = require("express");
 const route = express.Router();
 const StaffController = require("../controllers/staff.controller");
+const JobOfferController = require("../controllers/job-offer.controller");
+const StaffSkillController = require("../controllers/staff-skill.controller");
+const StaffAvailabilityController = require("../controllers/staff-availability.controller");
+const JobTransferController = require("../controllers/job-transfer.controller");
 const {
   requestPaymentFromProvider,
   getStaffPaymentHistory,
@@ -29,6 +33,7 @@ route.get("/schedule", StaffController.getWeeklySchedule);
 
 /* ---------------- STAFF AVAILABILITY CHECK ROUTES ---------------- */
 route.get("/availability/check", StaffController.checkStaffAvailability);
+route.get("/availability/free-busy", StaffAvailabilityController.getMyFreeBusy);
 
 // Stafff Application for Businesses
 route.get("/applications", StaffController.getStaffApplications);
@@ -45,6 +50,50 @@ route.put(
   StaffController.updateBookingTrackingStatus,
 );
 
+/* ---------------- SKILL & CERTIFICATION ROUTES ---------------- */
+route
+  .route("/skills")
+  .get(StaffSkillController.getMySkills)
+  .put(StaffSkillController.updateMySkills);
+route.post("/certifications", StaffSkillController.addCertification);
+route.delete(
+  "/certifications/:certificationId",
+  StaffSkillController.deleteCertification,
+);
+
+/* ---------------- JOB OFFER ROUTES ---------------- */
+route.get("/job-offers", JobOfferController.getJobOffers);
+route.post(
+  "/job-offers/:assignmentId/accept",
+  JobOfferController.acceptJobOffer,
+);
+route.post(
+  "/job-offers/:assignmentId/decline",
+  JobOfferController.declineJobOffer,
+);
+
+/* ---------------- JOB TRANSFER ROUTES ---------------- */
+route
+  .route("/job-transfers")
+  .get(JobTransferController.getMyJobTransfers)
+  .post(JobTransferController.proposeJobTransfer);
+route.get(
+  "/job-transfers/colleagues",
+  JobTransferController.getTransferColleagues,
+);
+route.post(
+  "/job-transfers/:transferId/accept",
+  JobTransferController.acceptJobTransfer,
+);
+route.post(
+  "/job-transfers/:transferId/decline",
+  JobTransferController.declineJobTransfer,
+);
+route.post(
+  "/job-transfers/:transferId/cancel",
+  JobTransferController.cancelJobTransfer,
+);
+
 /* ---------------- STAFF PAYMENT ROUTES ---------------- */
 // Request payment from provider after completing service
 route.post("/payments/request", requestPaymentFromProvider);
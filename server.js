@@ -54,6 +54,30 @@ const {
 const {
   startReminderScheduler,
 } = require("./controllers/scheduler/reminderScheduler");
+const {
+  startRecurringBookingScheduler,
+} = require("./controllers/scheduler/recurringBookingScheduler");
+const {
+  startWalletScheduler,
+} = require("./controllers/scheduler/walletScheduler");
+const {
+  startSettlementScheduler,
+} = require("./controllers/scheduler/settlementScheduler");
+const {
+  startStaffPayoutScheduler,
+} = require("./controllers/scheduler/staffPayoutScheduler");
+const {
+  startQuoteScheduler,
+} = require("./controllers/scheduler/quoteScheduler");
+const {
+  startPackageScheduler,
+} = require("./controllers/scheduler/packageScheduler");
+const {
+  startStaffOfferScheduler,
+} = require("./controllers/scheduler/staffOfferScheduler");
+const {
+  startCertificationScheduler,
+} = require("./controllers/scheduler/certificationScheduler");
 const {
   updateStaffAvailabilityForLeave,
 } = require("./controllers/scheduler/staffAvailabilityScheduler");
@@ -92,4 +116,30 @@ server.listen(PORT, () => {
 
   startReminderScheduler();
   console.log("Staff availability scheduler started - runs daily at midnight");
+
+  startRecurringBookingScheduler();
+  console.log("Recurring booking scheduler started - runs every hour");
+
+  startWalletScheduler();
+  console.log("Wallet expiry scheduler started - runs daily at 1 AM");
+
+  startSettlementScheduler();
+  console.log(
+    "Settlement report scheduler started - runs monthly on the 1st at 2 AM",
+  );
+
+  startStaffPayoutScheduler();
+  console.log("Staff payout scheduler started - runs every hour");
+
+  startQuoteScheduler();
+  console.log("Quote expiry scheduler started - runs every hour");
+
+  startPackageScheduler();
+  console.log("Package expiry scheduler started - runs daily at 1:30 AM");
+
+  startStaffOfferScheduler();
+  console.log("Staff offer expiry scheduler started - runs every 5 minutes");
+
+  startCertificationScheduler();
+  console.log("Certification expiry scheduler started - runs daily at 8 AM");
 });
@@ -0,0 +1,217 @@
+const prisma = require("../prismaClient.js");
+
+/* ---------------- CONSTANTS ---------------- */
+// Booking states that occupy a seat in a slot
+const CAPACITY_BOOKING_STATUSES = ["PENDING_PAYMENT", "CONFIRMED"];
+
+// Upper bound for a single calendar request
+const MAX_CALENDAR_DAYS = 31;
+
+/* ---------------- HELPERS ---------------- */
+// Bookings, carts and holds store the date as an ISO string (see addToCart)
+const toBookingDate = (date) => new Date(date).toISOString();
+
+const toDayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+const slotKey = (slotId, date) => `${slotId}|${date}`;
+
+const activeBookingWhere = (now = new Date()) => ({
+  bookingStatus: { in: CAPACITY_BOOKING_STATUSES },
+  OR: [
+    { expiresAt: null }, // Confirmed bookings
+    { expiresAt: { gt: now } }, // Non-expired pending
+  ],
+});
+
+// Cart holds only; checkout holds are already counted via their
+// PENDING_PAYMENT booking
+const activeHoldWhere = (now = new Date()) => ({
+  status: "ACTIVE",
+  expiresAt: { gt: now },
+});
+
+/* ---------------- SLOT CAPACITY ---------------- */
+/**
+ * Remaining capacity of one service/slot/date.
+ * Pass a transaction client to evaluate inside a checkout transaction.
+ * `excludeUserId` ignores that user's own slot holds.
+ */
+const getSlotCapacity = async (
+  client,
+  { serviceId, slotId, date, excludeUserId = null },
+) => {
+  const db = client || prisma;
+  const bookingDate = toBookingDate(date);
+  const now = new Date();
+
+  const service = await db.service.findUnique({
+    where: { id: serviceId },
+    select: { id: true, totalBookingAllow: true },
+  });
+
+  if (!service) {
+    return null;
+  }
+
+  const [booked, held] = await Promise.all([
+    db.booking.count({
+      where: {
+        serviceId,
+        slotId,
+        date: bookingDate,
+        ...activeBookingWhere(now),
+      },
+    }),
+    db.slotHold.count({
+      where: {
+        serviceId,
+        slotId,
+        date: bookingDate,
+        ...activeHoldWhere(now),
+        ...(excludeUserId && { userId: { not: excludeUserId } }),
+      },
+    }),
+  ]);
+
+  const capacity = service.totalBookingAllow;
+
+  return {
+    serviceId,
+    slotId,
+    date: bookingDate,
+    capacity,
+    booked,
+    held,
+    remaining: Math.max(0, capacity - booked - held),
+  };
+};
+
+/* ---------------- AVAILABILITY CALENDAR ---------------- */
+/**
+ * Per-day, per-slot remaining capacity for a service between `from` and `to`
+ * (inclusive, YYYY-MM-DD). Past days are skipped.
+ */
+const getServiceAvailabilityCalendar = async ({
+  serviceId,
+  from,
+  to,
+  excludeUserId = null,
+}) => {
+  const service = await prisma.service.findUnique({
+    where: { id: serviceId },
+    select: {
+      id: true,
+      name: true,
+      totalBookingAllow: true,
+      durationInMinutes: true,
+      isActive: true,
+      isRestricted: true,
+      businessProfileId: true,
+      businessProfile: {
+        select: {
+          slots: {
+            select: { id: true, time: true },
+            orderBy: { time: "asc" },
+          },
+        },
+      },
+    },
+  });
+
+  if (!service) {
+    return null;
+  }
+
+  const today = new Date(`${toDayKey(new Date())}T00:00:00.000Z`);
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(`${to}T00:00:00.000Z`);
+  if (start < today) start.setTime(today.getTime());
+
+  const days = [];
+  for (
+    let day = new Date(start);
+    day <= end && days.length < MAX_CALENDAR_DAYS;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    days.push(day.toISOString());
+  }
+
+  const slots = service.businessProfile?.slots || [];
+  const now = new Date();
+
+  const [bookingCounts, holdCounts] = days.length
+    ? await Promise.all([
+        prisma.booking.groupBy({
+          by: ["slotId", "date"],
+          where: {
+            serviceId,
+            date: { in: days },
+            ...activeBookingWhere(now),
+          },
+          _count: { _all: true },
+        }),
+        prisma.slotHold.groupBy({
+          by: ["slotId", "date"],
+          where: {
+            serviceId,
+            date: { in: days },
+            ...activeHoldWhere(now),
+            ...(excludeUserId && { userId: { not: excludeUserId } }),
+          },
+          _count: { _all: true },
+        }),
+      ])
+    : [[], []];
+
+  const bookedMap = new Map(
+    bookingCounts.map((b) => [slotKey(b.slotId, b.date), b._count._all]),
+  );
+  const heldMap = new Map(
+    holdCounts.map((h) => [slotKey(h.slotId, h.date), h._count._all]),
+  );
+
+  const isBookable = service.isActive && !service.isRestricted;
+
+  const calendar = days.map((date) => {
+    const daySlots = slots.map((slot) => {
+      const booked = bookedMap.get(slotKey(slot.id, date)) || 0;
+      const held = heldMap.get(slotKey(slot.id, date)) || 0;
+      const remaining = Math.max(0, service.totalBookingAllow - booked - held);
+
+      return {
+        slotId: slot.id,
+        time: slot.time,
+        capacity: service.totalBookingAllow,
+        booked,
+        held,
+        remaining,
+        isAvailable: isBookable && remaining > 0,
+      };
+    });
+
+    return {
+      date: toDayKey(date),
+      isAvailable: daySlots.some((s) => s.isAvailable),
+      slots: daySlots,
+    };
+  });
+
+  return {
+    service: {
+      id: service.id,
+      name: service.name,
+      capacityPerSlot: service.totalBookingAllow,
+      durationInMinutes: service.durationInMinutes,
+      isBookable,
+    },
+    calendar,
+  };
+};
+
+module.exports = {
+  CAPACITY_BOOKING_STATUSES,
+  MAX_CALENDAR_DAYS,
+  toBookingDate,
+  getSlotCapacity,
+  getServiceAvailabilityCalendar,
+};
@@ -0,0 +1,153 @@
+/* ---------------- PRESET POLICIES ---------------- */
+// Each tier charges `feePercentage` when the customer cancels less than
+// `hoursBefore` hours before the service. Tiers are sorted tightest first.
+const PRESET_CANCELLATION_TIERS = {
+  FLEXIBLE: [
+    { hoursBefore: 2, feePercentage: 25 },
+    { hoursBefore: 6, feePercentage: 10 },
+  ],
+  // The fee table every booking used before policies were configurable
+  MODERATE: [
+    { hoursBefore: 4, feePercentage: 50 },
+    { hoursBefore: 12, feePercentage: 25 },
+    { hoursBefore: 24, feePercentage: 10 },
+  ],
+  STRICT: [
+    { hoursBefore: 6, feePercentage: 100 },
+    { hoursBefore: 24, feePercentage: 50 },
+    { hoursBefore: 48, feePercentage: 25 },
+  ],
+  NON_REFUNDABLE: [],
+};
+
+const DEFAULT_CANCELLATION_POLICY = "MODERATE";
+
+const MAX_CUSTOM_TIERS = 6;
+
+/* ---------------- TIER HELPERS ---------------- */
+const sortTiers = (tiers) =>
+  [...tiers].sort((a, b) => a.hoursBefore - b.hoursBefore);
+
+/**
+ * Problems with a provider's custom tiers, or null when they are usable.
+ * Fees may only stay the same or drop as the cancellation moves earlier.
+ */
+const validateCustomTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return "Custom policies need at least one fee tier.";
+  }
+
+  if (tiers.length > MAX_CUSTOM_TIERS) {
+    return `Custom policies can have at most ${MAX_CUSTOM_TIERS} fee tiers.`;
+  }
+
+  const sorted = sortTiers(tiers);
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].hoursBefore === sorted[i - 1].hoursBefore) {
+      return "Each fee tier must use a different number of hours.";
+    }
+    if (sorted[i].feePercentage > sorted[i - 1].feePercentage) {
+      return "Fees cannot increase for earlier cancellations.";
+    }
+  }
+
+  return null;
+};
+
+/* ---------------- POLICY RESOLUTION ---------------- */
+/**
+ * Policy that applies to a service: its own override when set, otherwise
+ * the business policy. The result is the snapshot stored on bookings.
+ */
+const resolveCancellationPolicy = (business, service) => {
+  const source = service?.cancellationPolicy ? "SERVICE" : "BUSINESS";
+  const owner = source === "SERVICE" ? service : business;
+  const type = owner?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+
+  const tiers =
+    type === "CUSTOM" && validateCustomTiers(owner.cancellationTiers) === null
+      ? sortTiers(owner.cancellationTiers).map(
+          ({ hoursBefore, feePercentage }) => ({ hoursBefore, feePercentage }),
+        )
+      : PRESET_CANCELLATION_TIERS[type] ||
+        PRESET_CANCELLATION_TIERS[DEFAULT_CANCELLATION_POLICY];
+
+  return {
+    type,
+    source,
+    tiers,
+    summary: describeCancellationPolicy({ type, tiers }),
+  };
+};
+
+/**
+ * Policy a booking was sold under. Bookings made before policies were
+ * snapshotted fall back to the default fee table.
+ */
+const getBookingCancellationPolicy = (booking) =>
+  booking?.cancellationPolicy ||
+  resolveCancellationPolicy({
+    cancellationPolicy: DEFAULT_CANCELLATION_POLICY,
+  });
+
+/* ---------------- FEE CALCULATION ---------------- */
+const getCancellationFeePercentage = (policy, hoursBeforeService) => {
+  if (policy.type === "NON_REFUNDABLE") return 100;
+
+  const tier = sortTiers(policy.tiers).find(
+    (t) => hoursBeforeService < t.hoursBefore,
+  );
+
+  return tier ? tier.feePercentage : 0;
+};
+
+/**
+ * Fee and refund for cancelling a booking of `totalAmount` under `policy`.
+ */
+const getCancellationQuote = (policy, totalAmount, hoursBeforeService) => {
+  const feePercentage = getCancellationFeePercentage(
+    policy,
+    hoursBeforeService,
+  );
+  const cancellationFee = Math.round((totalAmount * feePercentage) / 100);
+
+  return {
+    feePercentage,
+    cancellationFee,
+    refundAmount: totalAmount - cancellationFee,
+  };
+};
+
+/* ---------------- CUSTOMER FACING TEXT ---------------- */
+const describeCancellationPolicy = ({ type, tiers }) => {
+  if (type === "NON_REFUNDABLE") {
+    return "This booking is non-refundable.";
+  }
+
+  const sorted = sortTiers(tiers);
+  const widest = sorted[sorted.length - 1];
+  const parts = [
+    `Free cancellation up to ${widest.hoursBefore} hours before the service.`,
+  ];
+
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    parts.push(
+      `${sorted[i].feePercentage}% fee within ${sorted[i].hoursBefore} hours.`,
+    );
+  }
+
+  return parts.join(" ");
+};
+
+module.exports = {
+  PRESET_CANCELLATION_TIERS,
+  DEFAULT_CANCELLATION_POLICY,
+  MAX_CUSTOM_TIERS,
+  validateCustomTiers,
+  resolveCancellationPolicy,
+  getBookingCancellationPolicy,
+  getCancellationFeePercentage,
+  getCancellationQuote,
+  describeCancellationPolicy,
+};
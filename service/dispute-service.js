@@ -0,0 +1,219 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+
+const NotificationService = require("./notification-service");
+const { getRetainedTax } = require("./tax-service");
+const {
+  executePaymentTransfers,
+  reversePaymentTransfers,
+} = require("./provider-transfer-service");
+
+// Stripe closes disputes as won, lost or (for inquiries) warning_closed
+const DISPUTE_OUTCOME_MAP = {
+  won: "WON",
+  warning_closed: "WON",
+  lost: "LOST",
+};
+
+const getPaymentIntentId = async (dispute) => {
+  if (dispute.payment_intent) {
+    return typeof dispute.payment_intent === "string"
+      ? dispute.payment_intent
+      : dispute.payment_intent.id;
+  }
+
+  const chargeId =
+    typeof dispute.charge === "string" ? dispute.charge : dispute.charge?.id;
+  const charge = await stripe.charges.retrieve(chargeId);
+  return charge.payment_intent;
+};
+
+/* ---------------- DISPUTE OPENED / UPDATED ---------------- */
+/**
+ * Mirror a Stripe dispute into the admin queue and freeze the disputed
+ * bookings until it closes.
+ */
+const syncDispute = async (dispute) => {
+  const paymentIntentId = await getPaymentIntentId(dispute);
+
+  const payment = paymentIntentId
+    ? await prisma.customerPayment.findFirst({
+        where: { paymentIntentId },
+      })
+    : null;
+
+  const bookingIds = payment ? JSON.parse(payment.bookingIds) : [];
+  const evidenceDueBy = dispute.evidence_details?.due_by
+    ? new Date(dispute.evidence_details.due_by * 1000)
+    : null;
+
+  const existing = await prisma.paymentDispute.findUnique({
+    where: { stripeDisputeId: dispute.id },
+  });
+
+  const record = await prisma.paymentDispute.upsert({
+    where: { stripeDisputeId: dispute.id },
+    create: {
+      stripeDisputeId: dispute.id,
+      chargeId:
+        typeof dispute.charge === "string" ? dispute.charge : dispute.charge.id,
+      paymentIntentId,
+      customerPaymentId: payment?.id,
+      bookingIds,
+      amount: dispute.amount / 100,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      stripeStatus: dispute.status,
+      evidenceDueBy,
+    },
+    update: {
+      amount: dispute.amount / 100,
+      reason: dispute.reason,
+      stripeStatus: dispute.status,
+      evidenceDueBy,
+    },
+  });
+
+  if (existing || bookingIds.length === 0) {
+    return record;
+  }
+
+  // Cancelled bookings keep their settled refund status
+  await prisma.booking.updateMany({
+    where: { id: { in: bookingIds }, bookingStatus: { not: "CANCELLED" } },
+    data: { paymentStatus: "DISPUTED" },
+  });
+
+  const bookings = await prisma.booking.findMany({
+    where: { id: { in: bookingIds } },
+    include: {
+      service: { select: { name: true } },
+      businessProfile: { select: { userId: true } },
+    },
+  });
+
+  for (const booking of bookings) {
+    await NotificationService.notifyUser({
+      receiverId: booking.businessProfile.userId,
+      senderId: null,
+      title: "Payment Disputed",
+      body: `The customer disputed the payment for ${booking.service.name} on ${booking.date.split("T")[0]}. Earnings for this booking are on hold until the dispute is resolved.`,
+      data: { type: "PAYMENT_DISPUTED", bookingId: booking.id },
+    });
+  }
+
+  return record;
+};
+
+/* ---------------- DISPUTE CLOSED ---------------- */
+// A booking after `share` of it was charged back: like a refund, its
+// earnings shrink to what the customer still paid for
+const chargeBackBooking = (booking, share) => {
+  const refunded = booking.refundedAmount + share;
+  const kept = booking.totalAmount - refunded;
+  const splitBefore =
+    (booking.platformFee || 0) + (booking.providerEarnings || 0);
+  const commissionRate =
+    splitBefore > 0 ? (booking.platformFee || 0) / splitBefore : 0;
+  const net = kept - getRetainedTax(booking, refunded);
+  const platformFee = Math.round(net * commissionRate);
+
+  return {
+    refundedAmount: refunded,
+    platformFee,
+    providerEarnings: net - platformFee,
+    paymentStatus: kept === 0 ? "REFUNDED" : "PAID",
+  };
+};
+
+/**
+ * Settle the disputed bookings: a won dispute restores them, a lost one
+ * is a chargeback of the disputed amount. It is spread over the disputed
+ * bookings in checkout order, then over the rest, and shrinks their
+ * earnings the way a refund would.
+ */
+const closeDispute = async (dispute) => {
+  const record = await syncDispute(dispute);
+  const outcome = DISPUTE_OUTCOME_MAP[dispute.status] || "LOST";
+
+  if (record.status !== "OPEN") {
+    return record;
+  }
+
+  const bookingIds = Array.isArray(record.bookingIds) ? record.bookingIds : [];
+
+  const closed = await prisma.$transaction(async (tx) => {
+    const isDisputed = (b) => b.paymentStatus === "DISPUTED";
+    const bookings = (
+      await tx.booking.findMany({
+        where: { id: { in: bookingIds } },
+      })
+    ).sort(
+      (a, b) =>
+        isDisputed(b) - isDisputed(a) ||
+        bookingIds.indexOf(a.id) - bookingIds.indexOf(b.id),
+    );
+
+    let unallocated = outcome === "LOST" ? record.amount : 0;
+
+    for (const booking of bookings) {
+      const share = Math.min(
+        unallocated,
+        Math.max(0, booking.totalAmount - booking.refundedAmount),
+      );
+      unallocated -= share;
+
+      if (share > 0) {
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: chargeBackBooking(booking, share),
+        });
+      } else if (isDisputed(booking)) {
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: {
+            paymentStatus:
+              booking.refundedAmount >= booking.totalAmount
+                ? "REFUNDED"
+                : "PAID",
+          },
+        });
+      }
+    }
+
+    if (outcome === "LOST" && record.customerPaymentId) {
+      const payment = await tx.customerPayment.findUnique({
+        where: { id: record.customerPaymentId },
+      });
+      const refundedTotal = (payment.refundedAmount || 0) + record.amount;
+
+      // Only the card part of the payment can be charged back
+      if (refundedTotal >= payment.amount - payment.walletAmount) {
+        await tx.customerPayment.update({
+          where: { id: payment.id },
+          data: { status: "REFUNDED" },
+        });
+      }
+    }
+
+    return tx.paymentDispute.update({
+      where: { id: record.id },
+      data: { status: outcome, closedAt: new Date() },
+    });
+  });
+
+  // Provider shares held back during the dispute are released or dropped,
+  // and a chargeback is taken back from providers already paid
+  if (record.customerPaymentId) {
+    await executePaymentTransfers(record.customerPaymentId);
+    await reversePaymentTransfers(record.customerPaymentId);
+  }
+
+  return closed;
+};
+
+module.exports = {
+  DISPUTE_OUTCOME_MAP,
+  syncDispute,
+  closeDispute,
+};
@@ -0,0 +1,379 @@
+const prisma = require("../prismaClient.js");
+const { buildInvoiceData } = require("../utils/buildInvoiceData");
+const { generateInvoicePDF } = require("../utils/generateInvoice");
+const { describeSelection } = require("./service-pricing-service");
+
+/* ---------------- CONSTANTS ---------------- */
+// Issuer of invoices raised by the platform itself (subscriptions)
+const PLATFORM_ISSUER = "PLATFORM";
+
+const DOCUMENT_PREFIX = { INVOICE: "INV", CREDIT_NOTE: "CN" };
+
+// Thrown inside the numbering transaction to give the number back
+const SKIP_ISSUE = Symbol("skip-issue");
+
+/* ---------------- NUMBERING ---------------- */
+// Indian financial years run April to March, e.g. "2026-27"
+const getFinancialYear = (date = new Date()) => {
+  const start =
+    date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+// e.g. INV/26-27/00042, within GST's 16 character limit
+const formatInvoiceNumber = (documentType, financialYear, sequenceNumber) =>
+  `${DOCUMENT_PREFIX[documentType]}/${financialYear.slice(2)}/${String(
+    sequenceNumber,
+  ).padStart(5, "0")}`;
+
+/**
+ * Take the next number of an issuer's series. The sequence row stays
+ * locked until the caller's transaction ends, and a rollback hands the
+ * number back, so the series has no gaps.
+ */
+const nextInvoiceNumber = async (tx, { issuerKey, documentType }) => {
+  const financialYear = getFinancialYear();
+
+  const sequence = await tx.invoiceSequence.upsert({
+    where: {
+      issuerKey_documentType_financialYear: {
+        issuerKey,
+        documentType,
+        financialYear,
+      },
+    },
+    create: { issuerKey, documentType, financialYear, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return {
+    financialYear,
+    sequenceNumber: sequence.lastNumber,
+    invoiceNumber: formatInvoiceNumber(
+      documentType,
+      financialYear,
+      sequence.lastNumber,
+    ),
+  };
+};
+
+/* ---------------- ISSUE ---------------- */
+/**
+ * Number, render and store one invoice or credit note. `prepare(tx)` runs
+ * once the number is reserved and returns the document's data, or null
+ * when there turns out to be nothing to issue. `render(invoiceNumber)`
+ * returns `{ data, pdf }`. Stored invoices are never changed afterwards.
+ */
+const issueInvoice = async ({
+  documentType = "INVOICE",
+  businessProfileId = null,
+  prepare,
+  render,
+}) => {
+  try {
+    return await prisma.$transaction(
+      async (tx) => {
+        const number = await nextInvoiceNumber(tx, {
+          issuerKey: businessProfileId || PLATFORM_ISSUER,
+          documentType,
+        });
+
+        const details = await prepare(tx);
+        if (!details) throw SKIP_ISSUE;
+
+        const { data, pdf } = await render(number.invoiceNumber);
+
+        return tx.invoice.create({
+          data: {
+            ...details,
+            ...number,
+            documentType,
+            issuerKey: businessProfileId || PLATFORM_ISSUER,
+            businessProfileId,
+            data,
+            pdf,
+            fileName: `${number.invoiceNumber.replace(/\//g, "-")}.pdf`,
+          },
+        });
+      },
+      { timeout: 20000 },
+    );
+  } catch (error) {
+    if (error === SKIP_ISSUE) return null;
+    throw error;
+  }
+};
+
+/* ---------------- BOOKING INVOICES ---------------- */
+const sumBy = (rows, field) =>
+  rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+
+const paymentMethodOf = (payment) =>
+  !payment.walletAmount
+    ? "Stripe"
+    : payment.paymentIntentId
+      ? "Stripe + Wallet"
+      : "Wallet";
+
+const bookingInvoiceInclude = {
+  service: true,
+  slot: { select: { time: true } },
+  coupon: { select: { code: true } },
+  variant: { select: { name: true } },
+  businessProfile: {
+    select: {
+      id: true,
+      businessName: true,
+      contactEmail: true,
+      phoneNumber: true,
+      gstin: true,
+      user: { select: { name: true } },
+    },
+  },
+};
+
+const invoiceParties = (business, payment) => ({
+  business: {
+    name: business.businessName,
+    email: business.contactEmail,
+    phone: business.phoneNumber,
+    gstin: business.gstin,
+  },
+  customer: {
+    name: payment.user.name,
+    email: payment.user.email,
+    address: `${payment.address.street}, ${payment.address.city}, ${payment.address.state} - ${payment.address.postalCode}`,
+    state: payment.address.state,
+  },
+  provider: { name: business.user.name },
+});
+
+// Variant, add-ons or a quote set the price a booking was sold at
+const bookingPrice = (booking) => booking.servicePrice ?? booking.service.price;
+
+const bookingItem = (booking, overrides = {}) => ({
+  title: describeSelection(booking.service.name, {
+    variant: booking.variant,
+    addOns: booking.addOns || [],
+  }),
+  price: bookingPrice(booking),
+  bookingDate: booking.date,
+  slotTime: booking.slot ? booking.slot.time : "Not Assigned",
+  sacCode: booking.service.sacCode,
+  taxableAmount: booking.taxableAmount,
+  taxRate: booking.taxRate,
+  taxType: booking.taxType,
+  cgstAmount: booking.cgstAmount,
+  sgstAmount: booking.sgstAmount,
+  igstAmount: booking.igstAmount,
+  taxAmount: booking.taxAmount,
+  ...overrides,
+});
+
+/**
+ * Issue one invoice per business for a paid checkout. Businesses that
+ * already have one for this payment keep it, so replays are harmless.
+ * Returns every invoice of the payment.
+ */
+const issueBookingInvoices = async (customerPaymentId) => {
+  const payment = await prisma.customerPayment.findUnique({
+    where: { id: customerPaymentId },
+    include: {
+      user: { select: { name: true, email: true } },
+      address: true,
+    },
+  });
+  if (!payment || !["PAID", "REFUNDED", "DISPUTED"].includes(payment.status)) {
+    return [];
+  }
+
+  const bookings = await prisma.booking.findMany({
+    where: { id: { in: JSON.parse(payment.bookingIds) } },
+    include: bookingInvoiceInclude,
+  });
+
+  const byBusiness = new Map();
+  for (const booking of bookings) {
+    const group = byBusiness.get(booking.businessProfileId) || [];
+    group.push(booking);
+    byBusiness.set(booking.businessProfileId, group);
+  }
+
+  for (const [businessProfileId, group] of byBusiness) {
+    const business = group[0].businessProfile;
+
+    await issueInvoice({
+      businessProfileId,
+      prepare: async (tx) => {
+        const existing = await tx.invoice.findFirst({
+          where: {
+            customerPaymentId,
+            businessProfileId,
+            documentType: "INVOICE",
+          },
+          select: { id: true },
+        });
+        if (existing) return null;
+
+        return {
+          userId: payment.userId,
+          customerPaymentId,
+          bookingIds: group.map((b) => b.id),
+          subtotal: group.reduce((sum, b) => sum + bookingPrice(b), 0),
+          discountAmount: sumBy(group, "discountAmount"),
+          taxableAmount: group.reduce(
+            (sum, b) => sum + (b.taxableAmount ?? b.totalAmount),
+            0,
+          ),
+          taxAmount: sumBy(group, "taxAmount"),
+          totalAmount: sumBy(group, "totalAmount"),
+        };
+      },
+      render: async (invoiceNumber) => {
+        const data = buildInvoiceData({
+          ...invoiceParties(business, payment),
+          items: group.map((b) => bookingItem(b)),
+          payment: {
+            status: "PAID",
+            method: paymentMethodOf(payment),
+            transactionId: payment.paymentIntentId || `WALLET-${payment.id}`,
+            discount: sumBy(group, "discountAmount"),
+            couponCode: group.find((b) => b.coupon)?.coupon.code,
+          },
+          invoiceNumber,
+        });
+
+        return { data, pdf: await generateInvoicePDF(data) };
+      },
+    });
+  }
+
+  return prisma.invoice.findMany({
+    where: { customerPaymentId, documentType: "INVOICE" },
+    orderBy: { sequenceNumber: "asc" },
+  });
+};
+
+/* ---------------- CREDIT NOTES ---------------- */
+// GST reversed by a refund, in proportion to the booking's own split
+const creditedTax = (booking, refund) => {
+  if (!booking.taxAmount || !booking.totalAmount) {
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: 0, taxAmount: 0 };
+  }
+
+  const taxAmount = Math.round(
+    (booking.taxAmount * refund) / booking.totalAmount,
+  );
+  const cgstAmount =
+    booking.taxType === "CGST_SGST" ? Math.floor(taxAmount / 2) : 0;
+
+  return {
+    cgstAmount,
+    sgstAmount: booking.taxType === "CGST_SGST" ? taxAmount - cgstAmount : 0,
+    igstAmount: booking.taxType === "IGST" ? taxAmount : 0,
+    taxAmount,
+  };
+};
+
+/**
+ * Issue credit notes for whatever has been refunded on a payment's
+ * bookings since the last credit note, against the invoice that billed
+ * them. Driven by `Booking.refundedAmount`, so it can be re-run after
+ * every refund reconciliation.
+ */
+const issueCreditNotes = async (customerPaymentId, reason) => {
+  const invoices = await prisma.invoice.findMany({
+    where: { customerPaymentId, documentType: "INVOICE" },
+    include: {
+      customerPayment: {
+        include: {
+          user: { select: { name: true, email: true } },
+          address: true,
+        },
+      },
+    },
+  });
+
+  const issued = [];
+
+  for (const invoice of invoices) {
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: invoice.bookingIds }, refundedAmount: { gt: 0 } },
+      include: { ...bookingInvoiceInclude, cancellation: true },
+    });
+
+    for (const booking of bookings) {
+      const noteReason =
+        reason || booking.cancellation?.reason || "Refund of booking amount";
+      let refund = 0;
+
+      const creditNote = await issueInvoice({
+        documentType: "CREDIT_NOTE",
+        businessProfileId: invoice.businessProfileId,
+        prepare: async (tx) => {
+          const previous = await tx.invoice.findMany({
+            where: {
+              originalInvoiceId: invoice.id,
+              documentType: "CREDIT_NOTE",
+              bookingIds: { array_contains: [booking.id] },
+            },
+            select: { totalAmount: true },
+          });
+
+          refund = booking.refundedAmount - sumBy(previous, "totalAmount");
+          if (refund <= 0) return null;
+
+          return {
+            userId: invoice.userId,
+            customerPaymentId,
+            bookingIds: [booking.id],
+            originalInvoiceId: invoice.id,
+            subtotal: refund,
+            taxableAmount: refund - creditedTax(booking, refund).taxAmount,
+            taxAmount: creditedTax(booking, refund).taxAmount,
+            totalAmount: refund,
+            reason: noteReason,
+          };
+        },
+        render: async (invoiceNumber) => {
+          const tax = creditedTax(booking, refund);
+          const data = buildInvoiceData({
+            ...invoiceParties(booking.businessProfile, invoice.customerPayment),
+            items: [
+              bookingItem(booking, {
+                title: `Refund - ${booking.service.name}`,
+                price: refund,
+                taxableAmount: refund - tax.taxAmount,
+                ...tax,
+              }),
+            ],
+            payment: {
+              status: "REFUNDED",
+              method: paymentMethodOf(invoice.customerPayment),
+              transactionId: invoice.invoiceNumber,
+            },
+            invoiceNumber,
+            title: "CREDIT NOTE",
+            originalInvoiceNumber: invoice.invoiceNumber,
+            reason: noteReason,
+          });
+
+          return { data, pdf: await generateInvoicePDF(data) };
+        },
+      });
+
+      if (creditNote) issued.push(creditNote);
+    }
+  }
+
+  return issued;
+};
+
+module.exports = {
+  PLATFORM_ISSUER,
+  getFinancialYear,
+  formatInvoiceNumber,
+  issueInvoice,
+  issueBookingInvoices,
+  issueCreditNotes,
+};
@@ -0,0 +1,208 @@
+const prisma = require("../prismaClient.js");
+const NotificationService = require("./notification-service");
+const { getSkillGaps } = require("./staff-skill-service");
+const {
+  BOOKING_INTERVAL_SELECT,
+  getBookingInterval,
+  getIntervalConflicts,
+} = require("./staff-availability-service");
+
+const OPEN_TRANSFER_STATUSES = ["PENDING", "AWAITING_APPROVAL"];
+
+const transferError = (message) => {
+  const error = new Error(message);
+  error.isTransferError = true;
+  return error;
+};
+
+// Booking fields the eligibility checks need
+const TRANSFER_BOOKING_SELECT = {
+  ...BOOKING_INTERVAL_SELECT,
+  businessProfileId: true,
+  bookingStatus: true,
+  trackingStatus: true,
+  service: {
+    select: {
+      name: true,
+      durationInMinutes: true,
+      requiredSkills: true,
+      requiredCertifications: true,
+    },
+  },
+};
+
+const TRANSFER_INCLUDE = {
+  fromStaff: { select: { id: true, name: true } },
+  toStaff: { select: { id: true, name: true } },
+  businessProfile: { select: { userId: true, jobTransferNeedsApproval: true } },
+  booking: { select: TRANSFER_BOOKING_SELECT },
+};
+
+// Jobs can change hands until the work starts
+const isTransferable = (booking) =>
+  booking.bookingStatus === "CONFIRMED" &&
+  booking.trackingStatus === "NOT_STARTED";
+
+const describeBooking = (booking) =>
+  `${booking.service.name} on ${booking.date.split("T")[0]}${
+    booking.slot ? ` at ${booking.slot.time}` : ""
+  }`;
+
+/* ---------------- ELIGIBILITY ---------------- */
+/**
+ * Why a colleague cannot take over a booking, or [] when they can: the
+ * same membership, skill and time checks as an assignment.
+ */
+const getTransferBlockers = async (colleagueId, booking) => {
+  const [member, skillGaps, conflicts] = await Promise.all([
+    prisma.staffApplications.findFirst({
+      where: {
+        staffId: colleagueId,
+        businessProfileId: booking.businessProfileId,
+        status: "APPROVED",
+      },
+      select: { staff: { select: { availability: true } } },
+    }),
+    getSkillGaps([colleagueId], booking.service),
+    getIntervalConflicts(
+      colleagueId,
+      booking.date,
+      getBookingInterval(booking),
+      { excludeBookingId: booking.id },
+    ),
+  ]);
+
+  if (!member) return ["Not a member of this business"];
+
+  const reasons = [...skillGaps.get(colleagueId)];
+  if (member.staff.availability === "NOT_AVAILABLE") {
+    reasons.push("Marked as not available");
+  }
+  if (conflicts.leaves.length) {
+    reasons.push("On approved leave");
+  }
+  if (conflicts.isDayOff) {
+    reasons.push("Not working on this day");
+  } else if (conflicts.outsideShift) {
+    reasons.push("Outside working hours");
+  }
+  if (conflicts.clashes.length) {
+    reasons.push(`Busy with another booking at ${conflicts.clashes[0].time}`);
+  }
+
+  return reasons;
+};
+
+/* ---------------- COMPLETION ---------------- */
+/**
+ * Hand the job over: the requester's assignment is marked TRANSFERRED and
+ * the colleague gets an accepted one on the same payout terms. `data` is
+ * stored on the transfer with it (who answered or approved, and when).
+ * Throws a transfer error when the transfer was answered meanwhile or the
+ * requester no longer holds the job.
+ */
+const completeTransfer = async (transfer, data = {}) => {
+  const now = new Date();
+
+  const completed = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.staffJobTransfer.updateMany({
+      where: { id: transfer.id, status: transfer.status },
+      data: { ...data, status: "COMPLETED", completedAt: now },
+    });
+    if (claimed.count === 0) {
+      throw transferError("This transfer has already been answered.");
+    }
+
+    const { count } = await tx.staffAssignBooking.updateMany({
+      where: { id: transfer.fromAssignmentId, status: "ACCEPTED" },
+      data: { status: "TRANSFERRED" },
+    });
+    if (count === 0) {
+      throw transferError(
+        "The job is no longer assigned to the staff member who asked to transfer it.",
+      );
+    }
+
+    const from = await tx.staffAssignBooking.findUnique({
+      where: { id: transfer.fromAssignmentId },
+    });
+    const terms = {
+      staffPaymentType: from.staffPaymentType,
+      staffPaymentValue: from.staffPaymentValue,
+    };
+
+    // The colleague may have been offered this booking before
+    const assignment = await tx.staffAssignBooking.upsert({
+      where: {
+        bookingId_assignedStaffId: {
+          bookingId: transfer.bookingId,
+          assignedStaffId: transfer.toStaffId,
+        },
+      },
+      create: {
+        bookingId: transfer.bookingId,
+        slotId: from.slotId,
+        businessProfileId: from.businessProfileId,
+        serviceId: from.serviceId,
+        assignedById: from.assignedById,
+        assignedStaffId: transfer.toStaffId,
+        status: "ACCEPTED",
+        respondedAt: now,
+        ...terms,
+      },
+      update: {
+        status: "ACCEPTED",
+        respondedAt: now,
+        offerExpiresAt: null,
+        declineReason: null,
+        isAutoAssigned: false,
+        ...terms,
+      },
+    });
+
+    return tx.staffJobTransfer.update({
+      where: { id: transfer.id },
+      data: { toAssignmentId: assignment.id, ...terms },
+    });
+  });
+
+  const booking = describeBooking(transfer.booking);
+  const notificationData = {
+    type: "JOB_TRANSFER_COMPLETED",
+    bookingId: transfer.bookingId,
+  };
+
+  await NotificationService.notifyUser({
+    receiverId: transfer.fromStaffId,
+    senderId: transfer.toStaffId,
+    title: "Job transferred",
+    body: `${booking} is now with ${transfer.toStaff.name}.`,
+    data: notificationData,
+  });
+  await NotificationService.notifyUser({
+    receiverId: transfer.toStaffId,
+    senderId: transfer.fromStaffId,
+    title: "Job transferred to you",
+    body: `${booking} is now assigned to you.`,
+    data: notificationData,
+  });
+  await NotificationService.notifyUser({
+    receiverId: transfer.businessProfile.userId,
+    senderId: transfer.toStaffId,
+    title: "Job transferred",
+    body: `${transfer.fromStaff.name} handed ${booking} to ${transfer.toStaff.name}.`,
+    data: notificationData,
+  });
+
+  return completed;
+};
+
+module.exports = {
+  OPEN_TRANSFER_STATUSES,
+  TRANSFER_BOOKING_SELECT,
+  TRANSFER_INCLUDE,
+  isTransferable,
+  describeBooking,
+  getTransferBlockers,
+  completeTransfer,
+};
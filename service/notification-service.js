@@ -1,5 +1,6 @@
 const admin = require("../firebase/firebase.js");
 const prisma = require("../prismaClient.js");
+const { storeNotification } = require("../controllers/notification.controller");
 
 let fcmDisabled = false;
 
@@ -106,6 +107,23 @@ class NotificationService {
       console.error(" Notification send failed:", error);
     }
   }
+
+  /* ---------------- STORE + PUSH TO ONE USER ---------------- */
+  static async notifyUser({ receiverId, senderId, title, body, data = {} }) {
+    await storeNotification(title, body, receiverId, senderId);
+
+    try {
+      const tokens = await prisma.fCMToken.findMany({
+        where: { userId: receiverId, isActive: true },
+      });
+
+      if (tokens.length > 0) {
+        await NotificationService.sendNotification(tokens, title, body, data);
+      }
+    } catch (err) {
+      console.error(`Push to user ${receiverId} failed:`, err.message);
+    }
+  }
 }
 
 module.exports = NotificationService;
\ No newline at end of file
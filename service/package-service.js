@@ -0,0 +1,399 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+const {
+  CHECKOUT_SESSION_MINUTES,
+  findAbandonedCheckouts,
+} = require("./slot-hold-service");
+const { creditWallet } = require("./wallet-service");
+
+// Credits taken by checkouts that could no longer complete
+const STALE_CREDIT_USE_MINUTES = CHECKOUT_SESSION_MINUTES + 5;
+
+// Customers are reminded of unused credits this long before they lapse
+const EXPIRY_REMINDER_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const packageError = (message) => {
+  const error = new Error(message);
+  error.isPackageError = true;
+  return error;
+};
+
+// What one credit of a purchase is worth
+const getCreditValue = (purchase) =>
+  Math.round(purchase.amount / purchase.credits);
+
+// Unused credits are refunded at what they were bought for
+const getRefundableAmount = (purchase) =>
+  purchase.creditsRemaining === purchase.credits
+    ? purchase.amount
+    : getCreditValue(purchase) * purchase.creditsRemaining;
+
+/* ---------------- CHECKOUT ---------------- */
+/**
+ * Pick a package credit for every cart line that one can pay for, using
+ * the credits that expire soonest first. Returns the purchase per cart
+ * item id; lines without a usable credit are left out.
+ */
+const allocatePackageCredits = async (userId, items, db = prisma) => {
+  const purchases = await db.packagePurchase.findMany({
+    where: {
+      userId,
+      status: "ACTIVE",
+      creditsRemaining: { gt: 0 },
+      expiresAt: { gt: new Date() },
+      businessProfileId: { in: items.map((item) => item.business.id) },
+    },
+    orderBy: { expiresAt: "asc" },
+  });
+
+  const left = new Map(purchases.map((p) => [p.id, p.creditsRemaining]));
+  const allocations = new Map();
+
+  for (const item of items) {
+    const purchase = purchases.find(
+      (p) =>
+        p.businessProfileId === item.business.id &&
+        p.serviceIds.includes(item.serviceId) &&
+        left.get(p.id) > 0,
+    );
+    if (!purchase) continue;
+
+    left.set(purchase.id, left.get(purchase.id) - 1);
+    allocations.set(item.id, purchase);
+  }
+
+  return allocations;
+};
+
+/**
+ * Reprice cart lines paid by a package credit. The credit covers the visit
+ * itself, including any pricing rule; add-ons are still charged.
+ */
+const applyPackageCredits = (items, allocations) =>
+  items.map((item) => {
+    const purchase = allocations.get(item.id);
+    if (!purchase) return item;
+
+    return {
+      ...item,
+      pricing: {
+        ...item.pricing,
+        price: item.pricing.addOns.reduce((sum, a) => sum + a.price, 0),
+        pricingAdjustment: 0,
+        pricingRule: null,
+        packageCredit: {
+          purchaseId: purchase.id,
+          packageName: purchase.packageName,
+          creditValue: getCreditValue(purchase),
+        },
+      },
+    };
+  });
+
+/**
+ * Take one credit of a purchase for a pending booking. Throws when the
+ * credit is no longer there, e.g. spent by another checkout.
+ */
+const redeemPackageCredit = async (tx, { purchaseId, userId, bookingId }) => {
+  const { count } = await tx.packagePurchase.updateMany({
+    where: {
+      id: purchaseId,
+      userId,
+      status: "ACTIVE",
+      creditsRemaining: { gt: 0 },
+      expiresAt: { gt: new Date() },
+    },
+    data: { creditsRemaining: { decrement: 1 } },
+  });
+  if (count === 0) {
+    throw packageError(
+      "A package credit in your cart is no longer available. Please try again.",
+    );
+  }
+
+  const purchase = await tx.packagePurchase.findUnique({
+    where: { id: purchaseId },
+  });
+  if (purchase.creditsRemaining === 0) {
+    await tx.packagePurchase.update({
+      where: { id: purchaseId },
+      data: { status: "EXHAUSTED" },
+    });
+  }
+
+  return tx.packageCreditUse.create({
+    data: {
+      purchaseId,
+      userId,
+      bookingId,
+      creditValue: getCreditValue(purchase),
+    },
+  });
+};
+
+/* ---------------- RELEASE ---------------- */
+// Give back credits; purchases that expired or were refunded meanwhile
+// do not get them back
+const releaseCreditUses = async (where) => {
+  const uses = await prisma.packageCreditUse.findMany({
+    where: { ...where, reversedAt: null },
+  });
+
+  for (const use of uses) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.packageCreditUse.updateMany({
+        where: { id: use.id, reversedAt: null },
+        data: { reversedAt: new Date() },
+      });
+      if (count === 0) return;
+
+      await tx.packagePurchase.updateMany({
+        where: {
+          id: use.purchaseId,
+          status: { in: ["ACTIVE", "EXHAUSTED"] },
+          expiresAt: { gt: new Date() },
+        },
+        data: { creditsRemaining: { increment: 1 }, status: "ACTIVE" },
+      });
+    });
+  }
+
+  return uses.length;
+};
+
+const releasePackagePayment = (paymentId) =>
+  paymentId ? releaseCreditUses({ customerPaymentId: paymentId }) : 0;
+
+// Credit of a cancelled booking goes back to the customer's package
+const restoreBookingCredit = (bookingId) => releaseCreditUses({ bookingId });
+
+// Only once Stripe confirms the checkout expired unpaid: a late payment
+// would otherwise confirm a visit whose credit was given back
+const releaseStalePackageCredits = async () => {
+  const cutoff = new Date(Date.now() - STALE_CREDIT_USE_MINUTES * 60000);
+
+  const uses = await prisma.packageCreditUse.findMany({
+    where: { reversedAt: null, createdAt: { lt: cutoff } },
+    select: { id: true, customerPaymentId: true },
+  });
+  if (!uses.length) return 0;
+
+  const abandoned = await findAbandonedCheckouts([
+    ...new Set(uses.map((u) => u.customerPaymentId).filter(Boolean)),
+  ]);
+
+  const released = uses.filter(
+    (u) => !u.customerPaymentId || abandoned.has(u.customerPaymentId),
+  );
+  if (!released.length) return 0;
+
+  return releaseCreditUses({ id: { in: released.map((u) => u.id) } });
+};
+
+/* ---------------- PURCHASE PAYMENT (WEBHOOK) ---------------- */
+/**
+ * Activate a paid package; its validity starts now. Safe to call again
+ * for the same session.
+ */
+const markPackagePurchasePaid = async (session) => {
+  const purchase = await prisma.packagePurchase.findFirst({
+    where: { stripeSessionId: session.id, status: "PENDING" },
+    include: {
+      package: { select: { validityDays: true } },
+      businessProfile: { select: { userId: true } },
+    },
+  });
+  if (!purchase) return null;
+
+  const paidAt = new Date();
+  const expiresAt = new Date(
+    paidAt.getTime() + purchase.package.validityDays * DAY_MS,
+  );
+
+  await prisma.$transaction(async (tx) => {
+    await tx.packagePurchase.update({
+      where: { id: purchase.id },
+      data: {
+        status: "ACTIVE",
+        paymentIntentId: session.payment_intent,
+        paidAt,
+        expiresAt,
+      },
+    });
+
+    await tx.notification.createMany({
+      data: [
+        {
+          title: "Package purchased",
+          message: `${purchase.packageName} is ready to use: ${
+            purchase.credits
+          } visit(s) until ${expiresAt.toISOString().split("T")[0]}.`,
+          receiverId: purchase.userId,
+          senderId: purchase.businessProfile.userId,
+        },
+        {
+          title: "New package sale",
+          message: `A customer bought ${purchase.packageName} for ₹${purchase.amount}.`,
+          receiverId: purchase.businessProfile.userId,
+          senderId: purchase.userId,
+        },
+      ],
+    });
+  });
+
+  return purchase;
+};
+
+/**
+ * Drop a purchase whose checkout was abandoned.
+ */
+const expirePackageSession = async (sessionId) => {
+  const { count } = await prisma.packagePurchase.updateMany({
+    where: { stripeSessionId: sessionId, status: "PENDING" },
+    data: { status: "CANCELLED" },
+  });
+  return count;
+};
+
+/* ---------------- REFUND ---------------- */
+/**
+ * Refund the unused credits of a purchase, to the card it was paid with
+ * or to the wallet. The credits are withdrawn first so they cannot be
+ * spent while the refund runs, and given back if it fails.
+ */
+const refundPackagePurchase = async (purchase, destination) => {
+  const amount = getRefundableAmount(purchase);
+
+  const { count } = await prisma.packagePurchase.updateMany({
+    where: {
+      id: purchase.id,
+      status: "ACTIVE",
+      creditsRemaining: purchase.creditsRemaining,
+    },
+    data: { status: "REFUNDED", creditsRemaining: 0 },
+  });
+  if (count === 0) {
+    throw packageError("This package changed meanwhile. Please try again.");
+  }
+
+  try {
+    if (destination === "WALLET") {
+      await creditWallet(null, {
+        userId: purchase.userId,
+        amount,
+        source: "REFUND",
+        description: `Refund for unused credits of ${purchase.packageName}`,
+      });
+    } else {
+      await stripe.refunds.create(
+        {
+          payment_intent: purchase.paymentIntentId,
+          amount: amount * 100, // Convert to paise
+          reason: "requested_by_customer",
+          metadata: { packagePurchaseId: purchase.id },
+        },
+        { idempotencyKey: `package-refund-${purchase.id}` },
+      );
+    }
+  } catch (error) {
+    await prisma.packagePurchase.update({
+      where: { id: purchase.id },
+      data: { status: "ACTIVE", creditsRemaining: purchase.creditsRemaining },
+    });
+    throw error;
+  }
+
+  return prisma.packagePurchase.update({
+    where: { id: purchase.id },
+    data: {
+      refundedAmount: amount,
+      refundDestination: destination,
+      refundedAt: new Date(),
+    },
+  });
+};
+
+/* ---------------- EXPIRY ---------------- */
+/**
+ * Remind customers of credits about to lapse, then forfeit the credits of
+ * purchases past their validity. Returns how many purchases expired.
+ */
+const expirePackagePurchases = async (now = new Date()) => {
+  const expiringSoon = await prisma.packagePurchase.findMany({
+    where: {
+      status: "ACTIVE",
+      creditsRemaining: { gt: 0 },
+      expiryReminderSentAt: null,
+      expiresAt: {
+        gt: now,
+        lt: new Date(now.getTime() + EXPIRY_REMINDER_DAYS * DAY_MS),
+      },
+    },
+    include: { businessProfile: { select: { userId: true } } },
+  });
+
+  for (const purchase of expiringSoon) {
+    await prisma.$transaction([
+      prisma.packagePurchase.update({
+        where: { id: purchase.id },
+        data: { expiryReminderSentAt: now },
+      }),
+      prisma.notification.create({
+        data: {
+          title: "Package credits expiring soon",
+          message: `${purchase.creditsRemaining} visit(s) of ${
+            purchase.packageName
+          } expire on ${purchase.expiresAt.toISOString().split("T")[0]}. Book them before they lapse.`,
+          receiverId: purchase.userId,
+          senderId: purchase.businessProfile.userId,
+        },
+      }),
+    ]);
+  }
+
+  const expired = await prisma.packagePurchase.findMany({
+    where: {
+      status: { in: ["ACTIVE", "EXHAUSTED"] },
+      expiresAt: { lt: now },
+    },
+    include: { businessProfile: { select: { userId: true } } },
+  });
+
+  for (const purchase of expired) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.packagePurchase.updateMany({
+        where: { id: purchase.id, status: purchase.status },
+        data: { status: "EXPIRED", creditsRemaining: 0 },
+      });
+      if (count === 0 || purchase.creditsRemaining === 0) return;
+
+      await tx.notification.create({
+        data: {
+          title: "Package expired",
+          message: `${purchase.creditsRemaining} unused visit(s) of ${purchase.packageName} have expired.`,
+          receiverId: purchase.userId,
+          senderId: purchase.businessProfile.userId,
+        },
+      });
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  getCreditValue,
+  getRefundableAmount,
+  allocatePackageCredits,
+  applyPackageCredits,
+  redeemPackageCredit,
+  releasePackagePayment,
+  restoreBookingCredit,
+  releaseStalePackageCredits,
+  markPackagePurchasePaid,
+  expirePackageSession,
+  refundPackagePurchase,
+  expirePackagePurchases,
+};
@@ -0,0 +1,125 @@
+const prisma = require("../prismaClient.js");
+const {
+  parseSlotTimeTo24H,
+  getServiceStartTime,
+} = require("../helper/bookingTime");
+
+/* ---------------- RULE MATCHING ---------------- */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Time ranges may run past midnight, e.g. 20:00 - 02:00
+const inTimeRange = (rule, slotTime) => {
+  if (!rule.startTime || !rule.endTime) return true;
+  if (!slotTime) return false;
+
+  const { hours, minutes } = parseSlotTimeTo24H(slotTime);
+  const time = hours * 60 + minutes;
+  const start = toMinutes(rule.startTime);
+  const end = toMinutes(rule.endTime);
+
+  return start <= end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+/**
+ * Whether a rule applies to a booking on `date` (ISO string) at
+ * `slotTime` ("02:30 PM"), booked at `now`.
+ */
+const ruleMatches = (rule, { date, slotTime, now = new Date() }) => {
+  const day = new Date(date);
+  if (isNaN(day.getTime())) return false;
+
+  if (rule.weekdays.length && !rule.weekdays.includes(day.getUTCDay())) {
+    return false;
+  }
+
+  const dayKey = day.toISOString().split("T")[0];
+  if (rule.startDate && dayKey < rule.startDate) return false;
+  if (rule.endDate && dayKey > rule.endDate) return false;
+
+  if (!inTimeRange(rule, slotTime)) return false;
+
+  if (rule.minLeadHours !== null || rule.maxLeadHours !== null) {
+    const start = getServiceStartTime(date, slotTime);
+    if (!start) return false;
+
+    const leadHours = (start - now) / (1000 * 60 * 60);
+    if (rule.minLeadHours !== null && leadHours < rule.minLeadHours) {
+      return false;
+    }
+    if (rule.maxLeadHours !== null && leadHours > rule.maxLeadHours) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/* ---------------- PRICE ---------------- */
+const getAdjustment = (price, rule) =>
+  rule.adjustmentType === "PERCENT"
+    ? Math.round((price * rule.adjustmentValue) / 100)
+    : rule.adjustmentValue;
+
+/**
+ * Apply the rule that fits a booking to `price`. When several match, the
+ * highest priority wins, then the one that changes the price most.
+ * Returns the new price, the change and the rule as applied.
+ */
+const applyPricingRules = (price, rules, context) => {
+  const rule = rules
+    .filter((r) => ruleMatches(r, context))
+    .sort(
+      (a, b) =>
+        b.priority - a.priority ||
+        Math.abs(getAdjustment(price, b)) - Math.abs(getAdjustment(price, a)),
+    )[0];
+
+  if (!rule) {
+    return { price, adjustment: 0, pricingRule: null };
+  }
+
+  const adjusted = Math.max(0, price + getAdjustment(price, rule));
+
+  return {
+    price: adjusted,
+    adjustment: adjusted - price,
+    pricingRule: {
+      id: rule.id,
+      name: rule.name,
+      adjustmentType: rule.adjustmentType,
+      adjustmentValue: rule.adjustmentValue,
+    },
+  };
+};
+
+/**
+ * Active rules of the given businesses, keyed by business id.
+ */
+const getPricingRules = async (businessProfileIds, db = prisma) => {
+  const rules = await db.pricingRule.findMany({
+    where: {
+      businessProfileId: { in: [...new Set(businessProfileIds)] },
+      isActive: true,
+    },
+  });
+
+  const byBusiness = new Map();
+  for (const rule of rules) {
+    const list = byBusiness.get(rule.businessProfileId) || [];
+    list.push(rule);
+    byBusiness.set(rule.businessProfileId, list);
+  }
+
+  return byBusiness;
+};
+
+module.exports = {
+  ruleMatches,
+  applyPricingRules,
+  getPricingRules,
+};
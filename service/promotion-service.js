@@ -0,0 +1,428 @@
+const crypto = require("crypto");
+const prisma = require("../prismaClient.js");
+
+const NotificationService = require("./notification-service");
+const {
+  CHECKOUT_SESSION_MINUTES,
+  findAbandonedCheckouts,
+} = require("./slot-hold-service");
+const { creditWallet } = require("./wallet-service");
+const { getLinePrice } = require("./service-pricing-service");
+
+/* ---------------- CONSTANTS ---------------- */
+// Wallet credit given to both sides of a referral
+const REFERRAL_REWARD_AMOUNT =
+  parseInt(process.env.REFERRAL_REWARD_AMOUNT) || 100;
+const REFERRAL_CREDIT_VALID_DAYS = 90;
+
+// Redemptions still PENDING after their checkout could have closed
+const STALE_REDEMPTION_MINUTES = CHECKOUT_SESSION_MINUTES + 5;
+
+const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+const generateCode = (prefix) =>
+  `${prefix}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+/* ---------------- COUPON RULES ---------------- */
+// Cross-field checks on a coupon after an edit is merged in
+const validateCouponRules = (coupon) => {
+  if (coupon.discountType === "PERCENT" && coupon.discountValue > 100) {
+    return "A percentage discount cannot be more than 100.";
+  }
+  if (
+    coupon.validFrom &&
+    coupon.validUntil &&
+    new Date(coupon.validUntil) <= new Date(coupon.validFrom)
+  ) {
+    return "validUntil must be after validFrom.";
+  }
+  return null;
+};
+
+/* ---------------- ELIGIBILITY ---------------- */
+// Cart items must include `service` and `business`
+const isItemEligible = (coupon, item) => {
+  if (
+    coupon.businessProfileId &&
+    item.business.id !== coupon.businessProfileId
+  ) {
+    return false;
+  }
+  if (
+    coupon.serviceIds?.length &&
+    !coupon.serviceIds.includes(item.serviceId)
+  ) {
+    return false;
+  }
+  if (
+    coupon.categoryIds?.length &&
+    !coupon.categoryIds.includes(item.service.businessCategoryId)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const calculateCouponDiscount = (coupon, eligibleSubtotal) => {
+  let discount =
+    coupon.discountType === "PERCENT"
+      ? Math.floor((eligibleSubtotal * coupon.discountValue) / 100)
+      : coupon.discountValue;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return Math.max(0, Math.min(discount, eligibleSubtotal));
+};
+
+/**
+ * Spread a discount over the eligible items in proportion to their
+ * price; rounding leftovers go to the last item.
+ */
+const allocateDiscount = (items, discount) => {
+  const subtotal = items.reduce((sum, item) => sum + getLinePrice(item), 0);
+  const allocations = new Map();
+  let remaining = discount;
+
+  items.forEach((item, index) => {
+    const share =
+      index === items.length - 1
+        ? remaining
+        : Math.floor((discount * getLinePrice(item)) / subtotal);
+    allocations.set(item.id, share);
+    remaining -= share;
+  });
+
+  return allocations;
+};
+
+/* ---------------- APPLY COUPON ---------------- */
+/**
+ * Validate a coupon code for a customer's cart. Returns `{ error }` when
+ * it cannot be used, otherwise the coupon, total discount and the
+ * discount per cart item id.
+ */
+const applyCoupon = async ({ code, userId, cartItems }) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) },
+  });
+
+  if (!coupon || !coupon.isActive) {
+    return { error: "Invalid coupon code." };
+  }
+
+  if (coupon.assignedUserId && coupon.assignedUserId !== userId) {
+    return { error: "This coupon is not available on your account." };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { error: "This coupon is not active yet." };
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return { error: "This coupon has expired." };
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has reached its usage limit." };
+  }
+
+  const userRedemptions = await prisma.couponRedemption.count({
+    where: {
+      couponId: coupon.id,
+      userId,
+      status: { in: ["PENDING", "PAID"] },
+    },
+  });
+  if (userRedemptions >= coupon.perUserLimit) {
+    return { error: "You have already used this coupon." };
+  }
+
+  const eligibleItems = cartItems.filter((item) =>
+    isItemEligible(coupon, item),
+  );
+  if (!eligibleItems.length) {
+    return {
+      error: "This coupon does not apply to the services in your cart.",
+    };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce(
+    (sum, item) => sum + getLinePrice(item),
+    0,
+  );
+  if (eligibleSubtotal < coupon.minOrderAmount) {
+    return {
+      error: `Add services worth ₹${coupon.minOrderAmount - eligibleSubtotal} more to use this coupon.`,
+    };
+  }
+
+  const discount = calculateCouponDiscount(coupon, eligibleSubtotal);
+
+  return {
+    coupon,
+    discount,
+    allocations: allocateDiscount(eligibleItems, discount),
+  };
+};
+
+/* ---------------- REDEMPTIONS ---------------- */
+const couponError = (message) => {
+  const error = new Error(message);
+  error.isCouponError = true;
+  return error;
+};
+
+/**
+ * Reserve one use of the coupon for a checkout. Throws when the last use,
+ * or the customer's own last use, was taken by a concurrent checkout.
+ * Run inside a Serializable transaction so the per-user count holds.
+ */
+const reserveCouponRedemption = async (
+  tx,
+  { coupon, userId, paymentId, discount },
+) => {
+  // Checked again here: applyCoupon counted outside the transaction
+  const userRedemptions = await tx.couponRedemption.count({
+    where: {
+      couponId: coupon.id,
+      userId,
+      status: { in: ["PENDING", "PAID"] },
+    },
+  });
+  if (userRedemptions >= coupon.perUserLimit) {
+    throw couponError("You have already used this coupon.");
+  }
+
+  const { count } = await tx.coupon.updateMany({
+    where: {
+      id: coupon.id,
+      ...(coupon.usageLimit !== null && {
+        usedCount: { lt: coupon.usageLimit },
+      }),
+    },
+    data: { usedCount: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw couponError("This coupon has reached its usage limit.");
+  }
+
+  return tx.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      userId,
+      customerPaymentId: paymentId,
+      discountAmount: discount,
+    },
+  });
+};
+
+const confirmCouponRedemptions = (tx, paymentId) =>
+  tx.couponRedemption.updateMany({
+    where: { customerPaymentId: paymentId, status: "PENDING" },
+    data: { status: "PAID" },
+  });
+
+// Give the use back to the coupon when its checkout never completed
+const releaseRedemptions = async (where) => {
+  const redemptions = await prisma.couponRedemption.findMany({
+    where: { ...where, status: "PENDING" },
+  });
+
+  for (const redemption of redemptions) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.couponRedemption.deleteMany({
+        where: { id: redemption.id, status: "PENDING" },
+      });
+      if (count === 0) return;
+
+      await tx.coupon.update({
+        where: { id: redemption.couponId },
+        data: { usedCount: { decrement: 1 } },
+      });
+    });
+  }
+
+  return redemptions.length;
+};
+
+const releaseCouponRedemptions = (paymentId) =>
+  paymentId ? releaseRedemptions({ customerPaymentId: paymentId }) : 0;
+
+// A stale redemption is only given back once Stripe confirms its checkout
+// expired unpaid: a late payment would otherwise find its coupon use gone
+const releaseStaleCouponRedemptions = async () => {
+  const stale = await prisma.couponRedemption.findMany({
+    where: {
+      status: "PENDING",
+      createdAt: {
+        lt: new Date(Date.now() - STALE_REDEMPTION_MINUTES * 60000),
+      },
+    },
+    select: { id: true, customerPaymentId: true },
+  });
+
+  const abandoned = await findAbandonedCheckouts([
+    ...new Set(stale.map((r) => r.customerPaymentId).filter(Boolean)),
+  ]);
+
+  // No payment: the checkout failed before it was created
+  const released = stale.filter(
+    (r) => !r.customerPaymentId || abandoned.has(r.customerPaymentId),
+  );
+  if (released.length === 0) return 0;
+
+  return releaseRedemptions({ id: { in: released.map((r) => r.id) } });
+};
+
+/* ---------------- EARNINGS SPLIT ---------------- */
+/**
+ * Platform fee and provider earnings of a discounted booking. Provider
+ * coupons come out of the provider's share: commission is charged on what
+ * the customer paid. Platform coupons are absorbed by the platform: the
+ * provider earns as if the full price was paid. GST is never commissioned
+ * and is not earnings: it is returned as `providerTax` and only passed on
+ * to the provider, who files it, with their transfer.
+ */
+const splitBookingAmount = (booking, commissionRate, couponScope) => {
+  const providerTax = booking.taxAmount || 0;
+  const paid = booking.totalAmount - providerTax;
+  const listPrice = paid + (booking.discountAmount || 0);
+
+  if (booking.discountAmount > 0 && couponScope === "PLATFORM") {
+    const providerEarnings =
+      listPrice - Math.round(listPrice * (commissionRate / 100));
+    return {
+      platformFee: paid - providerEarnings,
+      providerEarnings,
+      providerTax,
+    };
+  }
+
+  const platformFee = Math.round(paid * (commissionRate / 100));
+  return { platformFee, providerEarnings: paid - platformFee, providerTax };
+};
+
+/* ---------------- REFERRALS ---------------- */
+const referralCreditExpiry = () =>
+  new Date(Date.now() + REFERRAL_CREDIT_VALID_DAYS * 24 * 60 * 60 * 1000);
+
+// Customers get their code the first time they ask for it
+const getReferralCode = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { referralCode: true },
+  });
+  if (user?.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { referralCode: generateCode("REF").replace("-", "") },
+        select: { referralCode: true },
+      });
+      return updated.referralCode;
+    } catch (error) {
+      if (error.code !== "P2002") throw error;
+    }
+  }
+
+  throw new Error("Could not generate a unique referral code");
+};
+
+/**
+ * Link a new customer to the customer who referred them and credit the
+ * newcomer straight away. Unknown codes are ignored.
+ */
+const registerReferral = async (refereeId, referralCode) => {
+  const referrer = await prisma.user.findUnique({
+    where: { referralCode: normalizeCouponCode(referralCode) },
+    select: { id: true, role: true },
+  });
+
+  if (!referrer || referrer.id === refereeId || referrer.role !== "customer") {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await creditWallet(tx, {
+      userId: refereeId,
+      amount: REFERRAL_REWARD_AMOUNT,
+      source: "REFERRAL",
+      description: "Referral welcome credit",
+      expiresAt: referralCreditExpiry(),
+    });
+
+    return tx.referral.create({
+      data: {
+        referrerId: referrer.id,
+        refereeId,
+        rewardAmount: REFERRAL_REWARD_AMOUNT,
+      },
+    });
+  });
+};
+
+/**
+ * Credit the referrer once the referred customer's first checkout is
+ * paid. Runs at most once per referral.
+ */
+const rewardReferral = async (refereeId) => {
+  const referral = await prisma.referral.findUnique({
+    where: { refereeId },
+    include: { referee: { select: { name: true } } },
+  });
+
+  if (!referral || referral.status !== "PENDING") return null;
+
+  const rewarded = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.referral.updateMany({
+      where: { id: referral.id, status: "PENDING" },
+      data: { status: "REWARDED", rewardedAt: new Date() },
+    });
+    if (count === 0) return null;
+
+    return creditWallet(tx, {
+      userId: referral.referrerId,
+      amount: referral.rewardAmount,
+      source: "REFERRAL",
+      description: `Referral reward for inviting ${referral.referee.name}`,
+      expiresAt: referralCreditExpiry(),
+    });
+  });
+
+  if (rewarded) {
+    await NotificationService.notifyUser({
+      receiverId: referral.referrerId,
+      senderId: refereeId,
+      title: "Referral Reward Unlocked",
+      body: `${referral.referee.name} completed their first booking. ₹${referral.rewardAmount} has been added to your wallet.`,
+      data: { type: "REFERRAL_REWARDED", referralId: referral.id },
+    });
+  }
+
+  return rewarded;
+};
+
+module.exports = {
+  REFERRAL_REWARD_AMOUNT,
+  normalizeCouponCode,
+  validateCouponRules,
+  isItemEligible,
+  calculateCouponDiscount,
+  applyCoupon,
+  reserveCouponRedemption,
+  confirmCouponRedemptions,
+  releaseCouponRedemptions,
+  releaseStaleCouponRedemptions,
+  splitBookingAmount,
+  getReferralCode,
+  registerReferral,
+  rewardReferral,
+};
@@ -0,0 +1,80 @@
+const prisma = require("../prismaClient.js");
+
+/* ---------------- CONSTANTS ---------------- */
+// Reliability points a provider loses per cancelled booking
+const PROVIDER_CANCELLATION_PENALTY =
+  parseFloat(process.env.PROVIDER_CANCELLATION_PENALTY) || 5;
+
+// Cancelling this close to the service costs the late penalty instead
+const LATE_PROVIDER_CANCELLATION_HOURS = 24;
+const LATE_PROVIDER_CANCELLATION_PENALTY =
+  parseFloat(process.env.LATE_PROVIDER_CANCELLATION_PENALTY) || 10;
+
+const REBOOKING_SUGGESTION_LIMIT = 3;
+
+/* ---------------- RELIABILITY ---------------- */
+const getReliabilityPenalty = (hoursBeforeService) =>
+  hoursBeforeService < LATE_PROVIDER_CANCELLATION_HOURS
+    ? LATE_PROVIDER_CANCELLATION_PENALTY
+    : PROVIDER_CANCELLATION_PENALTY;
+
+/**
+ * Score after a penalty, never below zero.
+ */
+const applyReliabilityPenalty = (score, penalty) =>
+  Math.max(0, Math.round((score - penalty) * 100) / 100);
+
+/* ---------------- REBOOKING SUGGESTIONS ---------------- */
+/**
+ * Services in the same category from other bookable businesses, most
+ * reliable and best rated first.
+ */
+const getRebookingSuggestions = async ({ categoryId, excludeBusinessId }) => {
+  const services = await prisma.service.findMany({
+    where: {
+      businessCategoryId: categoryId,
+      isActive: true,
+      isRestricted: false,
+      businessProfile: {
+        id: { not: excludeBusinessId },
+        isActive: true,
+        isApproved: true,
+        isRejected: false,
+        isRestricted: false,
+      },
+    },
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      averageRating: true,
+      businessProfile: {
+        select: { id: true, businessName: true, userId: true },
+      },
+    },
+    orderBy: [
+      { businessProfile: { reliabilityScore: "desc" } },
+      { averageRating: "desc" },
+    ],
+    take: REBOOKING_SUGGESTION_LIMIT,
+  });
+
+  return services.map((service) => ({
+    serviceId: service.id,
+    serviceName: service.name,
+    price: service.price,
+    averageRating: service.averageRating,
+    businessId: service.businessProfile.id,
+    businessName: service.businessProfile.businessName,
+    providerId: service.businessProfile.userId,
+  }));
+};
+
+module.exports = {
+  PROVIDER_CANCELLATION_PENALTY,
+  LATE_PROVIDER_CANCELLATION_HOURS,
+  LATE_PROVIDER_CANCELLATION_PENALTY,
+  getReliabilityPenalty,
+  applyReliabilityPenalty,
+  getRebookingSuggestions,
+};
@@ -0,0 +1,304 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+const { getRetainedTax } = require("./tax-service");
+
+const DEFAULT_COMMISSION_RATE = 10;
+
+/* ---------------- COMMISSION ---------------- */
+// Commission comes from the provider's plan, 10% without one
+const getCommissionRate = (businessProfile) => {
+  const plan = businessProfile?.user?.providerSubscription?.plan;
+  return plan?.commissionRate ?? DEFAULT_COMMISSION_RATE;
+};
+
+// What a transfer's bookings still owe the provider: their earnings plus
+// the GST they file. Refunds, cancellations and lost disputes have already
+// shrunk each booking's earnings and refunded amount.
+const getOwedAmount = (bookings) =>
+  bookings.reduce(
+    (sum, b) => sum + (b.providerEarnings || 0) + getRetainedTax(b),
+    0,
+  );
+
+const OWED_AMOUNT_FIELDS = {
+  paymentStatus: true,
+  providerEarnings: true,
+  taxAmount: true,
+  totalAmount: true,
+  refundedAmount: true,
+};
+
+/* ---------------- SPLIT PER BUSINESS ---------------- */
+/**
+ * Create one PENDING transfer row per business for a confirmed checkout.
+ * `bookings` must already carry their platformFee / providerEarnings.
+ * The transfer adds the bookings' GST on top of the earnings.
+ */
+const createPaymentTransfers = async (tx, paymentId, bookings) => {
+  const byBusiness = new Map();
+
+  for (const booking of bookings) {
+    const group = byBusiness.get(booking.businessProfileId) || [];
+    group.push(booking);
+    byBusiness.set(booking.businessProfileId, group);
+  }
+
+  await tx.paymentTransfer.createMany({
+    data: [...byBusiness].map(([businessProfileId, group]) => ({
+      customerPaymentId: paymentId,
+      businessProfileId,
+      bookingIds: group.map((b) => b.id),
+      amount: group.reduce((sum, b) => sum + b.totalAmount, 0),
+      platformFee: group.reduce((sum, b) => sum + (b.platformFee || 0), 0),
+      transferAmount: getOwedAmount(group),
+    })),
+    skipDuplicates: true,
+  });
+};
+
+/* ---------------- SEND TRANSFERS ---------------- */
+/**
+ * Move each business's share of a paid checkout to its Connect account.
+ * Providers without an active account stay PENDING and are paid once
+ * their account is enabled. Safe to re-run: sent transfers are skipped
+ * and Stripe de-duplicates on the transfer row id.
+ */
+const executePaymentTransfers = async (paymentId) => {
+  const payment = await prisma.customerPayment.findUnique({
+    where: { id: paymentId },
+    include: {
+      transfers: {
+        where: { status: { in: ["PENDING", "FAILED"] } },
+        include: {
+          businessProfile: {
+            select: {
+              businessName: true,
+              user: {
+                select: { stripeAccountId: true, stripeAccountStatus: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!payment || payment.transfers.length === 0) {
+    return [];
+  }
+
+  // Tie transfers to the charge so they wait for its funds to settle.
+  // Checkouts funded by the wallet or package credits are paid from the
+  // platform balance instead, as the charge alone does not cover the
+  // providers' shares.
+  let chargeId = null;
+  if (
+    payment.paymentIntentId &&
+    !payment.walletAmount &&
+    !payment.packageCreditAmount
+  ) {
+    const intent = await stripe.paymentIntents.retrieve(
+      payment.paymentIntentId,
+    );
+    chargeId =
+      typeof intent.latest_charge === "string"
+        ? intent.latest_charge
+        : intent.latest_charge?.id;
+  }
+
+  const results = [];
+
+  for (const transfer of payment.transfers) {
+    const { stripeAccountId, stripeAccountStatus } =
+      transfer.businessProfile.user;
+
+    // Refunds or disputes since checkout shrink what the provider is owed
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: transfer.bookingIds } },
+      select: OWED_AMOUNT_FIELDS,
+    });
+    const transferAmount = getOwedAmount(bookings);
+
+    // Held back until the dispute closes
+    if (bookings.some((b) => b.paymentStatus === "DISPUTED")) {
+      results.push(
+        await prisma.paymentTransfer.update({
+          where: { id: transfer.id },
+          data: { failureReason: "Payment is disputed" },
+        }),
+      );
+      continue;
+    }
+
+    if (transferAmount <= 0) {
+      results.push(
+        await prisma.paymentTransfer.update({
+          where: { id: transfer.id },
+          data: {
+            transferAmount: 0,
+            status: "REFUNDED",
+            failureReason: "Nothing left to transfer",
+          },
+        }),
+      );
+      continue;
+    }
+
+    if (!stripeAccountId || stripeAccountStatus !== "active") {
+      results.push(
+        await prisma.paymentTransfer.update({
+          where: { id: transfer.id },
+          data: {
+            transferAmount,
+            status: "PENDING",
+            failureReason: "Provider has no active Stripe account",
+          },
+        }),
+      );
+      continue;
+    }
+
+    try {
+      const stripeTransfer = await stripe.transfers.create(
+        {
+          amount: transferAmount * 100, // Convert to paise
+          currency: "inr",
+          destination: stripeAccountId,
+          transfer_group: payment.id,
+          ...(chargeId && { source_transaction: chargeId }),
+          description: `Bookings payout - ${transfer.businessProfile.businessName}`,
+          metadata: {
+            paymentId: payment.id,
+            transferId: transfer.id,
+            businessProfileId: transfer.businessProfileId,
+          },
+        },
+        { idempotencyKey: `payment-transfer-${transfer.id}-${transferAmount}` },
+      );
+
+      results.push(
+        await prisma.paymentTransfer.update({
+          where: { id: transfer.id },
+          data: {
+            transferAmount,
+            stripeTransferId: stripeTransfer.id,
+            status: "PAID",
+            failureReason: null,
+            transferredAt: new Date(),
+          },
+        }),
+      );
+    } catch (error) {
+      console.error(`Transfer ${transfer.id} failed:`, error.message);
+
+      results.push(
+        await prisma.paymentTransfer.update({
+          where: { id: transfer.id },
+          data: {
+            transferAmount,
+            status: "FAILED",
+            failureReason: error.message,
+          },
+        }),
+      );
+    }
+  }
+
+  return results;
+};
+
+/* ---------------- REVERSE TRANSFERS ---------------- */
+/**
+ * Take back from each provider what was sent beyond what their bookings
+ * still owe, once refunds, cancellations or a lost dispute shrank them.
+ * Bookings under dispute are left alone until it closes. Safe to re-run:
+ * only the difference to what was already reversed is taken back.
+ */
+const reversePaymentTransfers = async (paymentId) => {
+  const transfers = await prisma.paymentTransfer.findMany({
+    where: {
+      customerPaymentId: paymentId,
+      status: { in: ["PAID", "REFUNDED"] },
+      stripeTransferId: { not: null },
+    },
+  });
+
+  const results = [];
+
+  for (const transfer of transfers) {
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: transfer.bookingIds } },
+      select: OWED_AMOUNT_FIELDS,
+    });
+    if (bookings.some((b) => b.paymentStatus === "DISPUTED")) continue;
+
+    const owed = Math.min(getOwedAmount(bookings), transfer.transferAmount);
+    const reversedAmount = transfer.transferAmount - owed;
+    const excess = reversedAmount - transfer.reversedAmount;
+    if (excess <= 0) continue;
+
+    try {
+      await stripe.transfers.createReversal(
+        transfer.stripeTransferId,
+        {
+          amount: excess * 100, // Convert to paise
+          metadata: { paymentId, transferId: transfer.id },
+        },
+        {
+          idempotencyKey: `payment-transfer-reversal-${transfer.id}-${reversedAmount}`,
+        },
+      );
+
+      // Guarded so a concurrent run cannot count the same reversal twice
+      await prisma.paymentTransfer.updateMany({
+        where: { id: transfer.id, reversedAmount: transfer.reversedAmount },
+        data: {
+          reversedAmount,
+          failureReason: null,
+          ...(owed === 0 && { status: "REFUNDED" }),
+        },
+      });
+      results.push({ transferId: transfer.id, reversed: excess });
+    } catch (error) {
+      console.error(`Reversing transfer ${transfer.id} failed:`, error.message);
+
+      await prisma.paymentTransfer.update({
+        where: { id: transfer.id },
+        data: { failureReason: `Reversal failed: ${error.message}` },
+      });
+      results.push({ transferId: transfer.id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Retry every unsent transfer owed to a provider, e.g. once their
+ * Connect account becomes active.
+ */
+const retryProviderTransfers = async (providerId) => {
+  const pending = await prisma.paymentTransfer.findMany({
+    where: {
+      status: { in: ["PENDING", "FAILED"] },
+      businessProfile: { userId: providerId },
+    },
+    select: { customerPaymentId: true },
+    distinct: ["customerPaymentId"],
+  });
+
+  for (const { customerPaymentId } of pending) {
+    await executePaymentTransfers(customerPaymentId);
+  }
+
+  return pending.length;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  getCommissionRate,
+  createPaymentTransfers,
+  executePaymentTransfers,
+  reversePaymentTransfers,
+  retryProviderTransfers,
+};
@@ -0,0 +1,76 @@
+const prisma = require("../prismaClient.js");
+
+/* ---------------- ESTIMATE ---------------- */
+// Itemised estimate lines with their amounts, and the estimate subtotal
+const buildEstimate = (items) => {
+  const lines = items.map((item) => ({
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    amount: item.quantity * item.unitPrice,
+  }));
+
+  return {
+    items: lines,
+    amount: lines.reduce((sum, line) => sum + line.amount, 0),
+  };
+};
+
+// Estimates can be accepted until they expire; an accepted quote whose
+// checkout lapsed can be paid again within the same window
+const isAcceptable = (quote, now = new Date()) =>
+  (quote.status === "QUOTED" ||
+    (quote.status === "ACCEPTED" && !quote.bookingId)) &&
+  !!quote.expiresAt &&
+  quote.expiresAt > now;
+
+/* ---------------- CHECKOUT ---------------- */
+/**
+ * The accepted quote in the shape of a cart line, for the checkout
+ * confirmation emails and logs. The quoted amount stands in for the
+ * service price.
+ */
+const getQuoteCheckoutItems = async (quoteId, userId) => {
+  const quote = await prisma.quote.findFirst({
+    where: { id: quoteId, userId },
+    include: {
+      service: true,
+      businessProfile: true,
+      booking: { include: { slot: true } },
+    },
+  });
+  if (!quote || !quote.booking) return [];
+
+  return [
+    {
+      service: { ...quote.service, price: quote.totalAmount },
+      business: quote.businessProfile,
+      date: quote.booking.date,
+      slot: quote.booking.slot,
+    },
+  ];
+};
+
+/* ---------------- EXPIRY ---------------- */
+/**
+ * Expire estimates that were not accepted, or not paid for, in time.
+ * Run on a schedule.
+ */
+const expireQuotes = async (now = new Date()) => {
+  const { count } = await prisma.quote.updateMany({
+    where: {
+      expiresAt: { lt: now },
+      OR: [{ status: "QUOTED" }, { status: "ACCEPTED", bookingId: null }],
+    },
+    data: { status: "EXPIRED" },
+  });
+
+  return count;
+};
+
+module.exports = {
+  buildEstimate,
+  isAcceptable,
+  getQuoteCheckoutItems,
+  expireQuotes,
+};
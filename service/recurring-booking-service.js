@@ -0,0 +1,579 @@
+const crypto = require("crypto");
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+
+const NotificationService = require("./notification-service");
+const { getSlotCapacity, toBookingDate } = require("./availability-service");
+const {
+  CHECKOUT_HOLD_MINUTES,
+  minutesFromNow,
+} = require("./slot-hold-service");
+const { resolveCancellationPolicy } = require("./cancellation-policy-service");
+const { getBookingTax, toBookingTaxFields } = require("./tax-service");
+const { issueBookingInvoices } = require("./invoice-service");
+const { autoAssignBookings } = require("./staff-assignment-service");
+const { splitBookingAmount } = require("./promotion-service");
+const {
+  createPaymentTransfers,
+  executePaymentTransfers,
+} = require("./provider-transfer-service");
+
+/* ---------------- CONSTANTS ---------------- */
+// How far ahead occurrences are materialised
+const RECURRING_HORIZON_DAYS =
+  parseInt(process.env.RECURRING_HORIZON_DAYS) || 28;
+
+// Occurrences are charged this many days before the visit
+const RECURRING_CHARGE_LEAD_DAYS =
+  parseInt(process.env.RECURRING_CHARGE_LEAD_DAYS) || 1;
+
+const MAX_CHARGE_ATTEMPTS = 3;
+const CHARGE_RETRY_HOURS = 6;
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences a customer may still skip or move
+const EDITABLE_OCCURRENCE_STATUSES = [
+  "SCHEDULED",
+  "UNAVAILABLE",
+  "PAYMENT_FAILED",
+];
+
+/* ---------------- RECURRENCE RULE ---------------- */
+const toUtcDay = (date) => new Date(`${date.split("T")[0]}T00:00:00.000Z`);
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Date of the n-th occurrence (0-based) of a series, as a booking date
+ * string, or null once the rule is exhausted.
+ */
+const getOccurrenceDate = (series, sequence) => {
+  if (series.occurrenceCount && sequence >= series.occurrenceCount) {
+    return null;
+  }
+
+  const start = toUtcDay(series.startDate);
+  let date;
+
+  if (series.frequency === "WEEKLY") {
+    const weekday = series.byWeekday ?? start.getUTCDay();
+    const offset = (weekday - start.getUTCDay() + 7) % 7;
+    date = new Date(
+      start.getTime() + (offset + sequence * 7 * series.interval) * DAY_MS,
+    );
+  } else {
+    const monthDay = series.byMonthDay ?? start.getUTCDate();
+    // Skip the start month when its day has already passed
+    const shift = monthDay < start.getUTCDate() ? 1 : 0;
+    const month = start.getUTCMonth() + shift + sequence * series.interval;
+    const year = start.getUTCFullYear() + Math.floor(month / 12);
+    const monthIndex = month % 12;
+    date = new Date(
+      Date.UTC(
+        year,
+        monthIndex,
+        Math.min(monthDay, daysInMonth(year, monthIndex)),
+      ),
+    );
+  }
+
+  if (series.endDate && date > toUtcDay(series.endDate)) {
+    return null;
+  }
+
+  return toBookingDate(date);
+};
+
+/**
+ * RRULE-style summary of a series, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO
+ */
+const toRRule = (series) => {
+  const parts = [`FREQ=${series.frequency}`, `INTERVAL=${series.interval}`];
+
+  if (series.frequency === "WEEKLY") {
+    const weekday = series.byWeekday ?? toUtcDay(series.startDate).getUTCDay();
+    parts.push(`BYDAY=${WEEKDAYS[weekday]}`);
+  } else {
+    const monthDay =
+      series.byMonthDay ?? toUtcDay(series.startDate).getUTCDate();
+    parts.push(`BYMONTHDAY=${monthDay}`);
+  }
+
+  if (series.occurrenceCount) parts.push(`COUNT=${series.occurrenceCount}`);
+  if (series.endDate) {
+    parts.push(`UNTIL=${series.endDate.split("T")[0].replace(/-/g, "")}`);
+  }
+
+  return parts.join(";");
+};
+
+/* ---------------- HELPERS ---------------- */
+const getCommissionRate = async (businessProfileId) => {
+  const business = await prisma.businessProfile.findUnique({
+    where: { id: businessProfileId },
+    select: {
+      user: {
+        select: {
+          providerSubscription: {
+            select: { plan: { select: { commissionRate: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  const rate = business?.user?.providerSubscription?.plan?.commissionRate;
+  return rate !== undefined && rate !== null ? rate : 10;
+};
+
+/**
+ * Stripe customer used for off-session charges, created on first use.
+ */
+const getOrCreateStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user.id },
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { stripeCustomerId: customer.id },
+  });
+
+  return customer.id;
+};
+
+/* ---------------- OCCURRENCE GENERATION ---------------- */
+/**
+ * Materialise the occurrences of one series up to the horizon.
+ * Completes the series once its rule is exhausted.
+ */
+const generateOccurrencesForSeries = async (series) => {
+  const horizon = toBookingDate(
+    new Date(Date.now() + RECURRING_HORIZON_DAYS * DAY_MS),
+  );
+  let sequence = series.generatedCount;
+  let exhausted = false;
+  const created = [];
+
+  while (true) {
+    const date = getOccurrenceDate(series, sequence);
+
+    if (!date) {
+      exhausted = true;
+      break;
+    }
+
+    if (date > horizon) break;
+
+    created.push({
+      recurringBookingId: series.id,
+      sequence,
+      scheduledDate: date,
+      date,
+      slotId: series.slotId,
+    });
+    sequence++;
+  }
+
+  if (created.length) {
+    await prisma.recurringOccurrence.createMany({
+      data: created,
+      skipDuplicates: true,
+    });
+  }
+
+  if (created.length || exhausted) {
+    await prisma.recurringBooking.update({
+      where: { id: series.id },
+      data: {
+        generatedCount: sequence,
+        ...(exhausted && { status: "COMPLETED" }),
+      },
+    });
+  }
+
+  return created.length;
+};
+
+const generateRecurringOccurrences = async () => {
+  const activeSeries = await prisma.recurringBooking.findMany({
+    where: { status: "ACTIVE" },
+  });
+
+  let generated = 0;
+  for (const series of activeSeries) {
+    try {
+      generated += await generateOccurrencesForSeries(series);
+    } catch (error) {
+      console.error(
+        `Occurrence generation failed for series ${series.id}:`,
+        error.message,
+      );
+    }
+  }
+
+  return generated;
+};
+
+/* ---------------- ACTIVATION ---------------- */
+/**
+ * Activate a series once a reusable payment method is on file.
+ */
+const activateRecurringBooking = async (
+  recurringBookingId,
+  paymentMethodId,
+) => {
+  const series = await prisma.recurringBooking.update({
+    where: { id: recurringBookingId },
+    data: { status: "ACTIVE", stripePaymentMethodId: paymentMethodId },
+  });
+
+  await generateOccurrencesForSeries(series);
+
+  return series;
+};
+
+/* ---------------- OCCURRENCE CHARGING ---------------- */
+const markOccurrence = (occurrence, data) =>
+  prisma.recurringOccurrence.update({
+    where: { id: occurrence.id },
+    data: { lastAttemptAt: new Date(), ...data },
+  });
+
+/**
+ * Reserve the slot, charge the saved card off-session and confirm the
+ * booking. The reservation is dropped again if the charge fails.
+ */
+const chargeOccurrence = async (occurrence) => {
+  const series = occurrence.recurringBooking;
+  const { service, user } = series;
+  const slotId = occurrence.slotId || series.slotId;
+
+  if (!service.isActive || service.isRestricted) {
+    await markOccurrence(occurrence, {
+      status: "UNAVAILABLE",
+      failureReason: "Service is no longer available",
+    });
+    return "UNAVAILABLE";
+  }
+
+  if (!user.stripeCustomerId || !series.stripePaymentMethodId) {
+    await markOccurrence(occurrence, {
+      status: "PAYMENT_FAILED",
+      chargeAttempts: MAX_CHARGE_ATTEMPTS,
+      failureReason: "No saved payment method",
+    });
+    return "PAYMENT_FAILED";
+  }
+
+  // Each visit is taxed at the rules in force when it is charged
+  const tax = await getBookingTax({
+    service,
+    business: series.businessProfile,
+    address: series.address,
+    amount: service.price,
+  });
+  const amount = tax.totalAmount;
+
+  /* ---------- RESERVE SLOT ---------- */
+  let booking;
+  try {
+    booking = await prisma.$transaction(
+      async (tx) => {
+        const capacity = await getSlotCapacity(tx, {
+          serviceId: series.serviceId,
+          slotId,
+          date: occurrence.date,
+          excludeUserId: series.userId,
+        });
+
+        if (!capacity || capacity.remaining <= 0) {
+          return null;
+        }
+
+        return tx.booking.create({
+          data: {
+            addressId: series.addressId,
+            userId: series.userId,
+            serviceId: series.serviceId,
+            businessProfileId: series.businessProfileId,
+            slotId,
+            date: occurrence.date,
+            totalAmount: amount,
+            ...toBookingTaxFields(tax),
+            bookingStatus: "PENDING_PAYMENT",
+            paymentStatus: "PENDING",
+            expiresAt: minutesFromNow(CHECKOUT_HOLD_MINUTES),
+            cancellationPolicy: resolveCancellationPolicy(
+              series.businessProfile,
+              service,
+            ),
+          },
+        });
+      },
+      { isolationLevel: "Serializable" },
+    );
+  } catch (error) {
+    console.error(
+      `Slot reservation failed for occurrence ${occurrence.id}:`,
+      error.message,
+    );
+    return "SKIPPED_RUN";
+  }
+
+  if (!booking) {
+    await markOccurrence(occurrence, {
+      status: "UNAVAILABLE",
+      failureReason: "Slot is fully booked",
+    });
+    await NotificationService.notifyUser({
+      receiverId: series.userId,
+      senderId: null,
+      title: "Recurring Booking Needs Attention",
+      body: `Your ${service.name} slot on ${occurrence.date.split("T")[0]} is fully booked. Please reschedule this visit.`,
+      data: {
+        type: "RECURRING_OCCURRENCE_UNAVAILABLE",
+        occurrenceId: occurrence.id,
+      },
+    });
+    return "UNAVAILABLE";
+  }
+
+  /* ---------- OFF-SESSION CHARGE ---------- */
+  const attempt = occurrence.chargeAttempts + 1;
+  // Known up front so the charge and the provider's transfer share a group
+  const paymentId = crypto.randomUUID();
+  let paymentIntent;
+
+  try {
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: amount * 100,
+        currency: "inr",
+        customer: user.stripeCustomerId,
+        payment_method: series.stripePaymentMethodId,
+        off_session: true,
+        confirm: true,
+        transfer_group: paymentId,
+        description: `${service.name} on ${occurrence.date.split("T")[0]}`,
+        metadata: {
+          type: "recurring_occurrence",
+          recurringBookingId: series.id,
+          occurrenceId: occurrence.id,
+          bookingId: booking.id,
+          userId: series.userId,
+        },
+      },
+      { idempotencyKey: `recurring_${occurrence.id}_${attempt}` },
+    );
+  } catch (error) {
+    await prisma.booking.deleteMany({
+      where: { id: booking.id, bookingStatus: "PENDING_PAYMENT" },
+    });
+
+    await markOccurrence(occurrence, {
+      status: "PAYMENT_FAILED",
+      chargeAttempts: attempt,
+      paymentIntentId: error.raw?.payment_intent?.id || null,
+      failureReason: error.message,
+    });
+
+    await NotificationService.notifyUser({
+      receiverId: series.userId,
+      senderId: null,
+      title: "Recurring Payment Failed",
+      body: `We could not charge your saved card for ${service.name} on ${occurrence.date.split("T")[0]}. Please update your payment method.`,
+      data: { type: "RECURRING_PAYMENT_FAILED", occurrenceId: occurrence.id },
+    });
+    return "PAYMENT_FAILED";
+  }
+
+  /* ---------- CONFIRM BOOKING ---------- */
+  const commissionRate = await getCommissionRate(series.businessProfileId);
+  const { platformFee, providerEarnings } = splitBookingAmount(
+    booking,
+    commissionRate,
+  );
+
+  let payment;
+  await prisma.$transaction(async (tx) => {
+    const confirmed = await tx.booking.update({
+      where: { id: booking.id },
+      data: {
+        bookingStatus: "CONFIRMED",
+        paymentStatus: "PAID",
+        expiresAt: null,
+        platformFee,
+        providerEarnings,
+      },
+    });
+
+    payment = await tx.customerPayment.create({
+      data: {
+        id: paymentId,
+        userId: series.userId,
+        addressId: series.addressId,
+        amount,
+        taxAmount: tax.taxAmount,
+        status: "PAID",
+        bookingIds: JSON.stringify([booking.id]),
+        paymentIntentId: paymentIntent.id,
+      },
+    });
+
+    await createPaymentTransfers(tx, payment.id, [confirmed]);
+
+    await tx.recurringOccurrence.update({
+      where: { id: occurrence.id },
+      data: {
+        status: "BOOKED",
+        bookingId: booking.id,
+        paymentIntentId: paymentIntent.id,
+        amount,
+        chargeAttempts: attempt,
+        lastAttemptAt: new Date(),
+        failureReason: null,
+      },
+    });
+
+    await tx.customerActivityLog.create({
+      data: {
+        customerId: series.userId,
+        actionType: "RECURRING_BOOKING_CHARGED",
+        status: "SUCCESS",
+        bookingId: booking.id,
+        serviceId: series.serviceId,
+        metadata: {
+          recurringBookingId: series.id,
+          occurrenceId: occurrence.id,
+          paymentIntentId: paymentIntent.id,
+        },
+      },
+    });
+  });
+
+  try {
+    await executePaymentTransfers(payment.id);
+  } catch (error) {
+    console.error(
+      `Transfer for occurrence ${occurrence.id} failed:`,
+      error.message,
+    );
+  }
+
+  try {
+    await issueBookingInvoices(payment.id);
+  } catch (error) {
+    console.error(
+      `Invoice for occurrence ${occurrence.id} failed:`,
+      error.message,
+    );
+  }
+
+  await NotificationService.notifyUser({
+    receiverId: series.businessProfile.userId,
+    senderId: series.userId,
+    title: "New Booking Received",
+    body: `New recurring booking for ${service.name} by ${user.name} on ${occurrence.date.split("T")[0]}`,
+    data: { type: "BOOKING_CREATED", tag: `provider_booking_${booking.id}` },
+  });
+
+  await NotificationService.notifyUser({
+    receiverId: series.userId,
+    senderId: series.businessProfile.userId,
+    title: "Booking Confirmed",
+    body: `Your recurring ${service.name} on ${occurrence.date.split("T")[0]} has been confirmed.`,
+    data: { type: "BOOKING_CONFIRMED", tag: `customer_booking_${booking.id}` },
+  });
+
+  await autoAssignBookings([booking.id]);
+
+  return "BOOKED";
+};
+
+/**
+ * Charge every occurrence falling inside the charge lead window, retrying
+ * failed charges a limited number of times.
+ */
+const chargeDueOccurrences = async () => {
+  const now = new Date();
+  const today = toBookingDate(toUtcDay(now.toISOString()));
+  const chargeUntil = toBookingDate(
+    toUtcDay(now.toISOString()).getTime() + RECURRING_CHARGE_LEAD_DAYS * DAY_MS,
+  );
+  const retryBefore = new Date(
+    now.getTime() - CHARGE_RETRY_HOURS * 60 * 60 * 1000,
+  );
+
+  const dueOccurrences = await prisma.recurringOccurrence.findMany({
+    where: {
+      date: { gte: today, lte: chargeUntil },
+      recurringBooking: { status: { in: ["ACTIVE", "COMPLETED"] } },
+      OR: [
+        { status: "SCHEDULED" },
+        {
+          status: "PAYMENT_FAILED",
+          chargeAttempts: { lt: MAX_CHARGE_ATTEMPTS },
+          lastAttemptAt: { lt: retryBefore },
+        },
+      ],
+    },
+    include: {
+      recurringBooking: {
+        include: {
+          service: true,
+          user: true,
+          address: { select: { state: true } },
+          businessProfile: {
+            select: {
+              userId: true,
+              cancellationPolicy: true,
+              cancellationTiers: true,
+              gstin: true,
+              gstState: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: { date: "asc" },
+  });
+
+  const summary = {};
+  for (const occurrence of dueOccurrences) {
+    try {
+      const result = await chargeOccurrence(occurrence);
+      summary[result] = (summary[result] || 0) + 1;
+    } catch (error) {
+      console.error(
+        `Charging occurrence ${occurrence.id} failed:`,
+        error.message,
+      );
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  RECURRING_HORIZON_DAYS,
+  RECURRING_CHARGE_LEAD_DAYS,
+  EDITABLE_OCCURRENCE_STATUSES,
+  getOccurrenceDate,
+  toRRule,
+  getOrCreateStripeCustomer,
+  generateOccurrencesForSeries,
+  generateRecurringOccurrences,
+  activateRecurringBooking,
+  chargeOccurrence,
+  chargeDueOccurrences,
+};
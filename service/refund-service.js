@@ -0,0 +1,327 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+const { creditWallet } = require("./wallet-service");
+const { issueCreditNotes } = require("./invoice-service");
+const { reversePaymentTransfers } = require("./provider-transfer-service");
+const { getRetainedTax } = require("./tax-service");
+
+// Stripe refund status -> PaymentStatus
+const REFUND_STATUS_MAP = {
+  succeeded: "PAID",
+  pending: "PENDING",
+  requires_action: "PENDING",
+  failed: "FAILED",
+  canceled: "FAILED",
+};
+
+const parseBookingIds = (payment) => {
+  try {
+    return JSON.parse(payment.bookingIds);
+  } catch {
+    return [];
+  }
+};
+
+/* ---------------- LEDGER RECONCILIATION ---------------- */
+/**
+ * Re-derive every booking's refunded amount, payment status and earnings
+ * from the payment's refund ledger, so replays of the same refund are
+ * harmless. Refunds without a booking are spread over the bookings in
+ * checkout order, active bookings before cancelled ones. Refunds paid into
+ * the wallet count towards each booking as well.
+ */
+const reconcilePaymentRefunds = async (customerPaymentId) => {
+  await prisma.$transaction(async (tx) => {
+    const payment = await tx.customerPayment.findUnique({
+      where: { id: customerPaymentId },
+      include: { refunds: true },
+    });
+    if (!payment) return;
+
+    const bookingIds = parseBookingIds(payment);
+    const bookings = (
+      await tx.booking.findMany({
+        where: { id: { in: bookingIds } },
+        include: { cancellation: true },
+      })
+    ).sort(
+      // Unassigned refunds go to bookings that are still active first
+      (a, b) =>
+        !!a.cancellation - !!b.cancellation ||
+        bookingIds.indexOf(a.id) - bookingIds.indexOf(b.id),
+    );
+
+    const walletRefunds = await tx.walletTransaction.findMany({
+      where: {
+        bookingId: { in: bookingIds },
+        type: "CREDIT",
+        source: "REFUND",
+      },
+      select: { bookingId: true, amount: true },
+    });
+
+    const succeeded = payment.refunds.filter((r) => r.status === "PAID");
+    let unallocated = succeeded
+      .filter((r) => !r.bookingId)
+      .reduce((sum, r) => sum + r.amount, 0);
+
+    for (const booking of bookings) {
+      const ownRefunds = payment.refunds.filter(
+        (r) => r.bookingId === booking.id,
+      );
+      const allocated =
+        ownRefunds
+          .filter((r) => r.status === "PAID")
+          .reduce((sum, r) => sum + r.amount, 0) +
+        walletRefunds
+          .filter((r) => r.bookingId === booking.id)
+          .reduce((sum, r) => sum + r.amount, 0);
+
+      const share = Math.min(
+        unallocated,
+        Math.max(0, booking.totalAmount - allocated),
+      );
+      unallocated -= share;
+
+      const refunded = Math.min(booking.totalAmount, allocated + share);
+      const data = { refundedAmount: refunded };
+
+      if (booking.cancellation) {
+        // Cancellation flows already settled the booking's own numbers
+        const cancellation = booking.cancellation;
+        let refundStatus = cancellation.refundStatus;
+
+        if (refunded > 0 && refunded >= (cancellation.refundAmount || 0)) {
+          refundStatus = "PAID";
+        } else if (ownRefunds.some((r) => r.status === "PENDING")) {
+          refundStatus = "PENDING";
+        } else if (ownRefunds.some((r) => r.status === "FAILED")) {
+          refundStatus = "FAILED";
+        }
+
+        if (refundStatus !== cancellation.refundStatus) {
+          await tx.cancellation.update({
+            where: { id: cancellation.id },
+            data: {
+              refundStatus,
+              refundedAt: refundStatus === "PAID" ? new Date() : null,
+            },
+          });
+        }
+      } else if (refunded !== booking.refundedAmount) {
+        // Refunded outside our API: shrink earnings to what was kept,
+        // leaving out the GST still due on it
+        const splitBefore =
+          (booking.platformFee || 0) + (booking.providerEarnings || 0);
+        const kept =
+          booking.totalAmount - refunded - getRetainedTax(booking, refunded);
+        const commissionRate =
+          splitBefore > 0 ? (booking.platformFee || 0) / splitBefore : 0;
+        const platformFee = Math.round(kept * commissionRate);
+
+        data.platformFee = platformFee;
+        data.providerEarnings = kept - platformFee;
+
+        // A dispute decides the final status once it closes
+        if (booking.paymentStatus !== "DISPUTED") {
+          data.paymentStatus = kept === 0 ? "REFUNDED" : "PAID";
+        }
+      }
+
+      await tx.booking.update({ where: { id: booking.id }, data });
+    }
+
+    const refundedTotal = succeeded.reduce((sum, r) => sum + r.amount, 0);
+
+    await tx.customerPayment.update({
+      where: { id: payment.id },
+      data: {
+        refundedAmount: refundedTotal,
+        // Only the card part of the payment can come back through Stripe
+        ...(refundedTotal >= payment.amount - payment.walletAmount &&
+          refundedTotal > 0 && { status: "REFUNDED" }),
+      },
+    });
+  });
+
+  // Refunds reverse the invoice through credit notes
+  try {
+    await issueCreditNotes(customerPaymentId);
+  } catch (error) {
+    console.error("Failed to issue credit notes:", error.message);
+  }
+
+  // ...and take the refunded share back from providers already paid
+  try {
+    await reversePaymentTransfers(customerPaymentId);
+  } catch (error) {
+    console.error("Failed to reverse provider transfers:", error.message);
+  }
+};
+
+/**
+ * Record a Stripe refund in the ledger and reconcile its payment.
+ * Safe to call repeatedly for the same refund (API call, webhooks).
+ */
+const syncStripeRefund = async (refund) => {
+  const status = REFUND_STATUS_MAP[refund.status] || "PENDING";
+
+  const payment = await prisma.customerPayment.findFirst({
+    where: { paymentIntentId: refund.payment_intent },
+  });
+
+  if (!payment) {
+    // Not a booking payment, maybe a reschedule fee
+    if (status === "PAID") {
+      await prisma.rescheduleRequest.updateMany({
+        where: { feePaymentIntentId: refund.payment_intent, feeStatus: "PAID" },
+        data: { feeStatus: "REFUNDED" },
+      });
+    }
+    return null;
+  }
+
+  const bookingIds = parseBookingIds(payment);
+  const metadataBookingId = refund.metadata?.bookingId;
+  const bookingId = bookingIds.includes(metadataBookingId)
+    ? metadataBookingId
+    : bookingIds.length === 1
+      ? bookingIds[0]
+      : null;
+
+  await prisma.paymentRefund.upsert({
+    where: { stripeRefundId: refund.id },
+    create: {
+      stripeRefundId: refund.id,
+      customerPaymentId: payment.id,
+      bookingId,
+      amount: refund.amount / 100,
+      status,
+      reason: refund.reason,
+    },
+    update: { status, amount: refund.amount / 100 },
+  });
+
+  await reconcilePaymentRefunds(payment.id);
+
+  return payment;
+};
+
+/* ---------------- BOOKING REFUND ---------------- */
+/**
+ * Refund `amount` (rupees) of a cancelled booking and record the outcome on
+ * its Cancellation row. By default money goes back the way it was paid:
+ * to the card up to what the card paid, the rest to the wallet. With
+ * `destination: "WALLET"` all of it is credited to the wallet instantly.
+ * Returns the refund summary, or null when nothing was refunded. Both
+ * parts are keyed on the booking, so running it again pays out once.
+ */
+const refundBookingPayment = async ({
+  bookingId,
+  amount,
+  reason = "requested_by_customer",
+  metadata = {},
+  destination = "ORIGINAL_PAYMENT",
+}) => {
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { userId: true, totalAmount: true, walletAmount: true },
+    });
+
+    // REFUNDED too: an earlier attempt may have refunded part of it
+    const payment = await prisma.customerPayment.findFirst({
+      where: {
+        bookingIds: { contains: bookingId },
+        status: { in: ["PAID", "REFUNDED"] },
+      },
+    });
+
+    if (!booking || !payment) {
+      console.warn(`No payment found for booking ${bookingId}`);
+      await prisma.cancellation.update({
+        where: { bookingId },
+        data: { refundStatus: "FAILED" },
+      });
+      return null;
+    }
+
+    const cardAmount =
+      destination === "WALLET"
+        ? 0
+        : Math.min(amount, booking.totalAmount - booking.walletAmount);
+    const walletAmount = amount - cardAmount;
+
+    if (cardAmount > 0 && !payment.paymentIntentId) {
+      console.warn(`No payment intent found for booking ${bookingId}`);
+      await prisma.cancellation.update({
+        where: { bookingId },
+        data: { refundStatus: "FAILED" },
+      });
+      return null;
+    }
+
+    if (walletAmount > 0) {
+      await prisma.$transaction(async (tx) => {
+        const credited = await tx.walletTransaction.findFirst({
+          where: { bookingId, type: "CREDIT", source: "REFUND" },
+        });
+        if (credited) return;
+
+        await creditWallet(tx, {
+          userId: booking.userId,
+          amount: walletAmount,
+          source: "REFUND",
+          description: "Refund for a cancelled booking",
+          bookingId,
+          customerPaymentId: payment.id,
+        });
+      });
+    }
+
+    let refund = null;
+    if (cardAmount > 0) {
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: payment.paymentIntentId,
+          amount: cardAmount * 100, // Convert to paise
+          reason,
+          metadata: { bookingId, ...metadata },
+        },
+        { idempotencyKey: `booking-refund-${bookingId}-${cardAmount}` },
+      );
+
+      await syncStripeRefund(refund);
+    } else {
+      await reconcilePaymentRefunds(payment.id);
+    }
+
+    return {
+      refundId: refund?.id || null,
+      status: refund ? refund.status : "succeeded",
+      amount: (refund?.amount || 0) / 100 + walletAmount,
+      cardAmount,
+      walletAmount,
+    };
+  } catch (error) {
+    // Left PENDING: retrying is safe, what was already paid out is not
+    // paid again
+    console.error(`Refund for booking ${bookingId} failed:`, error.message);
+    try {
+      await prisma.cancellation.update({
+        where: { bookingId },
+        data: { refundStatus: "PENDING" },
+      });
+    } catch (updateError) {
+      console.error("Failed to update cancellation status:", updateError);
+    }
+    return null;
+  }
+};
+
+module.exports = {
+  REFUND_STATUS_MAP,
+  reconcilePaymentRefunds,
+  syncStripeRefund,
+  refundBookingPayment,
+};
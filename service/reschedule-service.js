@@ -0,0 +1,234 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+
+const NotificationService = require("./notification-service");
+const { releaseHolds } = require("./slot-hold-service");
+const { getServiceStartTime } = require("../helper/bookingTime");
+
+/* ---------------- CONSTANTS ---------------- */
+// How long the provider has to answer a reschedule request
+const RESCHEDULE_RESPONSE_HOURS =
+  parseInt(process.env.RESCHEDULE_RESPONSE_HOURS) || 24;
+
+// Requests that still block the booking from another reschedule
+const OPEN_RESCHEDULE_STATUSES = ["AWAITING_PAYMENT", "PENDING"];
+
+/* ---------------- FEE POLICY ---------------- */
+/**
+ * Reschedule fee for a booking under its business' policy.
+ * Free outside `rescheduleFreeHours`, a percentage inside it and not
+ * allowed at all inside `rescheduleCutoffHours`.
+ */
+const getRescheduleQuote = (business, totalAmount, hoursBeforeService) => {
+  const freeWindowHours = business.rescheduleFreeHours;
+  const cutoffHours = business.rescheduleCutoffHours;
+
+  if (hoursBeforeService < cutoffHours) {
+    return {
+      allowed: false,
+      cutoffHours,
+      freeWindowHours,
+      feePercentage: 0,
+      rescheduleFee: 0,
+    };
+  }
+
+  const feePercentage =
+    hoursBeforeService >= freeWindowHours
+      ? 0
+      : business.rescheduleFeePercentage;
+
+  return {
+    allowed: true,
+    cutoffHours,
+    freeWindowHours,
+    feePercentage,
+    rescheduleFee: Math.round((totalAmount * feePercentage) / 100),
+  };
+};
+
+/**
+ * Provider response deadline: the response window, but never past the
+ * booking's current start.
+ */
+const getResponseDeadline = (serviceStart) => {
+  const deadline = new Date(
+    Date.now() + RESCHEDULE_RESPONSE_HOURS * 60 * 60 * 1000,
+  );
+  return serviceStart && serviceStart < deadline ? serviceStart : deadline;
+};
+
+/* ---------------- FEE REFUND ---------------- */
+/**
+ * Refund a paid reschedule fee. Returns the new fee status.
+ */
+const refundRescheduleFee = async (request) => {
+  if (request.feeStatus !== "PAID" || !request.feePaymentIntentId) {
+    return request.feeStatus;
+  }
+
+  try {
+    await stripe.refunds.create({
+      payment_intent: request.feePaymentIntentId,
+      reason: "requested_by_customer",
+      metadata: {
+        type: "reschedule_fee",
+        rescheduleRequestId: request.id,
+        bookingId: request.bookingId,
+      },
+    });
+
+    await prisma.rescheduleRequest.update({
+      where: { id: request.id },
+      data: { feeStatus: "REFUNDED" },
+    });
+
+    return "REFUNDED";
+  } catch (error) {
+    console.error(
+      `Reschedule fee refund failed for request ${request.id}:`,
+      error.message,
+    );
+    return "PAID";
+  }
+};
+
+/* ---------------- FEE PAYMENT (WEBHOOK) ---------------- */
+/**
+ * Move a request to the provider once its fee checkout completes.
+ */
+const markRescheduleFeePaid = async (session) => {
+  const request = await prisma.rescheduleRequest.findFirst({
+    where: { feeSessionId: session.id },
+    include: {
+      booking: {
+        include: {
+          service: { select: { name: true } },
+          slot: { select: { time: true } },
+          businessProfile: { select: { userId: true } },
+        },
+      },
+    },
+  });
+
+  // Idempotency: only requests still waiting for payment move on
+  if (!request || request.status !== "AWAITING_PAYMENT") {
+    return null;
+  }
+
+  const expiresAt = getResponseDeadline(
+    getServiceStartTime(request.booking.date, request.booking.slot?.time),
+  );
+
+  await prisma.$transaction([
+    prisma.rescheduleRequest.update({
+      where: { id: request.id },
+      data: {
+        status: "PENDING",
+        feeStatus: "PAID",
+        feePaymentIntentId: session.payment_intent,
+        expiresAt,
+      },
+    }),
+    prisma.slotHold.updateMany({
+      where: { bookingId: request.bookingId, status: "ACTIVE" },
+      data: { expiresAt },
+    }),
+  ]);
+
+  await NotificationService.notifyUser({
+    receiverId: request.booking.businessProfile.userId,
+    senderId: request.requestedById,
+    title: "Reschedule Requested",
+    body: `A customer wants to move their ${request.booking.service.name} booking to ${request.toDate.split("T")[0]}. Please accept or reject the request.`,
+    data: { type: "BOOKING_RESCHEDULE_REQUESTED", requestId: request.id },
+  });
+
+  return request;
+};
+
+/**
+ * Drop a request whose fee checkout was abandoned.
+ */
+const expireRescheduleFeeSession = async (sessionId) => {
+  const request = await prisma.rescheduleRequest.findFirst({
+    where: { feeSessionId: sessionId, status: "AWAITING_PAYMENT" },
+  });
+
+  if (!request) return null;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.rescheduleRequest.update({
+      where: { id: request.id },
+      data: { status: "EXPIRED", feeStatus: "CANCELLED" },
+    });
+    await releaseHolds(tx, { bookingId: request.bookingId, status: "ACTIVE" });
+  });
+
+  return request;
+};
+
+/* ---------------- EXPIRY (CRON) ---------------- */
+/**
+ * Expire requests the customer never paid for or the provider never
+ * answered, releasing their holds and refunding paid fees.
+ */
+const expireRescheduleRequests = async () => {
+  const lapsed = await prisma.rescheduleRequest.findMany({
+    where: {
+      status: { in: OPEN_RESCHEDULE_STATUSES },
+      expiresAt: { lt: new Date() },
+    },
+    include: { booking: { include: { service: { select: { name: true } } } } },
+  });
+
+  for (const request of lapsed) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        await tx.rescheduleRequest.update({
+          where: { id: request.id },
+          data: {
+            status: "EXPIRED",
+            ...(request.status === "AWAITING_PAYMENT" && {
+              feeStatus: "CANCELLED",
+            }),
+          },
+        });
+        await releaseHolds(tx, {
+          bookingId: request.bookingId,
+          status: "ACTIVE",
+        });
+      });
+
+      if (request.status === "PENDING") {
+        await refundRescheduleFee(request);
+
+        await NotificationService.notifyUser({
+          receiverId: request.requestedById,
+          senderId: null,
+          title: "Reschedule Request Expired",
+          body: `The provider did not respond to your request to reschedule ${request.booking.service.name}. Your booking stays on its original date${request.feeStatus === "PAID" ? " and the reschedule fee is being refunded" : ""}.`,
+          data: { type: "BOOKING_RESCHEDULE_EXPIRED", requestId: request.id },
+        });
+      }
+    } catch (error) {
+      console.error(
+        `Expiring reschedule request ${request.id} failed:`,
+        error.message,
+      );
+    }
+  }
+
+  return lapsed.length;
+};
+
+module.exports = {
+  RESCHEDULE_RESPONSE_HOURS,
+  OPEN_RESCHEDULE_STATUSES,
+  getRescheduleQuote,
+  getResponseDeadline,
+  refundRescheduleFee,
+  markRescheduleFeePaid,
+  expireRescheduleFeeSession,
+  expireRescheduleRequests,
+};
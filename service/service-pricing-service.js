@@ -0,0 +1,109 @@
+const prisma = require("../prismaClient.js");
+const {
+  applyPricingRules,
+  getPricingRules,
+} = require("./pricing-rule-service");
+
+/* ---------------- SELECTION PRICE ---------------- */
+/**
+ * Price and duration of a service as chosen: the variant's (or the
+ * service's own) plus every add-on. `unavailable` is set when the variant
+ * or an add-on has been withdrawn since it was picked.
+ */
+const priceSelection = (service, variant, addOns, addOnIds = []) => {
+  const base = variant || service;
+  const active = addOns.filter((addOn) => addOn.isActive);
+
+  return {
+    price: base.price + active.reduce((sum, addOn) => sum + addOn.price, 0),
+    durationInMinutes:
+      base.durationInMinutes +
+      active.reduce((sum, addOn) => sum + addOn.durationInMinutes, 0),
+    variant: variant ? { id: variant.id, name: variant.name } : null,
+    addOns: active.map((addOn) => ({
+      id: addOn.id,
+      name: addOn.name,
+      price: addOn.price,
+      durationInMinutes: addOn.durationInMinutes,
+    })),
+    unavailable:
+      (!!variant && !variant.isActive) || active.length !== addOnIds.length,
+  };
+};
+
+/**
+ * Attach `pricing` to cart items loaded with their service, variant and
+ * slot, including the business's pricing rule for the chosen date and
+ * slot. Add-ons and rules are fetched once for the whole cart.
+ */
+const priceCartItems = async (items, db = prisma) => {
+  const addOnIds = [...new Set(items.flatMap((item) => item.addOnIds || []))];
+  const addOns = addOnIds.length
+    ? await db.serviceAddOn.findMany({ where: { id: { in: addOnIds } } })
+    : [];
+  const rules = await getPricingRules(
+    items.map((item) => item.businessId),
+    db,
+  );
+
+  return items.map((item) => {
+    const ids = item.addOnIds || [];
+    const selection = priceSelection(
+      item.service,
+      item.variant,
+      addOns.filter(
+        (addOn) => ids.includes(addOn.id) && addOn.serviceId === item.serviceId,
+      ),
+      ids,
+    );
+    const { price, adjustment, pricingRule } = applyPricingRules(
+      selection.price,
+      rules.get(item.businessId) || [],
+      { date: item.date, slotTime: item.slot?.time },
+    );
+
+    return {
+      ...item,
+      pricing: {
+        ...selection,
+        basePrice: selection.price,
+        price,
+        pricingAdjustment: adjustment,
+        pricingRule,
+      },
+    };
+  });
+};
+
+// Price of a cart line before discount and GST
+const getLinePrice = (item) =>
+  item.pricing ? item.pricing.price : item.service.price;
+
+// "AC Service (1 ton) + Gas top-up, Filter clean"
+const describeSelection = (serviceName, { variant, addOns = [] } = {}) => {
+  const name = variant ? `${serviceName} (${variant.name})` : serviceName;
+  return addOns.length
+    ? `${name} + ${addOns.map((addOn) => addOn.name).join(", ")}`
+    : name;
+};
+
+// Booking columns of a cart line's pricing
+const toBookingPricingFields = (pricing) => ({
+  variantId: pricing.variant?.id || null,
+  addOns: pricing.addOns.length ? pricing.addOns : undefined,
+  servicePrice: pricing.price,
+  durationInMinutes: pricing.durationInMinutes,
+  pricingRuleId: pricing.pricingRule?.id || null,
+  pricingAdjustment: pricing.pricingAdjustment || 0,
+  appliedPricingRule: pricing.pricingRule || undefined,
+  packagePurchaseId: pricing.packageCredit?.purchaseId || null,
+  packageCreditValue: pricing.packageCredit?.creditValue || 0,
+});
+
+module.exports = {
+  priceSelection,
+  priceCartItems,
+  getLinePrice,
+  describeSelection,
+  toBookingPricingFields,
+};
@@ -0,0 +1,267 @@
+const moment = require("moment");
+const prisma = require("../prismaClient.js");
+const { getRetainedTax } = require("./tax-service");
+
+/* ---------------- PERIODS ---------------- */
+const PERIOD_FORMAT = "YYYY-MM";
+
+// Start and end of a "YYYY-MM" period, or null when it is not one
+const parsePeriod = (period) => {
+  const start = moment(period, PERIOD_FORMAT, true);
+  if (!start.isValid()) return null;
+
+  return {
+    periodStart: start.startOf("month").toDate(),
+    periodEnd: start.clone().endOf("month").toDate(),
+  };
+};
+
+const getPreviousPeriod = (date = new Date()) =>
+  moment(date).subtract(1, "month").format(PERIOD_FORMAT);
+
+// Reports are only built for months that have ended
+const isClosedPeriod = (period) => {
+  const range = parsePeriod(period);
+  return !!range && range.periodEnd < new Date();
+};
+
+/* ---------------- BUILD ---------------- */
+/**
+ * Statement of one business for one month: every booking paid for in the
+ * month with its fees, refunds and earnings as they stand now, the staff
+ * payouts made and the transfers received in the month. Tips pass straight
+ * to staff and are listed apart from the payouts.
+ */
+const buildSettlement = async (business, period) => {
+  const { periodStart, periodEnd } = parsePeriod(period);
+  const inPeriod = { gte: periodStart, lte: periodEnd };
+
+  const [bookings, staffPayments, transfers, tips] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        businessProfileId: business.id,
+        createdAt: inPeriod,
+        paymentStatus: { in: ["PAID", "REFUNDED", "DISPUTED"] },
+      },
+      orderBy: { createdAt: "asc" },
+      include: {
+        service: { select: { name: true } },
+        user: { select: { name: true } },
+        cancellation: { select: { cancellationFee: true } },
+      },
+    }),
+    prisma.staffPayment.findMany({
+      where: {
+        providerId: business.userId,
+        status: "PAID",
+        paidAt: inPeriod,
+        tipId: null,
+      },
+      orderBy: { paidAt: "asc" },
+      include: { staff: { select: { name: true } } },
+    }),
+    prisma.paymentTransfer.findMany({
+      where: {
+        businessProfileId: business.id,
+        status: "PAID",
+        transferredAt: inPeriod,
+      },
+      orderBy: { transferredAt: "asc" },
+    }),
+    prisma.tip.findMany({
+      where: {
+        businessProfileId: business.id,
+        status: "PAID",
+        paidAt: inPeriod,
+      },
+      orderBy: { paidAt: "asc" },
+      include: { staff: { select: { name: true } } },
+    }),
+  ]);
+
+  const bookingLines = bookings.map((b) => ({
+    bookingId: b.id,
+    createdAt: b.createdAt,
+    date: b.date,
+    service: b.service.name,
+    customer: b.user.name,
+    bookingStatus: b.bookingStatus,
+    paymentStatus: b.paymentStatus,
+    grossAmount: b.totalAmount,
+    discountAmount: b.discountAmount,
+    taxAmount: b.taxAmount,
+    platformFee: b.platformFee || 0,
+    cancellationFee: b.cancellation?.cancellationFee || 0,
+    refundedAmount: b.refundedAmount,
+    providerEarnings: b.providerEarnings || 0,
+    // GST the provider files, paid out with the transfer
+    providerTax: getRetainedTax(b),
+  }));
+
+  const staffLines = staffPayments.map((p) => ({
+    staffPaymentId: p.id,
+    bookingId: p.bookingId,
+    staff: p.staff.name,
+    amount: p.staffAmount,
+    paidAt: p.paidAt,
+  }));
+
+  const transferLines = transfers.map((t) => ({
+    transferId: t.id,
+    stripeTransferId: t.stripeTransferId,
+    amount: t.amount,
+    platformFee: t.platformFee,
+    transferAmount: t.transferAmount,
+    transferredAt: t.transferredAt,
+  }));
+
+  const tipLines = tips.map((t) => ({
+    tipId: t.id,
+    bookingId: t.bookingId,
+    staff: t.staff.name,
+    amount: t.amount,
+    paidAt: t.paidAt,
+  }));
+
+  const sum = (rows, field) => rows.reduce((acc, row) => acc + row[field], 0);
+
+  const summary = {
+    bookingCount: bookingLines.length,
+    grossAmount: sum(bookingLines, "grossAmount"),
+    discountAmount: sum(bookingLines, "discountAmount"),
+    taxAmount: sum(bookingLines, "taxAmount"),
+    platformFee: sum(bookingLines, "platformFee"),
+    cancellationFees: sum(bookingLines, "cancellationFee"),
+    refundedAmount: sum(bookingLines, "refundedAmount"),
+    providerEarnings: sum(bookingLines, "providerEarnings"),
+    providerTax: sum(bookingLines, "providerTax"),
+    staffPayouts: sum(staffLines, "amount"),
+    tipAmount: sum(tipLines, "amount"),
+    transferredAmount: sum(transferLines, "transferAmount"),
+  };
+  summary.netAmount = summary.providerEarnings - summary.staffPayouts;
+
+  return {
+    periodStart,
+    periodEnd,
+    summary,
+    data: {
+      business: {
+        name: business.businessName,
+        email: business.contactEmail,
+        phone: business.phoneNumber,
+        gstin: business.gstin,
+      },
+      period,
+      periodStart,
+      periodEnd,
+      summary,
+      bookings: bookingLines,
+      staffPayouts: staffLines,
+      tips: tipLines,
+      transfers: transferLines,
+    },
+  };
+};
+
+/**
+ * Build (or rebuild) and store a business's report for a closed month.
+ * Returns the stored report.
+ */
+const generateSettlementReport = async (businessProfileId, period) => {
+  const business = await prisma.businessProfile.findUnique({
+    where: { id: businessProfileId },
+    select: {
+      id: true,
+      userId: true,
+      businessName: true,
+      contactEmail: true,
+      phoneNumber: true,
+      gstin: true,
+    },
+  });
+  if (!business) return null;
+
+  const { periodStart, periodEnd, summary, data } = await buildSettlement(
+    business,
+    period,
+  );
+
+  const fields = {
+    periodStart,
+    periodEnd,
+    ...summary,
+    data,
+    generatedAt: new Date(),
+  };
+
+  return prisma.settlementReport.upsert({
+    where: { businessProfileId_period: { businessProfileId, period } },
+    create: { businessProfileId, period, ...fields },
+    update: fields,
+  });
+};
+
+/**
+ * Stored report of a closed month, built on first request when the
+ * monthly job has not produced it yet.
+ */
+const getSettlementReport = async (businessProfileId, period) => {
+  const report = await prisma.settlementReport.findUnique({
+    where: { businessProfileId_period: { businessProfileId, period } },
+  });
+
+  return report || generateSettlementReport(businessProfileId, period);
+};
+
+/**
+ * Reports for every business with activity in the month. Businesses are
+ * processed one by one so a failure only skips that business.
+ */
+const generateMonthlySettlements = async (period = getPreviousPeriod()) => {
+  const { periodStart, periodEnd } = parsePeriod(period);
+  const inPeriod = { gte: periodStart, lte: periodEnd };
+
+  // Staff payments point at the provider's user, not the business
+  const staffPayers = await prisma.staffPayment.findMany({
+    where: { status: "PAID", paidAt: inPeriod },
+    distinct: ["providerId"],
+    select: { providerId: true },
+  });
+
+  const businesses = await prisma.businessProfile.findMany({
+    where: {
+      OR: [
+        { Booking: { some: { createdAt: inPeriod } } },
+        { paymentTransfers: { some: { transferredAt: inPeriod } } },
+        { tips: { some: { paidAt: inPeriod } } },
+        { userId: { in: staffPayers.map((p) => p.providerId) } },
+      ],
+    },
+    select: { id: true },
+  });
+
+  let generated = 0;
+  for (const business of businesses) {
+    try {
+      await generateSettlementReport(business.id, period);
+      generated++;
+    } catch (error) {
+      console.error(
+        `Settlement report for business ${business.id} (${period}) failed:`,
+        error.message,
+      );
+    }
+  }
+
+  return generated;
+};
+
+module.exports = {
+  parsePeriod,
+  getPreviousPeriod,
+  isClosedPeriod,
+  generateSettlementReport,
+  getSettlementReport,
+  generateMonthlySettlements,
+};
@@ -0,0 +1,330 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+
+/* ---------------- CONSTANTS ---------------- */
+// How long a cart item keeps its seat before the hold lapses
+const CART_HOLD_MINUTES = parseInt(process.env.CART_HOLD_MINUTES) || 10;
+
+// Hold window granted at checkout, renewed while the Stripe session is open
+const CHECKOUT_HOLD_MINUTES = parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 10;
+
+// Lifetime of the Stripe checkout session
+const CHECKOUT_SESSION_MINUTES =
+  parseInt(process.env.CHECKOUT_SESSION_MINUTES) || 35;
+
+// Stripe rejects sessions expiring sooner than this after their creation
+const STRIPE_MIN_SESSION_MINUTES = 30;
+
+// Lapsed checkout holds verified against Stripe per cleanup run
+const CHECKOUT_HOLD_BATCH_SIZE = 20;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * `expires_at` for a Stripe checkout session about to be created. Call it
+ * right before `checkout.sessions.create`: it adds a minute of margin and
+ * rounds up so the request's latency never takes it under Stripe's minimum.
+ */
+const getSessionExpiresAt = (minutes = CHECKOUT_SESSION_MINUTES) =>
+  Math.ceil(
+    minutesFromNow(
+      Math.max(minutes, STRIPE_MIN_SESSION_MINUTES) + 1,
+    ).getTime() / 1000,
+  );
+
+/* ---------------- CART HOLDS ---------------- */
+/**
+ * Place (or refresh) the hold backing a cart item.
+ * Call inside the transaction that checked capacity for the item.
+ */
+const placeCartHold = async (client, cartItem) => {
+  const db = client || prisma;
+  const expiresAt = minutesFromNow(CART_HOLD_MINUTES);
+
+  return db.slotHold.upsert({
+    where: { cartId: cartItem.id },
+    create: {
+      userId: cartItem.userId,
+      serviceId: cartItem.serviceId,
+      slotId: cartItem.slotId,
+      date: cartItem.date,
+      cartId: cartItem.id,
+      expiresAt,
+    },
+    update: {
+      status: "ACTIVE",
+      bookingId: null,
+      customerPaymentId: null,
+      stripeSessionId: null,
+      releasedAt: null,
+      expiresAt,
+    },
+  });
+};
+
+/* ---------------- CHECKOUT HOLDS ---------------- */
+/**
+ * Move the holds of the given cart items into checkout, linking each one to
+ * the PENDING_PAYMENT booking that now occupies the seat.
+ * `reservations` is a list of `{ cartItem, booking }`.
+ */
+const startCheckoutHolds = async (client, reservations, expiresAt) => {
+  const db = client || prisma;
+
+  for (const { cartItem, booking } of reservations) {
+    await db.slotHold.upsert({
+      where: { cartId: cartItem.id },
+      create: {
+        userId: cartItem.userId,
+        serviceId: cartItem.serviceId,
+        slotId: cartItem.slotId,
+        date: cartItem.date,
+        cartId: cartItem.id,
+        bookingId: booking.id,
+        status: "CHECKOUT",
+        expiresAt,
+      },
+      update: {
+        bookingId: booking.id,
+        status: "CHECKOUT",
+        releasedAt: null,
+        expiresAt,
+      },
+    });
+  }
+};
+
+/**
+ * Link checkout holds to the payment record and Stripe session.
+ */
+const attachCheckoutSession = async (bookingIds, { paymentId, sessionId }) => {
+  return prisma.slotHold.updateMany({
+    where: { bookingId: { in: bookingIds }, status: "CHECKOUT" },
+    data: { customerPaymentId: paymentId, stripeSessionId: sessionId },
+  });
+};
+
+/**
+ * Mark holds as converted once their bookings are paid.
+ */
+const convertHolds = async (client, bookingIds) => {
+  const db = client || prisma;
+
+  return db.slotHold.updateMany({
+    where: {
+      bookingId: { in: bookingIds },
+      status: { in: ["ACTIVE", "CHECKOUT"] },
+    },
+    data: { status: "CONVERTED", cartId: null, releasedAt: new Date() },
+  });
+};
+
+/* ---------------- RELEASE ---------------- */
+/**
+ * Release every live hold matching `where`.
+ */
+const releaseHolds = async (client, where) => {
+  const db = client || prisma;
+
+  return db.slotHold.updateMany({
+    where: { status: { in: ["ACTIVE", "CHECKOUT"] }, ...where },
+    data: { status: "RELEASED", releasedAt: new Date() },
+  });
+};
+
+/**
+ * Release the holds of a Stripe session that is no longer payable and drop
+ * the PENDING_PAYMENT bookings that were occupying the seats.
+ */
+const releaseCheckoutSession = async (sessionId) => {
+  return prisma.$transaction(async (tx) => {
+    const holds = await tx.slotHold.findMany({
+      where: { stripeSessionId: sessionId, status: "CHECKOUT" },
+      select: { bookingId: true, customerPaymentId: true },
+    });
+
+    const bookingIds = holds.map((h) => h.bookingId).filter(Boolean);
+    const paymentIds = [
+      ...new Set(holds.map((h) => h.customerPaymentId).filter(Boolean)),
+    ];
+
+    await releaseHolds(tx, { stripeSessionId: sessionId });
+
+    if (bookingIds.length) {
+      await tx.booking.deleteMany({
+        where: {
+          id: { in: bookingIds },
+          bookingStatus: "PENDING_PAYMENT",
+        },
+      });
+    }
+
+    if (paymentIds.length) {
+      await tx.customerPayment.updateMany({
+        where: { id: { in: paymentIds }, status: "PENDING" },
+        data: { status: "CANCELLED" },
+      });
+    }
+
+    return holds.length;
+  });
+};
+
+/**
+ * Extend the holds (and their pending bookings) of a Stripe session.
+ * Open sessions are never extended past the session's own expiry.
+ */
+const extendCheckoutSession = async (session) => {
+  const renewed = minutesFromNow(CHECKOUT_HOLD_MINUTES);
+  const sessionExpiry = new Date(session.expires_at * 1000);
+  const expiresAt =
+    session.status === "open" && sessionExpiry < renewed
+      ? sessionExpiry
+      : renewed;
+
+  return prisma.$transaction(async (tx) => {
+    const holds = await tx.slotHold.findMany({
+      where: { stripeSessionId: session.id, status: "CHECKOUT" },
+      select: { bookingId: true },
+    });
+
+    await tx.slotHold.updateMany({
+      where: { stripeSessionId: session.id, status: "CHECKOUT" },
+      data: { expiresAt },
+    });
+
+    await tx.booking.updateMany({
+      where: {
+        id: { in: holds.map((h) => h.bookingId).filter(Boolean) },
+        bookingStatus: "PENDING_PAYMENT",
+      },
+      data: { expiresAt },
+    });
+
+    return expiresAt;
+  });
+};
+
+/**
+ * Sweep lapsed holds. Cart holds are released outright; checkout holds are
+ * checked against Stripe and extended while the session is still open.
+ */
+const releaseExpiredHolds = async () => {
+  const now = new Date();
+
+  const cartReleased = await releaseHolds(prisma, {
+    status: "ACTIVE",
+    expiresAt: { lt: now },
+  });
+
+  const lapsedCheckouts = await prisma.slotHold.findMany({
+    where: { status: "CHECKOUT", expiresAt: { lt: now } },
+    distinct: ["stripeSessionId"],
+    select: { stripeSessionId: true },
+    take: CHECKOUT_HOLD_BATCH_SIZE,
+  });
+
+  let checkoutReleased = 0;
+  let checkoutExtended = 0;
+
+  for (const hold of lapsedCheckouts) {
+    // Session was never created – nothing can complete this checkout
+    if (!hold.stripeSessionId) {
+      const released = await releaseHolds(prisma, {
+        status: "CHECKOUT",
+        stripeSessionId: null,
+        expiresAt: { lt: now },
+      });
+      checkoutReleased += released.count;
+      continue;
+    }
+
+    try {
+      const session = await stripe.checkout.sessions.retrieve(
+        hold.stripeSessionId,
+      );
+
+      const isOpen =
+        session.status === "open" && session.expires_at * 1000 > Date.now();
+
+      // Paid sessions keep their seats until the webhook converts the holds
+      if (isOpen || session.status === "complete") {
+        await extendCheckoutSession(session);
+        checkoutExtended++;
+      } else {
+        checkoutReleased += await releaseCheckoutSession(session.id);
+      }
+    } catch (error) {
+      console.error(
+        `Hold check failed for session ${hold.stripeSessionId}:`,
+        error.message,
+      );
+    }
+  }
+
+  return {
+    cartReleased: cartReleased.count,
+    checkoutReleased,
+    checkoutExtended,
+  };
+};
+
+/**
+ * Of the given checkout payments, those whose Stripe session expired
+ * unpaid, or that never got one. Nothing can complete them any more, so
+ * what they reserved can be given back. A payment Stripe could not be
+ * asked about is left for the next run.
+ */
+const findAbandonedCheckouts = async (paymentIds) => {
+  const abandoned = new Set();
+  if (paymentIds.length === 0) return abandoned;
+
+  const payments = await prisma.customerPayment.findMany({
+    where: {
+      id: { in: paymentIds },
+      status: { notIn: ["PAID", "REFUNDED", "DISPUTED"] },
+    },
+    select: { id: true, stripeSessionId: true },
+    take: CHECKOUT_HOLD_BATCH_SIZE,
+  });
+
+  for (const payment of payments) {
+    if (!payment.stripeSessionId) {
+      abandoned.add(payment.id);
+      continue;
+    }
+
+    try {
+      const session = await stripe.checkout.sessions.retrieve(
+        payment.stripeSessionId,
+      );
+      if (session.status === "expired") {
+        abandoned.add(payment.id);
+      }
+    } catch (error) {
+      console.error(
+        `Checkout check failed for session ${payment.stripeSessionId}:`,
+        error.message,
+      );
+    }
+  }
+
+  return abandoned;
+};
+
+module.exports = {
+  CART_HOLD_MINUTES,
+  CHECKOUT_HOLD_MINUTES,
+  CHECKOUT_SESSION_MINUTES,
+  minutesFromNow,
+  getSessionExpiresAt,
+  placeCartHold,
+  startCheckoutHolds,
+  attachCheckoutSession,
+  convertHolds,
+  releaseHolds,
+  releaseCheckoutSession,
+  extendCheckoutSession,
+  releaseExpiredHolds,
+  findAbandonedCheckouts,
+};
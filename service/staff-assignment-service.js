@@ -0,0 +1,412 @@
+const prisma = require("../prismaClient.js");
+const NotificationService = require("./notification-service");
+const { getSkillGaps } = require("./staff-skill-service");
+const {
+  getDayStart,
+  overlaps,
+  getBookingInterval,
+  getBusyIntervals,
+  getShiftInterval,
+} = require("./staff-availability-service");
+
+// Jobs taken in this many days count as the staff member's recent load
+const RECENT_LOAD_DAYS = 7;
+
+// Staff without any rating are ranked as if rated this
+const NEUTRAL_RATING = 4;
+
+const ACTIVE_ASSIGNMENT_STATUSES = ["PENDING", "ACCEPTED"];
+
+// Same defaults as a manual assignment without payment details
+const DEFAULT_STAFF_PAYMENT = {
+  staffPaymentType: "PERCENTAGE",
+  staffPaymentValue: 50,
+};
+
+// When an offer made now lapses, per the business's offer timeout
+const getOfferExpiry = (timeoutMinutes, now = new Date()) =>
+  new Date(now.getTime() + timeoutMinutes * 60000);
+
+/* ---------------- RANKING ---------------- */
+/**
+ * Why a staff member cannot take the booking, or [] when they can.
+ */
+const getBlockingReasons = (member, interval, context) => {
+  const reasons = [...context.skillGaps.get(member.id)];
+  const busy = context.busy.filter((b) => b.staffId === member.id);
+
+  if (member.availability === "NOT_AVAILABLE") {
+    reasons.push("Marked as not available");
+  }
+
+  // A partial-day leave only blocks the hours it covers
+  const checked = interval || context.day;
+  if (busy.some((b) => b.type === "LEAVE" && overlaps(b, checked))) {
+    reasons.push("On approved leave");
+  }
+
+  const schedule = context.schedules.find((s) => s.staffId === member.id);
+  if (schedule && !schedule.isAvailable) {
+    reasons.push("Not working on this day");
+  } else if (schedule && interval) {
+    const shift = getShiftInterval(schedule, context.day.start);
+    if (interval.start < shift.start || interval.serviceEnd > shift.end) {
+      reasons.push(
+        `Outside working hours (${schedule.startTime} - ${schedule.endTime})`,
+      );
+    }
+  }
+
+  const clash =
+    interval && busy.find((b) => b.type !== "LEAVE" && overlaps(b, interval));
+  if (clash) {
+    reasons.push(`Busy with another booking at ${clash.time}`);
+  }
+
+  return reasons;
+};
+
+/**
+ * Score out of 100: rating up to 50, low recent load up to 30 and a free
+ * day up to 20, so well-rated staff win without getting every job.
+ */
+const scoreStaff = ({ rating, recentJobs, sameDayJobs }) => {
+  const ratingScore = ((rating ?? NEUTRAL_RATING) / 5) * 50;
+  const loadScore = Math.max(0, 30 - recentJobs * 5);
+  const dayScore = Math.max(0, 20 - sameDayJobs * 10);
+
+  return Math.round(ratingScore + loadScore + dayScore);
+};
+
+/**
+ * Rank the business's approved staff for a booking. Staff who were
+ * offered it before, whatever they answered, are left out. Eligible staff
+ * come first, best score first; the rest carry the reasons they were
+ * skipped.
+ */
+const rankStaffForBooking = async (bookingId) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      slot: { select: { time: true } },
+      service: {
+        select: {
+          name: true,
+          durationInMinutes: true,
+          requiredSkills: true,
+          requiredCertifications: true,
+        },
+      },
+      businessProfile: { select: { staffTravelBufferMinutes: true } },
+      StaffAssignBooking: { select: { assignedStaffId: true, status: true } },
+    },
+  });
+  if (!booking) return null;
+
+  const members = await prisma.staffApplications.findMany({
+    where: { businessProfileId: booking.businessProfileId, status: "APPROVED" },
+    select: {
+      staff: { select: { id: true, name: true, availability: true } },
+    },
+  });
+
+  const excluded = new Set(
+    booking.StaffAssignBooking.map((a) => a.assignedStaffId),
+  );
+  const staff = members
+    .map((m) => m.staff)
+    .filter((member) => !excluded.has(member.id));
+  if (!staff.length) return { booking, candidates: [] };
+
+  const staffIds = staff.map((s) => s.id);
+  const dayStart = getDayStart(booking.date);
+  const since = new Date(Date.now() - RECENT_LOAD_DAYS * 86400000);
+
+  const [busy, schedules, feedback, reviews, recent, skillGaps] =
+    await Promise.all([
+      getBusyIntervals(staffIds, dayStart, dayStart, {
+        excludeBookingId: booking.id,
+      }),
+      prisma.staffWeeklySchedule.findMany({
+        where: {
+          staffId: { in: staffIds },
+          dayOfWeek: new Date(dayStart).getUTCDay(),
+        },
+      }),
+      prisma.feedback.groupBy({
+        by: ["staffId"],
+        where: { staffId: { in: staffIds } },
+        _avg: { rating: true },
+        _count: { _all: true },
+      }),
+      prisma.staffReview.groupBy({
+        by: ["staffId"],
+        where: { staffId: { in: staffIds } },
+        _avg: { rating: true },
+        _count: { _all: true },
+      }),
+      prisma.staffAssignBooking.groupBy({
+        by: ["assignedStaffId"],
+        where: {
+          assignedStaffId: { in: staffIds },
+          status: { in: ["PENDING", "ACCEPTED", "COMPLETED"] },
+          createdAt: { gte: since },
+        },
+        _count: { _all: true },
+      }),
+      getSkillGaps(staffIds, booking.service),
+    ]);
+
+  const interval = getBookingInterval(booking);
+  const context = {
+    day: { start: dayStart, end: dayStart + 86400000 },
+    busy,
+    schedules,
+    skillGaps,
+  };
+
+  // Customer feedback and provider reviews weigh the same per rating
+  const getRating = (staffId) => {
+    const rows = [...feedback, ...reviews].filter((r) => r.staffId === staffId);
+    const count = rows.reduce((sum, r) => sum + r._count._all, 0);
+    if (!count) return null;
+
+    const total = rows.reduce(
+      (sum, r) => sum + (r._avg.rating || 0) * r._count._all,
+      0,
+    );
+    return Math.round((total / count) * 10) / 10;
+  };
+
+  const candidates = staff.map((member) => {
+    const stats = {
+      rating: getRating(member.id),
+      recentJobs:
+        recent.find((r) => r.assignedStaffId === member.id)?._count._all || 0,
+      sameDayJobs: busy.filter(
+        (b) => b.staffId === member.id && b.type !== "LEAVE",
+      ).length,
+    };
+    const reasons = getBlockingReasons(member, interval, context);
+
+    return {
+      staff: member,
+      eligible: reasons.length === 0,
+      score: reasons.length === 0 ? scoreStaff(stats) : 0,
+      reasons,
+      stats,
+    };
+  });
+
+  candidates.sort((a, b) => b.eligible - a.eligible || b.score - a.score);
+
+  return { booking, candidates };
+};
+
+/* ---------------- ASSIGNMENT ---------------- */
+/**
+ * Run the business's assignment setting for a confirmed booking. In
+ * SUGGEST mode the provider is told who fits best; in AUTO mode the job
+ * is offered to that staff member, who still accepts or rejects it. A
+ * declined or lapsed offer moves on the same way, to the next best fit.
+ * `force` offers the job whatever the setting, as when the provider asks
+ * for it. Bookings that already have staff are left alone.
+ */
+const autoAssignBooking = async (bookingId, { force = false } = {}) => {
+  const ranking = await rankStaffForBooking(bookingId);
+  if (!ranking) return null;
+
+  const { booking, candidates } = ranking;
+  if (booking.bookingStatus !== "CONFIRMED") return null;
+
+  const active = await prisma.staffAssignBooking.count({
+    where: { bookingId, status: { in: ACTIVE_ASSIGNMENT_STATUSES } },
+  });
+  if (active) return null;
+
+  const business = await prisma.businessProfile.findUnique({
+    where: { id: booking.businessProfileId },
+    select: {
+      userId: true,
+      staffAssignmentMode: true,
+      staffOfferTimeoutMinutes: true,
+    },
+  });
+
+  const mode = force ? "AUTO" : business.staffAssignmentMode;
+  const best = candidates.find((c) => c.eligible);
+  const offered = booking.StaffAssignBooking.length > 0;
+  const bookingLabel = `${booking.service.name} on ${
+    booking.date.split("T")[0]
+  }${booking.slot ? ` at ${booking.slot.time}` : ""}`;
+
+  if (!best) {
+    await NotificationService.notifyUser({
+      receiverId: business.userId,
+      senderId: null,
+      title: offered ? "Nobody accepted the job" : "No staff available",
+      body: offered
+        ? `No staff member accepted ${bookingLabel}. Please assign it manually.`
+        : `No staff member is free for ${bookingLabel}. Please assign it manually.`,
+      data: { type: "STAFF_ASSIGNMENT_NEEDED", bookingId },
+    });
+    return { mode, assignment: null, suggestion: null };
+  }
+
+  if (mode === "SUGGEST") {
+    await NotificationService.notifyUser({
+      receiverId: business.userId,
+      senderId: null,
+      title: "Staff suggestion",
+      body: `${best.staff.name} is the ${offered ? "next " : ""}best fit for ${bookingLabel}.`,
+      data: {
+        type: "STAFF_SUGGESTION",
+        bookingId,
+        staffId: best.staff.id,
+      },
+    });
+    return { mode, assignment: null, suggestion: best };
+  }
+
+  let assignment;
+  try {
+    assignment = await prisma.staffAssignBooking.create({
+      data: {
+        bookingId,
+        slotId: booking.slotId,
+        businessProfileId: booking.businessProfileId,
+        serviceId: booking.serviceId,
+        assignedById: business.userId,
+        assignedStaffId: best.staff.id,
+        status: "PENDING",
+        isAutoAssigned: true,
+        offerExpiresAt: getOfferExpiry(business.staffOfferTimeoutMinutes),
+        ...DEFAULT_STAFF_PAYMENT,
+      },
+    });
+  } catch (error) {
+    // Assigned meanwhile, e.g. by the provider
+    if (error.code === "P2002") return null;
+    throw error;
+  }
+
+  await prisma.providerAdminActivityLog.create({
+    data: {
+      actorId: business.userId,
+      actorType: "provider",
+      actionType: "BOOKING_AUTO_ASSIGNED",
+      status: "SUCCESS",
+      businessProfileId: booking.businessProfileId,
+      bookingId,
+      metadata: {
+        staffId: best.staff.id,
+        score: best.score,
+        stats: best.stats,
+      },
+    },
+  });
+
+  await NotificationService.notifyUser({
+    receiverId: best.staff.id,
+    senderId: business.userId,
+    title: "New job offered",
+    body: `You have been offered ${bookingLabel}. Please accept or decline it within ${business.staffOfferTimeoutMinutes} minutes.`,
+    data: { type: "BOOKING_ASSIGNED", bookingId, assignmentId: assignment.id },
+  });
+
+  await NotificationService.notifyUser({
+    receiverId: business.userId,
+    senderId: null,
+    title: "Booking assigned automatically",
+    body: `${bookingLabel} was offered to ${best.staff.name}.`,
+    data: { type: "BOOKING_AUTO_ASSIGNED", bookingId },
+  });
+
+  return { mode, assignment, suggestion: best };
+};
+
+/**
+ * Assign each newly confirmed booking; one failing does not stop the rest.
+ */
+const autoAssignBookings = async (bookingIds, options) => {
+  for (const bookingId of bookingIds) {
+    try {
+      await autoAssignBooking(bookingId, options);
+    } catch (error) {
+      console.error(`Auto-assignment for booking ${bookingId} failed:`, error);
+    }
+  }
+};
+
+/* ---------------- OFFERS ---------------- */
+/**
+ * Decline a pending offer, loaded with its staff member and service, and
+ * pass the booking on. Returns null when the offer is no longer pending.
+ */
+const declineOffer = async (assignment, reason) => {
+  const { count } = await prisma.staffAssignBooking.updateMany({
+    where: { id: assignment.id, status: "PENDING" },
+    data: {
+      status: "REJECTED",
+      respondedAt: new Date(),
+      declineReason: reason || null,
+    },
+  });
+  if (count === 0) return null;
+
+  await NotificationService.notifyUser({
+    receiverId: assignment.assignedById,
+    senderId: assignment.assignedStaffId,
+    title: "Job offer declined",
+    body: `${assignment.assignedStaff.name} declined ${assignment.service.name}${
+      reason ? `: ${reason}` : "."
+    }`,
+    data: { type: "BOOKING_OFFER_DECLINED", bookingId: assignment.bookingId },
+  });
+
+  await autoAssignBookings([assignment.bookingId]);
+
+  return prisma.staffAssignBooking.findUnique({ where: { id: assignment.id } });
+};
+
+/**
+ * Lapse offers nobody answered in time and pass their bookings on.
+ * Returns how many offers lapsed.
+ */
+const expireStaffOffers = async (now = new Date()) => {
+  const offers = await prisma.staffAssignBooking.findMany({
+    where: { status: "PENDING", offerExpiresAt: { lt: now } },
+    include: { service: { select: { name: true } } },
+  });
+
+  const bookingIds = [];
+  for (const offer of offers) {
+    const { count } = await prisma.staffAssignBooking.updateMany({
+      where: { id: offer.id, status: "PENDING" },
+      data: { status: "EXPIRED" },
+    });
+    if (count === 0) continue;
+
+    bookingIds.push(offer.bookingId);
+    await NotificationService.notifyUser({
+      receiverId: offer.assignedStaffId,
+      senderId: offer.assignedById,
+      title: "Job offer expired",
+      body: `Your offer for ${offer.service.name} expired without an answer.`,
+      data: { type: "BOOKING_OFFER_EXPIRED", bookingId: offer.bookingId },
+    });
+  }
+
+  await autoAssignBookings([...new Set(bookingIds)]);
+
+  return bookingIds.length;
+};
+
+module.exports = {
+  getOfferExpiry,
+  rankStaffForBooking,
+  autoAssignBooking,
+  autoAssignBookings,
+  declineOffer,
+  expireStaffOffers,
+};
@@ -0,0 +1,288 @@
+const prisma = require("../prismaClient.js");
+const { parseSlotTimeTo24H } = require("../helper/bookingTime");
+const { toBookingDate } = require("./availability-service");
+
+// Used when neither the booking nor the service has a duration
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Longest range free/busy can be asked for at once
+const MAX_FREE_BUSY_DAYS = 31;
+
+const ACTIVE_ASSIGNMENT_STATUSES = ["PENDING", "ACCEPTED"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/*
+ * Intervals are { start, end } in milliseconds on the business's wall
+ * clock: a booking's UTC-midnight date plus its slot time, so "10:30 AM"
+ * on 2026-03-02 starts at Date.UTC(2026, 2, 2, 10, 30).
+ */
+
+/* ---------------- HELPERS ---------------- */
+const toMinutes = (time) => {
+  const { hours, minutes } = parseSlotTimeTo24H(time);
+  return hours * 60 + minutes;
+};
+
+// UTC midnight of the day a date falls on
+const getDayStart = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// "2026-03-02T10:30"
+const toWallClock = (ms) => new Date(ms).toISOString().slice(0, 16);
+
+const formatInterval = ({ start, end, ...rest }) => ({
+  ...rest,
+  start: toWallClock(start),
+  end: toWallClock(end),
+});
+
+// Booking fields getBookingInterval needs
+const BOOKING_INTERVAL_SELECT = {
+  id: true,
+  date: true,
+  durationInMinutes: true,
+  slot: { select: { time: true } },
+  service: { select: { name: true, durationInMinutes: true } },
+  businessProfile: { select: { staffTravelBufferMinutes: true } },
+};
+
+/* ---------------- INTERVALS ---------------- */
+/**
+ * The time a booking keeps staff busy: its slot for the booked duration,
+ * then the business's travel buffer. `serviceEnd` is when the work itself
+ * ends. null when the booking has no slot.
+ */
+const getBookingInterval = (booking) => {
+  if (!booking.slot?.time) return null;
+
+  const start =
+    getDayStart(booking.date) + toMinutes(booking.slot.time) * MINUTE_MS;
+  const duration =
+    booking.durationInMinutes ||
+    booking.service?.durationInMinutes ||
+    DEFAULT_DURATION_MINUTES;
+  const buffer = booking.businessProfile?.staffTravelBufferMinutes || 0;
+  const serviceEnd = start + duration * MINUTE_MS;
+
+  return { start, end: serviceEnd + buffer * MINUTE_MS, serviceEnd };
+};
+
+/**
+ * A leave runs from `startTime` on its first day to `endTime` on its
+ * last; without times it covers those days whole.
+ */
+const getLeaveInterval = (leave) => ({
+  start:
+    getDayStart(leave.startDate) +
+    (leave.startTime ? toMinutes(leave.startTime) * MINUTE_MS : 0),
+  end:
+    getDayStart(leave.endDate) +
+    (leave.endTime ? toMinutes(leave.endTime) * MINUTE_MS : DAY_MS),
+});
+
+// Working hours of a weekly schedule entry on a given day
+const getShiftInterval = (schedule, dayStart) => ({
+  start: dayStart + toMinutes(schedule.startTime) * MINUTE_MS,
+  end: dayStart + toMinutes(schedule.endTime) * MINUTE_MS,
+});
+
+/**
+ * Everything keeping the given staff busy between two days, inclusive:
+ * their accepted jobs and open offers (with travel buffer) and approved
+ * leave. Each interval carries its `staffId` and `type`.
+ */
+const getBusyIntervals = async (
+  staffIds,
+  from,
+  to,
+  { excludeBookingId } = {},
+) => {
+  const rangeStart = getDayStart(from);
+  const rangeEnd = getDayStart(to) + DAY_MS;
+
+  const [assignments, leaves] = await Promise.all([
+    prisma.staffAssignBooking.findMany({
+      where: {
+        assignedStaffId: { in: staffIds },
+        status: { in: ACTIVE_ASSIGNMENT_STATUSES },
+        ...(excludeBookingId && { bookingId: { not: excludeBookingId } }),
+        booking: {
+          date: {
+            gte: toBookingDate(rangeStart),
+            lt: toBookingDate(rangeEnd),
+          },
+          bookingStatus: { notIn: ["CANCELLED", "COMPLETED"] },
+        },
+      },
+      select: {
+        assignedStaffId: true,
+        status: true,
+        booking: { select: BOOKING_INTERVAL_SELECT },
+      },
+    }),
+    prisma.staffLeave.findMany({
+      where: {
+        staffId: { in: staffIds },
+        status: "APPROVED",
+        startDate: { lt: new Date(rangeEnd) },
+        endDate: { gte: new Date(rangeStart - DAY_MS) },
+      },
+    }),
+  ]);
+
+  const busy = [];
+
+  for (const assignment of assignments) {
+    const interval = getBookingInterval(assignment.booking);
+    if (!interval) continue;
+
+    busy.push({
+      staffId: assignment.assignedStaffId,
+      type: assignment.status === "ACCEPTED" ? "BOOKING" : "OFFER",
+      bookingId: assignment.booking.id,
+      serviceName: assignment.booking.service?.name,
+      time: assignment.booking.slot.time,
+      start: interval.start,
+      end: interval.end,
+    });
+  }
+
+  for (const leave of leaves) {
+    busy.push({
+      staffId: leave.staffId,
+      type: "LEAVE",
+      leaveId: leave.id,
+      leaveType: leave.leaveType,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      startTime: leave.startTime,
+      endTime: leave.endTime,
+      ...getLeaveInterval(leave),
+    });
+  }
+
+  return busy
+    .filter((b) => b.end > rangeStart && b.start < rangeEnd)
+    .sort((a, b) => a.start - b.start);
+};
+
+/* ---------------- CONFLICTS ---------------- */
+/**
+ * Why a staff member cannot work an interval on a given day: the busy
+ * intervals it overlaps and how it sits against their weekly schedule.
+ * `interval` may be null (no slot), then only the day is checked.
+ */
+const getIntervalConflicts = async (
+  staffId,
+  date,
+  interval,
+  { excludeBookingId } = {},
+) => {
+  const dayStart = getDayStart(date);
+  const wholeDay = { start: dayStart, end: dayStart + DAY_MS };
+
+  const [busy, schedule] = await Promise.all([
+    getBusyIntervals([staffId], dayStart, dayStart, { excludeBookingId }),
+    prisma.staffWeeklySchedule.findUnique({
+      where: {
+        staffId_dayOfWeek: {
+          staffId,
+          dayOfWeek: new Date(dayStart).getUTCDay(),
+        },
+      },
+    }),
+  ]);
+
+  const checked = interval || wholeDay;
+  const leaves = busy.filter((b) => b.type === "LEAVE" && overlaps(b, checked));
+  // Without a time no job can clash yet
+  const clashes = interval
+    ? busy.filter((b) => b.type !== "LEAVE" && overlaps(b, interval))
+    : [];
+
+  const isDayOff = !!schedule && !schedule.isAvailable;
+  let outsideShift = false;
+  if (schedule && !isDayOff && interval) {
+    const shift = getShiftInterval(schedule, dayStart);
+    outsideShift =
+      interval.start < shift.start ||
+      (interval.serviceEnd ?? interval.end) > shift.end;
+  }
+
+  return { schedule, leaves, clashes, isDayOff, outsideShift };
+};
+
+/* ---------------- FREE / BUSY ---------------- */
+// Parts of `window` not covered by any of the (sorted) busy intervals
+const subtractIntervals = (window, busy) => {
+  const free = [];
+  let cursor = window.start;
+
+  for (const b of busy) {
+    if (b.end <= cursor || b.start >= window.end) continue;
+    if (b.start > cursor) free.push({ start: cursor, end: b.start });
+    cursor = Math.max(cursor, b.end);
+  }
+  if (cursor < window.end) free.push({ start: cursor, end: window.end });
+
+  return free;
+};
+
+/**
+ * Day by day free and busy time of a staff member between two days,
+ * inclusive. Free time is inside their working hours, or the whole day
+ * when no weekly schedule is set for it.
+ */
+const getStaffFreeBusy = async (staffId, from, to) => {
+  const rangeStart = getDayStart(from);
+  const rangeEnd = getDayStart(to);
+
+  const [busy, schedules] = await Promise.all([
+    getBusyIntervals([staffId], rangeStart, rangeEnd),
+    prisma.staffWeeklySchedule.findMany({ where: { staffId } }),
+  ]);
+
+  const days = [];
+  for (let dayStart = rangeStart; dayStart <= rangeEnd; dayStart += DAY_MS) {
+    const day = { start: dayStart, end: dayStart + DAY_MS };
+    const schedule = schedules.find(
+      (s) => s.dayOfWeek === new Date(dayStart).getUTCDay(),
+    );
+    const isWorkingDay = !schedule || schedule.isAvailable;
+    const shift = schedule?.isAvailable
+      ? getShiftInterval(schedule, dayStart)
+      : null;
+    const dayBusy = busy.filter((b) => overlaps(b, day));
+
+    days.push({
+      date: toWallClock(dayStart).split("T")[0],
+      isWorkingDay,
+      shift: shift && formatInterval(shift),
+      busy: dayBusy.map(({ staffId: _staffId, ...b }) => formatInterval(b)),
+      free: isWorkingDay
+        ? subtractIntervals(shift || day, dayBusy).map(formatInterval)
+        : [],
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  MAX_FREE_BUSY_DAYS,
+  BOOKING_INTERVAL_SELECT,
+  getDayStart,
+  overlaps,
+  getBookingInterval,
+  getLeaveInterval,
+  getShiftInterval,
+  getBusyIntervals,
+  getIntervalConflicts,
+  getStaffFreeBusy,
+};
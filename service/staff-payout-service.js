@@ -0,0 +1,324 @@
+const crypto = require("crypto");
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+
+/* ---------------- CONSTANTS ---------------- */
+// Failed payouts back off 1h, 2h, 4h... and stop after this many attempts
+const MAX_PAYOUT_ATTEMPTS = 5;
+
+/* ---------------- STAFF SHARE ---------------- */
+// Staff share of a booking's earnings as agreed on the assignment
+const getStaffShare = (assignment, providerEarnings) => {
+  if (assignment.staffPaymentType === "FIXED_AMOUNT") {
+    return Math.min(Math.round(assignment.staffPaymentValue), providerEarnings);
+  }
+  return Math.round((providerEarnings * assignment.staffPaymentValue) / 100);
+};
+
+/* ---------------- QUEUE ---------------- */
+/**
+ * Create PENDING payouts for completed bookings of auto-payout businesses
+ * whose dispute window has passed. Bookings that were already paid, by
+ * hand or automatically, are skipped.
+ */
+const queueStaffPayouts = async (now = new Date()) => {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      trackingStatus: "COMPLETED",
+      completedAt: { not: null },
+      paymentStatus: "PAID",
+      staffPaymentStatus: "PENDING",
+      businessProfile: { autoStaffPayout: true },
+      // Tips are paid separately and do not count
+      StaffPayment: { none: { tipId: null } },
+    },
+    include: {
+      businessProfile: {
+        select: { userId: true, staffPayoutDelayHours: true },
+      },
+      // Only staff who took the job are paid, not open or lapsed offers
+      StaffAssignBooking: {
+        where: { status: { in: ["ACCEPTED", "COMPLETED"] } },
+      },
+    },
+  });
+
+  let queued = 0;
+
+  for (const booking of bookings) {
+    const { userId, staffPayoutDelayHours } = booking.businessProfile;
+    const dueAt = booking.completedAt.getTime() + staffPayoutDelayHours * 36e5;
+    if (dueAt > now.getTime() || booking.StaffAssignBooking.length === 0) {
+      continue;
+    }
+
+    const providerEarnings = booking.providerEarnings || 0;
+
+    const payouts = booking.StaffAssignBooking.map((assignment) => {
+      const staffAmount = getStaffShare(assignment, providerEarnings);
+      return {
+        bookingId: booking.id,
+        staffId: assignment.assignedStaffId,
+        providerId: userId,
+        requestedAmount: booking.totalAmount,
+        percentage: providerEarnings
+          ? Math.round((staffAmount / providerEarnings) * 10000) / 100
+          : 0,
+        staffAmount,
+        paymentMethod: "stripe",
+        status: "PENDING",
+        isAutomatic: true,
+      };
+    }).filter((p) => p.staffAmount > 0);
+
+    if (payouts.length === 0) continue;
+
+    await prisma.staffPayment.createMany({ data: payouts });
+    queued += payouts.length;
+  }
+
+  return queued;
+};
+
+/* ---------------- SEND ---------------- */
+// Once retries run out the provider is told to pay the staff by hand
+const recordFailure = async (payments, attempts, reason) => {
+  const exhausted = attempts + 1 >= MAX_PAYOUT_ATTEMPTS;
+
+  await prisma.staffPayment.updateMany({
+    where: { id: { in: payments.map((p) => p.id) } },
+    data: {
+      status: "FAILED",
+      failureReason: reason,
+      attempts: attempts + 1,
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + 2 ** attempts * 36e5),
+    },
+  });
+
+  if (!exhausted) return;
+
+  const amount = payments.reduce((sum, p) => sum + p.staffAmount, 0);
+  await prisma.notification.create({
+    data: {
+      title: "⚠️ Staff Payout Stopped",
+      message: `The automatic payout of ₹${amount} to ${payments[0].staff.name} failed ${MAX_PAYOUT_ATTEMPTS} times (${reason}). Please pay it manually.`,
+      receiverId: payments[0].providerId,
+    },
+  });
+};
+
+/**
+ * Pull the staff share back from the provider's transfer of the booking,
+ * so the payout is funded by the provider and not the platform. Tips were
+ * paid to the platform by the customer and need no recovery. Returns
+ * false when the payout has to wait; waiting counts as a failed attempt.
+ */
+const fundPayout = async (payment) => {
+  if (payment.tipId || payment.stripeReversalId) return true;
+
+  const transfer = await prisma.paymentTransfer.findFirst({
+    where: {
+      businessProfileId: payment.booking.businessProfileId,
+      bookingIds: { array_contains: [payment.bookingId] },
+    },
+  });
+
+  if (!transfer || transfer.status !== "PAID" || !transfer.stripeTransferId) {
+    await recordFailure(
+      [payment],
+      payment.attempts,
+      "Waiting for the provider's transfer",
+    );
+    return false;
+  }
+
+  const reversal = await stripe.transfers.createReversal(
+    transfer.stripeTransferId,
+    {
+      amount: payment.staffAmount * 100, // Convert to paise
+      metadata: { staffPaymentId: payment.id, bookingId: payment.bookingId },
+    },
+    { idempotencyKey: `staff-payout-reversal-${payment.id}` },
+  );
+
+  await prisma.staffPayment.update({
+    where: { id: payment.id },
+    data: { stripeReversalId: reversal.id },
+  });
+
+  return true;
+};
+
+/**
+ * Pay every due automatic payout, one batched transfer per staff member.
+ * Staff without an active Connect account are skipped until they have
+ * one. Pass `staffId` to only pay one staff member.
+ */
+const executeStaffPayouts = async ({ staffId } = {}) => {
+  const now = new Date();
+
+  const payments = await prisma.staffPayment.findMany({
+    where: {
+      isAutomatic: true,
+      status: { in: ["PENDING", "FAILED"] },
+      attempts: { lt: MAX_PAYOUT_ATTEMPTS },
+      OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: now } }],
+      ...(staffId && { staffId }),
+    },
+    orderBy: { createdAt: "asc" },
+    include: {
+      staff: {
+        select: {
+          name: true,
+          stripeAccountId: true,
+          stripeAccountStatus: true,
+        },
+      },
+      booking: {
+        select: {
+          businessProfileId: true,
+          service: { select: { name: true } },
+        },
+      },
+    },
+  });
+
+  const byStaff = new Map();
+  for (const payment of payments) {
+    const group = byStaff.get(payment.staffId) || [];
+    group.push(payment);
+    byStaff.set(payment.staffId, group);
+  }
+
+  let paid = 0;
+
+  for (const [payeeId, group] of byStaff) {
+    const { stripeAccountId, stripeAccountStatus } = group[0].staff;
+
+    if (!stripeAccountId || stripeAccountStatus !== "active") {
+      await prisma.staffPayment.updateMany({
+        where: { id: { in: group.map((p) => p.id) } },
+        data: { failureReason: "Staff has no active Stripe account" },
+      });
+      continue;
+    }
+
+    const ready = [];
+    for (const payment of group) {
+      try {
+        if (await fundPayout(payment)) ready.push(payment);
+      } catch (error) {
+        console.error(`Staff payout ${payment.id} failed:`, error.message);
+        await recordFailure([payment], payment.attempts, error.message);
+      }
+    }
+    if (ready.length === 0) continue;
+
+    const ids = ready.map((p) => p.id).sort();
+    const amount = ready.reduce((sum, p) => sum + p.staffAmount, 0);
+    const attempts = Math.max(...ready.map((p) => p.attempts));
+
+    let transfer;
+    try {
+      transfer = await stripe.transfers.create(
+        {
+          amount: amount * 100, // Convert to paise
+          currency: "inr",
+          destination: stripeAccountId,
+          description: `Staff payout - ${ready.length} booking(s)`,
+          metadata: { staffId: payeeId, payments: String(ready.length) },
+        },
+        {
+          idempotencyKey: `staff-payout-${crypto
+            .createHash("sha256")
+            .update(`${ids.join(",")}:${attempts}`)
+            .digest("hex")}`,
+        },
+      );
+    } catch (error) {
+      console.error(`Staff payout to ${payeeId} failed:`, error.message);
+      await recordFailure(ready, attempts, error.message);
+      continue;
+    }
+
+    // A failure past this point leaves the rows unchanged, so the next run
+    // reuses the idempotency key and gets the same transfer back
+    const paidAt = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      for (const payment of ready) {
+        await tx.staffPayment.update({
+          where: { id: payment.id },
+          data: {
+            status: "PAID",
+            stripeTransferId: transfer.id,
+            failureReason: null,
+            nextAttemptAt: null,
+            paidAt,
+          },
+        });
+
+        // Tips are reported apart from the booking's staff earnings
+        if (payment.tipId) continue;
+
+        await tx.booking.update({
+          where: { id: payment.bookingId },
+          data: {
+            staffEarnings: { increment: payment.staffAmount },
+            staffPercentage: payment.percentage,
+            staffPaymentStatus: "PAID",
+            staffPaidAt: paidAt,
+          },
+        });
+
+        // Requests raised before auto-payout was switched on
+        await tx.staffPaymentRequest.updateMany({
+          where: {
+            bookingId: payment.bookingId,
+            staffId: payeeId,
+            requestStatus: "PENDING",
+          },
+          data: { requestStatus: "APPROVED", reviewedAt: paidAt },
+        });
+      }
+
+      await tx.notification.create({
+        data: {
+          title: "💵 Payment Received",
+          message: `You have received ₹${amount} for ${ready
+            .map((p) =>
+              p.tipId
+                ? `a tip on ${p.booking.service.name}`
+                : p.booking.service.name,
+            )
+            .join(", ")}`,
+          receiverId: payeeId,
+          senderId: ready[0].providerId,
+        },
+      });
+    });
+
+    paid += ready.length;
+  }
+
+  return paid;
+};
+
+/**
+ * Queue newly due payouts and pay them. Run on a schedule.
+ */
+const processStaffPayouts = async () => {
+  const queued = await queueStaffPayouts();
+  const paid = await executeStaffPayouts();
+  return { queued, paid };
+};
+
+module.exports = {
+  MAX_PAYOUT_ATTEMPTS,
+  getStaffShare,
+  queueStaffPayouts,
+  executeStaffPayouts,
+  processStaffPayouts,
+};
@@ -0,0 +1,133 @@
+const prisma = require("../prismaClient.js");
+const NotificationService = require("./notification-service");
+
+// Staff and their providers are warned this long before a certificate lapses
+const CERTIFICATION_REMINDER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "  Gas Fitting " and "gas fitting" are the same tag
+const normalizeSkills = (skills = []) => [
+  ...new Set(skills.map((skill) => skill.trim().toLowerCase()).filter(Boolean)),
+];
+
+/* ---------------- ELIGIBILITY ---------------- */
+/**
+ * What keeps each staff member from doing a service, by staff id; an
+ * empty list means they qualify. A verified, current certificate also
+ * counts as holding its skill.
+ */
+const getSkillGaps = async (staffIds, service, now = new Date()) => {
+  const gaps = new Map(staffIds.map((id) => [id, []]));
+
+  const requiredSkills = service?.requiredSkills || [];
+  const requiredCertifications = service?.requiredCertifications || [];
+  if (!requiredSkills.length && !requiredCertifications.length) return gaps;
+
+  const [staff, certifications] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: staffIds } },
+      select: { id: true, staffSkills: true },
+    }),
+    prisma.staffCertification.findMany({
+      where: {
+        staffId: { in: staffIds },
+        status: "VERIFIED",
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+      },
+      select: { staffId: true, skill: true },
+    }),
+  ]);
+
+  for (const member of staff) {
+    const certified = certifications
+      .filter((c) => c.staffId === member.id)
+      .map((c) => c.skill);
+    const held = new Set([...member.staffSkills, ...certified]);
+
+    const missing = requiredSkills.filter((skill) => !held.has(skill));
+    const uncertified = requiredCertifications.filter(
+      (skill) => !certified.includes(skill),
+    );
+
+    const reasons = gaps.get(member.id);
+    if (missing.length) {
+      reasons.push(`Missing skills: ${missing.join(", ")}`);
+    }
+    if (uncertified.length) {
+      reasons.push(`No valid certification for: ${uncertified.join(", ")}`);
+    }
+  }
+
+  return gaps;
+};
+
+/* ---------------- EXPIRY REMINDERS ---------------- */
+/**
+ * Warn staff, and the providers they work for, about verified
+ * certificates that lapse soon. Each certificate is warned about once.
+ * Returns how many were.
+ */
+const remindExpiringCertifications = async (now = new Date()) => {
+  const expiring = await prisma.staffCertification.findMany({
+    where: {
+      status: "VERIFIED",
+      expiryReminderSentAt: null,
+      expiresAt: {
+        gt: now,
+        lt: new Date(now.getTime() + CERTIFICATION_REMINDER_DAYS * DAY_MS),
+      },
+    },
+    include: {
+      staff: {
+        select: {
+          name: true,
+          staffApplications: {
+            where: { status: "APPROVED" },
+            select: { businessProfile: { select: { userId: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  for (const certification of expiring) {
+    const { count } = await prisma.staffCertification.updateMany({
+      where: { id: certification.id, expiryReminderSentAt: null },
+      data: { expiryReminderSentAt: now },
+    });
+    if (count === 0) continue;
+
+    const expiresOn = certification.expiresAt.toISOString().split("T")[0];
+    const data = {
+      type: "CERTIFICATION_EXPIRING",
+      certificationId: certification.id,
+    };
+
+    await NotificationService.notifyUser({
+      receiverId: certification.staffId,
+      senderId: null,
+      title: "Certification expiring soon",
+      body: `Your ${certification.name} certificate expires on ${expiresOn}. Upload the renewed one to keep taking ${certification.skill} jobs.`,
+      data,
+    });
+
+    for (const application of certification.staff.staffApplications) {
+      await NotificationService.notifyUser({
+        receiverId: application.businessProfile.userId,
+        senderId: null,
+        title: "Staff certification expiring soon",
+        body: `${certification.staff.name}'s ${certification.name} certificate expires on ${expiresOn}.`,
+        data,
+      });
+    }
+  }
+
+  return expiring.length;
+};
+
+module.exports = {
+  normalizeSkills,
+  getSkillGaps,
+  remindExpiringCertifications,
+};
@@ -0,0 +1,181 @@
+const prisma = require("../prismaClient.js");
+
+/* ---------------- CONSTANTS ---------------- */
+// Applied when no tax rule matches; 18% is the GST rate for most services
+const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE) || 18;
+
+// First two digits of a GSTIN identify the state it is registered in
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  10: "Bihar",
+  11: "Sikkim",
+  12: "Arunachal Pradesh",
+  13: "Nagaland",
+  14: "Manipur",
+  15: "Mizoram",
+  16: "Tripura",
+  17: "Meghalaya",
+  18: "Assam",
+  19: "West Bengal",
+  20: "Jharkhand",
+  21: "Odisha",
+  22: "Chhattisgarh",
+  23: "Madhya Pradesh",
+  24: "Gujarat",
+  26: "Dadra and Nagar Haveli and Daman and Diu",
+  27: "Maharashtra",
+  29: "Karnataka",
+  30: "Goa",
+  31: "Lakshadweep",
+  32: "Kerala",
+  33: "Tamil Nadu",
+  34: "Puducherry",
+  35: "Andaman and Nicobar Islands",
+  36: "Telangana",
+  37: "Andhra Pradesh",
+  38: "Ladakh",
+};
+
+const normalizeState = (state) =>
+  String(state || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/\s+/g, " ");
+
+// State a GSTIN is registered in, or null for an unknown code
+const getGstinState = (gstin) =>
+  GST_STATE_CODES[String(gstin || "").slice(0, 2)] || null;
+
+/* ---------------- TAX RULES ---------------- */
+/**
+ * GST rate for a service category supplied in a state. The most specific
+ * active rule wins: category and state, category only, state only, then
+ * the default rate.
+ */
+const resolveTaxRate = async ({ businessCategoryId, state }, db = prisma) => {
+  const rules = await db.taxRule.findMany({
+    where: {
+      isActive: true,
+      OR: [{ businessCategoryId }, { businessCategoryId: null }],
+    },
+  });
+
+  const placeOfSupply = normalizeState(state);
+  const score = (rule) =>
+    (rule.businessCategoryId ? 2 : 0) + (rule.state ? 1 : 0);
+
+  const match = rules
+    .filter(
+      (rule) => !rule.state || normalizeState(rule.state) === placeOfSupply,
+    )
+    .sort((a, b) => score(b) - score(a))[0];
+
+  return match ? match.rate : DEFAULT_GST_RATE;
+};
+
+/* ---------------- TAX CALCULATION ---------------- */
+/**
+ * Split an amount into taxable value and GST. Inclusive prices already
+ * contain the tax; exclusive prices have it added on top. Intra-state
+ * supplies split the tax equally into CGST and SGST, inter-state supplies
+ * pay it all as IGST.
+ */
+const calculateTax = ({ amount, rate, inclusive, intraState }) => {
+  const taxableAmount = inclusive
+    ? Math.round((amount * 100) / (100 + rate))
+    : amount;
+  const taxAmount = inclusive
+    ? amount - taxableAmount
+    : Math.round((amount * rate) / 100);
+
+  const cgstAmount = intraState ? Math.floor(taxAmount / 2) : 0;
+
+  return {
+    taxableAmount,
+    taxRate: rate,
+    taxType: intraState ? "CGST_SGST" : "IGST",
+    cgstAmount,
+    sgstAmount: intraState ? taxAmount - cgstAmount : 0,
+    igstAmount: intraState ? 0 : taxAmount,
+    taxAmount,
+    totalAmount: taxableAmount + taxAmount,
+  };
+};
+
+/**
+ * GST on one booking of `service` for `amount` (the price after any
+ * discount). Businesses without a GSTIN are not registered for GST and
+ * charge no tax.
+ */
+const getBookingTax = async (
+  { service, business, address, amount },
+  db = prisma,
+) => {
+  if (!business.gstin) {
+    return {
+      taxableAmount: amount,
+      taxRate: 0,
+      taxType: null,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      taxAmount: 0,
+      totalAmount: amount,
+    };
+  }
+
+  const rate = await resolveTaxRate(
+    { businessCategoryId: service.businessCategoryId, state: address.state },
+    db,
+  );
+
+  return calculateTax({
+    amount,
+    rate,
+    inclusive: service.taxInclusive,
+    intraState:
+      normalizeState(address.state) ===
+      normalizeState(business.gstState || getGstinState(business.gstin)),
+  });
+};
+
+// Booking columns of a tax result
+const toBookingTaxFields = ({ totalAmount, ...tax }) => tax;
+
+/**
+ * GST still due on a booking once `refundedAmount` went back to the
+ * customer; credit notes reverse the rest in proportion. It belongs to the
+ * provider, who files it, on top of their earnings.
+ */
+const getRetainedTax = (
+  booking,
+  refundedAmount = booking.refundedAmount || 0,
+) => {
+  if (!booking.taxAmount || !booking.totalAmount) return 0;
+
+  return (
+    booking.taxAmount -
+    Math.round((booking.taxAmount * refundedAmount) / booking.totalAmount)
+  );
+};
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  GST_STATE_CODES,
+  normalizeState,
+  getGstinState,
+  resolveTaxRate,
+  calculateTax,
+  getBookingTax,
+  toBookingTaxFields,
+  getRetainedTax,
+};
@@ -0,0 +1,105 @@
+const prisma = require("../prismaClient.js");
+const stripe = require("../config/stripe");
+const { executeStaffPayouts } = require("./staff-payout-service");
+
+/* ---------------- TIP PAYMENT (WEBHOOK) ---------------- */
+/**
+ * Record a paid tip and queue it in full for the staff member through
+ * the staff payout pipeline. Safe to call again for the same session.
+ */
+const markTipPaid = async (session) => {
+  const tip = await prisma.tip.findFirst({
+    where: { stripeSessionId: session.id, status: "PENDING" },
+    include: {
+      booking: { select: { service: { select: { name: true } } } },
+      businessProfile: { select: { userId: true } },
+    },
+  });
+  if (!tip) return null;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.tip.update({
+      where: { id: tip.id },
+      data: {
+        status: "PAID",
+        paymentIntentId: session.payment_intent,
+        paidAt: new Date(),
+      },
+    });
+
+    await tx.staffPayment.create({
+      data: {
+        bookingId: tip.bookingId,
+        staffId: tip.staffId,
+        providerId: tip.businessProfile.userId,
+        requestedAmount: tip.amount,
+        percentage: 100,
+        staffAmount: tip.amount,
+        paymentMethod: "stripe",
+        status: "PENDING",
+        isAutomatic: true,
+        tipId: tip.id,
+      },
+    });
+
+    await tx.notification.create({
+      data: {
+        title: "🎉 You received a tip",
+        message: `A customer tipped you ₹${tip.amount} for ${tip.booking.service.name}${
+          tip.message ? `: "${tip.message}"` : ""
+        }`,
+        receiverId: tip.staffId,
+        senderId: tip.userId,
+      },
+    });
+  });
+
+  // Tips need no dispute window; failures are retried by the scheduler
+  try {
+    await executeStaffPayouts({ staffId: tip.staffId });
+  } catch (error) {
+    console.error(`Tip payout ${tip.id} failed:`, error.message);
+  }
+
+  return tip;
+};
+
+/**
+ * Drop a tip whose checkout was abandoned.
+ */
+const expireTipSession = async (sessionId) => {
+  const { count } = await prisma.tip.updateMany({
+    where: { stripeSessionId: sessionId, status: "PENDING" },
+    data: { status: "CANCELLED" },
+  });
+  return count;
+};
+
+/**
+ * Close the checkout of a PENDING tip so a new one can take its place.
+ * Returns false when it was already paid and the webhook has not caught
+ * up yet.
+ */
+const cancelPendingTip = async (tip) => {
+  if (tip.stripeSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(
+      tip.stripeSessionId,
+    );
+    if (session.status === "complete") return false;
+    if (session.status === "open") {
+      await stripe.checkout.sessions.expire(session.id);
+    }
+  }
+
+  await prisma.tip.updateMany({
+    where: { id: tip.id, status: "PENDING" },
+    data: { status: "CANCELLED" },
+  });
+  return true;
+};
+
+module.exports = {
+  markTipPaid,
+  expireTipSession,
+  cancelPendingTip,
+};
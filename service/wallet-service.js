@@ -0,0 +1,287 @@
+const prisma = require("../prismaClient.js");
+const {
+  CHECKOUT_SESSION_MINUTES,
+  findAbandonedCheckouts,
+} = require("./slot-hold-service");
+
+// Wallet debits of checkouts that could no longer complete
+const STALE_WALLET_PAYMENT_MINUTES = CHECKOUT_SESSION_MINUTES + 5;
+
+const walletError = (message) => {
+  const error = new Error(message);
+  error.isWalletError = true;
+  return error;
+};
+
+// Run inside the caller's transaction, or open one
+const withTransaction = (tx, fn) => (tx ? fn(tx) : prisma.$transaction(fn));
+
+/* ---------------- CREDIT ---------------- */
+/**
+ * Add money to a user's wallet. Credits with `expiresAt` lapse unless
+ * spent first.
+ */
+const creditWallet = (
+  tx,
+  {
+    userId,
+    amount,
+    source,
+    description,
+    reason,
+    expiresAt,
+    bookingId,
+    customerPaymentId,
+    createdById,
+  },
+) =>
+  withTransaction(tx, async (db) => {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw walletError("Wallet credit must be a positive amount.");
+    }
+
+    const { walletBalance } = await db.user.update({
+      where: { id: userId },
+      data: { walletBalance: { increment: amount } },
+      select: { walletBalance: true },
+    });
+
+    return db.walletTransaction.create({
+      data: {
+        userId,
+        type: "CREDIT",
+        source,
+        amount,
+        balanceAfter: walletBalance,
+        remainingAmount: amount,
+        expiresAt,
+        description,
+        reason,
+        bookingId,
+        customerPaymentId,
+        createdById,
+      },
+    });
+  });
+
+/* ---------------- DEBIT ---------------- */
+/**
+ * Take money out of a wallet, spending the credits that expire soonest
+ * first. Throws when the balance is too low.
+ */
+const debitWallet = (
+  tx,
+  {
+    userId,
+    amount,
+    source,
+    description,
+    reason,
+    bookingId,
+    customerPaymentId,
+    createdById,
+  },
+) =>
+  withTransaction(tx, async (db) => {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw walletError("Wallet debit must be a positive amount.");
+    }
+
+    // Conditional update so two checkouts cannot spend the same balance
+    const { count } = await db.user.updateMany({
+      where: { id: userId, walletBalance: { gte: amount } },
+      data: { walletBalance: { decrement: amount } },
+    });
+    if (count === 0) {
+      throw walletError("Insufficient wallet balance.");
+    }
+
+    const credits = await db.walletTransaction.findMany({
+      where: { userId, type: "CREDIT", remainingAmount: { gt: 0 } },
+      orderBy: [
+        { expiresAt: { sort: "asc", nulls: "last" } },
+        { createdAt: "asc" },
+      ],
+    });
+
+    let left = amount;
+    for (const credit of credits) {
+      if (left === 0) break;
+      const used = Math.min(left, credit.remainingAmount);
+      await db.walletTransaction.update({
+        where: { id: credit.id },
+        data: { remainingAmount: credit.remainingAmount - used },
+      });
+      left -= used;
+    }
+
+    const { walletBalance } = await db.user.findUnique({
+      where: { id: userId },
+      select: { walletBalance: true },
+    });
+
+    return db.walletTransaction.create({
+      data: {
+        userId,
+        type: "DEBIT",
+        source,
+        amount,
+        balanceAfter: walletBalance,
+        description,
+        reason,
+        bookingId,
+        customerPaymentId,
+        createdById,
+      },
+    });
+  });
+
+/* ---------------- CHECKOUT ---------------- */
+/**
+ * How much of `totalAmount` the wallet covers. Stripe cannot charge less
+ * than ₹50, so the card part is either zero or at least that.
+ */
+const getWalletCoverage = (balance, totalAmount, minCardAmount = 50) => {
+  let walletAmount = Math.min(balance, totalAmount);
+  const cardAmount = totalAmount - walletAmount;
+
+  if (cardAmount > 0 && cardAmount < minCardAmount) {
+    walletAmount = Math.max(0, totalAmount - minCardAmount);
+  }
+
+  return walletAmount;
+};
+
+/**
+ * Spread the wallet part of a checkout over its lines in proportion to
+ * what each line costs, never more than a line's own amount.
+ */
+const allocateWalletAmount = (amounts, walletAmount) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!total || !walletAmount) return amounts.map(() => 0);
+
+  const shares = amounts.map((amount) =>
+    Math.floor((walletAmount * amount) / total),
+  );
+
+  // Rounding leftovers go to the first lines with room for them
+  let remaining = walletAmount - shares.reduce((sum, s) => sum + s, 0);
+  for (let i = 0; i < shares.length && remaining > 0; i++) {
+    const extra = Math.min(remaining, amounts[i] - shares[i]);
+    shares[i] += extra;
+    remaining -= extra;
+  }
+
+  return shares;
+};
+
+// Return the wallet part of a checkout that was never paid
+const releaseWalletDebits = async (where) => {
+  const debits = await prisma.walletTransaction.findMany({
+    where: { ...where, type: "DEBIT", source: "PAYMENT", reversedAt: null },
+  });
+
+  for (const debit of debits) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.walletTransaction.updateMany({
+        where: { id: debit.id, reversedAt: null },
+        data: { reversedAt: new Date() },
+      });
+      if (count === 0) return;
+
+      await creditWallet(tx, {
+        userId: debit.userId,
+        amount: debit.amount,
+        source: "PAYMENT",
+        description: "Returned from an unpaid checkout",
+        customerPaymentId: debit.customerPaymentId,
+      });
+    });
+  }
+
+  return debits.length;
+};
+
+const releaseWalletPayment = (paymentId) =>
+  paymentId ? releaseWalletDebits({ customerPaymentId: paymentId }) : 0;
+
+// Only once Stripe confirms the checkout expired unpaid: a late payment
+// would otherwise have its wallet part handed back as well
+const releaseStaleWalletPayments = async () => {
+  const cutoff = new Date(Date.now() - STALE_WALLET_PAYMENT_MINUTES * 60000);
+
+  const debits = await prisma.walletTransaction.findMany({
+    where: {
+      type: "DEBIT",
+      source: "PAYMENT",
+      reversedAt: null,
+      createdAt: { lt: cutoff },
+    },
+    select: { id: true, customerPaymentId: true },
+  });
+  if (!debits.length) return 0;
+
+  const abandoned = await findAbandonedCheckouts([
+    ...new Set(debits.map((d) => d.customerPaymentId).filter(Boolean)),
+  ]);
+
+  const released = debits.filter(
+    (d) => !d.customerPaymentId || abandoned.has(d.customerPaymentId),
+  );
+  if (!released.length) return 0;
+
+  return releaseWalletDebits({ id: { in: released.map((d) => d.id) } });
+};
+
+/* ---------------- EXPIRY ---------------- */
+/**
+ * Write off the unspent part of credits past their expiry date.
+ */
+const expireWalletCredits = async () => {
+  const expired = await prisma.walletTransaction.findMany({
+    where: {
+      type: "CREDIT",
+      remainingAmount: { gt: 0 },
+      expiresAt: { lt: new Date() },
+    },
+  });
+
+  for (const credit of expired) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.walletTransaction.updateMany({
+        where: { id: credit.id, remainingAmount: credit.remainingAmount },
+        data: { remainingAmount: 0 },
+      });
+      if (count === 0) return;
+
+      const { walletBalance } = await tx.user.update({
+        where: { id: credit.userId },
+        data: { walletBalance: { decrement: credit.remainingAmount } },
+        select: { walletBalance: true },
+      });
+
+      await tx.walletTransaction.create({
+        data: {
+          userId: credit.userId,
+          type: "DEBIT",
+          source: "EXPIRY",
+          amount: credit.remainingAmount,
+          balanceAfter: walletBalance,
+          description: `Expired ${credit.source.toLowerCase()} credit`,
+        },
+      });
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  getWalletCoverage,
+  allocateWalletAmount,
+  releaseWalletPayment,
+  releaseStaleWalletPayments,
+  expireWalletCredits,
+};
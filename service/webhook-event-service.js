@@ -0,0 +1,133 @@
+const prisma = require("../prismaClient.js");
+
+/* ---------------- CONSTANTS ---------------- */
+// A PROCESSING claim older than this is treated as a crashed worker
+const WEBHOOK_PROCESSING_TIMEOUT_MINUTES =
+  parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MINUTES) || 5;
+
+const MAX_ERROR_LENGTH = 1000;
+
+/* ---------------- CLAIM ---------------- */
+/**
+ * Take the right to process an event. Returns false when it was already
+ * processed or another worker is still on it. `force` re-runs processed
+ * events (ledger replays).
+ */
+const claimWebhookEvent = async (event, { force = false } = {}) => {
+  try {
+    await prisma.stripeWebhookEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+        payload: event,
+        livemode: !!event.livemode,
+        attempts: 1,
+      },
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  const staleBefore = new Date(
+    Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MINUTES * 60 * 1000,
+  );
+
+  // Conditional update so two deliveries cannot both win the claim
+  const { count } = await prisma.stripeWebhookEvent.updateMany({
+    where: {
+      id: event.id,
+      OR: [
+        { status: "FAILED" },
+        { status: "PROCESSING", updatedAt: { lt: staleBefore } },
+        ...(force ? [{ status: "PROCESSED" }] : []),
+      ],
+    },
+    data: { status: "PROCESSING", attempts: { increment: 1 } },
+  });
+
+  return count > 0;
+};
+
+/* ---------------- PROCESS ---------------- */
+/**
+ * Run `handler(event)` at most once per Stripe event id and record the
+ * outcome. Errors are stored on the ledger and re-thrown so the caller
+ * can ask Stripe to retry.
+ */
+const processWebhookEvent = async (event, handler, options) => {
+  const claimed = await claimWebhookEvent(event, options);
+  if (!claimed) {
+    return { processed: false, duplicate: true };
+  }
+
+  try {
+    await handler(event);
+
+    await prisma.stripeWebhookEvent.update({
+      where: { id: event.id },
+      data: { status: "PROCESSED", processedAt: new Date(), lastError: null },
+    });
+
+    return { processed: true, duplicate: false };
+  } catch (error) {
+    await prisma.stripeWebhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: "FAILED",
+        lastError: String(error?.stack || error).slice(0, MAX_ERROR_LENGTH),
+      },
+    });
+    throw error;
+  }
+};
+
+/* ---------------- REPLAY ---------------- */
+/**
+ * Re-run stored events in the order Stripe sent them. Used by the admin
+ * retry endpoint and to replay the ledger against a local Stripe stand-in.
+ */
+const replayWebhookEvents = async (
+  handler,
+  { ids, status, type, since, until, force = false, limit = 100 } = {},
+) => {
+  const events = await prisma.stripeWebhookEvent.findMany({
+    where: {
+      ...(ids && { id: { in: ids } }),
+      ...(status && { status }),
+      ...(type && { type }),
+      ...((since || until) && {
+        createdAt: {
+          ...(since && { gte: since }),
+          ...(until && { lte: until }),
+        },
+      }),
+    },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+
+  const results = [];
+  for (const { id, type: eventType, payload } of events) {
+    try {
+      const result = await processWebhookEvent(payload, handler, { force });
+      results.push({ id, type: eventType, ...result });
+    } catch (error) {
+      results.push({
+        id,
+        type: eventType,
+        processed: false,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  WEBHOOK_PROCESSING_TIMEOUT_MINUTES,
+  claimWebhookEvent,
+  processWebhookEvent,
+  replayWebhookEvents,
+};
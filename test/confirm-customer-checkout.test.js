@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const noop = async () => {};
+
+const setup = () => {
+  const prisma = createFakePrisma();
+  stubModules({
+    "prismaClient.js": prisma,
+    "config/stripe.js": {},
+    "utils/sendmail.js": { sendMail: noop },
+    "utils/generateProviderBilling.js": {},
+    "service/invoice-service.js": { issueBookingInvoices: async () => [] },
+    "helper/mail-tamplates/tamplates.js": {
+      bookingSuccessEmailTemplate: () => "",
+    },
+    "service/notification-service.js": { sendNotification: noop },
+    "controllers/notification.controller.js": { storeNotification: noop },
+    "service/slot-hold-service.js": { convertHolds: noop },
+    "service/recurring-booking-service.js": {},
+    "service/reschedule-service.js": {},
+    "service/refund-service.js": {},
+    "service/dispute-service.js": {},
+    "service/webhook-event-service.js": {},
+    "service/provider-transfer-service.js": {
+      getCommissionRate: () => 10,
+      createPaymentTransfers: noop,
+      executePaymentTransfers: noop,
+    },
+    "service/staff-payout-service.js": {},
+    "service/tip-service.js": {},
+    "service/quote-service.js": {
+      getQuoteCheckoutItems: async () => [checkoutItem("svc_quote")],
+    },
+    "service/service-pricing-service.js": {
+      priceCartItems: async (items) => items,
+      getLinePrice: () => 0,
+      describeSelection: (name) => name,
+    },
+    "service/promotion-service.js": {
+      confirmCouponRedemptions: noop,
+      splitBookingAmount: () => ({ platformFee: 0, providerEarnings: 0 }),
+      rewardReferral: noop,
+    },
+    "service/wallet-service.js": {},
+    "service/package-service.js": {},
+    "service/staff-assignment-service.js": { autoAssignBookings: noop },
+  });
+  const controller = requireFresh("controllers/stripeWebHooks.controller.js");
+  return { prisma, ...controller };
+};
+
+const checkoutItem = (serviceId) => ({
+  id: `cart_${serviceId}`,
+  userId: "u1",
+  serviceId,
+  service: { name: serviceId },
+  business: { businessName: "Sparkle" },
+  date: "2026-11-02",
+  slotId: "slot1",
+  slot: { time: "10:00" },
+});
+
+// A pending booking with its open checkout payment
+const seedCheckout = async (prisma, { bookingId, paymentId, serviceId }) => {
+  await prisma.booking.create({
+    data: {
+      id: bookingId,
+      userId: "u1",
+      serviceId,
+      businessProfileId: "biz1",
+      bookingStatus: "PENDING_PAYMENT",
+      paymentStatus: "PENDING",
+      totalAmount: 500,
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    },
+  });
+  await prisma.customerPayment.create({
+    data: {
+      id: paymentId,
+      userId: "u1",
+      status: "PENDING",
+      bookingIds: JSON.stringify([bookingId]),
+    },
+  });
+};
+
+const metadata = ({ bookingId, paymentId, ...rest }) => ({
+  userId: "u1",
+  addressId: "addr1",
+  paymentId,
+  bookingIds: JSON.stringify([bookingId]),
+  sessionId: `cs_${paymentId}`,
+  paymentIntentId: `pi_${paymentId}`,
+  ...rest,
+});
+
+const req = { ip: "127.0.0.1", get: () => "test" };
+
+test("a cart checkout leaves an accepted quote's payment open", async () => {
+  const { prisma, confirmCustomerCheckout } = setup();
+  await prisma.user.create({ data: { id: "u1", name: "Asha" } });
+  await prisma.address.create({ data: { id: "addr1" } });
+  await prisma.businessProfile.create({ data: { id: "biz1", userId: "p1" } });
+  await prisma.cart.create({ data: checkoutItem("svc_cart") });
+
+  const quoteCheckout = {
+    bookingId: "b_quote",
+    paymentId: "pay_quote",
+    serviceId: "svc_quote",
+  };
+  const cartCheckout = {
+    bookingId: "b_cart",
+    paymentId: "pay_cart",
+    serviceId: "svc_cart",
+  };
+  await seedCheckout(prisma, quoteCheckout);
+  await prisma.quote.create({
+    data: { id: "q1", bookingId: "b_quote", status: "ACCEPTED" },
+  });
+  await seedCheckout(prisma, cartCheckout);
+
+  await confirmCustomerCheckout(
+    metadata({ ...cartCheckout, dbCart: JSON.stringify(["cart_svc_cart"]) }),
+    req,
+  );
+
+  const quotePayment = await prisma.customerPayment.findUnique({
+    where: { id: "pay_quote" },
+  });
+  assert.equal(quotePayment.status, "PENDING");
+
+  // The quote's session completes later and still confirms its booking
+  await confirmCustomerCheckout(
+    metadata({ ...quoteCheckout, dbCart: "[]", quoteId: "q1" }),
+    req,
+  );
+
+  for (const [bookingId, paymentId] of [
+    ["b_cart", "pay_cart"],
+    ["b_quote", "pay_quote"],
+  ]) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+    });
+    assert.equal(booking.bookingStatus, "CONFIRMED");
+    const payment = await prisma.customerPayment.findUnique({
+      where: { id: paymentId },
+    });
+    assert.equal(payment.status, "PAID");
+  }
+  const quote = await prisma.quote.findUnique({ where: { id: "q1" } });
+  assert.equal(quote.status, "BOOKED");
+  assert.equal(await prisma.cart.count(), 0);
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const noop = async () => {};
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { paymentDispute: { status: "OPEN" } },
+  });
+  stubModules({
+    "prismaClient.js": prisma,
+    "config/stripe.js": {},
+    "service/notification-service.js": { notifyUser: noop },
+    "service/provider-transfer-service.js": {
+      executePaymentTransfers: noop,
+      reversePaymentTransfers: noop,
+    },
+  });
+  const service = requireFresh("service/dispute-service.js");
+  return { prisma, ...service };
+};
+
+// Two ₹1180 bookings (₹180 GST, 10% commission) paid by card together
+const seedDisputedPayment = async (prisma) => {
+  const booking = {
+    paymentStatus: "DISPUTED",
+    totalAmount: 1180,
+    taxAmount: 180,
+    refundedAmount: 0,
+    platformFee: 100,
+    providerEarnings: 900,
+  };
+  await prisma.booking.createMany({
+    data: [
+      { id: "b1", ...booking },
+      { id: "b2", ...booking },
+    ],
+  });
+  await prisma.customerPayment.create({
+    data: {
+      id: "pay1",
+      amount: 2360,
+      walletAmount: 0,
+      refundedAmount: 0,
+      paymentIntentId: "pi_1",
+      bookingIds: JSON.stringify(["b1", "b2"]),
+    },
+  });
+};
+
+const dispute = (amount) => ({
+  id: "dp_1",
+  charge: "ch_1",
+  payment_intent: "pi_1",
+  amount: amount * 100,
+  currency: "inr",
+  reason: "product_not_received",
+  status: "lost",
+});
+
+const getBooking = (prisma, id) => prisma.booking.findUnique({ where: { id } });
+
+test("a lost dispute charges back only the disputed amount", async () => {
+  const { prisma, closeDispute } = setup();
+  await seedDisputedPayment(prisma);
+  await prisma.paymentDispute.create({
+    data: {
+      stripeDisputeId: "dp_1",
+      customerPaymentId: "pay1",
+      bookingIds: ["b1", "b2"],
+      amount: 1770,
+    },
+  });
+
+  await closeDispute(dispute(1770));
+
+  const first = await getBooking(prisma, "b1");
+  assert.equal(first.refundedAmount, 1180);
+  assert.equal(first.paymentStatus, "REFUNDED");
+  assert.equal(first.providerEarnings, 0);
+
+  // Half of the second booking is kept, net of its remaining GST
+  const second = await getBooking(prisma, "b2");
+  assert.equal(second.refundedAmount, 590);
+  assert.equal(second.paymentStatus, "PAID");
+  assert.equal(second.platformFee, 50);
+  assert.equal(second.providerEarnings, 450);
+
+  const payment = await prisma.customerPayment.findUnique({
+    where: { id: "pay1" },
+  });
+  assert.notEqual(payment.status, "REFUNDED");
+});
+
+test("a lost dispute over the whole payment refunds it", async () => {
+  const { prisma, closeDispute } = setup();
+  await seedDisputedPayment(prisma);
+  await prisma.paymentDispute.create({
+    data: {
+      stripeDisputeId: "dp_1",
+      customerPaymentId: "pay1",
+      bookingIds: ["b1", "b2"],
+      amount: 2360,
+    },
+  });
+
+  await closeDispute(dispute(2360));
+
+  for (const id of ["b1", "b2"]) {
+    const booking = await getBooking(prisma, id);
+    assert.equal(booking.paymentStatus, "REFUNDED");
+    assert.equal(booking.providerEarnings, 0);
+  }
+  const payment = await prisma.customerPayment.findUnique({
+    where: { id: "pay1" },
+  });
+  assert.equal(payment.status, "REFUNDED");
+});
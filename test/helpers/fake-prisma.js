@@ -0,0 +1,224 @@
+const crypto = require("crypto");
+
+/*
+ * In-memory stand-in for the Prisma client, enough for service tests: rows
+ * live in one Map per model and `where` understands plain values, the
+ * usual operators, OR / AND / NOT. Relation filters and includes are not
+ * supported.
+ */
+
+const OPERATORS = [
+  "equals",
+  "in",
+  "notIn",
+  "not",
+  "lt",
+  "lte",
+  "gt",
+  "gte",
+  "contains",
+  "array_contains",
+];
+
+const isOperatorFilter = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !(value instanceof Date) &&
+  !Array.isArray(value) &&
+  Object.keys(value).every((key) => OPERATORS.includes(key));
+
+const compare = (a, b) =>
+  (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+
+const same = (a, b) => compare(a, b) === 0 || a === b;
+
+const matchesFilter = (actual, filter) =>
+  Object.entries(filter).every(([op, expected]) => {
+    switch (op) {
+      case "equals":
+        return same(actual, expected);
+      case "in":
+        return expected.some((e) => same(actual, e));
+      case "notIn":
+        return !expected.some((e) => same(actual, e));
+      case "not":
+        return isOperatorFilter(expected)
+          ? !matchesFilter(actual, expected)
+          : !same(actual, expected);
+      case "lt":
+        return actual != null && compare(actual, expected) < 0;
+      case "lte":
+        return actual != null && compare(actual, expected) <= 0;
+      case "gt":
+        return actual != null && compare(actual, expected) > 0;
+      case "gte":
+        return actual != null && compare(actual, expected) >= 0;
+      case "contains":
+        return typeof actual === "string" && actual.includes(expected);
+      case "array_contains":
+        return (
+          Array.isArray(actual) &&
+          expected.every((e) => actual.some((a) => same(a, e)))
+        );
+      default:
+        return false;
+    }
+  });
+
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([key, expected]) => {
+    if (key === "OR") return expected.some((w) => matches(row, w));
+    if (key === "AND") return expected.every((w) => matches(row, w));
+    if (key === "NOT") return !matches(row, expected);
+    if (isOperatorFilter(expected)) return matchesFilter(row[key], expected);
+    if (expected !== null && typeof expected === "object") {
+      if (expected instanceof Date) return same(row[key], expected);
+      // Compound unique keys, e.g. { bookingId_assignedStaffId: {...} }
+      if (key.includes("_")) return matches(row, expected);
+      throw new Error(`fake-prisma: unsupported filter on "${key}"`);
+    }
+    return row[key] === expected;
+  });
+
+const applyData = (row, data) => {
+  const next = { ...row };
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === "object" && "increment" in value) {
+      next[key] = (next[key] || 0) + value.increment;
+    } else if (value && typeof value === "object" && "decrement" in value) {
+      next[key] = (next[key] || 0) - value.decrement;
+    } else if (value && typeof value === "object" && "set" in value) {
+      next[key] = value.set;
+    } else if (value !== undefined) {
+      next[key] = value;
+    }
+  }
+  next.updatedAt = new Date();
+  return next;
+};
+
+const uniqueError = () => {
+  const error = new Error("Unique constraint failed");
+  error.code = "P2002";
+  return error;
+};
+
+const notFoundError = () => {
+  const error = new Error("Record to update not found.");
+  error.code = "P2025";
+  return error;
+};
+
+/**
+ * `defaults` holds schema defaults per model, e.g.
+ * `{ stripeWebhookEvent: { status: "PROCESSING", attempts: 0 } }`.
+ */
+const createFakePrisma = ({ defaults = {} } = {}) => {
+  const tables = new Map();
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  };
+
+  const createModel = (name) => {
+    const rows = table(name);
+    const all = (where) => [...rows.values()].filter((r) => matches(r, where));
+    const copy = (row) => (row ? { ...row } : null);
+
+    const insert = (data) => {
+      const now = new Date();
+      const row = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        ...defaults[name],
+        ...data,
+      };
+      if (rows.has(row.id)) throw uniqueError();
+      rows.set(row.id, row);
+      return row;
+    };
+
+    return {
+      create: async ({ data }) => copy(insert(data)),
+      createMany: async ({ data, skipDuplicates }) => {
+        let count = 0;
+        for (const item of data) {
+          try {
+            insert(item);
+            count++;
+          } catch (error) {
+            if (!skipDuplicates) throw error;
+          }
+        }
+        return { count };
+      },
+      findUnique: async ({ where }) => copy(all(where)[0]),
+      findFirst: async ({ where } = {}) => copy(all(where)[0]),
+      findMany: async ({ where } = {}) => all(where).map(copy),
+      count: async ({ where } = {}) => all(where).length,
+      // Only `_sum`; like Prisma, sums are null when no row matches
+      aggregate: async ({ where, _sum = {} } = {}) => {
+        const matched = all(where);
+        const sums = Object.keys(_sum).map((field) => [
+          field,
+          matched.length
+            ? matched.reduce((acc, row) => acc + (row[field] || 0), 0)
+            : null,
+        ]);
+        return { _sum: Object.fromEntries(sums) };
+      },
+      update: async ({ where, data }) => {
+        const [row] = all(where);
+        if (!row) throw notFoundError();
+        const updated = applyData(row, data);
+        rows.set(row.id, updated);
+        return copy(updated);
+      },
+      updateMany: async ({ where, data }) => {
+        const matched = all(where);
+        for (const row of matched) rows.set(row.id, applyData(row, data));
+        return { count: matched.length };
+      },
+      upsert: async ({ where, create, update }) => {
+        const [row] = all(where);
+        if (!row) return copy(insert(create));
+        const updated = applyData(row, update);
+        rows.set(row.id, updated);
+        return copy(updated);
+      },
+      delete: async ({ where }) => {
+        const [row] = all(where);
+        if (!row) throw notFoundError();
+        rows.delete(row.id);
+        return copy(row);
+      },
+      deleteMany: async ({ where } = {}) => {
+        const matched = all(where);
+        for (const row of matched) rows.delete(row.id);
+        return { count: matched.length };
+      },
+    };
+  };
+
+  const models = new Map();
+  const client = new Proxy(
+    {
+      $transaction: async (arg) =>
+        typeof arg === "function" ? arg(client) : Promise.all(arg),
+      $on: () => {},
+      $disconnect: async () => {},
+    },
+    {
+      get(target, prop) {
+        if (prop in target || typeof prop !== "string") return target[prop];
+        if (!models.has(prop)) models.set(prop, createModel(prop));
+        return models.get(prop);
+      },
+    },
+  );
+
+  return client;
+};
+
+module.exports = { createFakePrisma };
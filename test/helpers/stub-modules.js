@@ -0,0 +1,31 @@
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "../..");
+
+/**
+ * Put `exports` in the require cache for each repo-relative path, so code
+ * requiring those modules gets the stand-in. Call before requiring the
+ * module under test.
+ */
+const stubModules = (stubs) => {
+  for (const [relativePath, exports] of Object.entries(stubs)) {
+    const filename = require.resolve(path.join(ROOT, relativePath));
+    require.cache[filename] = {
+      id: filename,
+      filename,
+      loaded: true,
+      exports,
+    };
+  }
+};
+
+/**
+ * Require a repo module fresh, after stubs were registered.
+ */
+const requireFresh = (relativePath) => {
+  const filename = require.resolve(path.join(ROOT, relativePath));
+  delete require.cache[filename];
+  return require(filename);
+};
+
+module.exports = { ROOT, stubModules, requireFresh };
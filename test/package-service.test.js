@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+// Checkout sessions are named after how they ended
+const stripe = {
+  checkout: {
+    sessions: {
+      retrieve: async (id) => ({ id, status: id.split("_")[1] }),
+    },
+  },
+};
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { packageCreditUse: { reversedAt: null } },
+  });
+  stubModules({ "prismaClient.js": prisma, "config/stripe.js": stripe });
+  // Checkouts are looked up through it with this test's prisma
+  requireFresh("service/slot-hold-service.js");
+  requireFresh("service/wallet-service.js");
+  const service = requireFresh("service/package-service.js");
+  return { prisma, ...service };
+};
+
+test("stale credits come back only once their checkout expired", async () => {
+  const { prisma, releaseStalePackageCredits } = setup();
+  await prisma.packagePurchase.create({
+    data: {
+      id: "pp1",
+      status: "EXHAUSTED",
+      creditsRemaining: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    },
+  });
+  const createdAt = new Date(Date.now() - 60 * 60 * 1000);
+
+  // A complete session is paid, its webhook just has not confirmed it yet
+  for (const session of ["expired", "complete"]) {
+    await prisma.customerPayment.create({
+      data: {
+        id: `pay_${session}`,
+        status: "PENDING",
+        stripeSessionId: `cs_${session}`,
+      },
+    });
+    await prisma.packageCreditUse.create({
+      data: {
+        id: `use_${session}`,
+        purchaseId: "pp1",
+        customerPaymentId: `pay_${session}`,
+        createdAt,
+      },
+    });
+  }
+
+  assert.equal(await releaseStalePackageCredits(), 1);
+
+  const reversed = await prisma.packageCreditUse.findMany({
+    where: { reversedAt: { not: null } },
+  });
+  assert.deepEqual(
+    reversed.map((u) => u.id),
+    ["use_expired"],
+  );
+  const purchase = await prisma.packagePurchase.findUnique({
+    where: { id: "pp1" },
+  });
+  assert.equal(purchase.creditsRemaining, 1);
+  assert.equal(purchase.status, "ACTIVE");
+});
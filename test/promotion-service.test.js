@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+// Checkout sessions are named after how they ended
+const stripe = {
+  checkout: {
+    sessions: {
+      retrieve: async (id) => ({ id, status: id.split("_")[1] }),
+    },
+  },
+};
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { couponRedemption: { status: "PENDING" } },
+  });
+  stubModules({
+    "prismaClient.js": prisma,
+    "config/stripe.js": stripe,
+    "service/notification-service.js": {},
+  });
+  // Checkouts are looked up through it with this test's prisma
+  requireFresh("service/slot-hold-service.js");
+  const service = requireFresh("service/promotion-service.js");
+  return { prisma, ...service };
+};
+
+const seedCoupon = (prisma, data = {}) =>
+  prisma.coupon.create({
+    data: {
+      id: "c1",
+      code: "WELCOME",
+      usageLimit: null,
+      usedCount: 0,
+      perUserLimit: 1,
+      ...data,
+    },
+  });
+
+const reserve = (service, coupon, userId = "u1") =>
+  service.prisma.$transaction((tx) =>
+    service.reserveCouponRedemption(tx, {
+      coupon,
+      userId,
+      paymentId: null,
+      discount: 50,
+    }),
+  );
+
+test("a reservation is refused once the customer used up their uses", async () => {
+  const service = setup();
+  // Both checkouts passed applyCoupon before either reserved
+  const coupon = await seedCoupon(service.prisma);
+
+  await reserve(service, coupon);
+  await assert.rejects(reserve(service, coupon), (error) => {
+    assert.equal(error.isCouponError, true);
+    assert.match(error.message, /already used this coupon/);
+    return true;
+  });
+
+  assert.equal(await service.prisma.couponRedemption.count(), 1);
+  const { usedCount } = await service.prisma.coupon.findUnique({
+    where: { id: "c1" },
+  });
+  assert.equal(usedCount, 1);
+});
+
+test("other customers and released reservations do not count", async () => {
+  const service = setup();
+  const coupon = await seedCoupon(service.prisma);
+
+  await reserve(service, coupon, "u2");
+  await service.prisma.couponRedemption.create({
+    data: { couponId: "c1", userId: "u1", status: "FAILED" },
+  });
+
+  await reserve(service, coupon);
+  assert.equal(
+    await service.prisma.couponRedemption.count({ where: { userId: "u1" } }),
+    2,
+  );
+});
+
+test("stale uses are given back only once their checkout expired", async () => {
+  const service = setup();
+  const { prisma } = service;
+  await seedCoupon(prisma, { usedCount: 3 });
+  const createdAt = new Date(Date.now() - 60 * 60 * 1000);
+
+  // A complete session is paid, its webhook just has not confirmed it yet
+  for (const session of ["expired", "complete"]) {
+    await prisma.customerPayment.create({
+      data: {
+        id: `pay_${session}`,
+        status: "PENDING",
+        stripeSessionId: `cs_${session}`,
+      },
+    });
+    await prisma.couponRedemption.create({
+      data: {
+        id: `r_${session}`,
+        couponId: "c1",
+        userId: "u1",
+        customerPaymentId: `pay_${session}`,
+        createdAt,
+      },
+    });
+  }
+  // Not stale yet
+  await prisma.couponRedemption.create({
+    data: {
+      id: "r_recent",
+      couponId: "c1",
+      userId: "u1",
+      createdAt: new Date(),
+    },
+  });
+
+  assert.equal(await service.releaseStaleCouponRedemptions(), 1);
+
+  const left = await prisma.couponRedemption.findMany();
+  assert.deepEqual(left.map((r) => r.id).sort(), ["r_complete", "r_recent"]);
+  const { usedCount } = await prisma.coupon.findUnique({ where: { id: "c1" } });
+  assert.equal(usedCount, 2);
+});
+
+test("the split keeps GST out of the provider's earnings", () => {
+  const { splitBookingAmount } = setup();
+  const booking = { totalAmount: 1180, taxAmount: 180, discountAmount: 0 };
+
+  assert.deepEqual(splitBookingAmount(booking, 10), {
+    platformFee: 100,
+    providerEarnings: 900,
+    providerTax: 180,
+  });
+  // A platform coupon is absorbed by the platform, GST is untouched
+  assert.deepEqual(
+    splitBookingAmount(
+      { totalAmount: 1080, taxAmount: 180, discountAmount: 100 },
+      10,
+      "PLATFORM",
+    ),
+    { platformFee: 0, providerEarnings: 900, providerTax: 180 },
+  );
+});
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { paymentTransfer: { reversedAmount: 0 } },
+  });
+  const reversals = [];
+  const stripe = {
+    transfers: {
+      createReversal: async (transferId, params, options) => {
+        reversals.push({ transferId, ...params, ...options });
+        return { id: `trr_${reversals.length}` };
+      },
+    },
+  };
+  stubModules({ "prismaClient.js": prisma, "config/stripe.js": stripe });
+  const service = requireFresh("service/provider-transfer-service.js");
+  return { prisma, stripe, reversals, ...service };
+};
+
+// Two bookings of 500 + 300 earnings, already sent to the provider
+const seedPaidTransfer = async (prisma) => {
+  await prisma.booking.createMany({
+    data: [
+      { id: "b1", paymentStatus: "PAID", providerEarnings: 500 },
+      { id: "b2", paymentStatus: "PAID", providerEarnings: 300 },
+    ],
+  });
+  return prisma.paymentTransfer.create({
+    data: {
+      id: "pt1",
+      customerPaymentId: "pay1",
+      bookingIds: ["b1", "b2"],
+      transferAmount: 800,
+      stripeTransferId: "tr_1",
+      status: "PAID",
+    },
+  });
+};
+
+const getTransfer = (prisma) =>
+  prisma.paymentTransfer.findUnique({ where: { id: "pt1" } });
+
+test("nothing is reversed while the bookings still owe the full amount", async () => {
+  const { prisma, reversals, reversePaymentTransfers } = setup();
+  await seedPaidTransfer(prisma);
+
+  assert.deepEqual(await reversePaymentTransfers("pay1"), []);
+  assert.equal(reversals.length, 0);
+});
+
+test("a refunded booking's share is reversed once", async () => {
+  const { prisma, reversals, reversePaymentTransfers } = setup();
+  await seedPaidTransfer(prisma);
+  await prisma.booking.update({
+    where: { id: "b2" },
+    data: { paymentStatus: "REFUNDED", providerEarnings: 0 },
+  });
+
+  await reversePaymentTransfers("pay1");
+  await reversePaymentTransfers("pay1");
+
+  assert.equal(reversals.length, 1);
+  assert.equal(reversals[0].transferId, "tr_1");
+  assert.equal(reversals[0].amount, 300 * 100);
+  const transfer = await getTransfer(prisma);
+  assert.equal(transfer.reversedAmount, 300);
+  assert.equal(transfer.status, "PAID");
+});
+
+test("a later refund reverses only the difference", async () => {
+  const { prisma, reversals, reversePaymentTransfers } = setup();
+  await seedPaidTransfer(prisma);
+
+  await prisma.booking.update({
+    where: { id: "b1" },
+    data: { providerEarnings: 400 },
+  });
+  await reversePaymentTransfers("pay1");
+  await prisma.booking.update({
+    where: { id: "b1" },
+    data: { providerEarnings: 0, paymentStatus: "REFUNDED" },
+  });
+  await reversePaymentTransfers("pay1");
+
+  assert.deepEqual(
+    reversals.map((r) => [r.amount, r.idempotencyKey]),
+    [
+      [100 * 100, "payment-transfer-reversal-pt1-100"],
+      [400 * 100, "payment-transfer-reversal-pt1-500"],
+    ],
+  );
+  assert.equal((await getTransfer(prisma)).reversedAmount, 500);
+});
+
+test("disputed bookings are held until the dispute closes", async () => {
+  const { prisma, reversals, reversePaymentTransfers } = setup();
+  await seedPaidTransfer(prisma);
+  await prisma.booking.update({
+    where: { id: "b1" },
+    data: { paymentStatus: "DISPUTED" },
+  });
+  await prisma.booking.update({
+    where: { id: "b2" },
+    data: { providerEarnings: 0 },
+  });
+
+  await reversePaymentTransfers("pay1");
+  assert.equal(reversals.length, 0);
+
+  // Lost: the chargeback wipes both bookings' earnings
+  await prisma.booking.updateMany({
+    where: { id: { in: ["b1", "b2"] } },
+    data: { paymentStatus: "REFUNDED", providerEarnings: 0 },
+  });
+  await reversePaymentTransfers("pay1");
+
+  assert.equal(reversals.length, 1);
+  assert.equal(reversals[0].amount, 800 * 100);
+  const transfer = await getTransfer(prisma);
+  assert.equal(transfer.reversedAmount, 800);
+  assert.equal(transfer.status, "REFUNDED");
+});
+
+test("a failed reversal is recorded and retried on the next run", async () => {
+  const { prisma, stripe, reversals, reversePaymentTransfers } = setup();
+  await seedPaidTransfer(prisma);
+  await prisma.booking.update({
+    where: { id: "b2" },
+    data: { providerEarnings: 0 },
+  });
+
+  const { transfers } = stripe;
+  const createReversal = transfers.createReversal;
+  transfers.createReversal = async () => {
+    throw new Error("insufficient funds");
+  };
+  const [result] = await reversePaymentTransfers("pay1");
+  transfers.createReversal = createReversal;
+
+  assert.equal(result.error, "insufficient funds");
+  assert.match((await getTransfer(prisma)).failureReason, /insufficient/);
+
+  await reversePaymentTransfers("pay1");
+  assert.equal(reversals.length, 1);
+  const transfer = await getTransfer(prisma);
+  assert.equal(transfer.reversedAmount, 300);
+  assert.equal(transfer.failureReason, null);
+});
+
+test("GST is passed through on top of earnings and reversed with refunds", async () => {
+  const { prisma, reversals, createPaymentTransfers, reversePaymentTransfers } =
+    setup();
+  // ₹1000 + ₹180 GST, 10% commission on the taxable value
+  const booking = await prisma.booking.create({
+    data: {
+      id: "b1",
+      businessProfileId: "biz1",
+      paymentStatus: "PAID",
+      totalAmount: 1180,
+      taxAmount: 180,
+      refundedAmount: 0,
+      platformFee: 100,
+      providerEarnings: 900,
+    },
+  });
+
+  await createPaymentTransfers(prisma, "pay1", [booking]);
+  const [created] = await prisma.paymentTransfer.findMany();
+  assert.equal(created.transferAmount, 900 + 180);
+
+  await prisma.paymentTransfer.update({
+    where: { id: created.id },
+    data: { status: "PAID", stripeTransferId: "tr_1" },
+  });
+  // Half refunded: half the earnings and half the GST come back
+  await prisma.booking.update({
+    where: { id: "b1" },
+    data: { refundedAmount: 590, platformFee: 50, providerEarnings: 450 },
+  });
+  await reversePaymentTransfers("pay1");
+
+  assert.equal(reversals[0].amount, (450 + 90) * 100);
+});
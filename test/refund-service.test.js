@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = () => {
+  const prisma = createFakePrisma();
+  const refundCalls = [];
+  const stripe = {
+    refunds: {
+      create: async (params, options) => {
+        refundCalls.push({ ...params, ...options });
+        throw new Error("card network unavailable");
+      },
+    },
+  };
+  stubModules({
+    "prismaClient.js": prisma,
+    "config/stripe.js": stripe,
+    "service/invoice-service.js": {},
+    "service/provider-transfer-service.js": {},
+  });
+  requireFresh("service/slot-hold-service.js");
+  requireFresh("service/wallet-service.js");
+  const service = requireFresh("service/refund-service.js");
+  return { prisma, refundCalls, ...service };
+};
+
+test("a retried refund credits the wallet once and reuses its Stripe key", async () => {
+  const { prisma, refundCalls, refundBookingPayment } = setup();
+  await prisma.user.create({ data: { id: "u1", walletBalance: 0 } });
+  // ₹300 of the ₹1000 booking was paid from the wallet
+  await prisma.booking.create({
+    data: { id: "b1", userId: "u1", totalAmount: 1000, walletAmount: 300 },
+  });
+  await prisma.customerPayment.create({
+    data: {
+      id: "pay1",
+      status: "PAID",
+      paymentIntentId: "pi_1",
+      bookingIds: JSON.stringify(["b1"]),
+    },
+  });
+  await prisma.cancellation.create({
+    data: { bookingId: "b1", refundStatus: "PENDING" },
+  });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const result = await refundBookingPayment({
+      bookingId: "b1",
+      amount: 1000,
+    });
+    assert.equal(result, null);
+  }
+
+  const credits = await prisma.walletTransaction.findMany({
+    where: { bookingId: "b1", type: "CREDIT" },
+  });
+  assert.deepEqual(
+    credits.map((c) => c.amount),
+    [300],
+  );
+  assert.deepEqual(
+    refundCalls.map((c) => [c.amount, c.idempotencyKey]),
+    [
+      [700 * 100, "booking-refund-b1-700"],
+      [700 * 100, "booking-refund-b1-700"],
+    ],
+  );
+});
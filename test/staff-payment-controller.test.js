@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = () => {
+  const prisma = createFakePrisma();
+  stubModules({ "prismaClient.js": prisma, "config/stripe.js": {} });
+  const controller = requireFresh("controllers/staff-payment.controller.js");
+  return { prisma, ...controller };
+};
+
+const mockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const booking = { id: "b1", totalAmount: 1000, platformFee: 100 };
+
+test("staff earnings total booking payouts and tips apart", async () => {
+  const { prisma, getStaffEarnings } = setup();
+  await prisma.staffPayment.createMany({
+    data: [
+      { staffId: "s1", status: "PAID", staffAmount: 450, tipId: null, booking },
+      { staffId: "s1", status: "PAID", staffAmount: 100, tipId: "t1", booking },
+      {
+        staffId: "s1",
+        status: "PENDING",
+        staffAmount: 300,
+        tipId: null,
+        booking,
+      },
+      { staffId: "s2", status: "PAID", staffAmount: 999, tipId: null, booking },
+    ],
+  });
+
+  const res = mockRes();
+  await getStaffEarnings({ user: { id: "s1" }, query: {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.totalEarnings, 450);
+  assert.equal(res.body.totalTips, 100);
+  assert.equal(res.body.earnings.length, 3);
+  assert.equal(res.body.earnings.filter((e) => e.isTip).length, 1);
+  assert.equal(res.body.pagination.totalCount, 3);
+});
+
+test("staff earnings are zero before anything was paid", async () => {
+  const { getStaffEarnings } = setup();
+
+  const res = mockRes();
+  await getStaffEarnings({ user: { id: "s1" }, query: {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.totalEarnings, 0);
+  assert.equal(res.body.totalTips, 0);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = () => {
+  const prisma = createFakePrisma();
+  stubModules({ "prismaClient.js": prisma, "config/stripe.js": {} });
+  const service = requireFresh("service/staff-payout-service.js");
+  return { prisma, ...service };
+};
+
+// A due payout whose booking the provider has not been paid for yet
+const seedPayout = (prisma, id, attempts) =>
+  prisma.staffPayment.create({
+    data: {
+      id,
+      bookingId: `b_${id}`,
+      staffId: `s_${id}`,
+      providerId: "p1",
+      staffAmount: 200,
+      status: attempts ? "FAILED" : "PENDING",
+      attempts,
+      nextAttemptAt: null,
+      isAutomatic: true,
+      // What the query includes
+      staff: {
+        name: "Ravi",
+        stripeAccountId: "acct_1",
+        stripeAccountStatus: "active",
+      },
+      booking: { businessProfileId: "biz1", service: { name: "Cleaning" } },
+    },
+  });
+
+test("waiting for the provider's transfer uses up attempts", async () => {
+  const { prisma, MAX_PAYOUT_ATTEMPTS, executeStaffPayouts } = setup();
+  await seedPayout(prisma, "first", 0);
+  await seedPayout(prisma, "last", MAX_PAYOUT_ATTEMPTS - 1);
+
+  assert.equal(await executeStaffPayouts(), 0);
+
+  const first = await prisma.staffPayment.findUnique({
+    where: { id: "first" },
+  });
+  assert.equal(first.status, "FAILED");
+  assert.equal(first.attempts, 1);
+  assert.ok(first.nextAttemptAt > new Date());
+
+  // Retries stop and the provider is asked to pay by hand
+  const last = await prisma.staffPayment.findUnique({ where: { id: "last" } });
+  assert.equal(last.attempts, MAX_PAYOUT_ATTEMPTS);
+  assert.equal(last.nextAttemptAt, null);
+  const notifications = await prisma.notification.findMany();
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].receiverId, "p1");
+  assert.match(notifications[0].message, /₹200 to Ravi/);
+});
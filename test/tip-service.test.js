@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = (sessionStatus) => {
+  const prisma = createFakePrisma({ defaults: { tip: { status: "PENDING" } } });
+  const expired = [];
+  const stripe = {
+    checkout: {
+      sessions: {
+        retrieve: async (id) => ({ id, status: sessionStatus }),
+        expire: async (id) => expired.push(id),
+      },
+    },
+  };
+  stubModules({
+    "prismaClient.js": prisma,
+    "config/stripe.js": stripe,
+    "service/staff-payout-service.js": {},
+  });
+  const service = requireFresh("service/tip-service.js");
+  return { prisma, expired, ...service };
+};
+
+const getStatus = async (prisma) =>
+  (await prisma.tip.findUnique({ where: { id: "t1" } })).status;
+
+test("an open tip checkout is expired and the tip cancelled", async () => {
+  const { prisma, expired, cancelPendingTip } = setup("open");
+  const tip = await prisma.tip.create({
+    data: { id: "t1", stripeSessionId: "cs_1" },
+  });
+
+  assert.equal(await cancelPendingTip(tip), true);
+  assert.deepEqual(expired, ["cs_1"]);
+  assert.equal(await getStatus(prisma), "CANCELLED");
+});
+
+test("a tip paid before its webhook arrived is left alone", async () => {
+  const { prisma, expired, cancelPendingTip } = setup("complete");
+  const tip = await prisma.tip.create({
+    data: { id: "t1", stripeSessionId: "cs_1" },
+  });
+
+  assert.equal(await cancelPendingTip(tip), false);
+  assert.deepEqual(expired, []);
+  assert.equal(await getStatus(prisma), "PENDING");
+});
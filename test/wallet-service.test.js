@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+// Checkout sessions are named after how they ended
+const stripe = {
+  checkout: {
+    sessions: {
+      retrieve: async (id) => ({ id, status: id.split("_")[1] }),
+    },
+  },
+};
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { walletTransaction: { reversedAt: null } },
+  });
+  stubModules({ "prismaClient.js": prisma, "config/stripe.js": stripe });
+  // Checkouts are looked up through it with this test's prisma
+  requireFresh("service/slot-hold-service.js");
+  const service = requireFresh("service/wallet-service.js");
+  return { prisma, ...service };
+};
+
+test("stale wallet debits come back only once their checkout expired", async () => {
+  const { prisma, releaseStaleWalletPayments } = setup();
+  await prisma.user.create({ data: { id: "u1", walletBalance: 0 } });
+  const createdAt = new Date(Date.now() - 60 * 60 * 1000);
+
+  // A complete session is paid, its webhook just has not confirmed it yet
+  for (const session of ["expired", "complete"]) {
+    await prisma.customerPayment.create({
+      data: {
+        id: `pay_${session}`,
+        status: "PENDING",
+        stripeSessionId: `cs_${session}`,
+      },
+    });
+    await prisma.walletTransaction.create({
+      data: {
+        id: `w_${session}`,
+        userId: "u1",
+        type: "DEBIT",
+        source: "PAYMENT",
+        amount: 200,
+        customerPaymentId: `pay_${session}`,
+        createdAt,
+      },
+    });
+  }
+
+  assert.equal(await releaseStaleWalletPayments(), 1);
+
+  const reversed = await prisma.walletTransaction.findMany({
+    where: { reversedAt: { not: null } },
+  });
+  assert.deepEqual(
+    reversed.map((t) => t.id),
+    ["w_expired"],
+  );
+  const { walletBalance } = await prisma.user.findUnique({
+    where: { id: "u1" },
+  });
+  assert.equal(walletBalance, 200);
+});
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakePrisma } = require("./helpers/fake-prisma");
+const { stubModules, requireFresh } = require("./helpers/stub-modules");
+
+const setup = () => {
+  const prisma = createFakePrisma({
+    defaults: { stripeWebhookEvent: { status: "PROCESSING", attempts: 0 } },
+  });
+  stubModules({ "prismaClient.js": prisma });
+  const service = requireFresh("service/webhook-event-service.js");
+  return { prisma, ...service };
+};
+
+const stripeEvent = (id = "evt_1") => ({
+  id,
+  type: "checkout.session.completed",
+  livemode: false,
+  data: { object: { id: "cs_1" } },
+});
+
+const getEvent = (prisma, id = "evt_1") =>
+  prisma.stripeWebhookEvent.findUnique({ where: { id } });
+
+test("a first delivery is claimed, processed and recorded", async () => {
+  const { prisma, processWebhookEvent } = setup();
+  let runs = 0;
+
+  const result = await processWebhookEvent(stripeEvent(), async () => {
+    runs++;
+    assert.equal((await getEvent(prisma)).status, "PROCESSING");
+  });
+
+  assert.deepEqual(result, { processed: true, duplicate: false });
+  assert.equal(runs, 1);
+
+  const event = await getEvent(prisma);
+  assert.equal(event.status, "PROCESSED");
+  assert.equal(event.attempts, 1);
+  assert.ok(event.processedAt instanceof Date);
+});
+
+test("a redelivered event that was processed is skipped", async () => {
+  const { processWebhookEvent } = setup();
+  let runs = 0;
+  const handler = async () => runs++;
+
+  await processWebhookEvent(stripeEvent(), handler);
+  const result = await processWebhookEvent(stripeEvent(), handler);
+
+  assert.deepEqual(result, { processed: false, duplicate: true });
+  assert.equal(runs, 1);
+});
+
+test("a failing handler marks the event FAILED and rethrows", async () => {
+  const { prisma, processWebhookEvent } = setup();
+
+  await assert.rejects(
+    processWebhookEvent(stripeEvent(), async () => {
+      throw new Error("Booking not found");
+    }),
+    /Booking not found/,
+  );
+
+  const event = await getEvent(prisma);
+  assert.equal(event.status, "FAILED");
+  assert.match(event.lastError, /Booking not found/);
+  assert.equal(event.processedAt, undefined);
+});
+
+test("a FAILED event is claimed again on the next delivery", async () => {
+  const { prisma, processWebhookEvent } = setup();
+
+  await assert.rejects(
+    processWebhookEvent(stripeEvent(), async () => {
+      throw new Error("Stripe timeout");
+    }),
+  );
+  const result = await processWebhookEvent(stripeEvent(), async () => {});
+
+  assert.deepEqual(result, { processed: true, duplicate: false });
+  const event = await getEvent(prisma);
+  assert.equal(event.status, "PROCESSED");
+  assert.equal(event.attempts, 2);
+  assert.equal(event.lastError, null);
+});
+
+test("an event another worker is processing is not claimed", async () => {
+  const { prisma, claimWebhookEvent } = setup();
+  await prisma.stripeWebhookEvent.create({
+    data: { id: "evt_1", type: "x", payload: {}, attempts: 1 },
+  });
+
+  assert.equal(await claimWebhookEvent(stripeEvent()), false);
+});
+
+test("a PROCESSING claim left by a crashed worker is taken over", async () => {
+  const { prisma, claimWebhookEvent, WEBHOOK_PROCESSING_TIMEOUT_MINUTES } =
+    setup();
+  await prisma.stripeWebhookEvent.create({
+    data: {
+      id: "evt_1",
+      type: "x",
+      payload: {},
+      attempts: 1,
+      updatedAt: new Date(
+        Date.now() - (WEBHOOK_PROCESSING_TIMEOUT_MINUTES + 1) * 60 * 1000,
+      ),
+    },
+  });
+
+  assert.equal(await claimWebhookEvent(stripeEvent()), true);
+  assert.equal((await getEvent(prisma)).attempts, 2);
+});
+
+test("replay retries FAILED events in order and skips processed ones", async () => {
+  const { prisma, processWebhookEvent, replayWebhookEvents } = setup();
+  const seen = [];
+
+  await processWebhookEvent(stripeEvent("evt_ok"), async () => {});
+  for (const id of ["evt_a", "evt_b"]) {
+    await assert.rejects(
+      processWebhookEvent(stripeEvent(id), async () => {
+        throw new Error("down");
+      }),
+    );
+  }
+
+  const results = await replayWebhookEvents(async (event) => {
+    seen.push(event.id);
+  });
+
+  assert.deepEqual(seen, ["evt_a", "evt_b"]);
+  assert.deepEqual(
+    results.map((r) => [r.id, r.processed, r.duplicate]),
+    [
+      ["evt_ok", false, true],
+      ["evt_a", true, false],
+      ["evt_b", true, false],
+    ],
+  );
+  for (const id of ["evt_ok", "evt_a", "evt_b"]) {
+    assert.equal((await getEvent(prisma, id)).status, "PROCESSED");
+  }
+});
+
+test("a forced replay re-runs a processed event", async () => {
+  const { prisma, processWebhookEvent, replayWebhookEvents } = setup();
+  let runs = 0;
+  const handler = async () => runs++;
+
+  await processWebhookEvent(stripeEvent(), handler);
+  const [result] = await replayWebhookEvents(handler, {
+    ids: ["evt_1"],
+    force: true,
+  });
+
+  assert.equal(result.processed, true);
+  assert.equal(runs, 2);
+  assert.equal((await getEvent(prisma)).attempts, 2);
+});
+
+test("a replay that fails again is reported and left FAILED", async () => {
+  const { prisma, processWebhookEvent, replayWebhookEvents } = setup();
+  const failing = async () => {
+    throw new Error("still broken");
+  };
+
+  await assert.rejects(processWebhookEvent(stripeEvent(), failing));
+  const [result] = await replayWebhookEvents(failing, { status: "FAILED" });
+
+  assert.equal(result.processed, false);
+  assert.equal(result.error, "still broken");
+  const event = await getEvent(prisma);
+  assert.equal(event.status, "FAILED");
+  assert.equal(event.attempts, 2);
+});
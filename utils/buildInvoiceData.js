@@ -1,46 +1,109 @@
+/* ---------------- GST SUMMARY ---------------- */
+// One line per tax head and rate, e.g. "CGST @ 9%"
+const buildTaxSummary = (items) => {
+  const lines = new Map();
+  const addLine = (label, rate, amount) => {
+    if (!amount) return;
+    const key = `${label} @ ${rate}%`;
+    lines.set(key, (lines.get(key) || 0) + amount);
+  };
+
+  for (const item of items) {
+    if (item.taxType === "CGST_SGST") {
+      addLine("CGST", item.taxRate / 2, item.cgstAmount);
+      addLine("SGST", item.taxRate / 2, item.sgstAmount);
+    } else if (item.taxType === "IGST") {
+      addLine("IGST", item.taxRate, item.igstAmount);
+    }
+  }
+
+  return {
+    taxableAmount: items.reduce(
+      (sum, item) => sum + (item.taxableAmount ?? item.price),
+      0
+    ),
+    lines: [...lines].map(([label, amount]) => ({ label, amount })),
+    total: items.reduce((sum, item) => sum + item.taxAmount, 0),
+  };
+};
+
 /* ---------------- BOOKING INVOICE DATA PREP FOR PDF ---------------- */
 const buildInvoiceData = (invoiceInfo) => {
-  const { business, customer, provider, items, payment, invoiceNumber } =
-    invoiceInfo;
+  const {
+    business,
+    customer,
+    provider,
+    items,
+    payment,
+    invoiceNumber,
+    title,
+    originalInvoiceNumber,
+    reason,
+  } = invoiceInfo;
+
+  const invoiceItems = (items || []).map((item) => ({
+    title: item.title || "Service",
+    price: item.price || 0,
+
+    bookingDate: item.bookingDate
+      ? new Date(item.bookingDate).toLocaleDateString("en-IN")
+      : "N/A",
+
+    slotTime: item.slotTime || "As scheduled",
+    sacCode: item.sacCode || null,
+
+    // GST as stored on the booking
+    taxableAmount: item.taxableAmount ?? null,
+    taxRate: item.taxRate || 0,
+    taxType: item.taxType || null,
+    cgstAmount: item.cgstAmount || 0,
+    sgstAmount: item.sgstAmount || 0,
+    igstAmount: item.igstAmount || 0,
+    taxAmount: item.taxAmount || 0,
+  }));
+  const tax = buildTaxSummary(invoiceItems);
 
   return {
     invoiceNumber: invoiceNumber || `INV-${Date.now()}`,
     issuedAt: new Date().toLocaleString("en-IN"),
 
+    // Credit notes name the invoice they reverse
+    title: title || null,
+    originalInvoiceNumber: originalInvoiceNumber || null,
+    reason: reason || null,
+
     business: {
       name: business?.name || "N/A",
       email: business?.email || "N/A",
       phone: business?.phone || "N/A",
+      gstin: business?.gstin || null,
     },
 
     customer: {
       name: customer?.name || "Customer",
       email: customer?.email || "N/A",
       address: customer?.address || "N/A",
+      placeOfSupply: customer?.state || null,
     },
 
     provider: {
       name: provider?.name || "N/A",
     },
 
-    items: (items || []).map((item) => ({
-      title: item.title || "Service",
-      price: item.price || 0,
-
-      bookingDate: item.bookingDate
-        ? new Date(item.bookingDate).toLocaleDateString("en-IN")
-        : "N/A",
-
-      slotTime: item.slotTime || "As scheduled",
-    })),
+    items: invoiceItems,
 
     payment: {
       status: payment?.status || "PAID",
       method: payment?.method || "Stripe",
       transactionId: payment?.transactionId || "N/A",
-      tax: payment?.tax || 0,
+      tax: tax.total || payment?.tax || 0,
+      discount: payment?.discount || 0,
+      couponCode: payment?.couponCode || null,
     },
 
+    // Only set when GST was charged
+    tax: tax.total > 0 ? tax : null,
+
     totalAmount: (items || []).reduce(
       (sum, item) => sum + (item.price || 0),
       0
@@ -28,14 +28,19 @@ function generateInvoicePDF(data) {
       doc.font("Helvetica").fontSize(9).fillColor("#555");
       doc.text(data.business.email, margin, doc.y + 3);
       doc.text(data.business.phone, margin, doc.y + 2);
+      if (data.business.gstin) {
+        doc.text(`GSTIN: ${data.business.gstin}`, margin, doc.y + 2);
+      }
 
-      // Invoice details (right)
+      // Invoice details (right); GST registered businesses issue tax invoices
       const invoiceY = margin;
       doc.font("Helvetica-Bold").fontSize(22).fillColor("#000");
-      doc.text("INVOICE", rightEdge - 100, invoiceY, {
-        width: 100,
-        align: "right",
-      });
+      doc.text(
+        data.title || (data.business.gstin ? "TAX INVOICE" : "INVOICE"),
+        rightEdge - 200,
+        invoiceY,
+        { width: 200, align: "right" }
+      );
 
       doc.font("Helvetica").fontSize(9).fillColor("#555");
       doc.text(`#${data.invoiceNumber}`, rightEdge - 120, invoiceY + 30, {
@@ -46,6 +51,14 @@ function generateInvoicePDF(data) {
         width: 120,
         align: "right",
       });
+      if (data.originalInvoiceNumber) {
+        doc.text(
+          `Against invoice #${data.originalInvoiceNumber}`,
+          rightEdge - 200,
+          doc.y + 2,
+          { width: 200, align: "right" }
+        );
+      }
 
       doc.y = Math.max(doc.y, margin + 70);
       drawLine(doc, margin, rightEdge);
@@ -67,6 +80,14 @@ function generateInvoicePDF(data) {
         doc.text(data.customer.address, margin, doc.y + 2, { width: 240 });
       }
 
+      if (data.tax && data.customer.placeOfSupply) {
+        doc.text(
+          `Place of Supply: ${data.customer.placeOfSupply}`,
+          margin,
+          doc.y + 2
+        );
+      }
+
       const customerEndY = doc.y;
 
       const providerX = pageWidth / 2 + 20;
@@ -144,7 +165,9 @@ function generateInvoicePDF(data) {
           .fontSize(8)
           .fillColor("#666")
           .text(
-            `Date: ${item.bookingDate} | Slot: ${item.slotTime}`,
+            `Date: ${item.bookingDate} | Slot: ${item.slotTime}${
+              item.sacCode ? ` | SAC: ${item.sacCode}` : ""
+            }`,
             margin + 8,
             currentY + 12, // This is now 12 points below the title
             { width: usableWidth - 110 }
@@ -169,7 +192,48 @@ function generateInvoicePDF(data) {
         align: "right",
       });
 
-      if (data.payment.tax && data.payment.tax > 0) {
+      if (data.payment.discount && data.payment.discount > 0) {
+        doc.moveDown(0.3);
+        doc.text(
+          data.payment.couponCode
+            ? `Discount (${data.payment.couponCode}):`
+            : "Discount:",
+          totalsLabelX,
+          doc.y
+        );
+        doc.text(
+          `- Rs ${data.payment.discount.toLocaleString("en-IN")}`,
+          totalsValueX,
+          doc.y,
+          { width: 75, align: "right" }
+        );
+        total -= data.payment.discount;
+      }
+
+      if (data.tax) {
+        // Inclusive prices already hold the tax, so the total is rebuilt
+        // from the taxable value
+        doc.moveDown(0.3);
+        doc.text("Taxable Value:", totalsLabelX, doc.y);
+        doc.text(
+          `Rs ${data.tax.taxableAmount.toLocaleString("en-IN")}`,
+          totalsValueX,
+          doc.y,
+          { width: 75, align: "right" }
+        );
+
+        data.tax.lines.forEach((line) => {
+          doc.moveDown(0.3);
+          doc.text(`${line.label}:`, totalsLabelX, doc.y);
+          doc.text(
+            `Rs ${line.amount.toLocaleString("en-IN")}`,
+            totalsValueX,
+            doc.y,
+            { width: 75, align: "right" }
+          );
+        });
+        total = data.tax.taxableAmount + data.tax.total;
+      } else if (data.payment.tax && data.payment.tax > 0) {
         doc.moveDown(0.3);
         doc.text("Tax:", totalsLabelX, doc.y);
         doc.text(
@@ -218,6 +282,13 @@ function generateInvoicePDF(data) {
         { width: 200 }
       );
 
+      if (data.reason) {
+        doc.moveDown(0.5);
+        doc.text(`Reason: ${data.reason}`, margin, doc.y, {
+          width: usableWidth,
+        });
+      }
+
       /* ---------------- FOOTER ---------------- */
 
       doc.font("Helvetica-Oblique").fontSize(9).fillColor("#888");
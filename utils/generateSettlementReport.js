@@ -0,0 +1,374 @@
+const PDFDocument = require("pdfkit");
+const moment = require("moment");
+
+const SUMMARY_ROWS = [
+  ["Bookings", "bookingCount", false],
+  ["Gross collected", "grossAmount", true],
+  ["Discounts", "discountAmount", true],
+  ["GST collected", "taxAmount", true],
+  ["Platform fee", "platformFee", true],
+  ["Cancellation fees earned", "cancellationFees", true],
+  ["Refunded to customers", "refundedAmount", true],
+  ["Provider earnings", "providerEarnings", true],
+  ["Staff payouts", "staffPayouts", true],
+  ["Tips paid to staff", "tipAmount", true],
+  ["Transferred to your account", "transferredAmount", true],
+  ["Net earnings", "netAmount", true]
+];
+
+const formatAmount = (amount) => `Rs ${(amount || 0).toLocaleString("en-IN")}`;
+
+/* ---------------- GENERATE CSV FOR SETTLEMENT REPORT ---------------- */
+function buildSettlementCsv(data) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const row = (values) => values.map(escape).join(",");
+
+  const lines = [
+    row(["Settlement report", data.business.name, data.period]),
+    "",
+    row(["Summary", "Amount"]),
+    ...SUMMARY_ROWS.map(([label, key]) => row([label, data.summary[key]])),
+    "",
+    row([
+      "Booking ID",
+      "Booked On",
+      "Service Date",
+      "Service",
+      "Customer",
+      "Booking Status",
+      "Payment Status",
+      "Gross",
+      "Discount",
+      "GST",
+      "Platform Fee",
+      "Cancellation Fee",
+      "Refunded",
+      "Earnings"
+    ]),
+    ...data.bookings.map((b) =>
+      row([
+        b.bookingId,
+        moment(b.createdAt).format("YYYY-MM-DD"),
+        b.date,
+        b.service,
+        b.customer,
+        b.bookingStatus,
+        b.paymentStatus,
+        b.grossAmount,
+        b.discountAmount,
+        b.taxAmount,
+        b.platformFee,
+        b.cancellationFee,
+        b.refundedAmount,
+        b.providerEarnings
+      ])
+    ),
+    "",
+    row(["Staff Payment ID", "Booking ID", "Staff", "Amount", "Paid On"]),
+    ...data.staffPayouts.map((p) =>
+      row([
+        p.staffPaymentId,
+        p.bookingId,
+        p.staff,
+        p.amount,
+        moment(p.paidAt).format("YYYY-MM-DD")
+      ])
+    ),
+    "",
+    row(["Tip ID", "Booking ID", "Staff", "Amount", "Paid On"]),
+    ...(data.tips || []).map((t) =>
+      row([
+        t.tipId,
+        t.bookingId,
+        t.staff,
+        t.amount,
+        moment(t.paidAt).format("YYYY-MM-DD")
+      ])
+    ),
+    "",
+    row([
+      "Transfer ID",
+      "Stripe Transfer ID",
+      "Amount",
+      "Platform Fee",
+      "Transferred",
+      "Transferred On"
+    ]),
+    ...data.transfers.map((t) =>
+      row([
+        t.transferId,
+        t.stripeTransferId,
+        t.amount,
+        t.platformFee,
+        t.transferAmount,
+        moment(t.transferredAt).format("YYYY-MM-DD")
+      ])
+    )
+  ];
+
+  return lines.join("\n");
+}
+
+/* ---------------- GENERATE PDF FOR SETTLEMENT REPORT ---------------- */
+function generateSettlementReportPDF(data) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 40, size: "A4" });
+      const buffers = [];
+
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", reject);
+
+      const pageWidth = 595.28; // A4 width
+      const pageBottom = 800;
+      const margin = 40;
+      const usableWidth = pageWidth - margin * 2;
+      const rightEdge = pageWidth - margin;
+
+      const ensureSpace = (height) => {
+        if (doc.y + height > pageBottom) {
+          doc.addPage();
+          doc.y = margin;
+        }
+      };
+
+      /* ---------------- HEADER ---------------- */
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .fillColor("#000")
+        .text(data.business.name, margin, margin);
+
+      doc.font("Helvetica").fontSize(9).fillColor("#555");
+      doc.text(data.business.email, margin, doc.y + 3);
+      doc.text(data.business.phone, margin, doc.y + 2);
+      if (data.business.gstin) {
+        doc.text(`GSTIN: ${data.business.gstin}`, margin, doc.y + 2);
+      }
+
+      const reportY = margin;
+      doc.font("Helvetica-Bold").fontSize(20).fillColor("#000");
+      doc.text("SETTLEMENT REPORT", rightEdge - 220, reportY, {
+        width: 220,
+        align: "right"
+      });
+
+      doc.font("Helvetica").fontSize(9).fillColor("#555");
+      doc.text(
+        moment(data.periodStart).format("MMMM YYYY"),
+        rightEdge - 160,
+        reportY + 28,
+        { width: 160, align: "right" }
+      );
+      doc.text(
+        `${moment(data.periodStart).format("DD MMM YYYY")} - ${moment(
+          data.periodEnd
+        ).format("DD MMM YYYY")}`,
+        rightEdge - 200,
+        doc.y + 2,
+        { width: 200, align: "right" }
+      );
+
+      doc.y = Math.max(doc.y, margin + 80);
+      drawLine(doc, margin, rightEdge);
+
+      /* ---------------- SUMMARY ---------------- */
+
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#000");
+      doc.text("SUMMARY", margin, doc.y);
+      doc.moveDown(0.3);
+
+      SUMMARY_ROWS.forEach(([label, key, isAmount]) => {
+        const rowY = doc.y;
+        const isNet = key === "netAmount";
+        const value = data.summary[key];
+
+        doc
+          .font(isNet ? "Helvetica-Bold" : "Helvetica")
+          .fontSize(9)
+          .fillColor("#333");
+        doc.text(label, margin + 8, rowY);
+        doc.text(
+          isAmount ? formatAmount(value) : String(value),
+          rightEdge - 120,
+          rowY,
+          { width: 112, align: "right" }
+        );
+        doc.y = rowY + 14;
+      });
+
+      doc.moveDown(0.3);
+      drawLine(doc, margin, rightEdge);
+
+      /* ---------------- BOOKINGS ---------------- */
+
+      const columns = [
+        { label: "Booked", width: 55 },
+        { label: "Service", width: 120 },
+        { label: "Status", width: 70 },
+        { label: "Gross", width: 55, align: "right" },
+        { label: "Fee", width: 50, align: "right" },
+        { label: "Refund", width: 55, align: "right" },
+        { label: "Earnings", width: 60, align: "right" }
+      ];
+
+      const drawRow = (values, y, font) => {
+        let x = margin + 6;
+        doc.font(font).fontSize(8).fillColor("#333");
+        columns.forEach((column, i) => {
+          doc.text(values[i], x, y, {
+            width: column.width,
+            align: column.align || "left",
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += column.width + 4;
+        });
+      };
+
+      const drawHeader = () => {
+        const headerY = doc.y;
+        doc
+          .rect(margin, headerY, usableWidth, 18)
+          .fillAndStroke("#f5f5f5", "#ddd");
+        drawRow(
+          columns.map((c) => c.label),
+          headerY + 5,
+          "Helvetica-Bold"
+        );
+        doc.y = headerY + 22;
+      };
+
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#000");
+      doc.text("BOOKINGS", margin, doc.y);
+      doc.moveDown(0.3);
+
+      if (data.bookings.length === 0) {
+        doc.font("Helvetica").fontSize(9).fillColor("#888");
+        doc.text("No paid bookings in this period.", margin + 8, doc.y);
+      } else {
+        drawHeader();
+        data.bookings.forEach((b) => {
+          if (doc.y + 14 > pageBottom) {
+            doc.addPage();
+            doc.y = margin;
+            drawHeader();
+          }
+          const rowY = doc.y;
+          drawRow(
+            [
+              moment(b.createdAt).format("DD MMM"),
+              b.service,
+              b.bookingStatus,
+              formatAmount(b.grossAmount),
+              formatAmount(b.platformFee),
+              formatAmount(b.refundedAmount),
+              formatAmount(b.providerEarnings)
+            ],
+            rowY,
+            "Helvetica"
+          );
+          doc.y = rowY + 14;
+        });
+      }
+
+      /* ---------------- STAFF PAYOUTS ---------------- */
+
+      doc.moveDown(0.8);
+      ensureSpace(40);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#000");
+      doc.text("STAFF PAYOUTS", margin, doc.y);
+      doc.moveDown(0.3);
+
+      doc.font("Helvetica").fontSize(9).fillColor("#333");
+      if (data.staffPayouts.length === 0) {
+        doc
+          .fillColor("#888")
+          .text("No staff payouts in this period.", margin + 8, doc.y);
+      }
+      data.staffPayouts.forEach((p) => {
+        ensureSpace(14);
+        const rowY = doc.y;
+        doc.text(
+          `${moment(p.paidAt).format("DD MMM YYYY")}  ${p.staff}`,
+          margin + 8,
+          rowY,
+          { width: usableWidth - 140 }
+        );
+        doc.text(formatAmount(p.amount), rightEdge - 120, rowY, {
+          width: 112,
+          align: "right"
+        });
+        doc.y = rowY + 14;
+      });
+
+      /* ---------------- TRANSFERS ---------------- */
+
+      doc.moveDown(0.8);
+      ensureSpace(40);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#000");
+      doc.text("TRANSFERS", margin, doc.y);
+      doc.moveDown(0.3);
+
+      doc.font("Helvetica").fontSize(9).fillColor("#333");
+      if (data.transfers.length === 0) {
+        doc
+          .fillColor("#888")
+          .text("No transfers in this period.", margin + 8, doc.y);
+      }
+      data.transfers.forEach((t) => {
+        ensureSpace(14);
+        const rowY = doc.y;
+        doc.text(
+          `${moment(t.transferredAt).format("DD MMM YYYY")}  ${
+            t.stripeTransferId || t.transferId
+          }`,
+          margin + 8,
+          rowY,
+          { width: usableWidth - 140 }
+        );
+        doc.text(formatAmount(t.transferAmount), rightEdge - 120, rowY, {
+          width: 112,
+          align: "right"
+        });
+        doc.y = rowY + 14;
+      });
+
+      /* ---------------- FOOTER ---------------- */
+
+      doc.moveDown(1.5);
+      ensureSpace(30);
+      doc.font("Helvetica-Oblique").fontSize(8).fillColor("#888");
+      doc.text(
+        `Generated on ${moment().format("DD MMM YYYY")}. Amounts reflect refunds and disputes recorded up to that date.`,
+        margin,
+        doc.y,
+        { align: "center", width: usableWidth }
+      );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/* ---------------- DRAW LINE ---------------- */
+
+function drawLine(doc, startX, endX) {
+  doc
+    .strokeColor("#ddd")
+    .lineWidth(0.5)
+    .moveTo(startX, doc.y)
+    .lineTo(endX, doc.y)
+    .stroke();
+}
+
+module.exports = { buildSettlementCsv, generateSettlementReportPDF };